@@ -12,50 +12,119 @@
  *   agent-reviews --unanswered           # List comments without replies
  *   agent-reviews --reply <id> "msg"     # Reply to a specific comment
  *   agent-reviews --reply <id> "msg" --resolve  # Reply and resolve the thread
+ *   agent-reviews --resolve <id>         # Resolve a thread without replying
+ *   agent-reviews --unresolve <id>       # Reopen a resolved thread
+ *   agent-reviews --resolve-all mine     # Resolve threads you answered last
  *   agent-reviews --detail <id>          # Show full detail (no truncation)
+ *   agent-reviews --apply-plan <file>    # Batch reply/resolve from JSON/JSONL
+ *   agent-reviews --apply-suggestion <id>  # Apply a ```suggestion locally
  *   agent-reviews --json                 # Output as JSON for scripting
  *   agent-reviews --watch                # Watch for new comments (poll mode)
+ *   agent-reviews --watch --stream       # Stream change events as NDJSON
+ *   agent-reviews doctor                 # Diagnose auth, repo, PR and proxy
  *
  * Options:
- *   --pr <number>    Target specific PR (auto-detects from branch)
+ *   --pr <number|url>  Target specific PR (auto-detects from branch)
+ *   --repo <owner/name>  Target repository (default: from git remote)
  *   --bots-only      Only show bot comments
  *   --humans-only    Only show human comments
  */
 
+const { readFileSync } = require("node:fs");
+const readline = require("node:readline/promises");
+
 const {
   getProxyFetch,
-  getGitHubToken,
+  selectFetch,
   getRepoInfo,
+  getRepoRoot,
   getCurrentBranch,
+  getTrackingBranch,
+  getHeadSha,
+  parseRepoSpec,
+  parsePRUrl,
+  hasRemoteFor,
 } = require("../lib/github");
 
+const { processComments, filterComments } = require("../lib/comments");
 const {
-  findPRForBranch,
+  detectProvider,
+  setProvider,
+  getProvider,
+  setApiBase,
+  getApiBase,
+  getGraphQLUrl,
+  apiBaseForHost,
+  resolveToken,
+  fetchPR,
+  fetchViewerLogin,
   fetchPRComments,
-  processComments,
-  filterComments,
   replyToComment,
   resolveThread,
-} = require("../lib/comments");
+  unresolveThread,
+} = require("../lib/providers");
+
+const { getRateLimit } = require("../lib/http");
+const { loadConfig, getProcessOptions } = require("../lib/config");
+const { parsePlan, applyPlan, DEFAULT_CONCURRENCY } = require("../lib/plan");
+const { applySuggestions, extractSuggestions } = require("../lib/suggestions");
+const { selectThreads, resolveThreads } = require("../lib/resolve");
+const { remapComments } = require("../lib/remap");
+const { detectPR } = require("../lib/detect");
+const { runDoctor } = require("../lib/doctor");
+const { runMcpServer } = require("../lib/mcp");
+const { recordFetch, replayFetch } = require("../lib/cassette");
+const { runTui } = require("../lib/tui");
+const { getAppCredentials, getInstallationToken } = require("../lib/app-auth");
+const {
+  WATCH_EXIT_CODES,
+  isAuthError,
+  getPollInterval,
+  isIdleTimeout,
+  createSnapshot,
+  diffSnapshot,
+  filterChanges,
+  groupChanges,
+  toChangedComments,
+  formatEvent,
+} = require("../lib/watch");
+const {
+  loadWatchState,
+  saveWatchState,
+  clearWatchState,
+} = require("../lib/state");
 
 const {
   colors,
+  truncate,
   formatComment,
   formatDetailedComment,
   formatOutput,
+  formatPlanResults,
+  formatResolveResults,
+  formatSuggestionResults,
+  formatDoctorReport,
 } = require("../lib/format");
 
-const proxyFetch = getProxyFetch();
+// Replaced by a recording or replaying wrapper for --record / --replay
+let proxyFetch = getProxyFetch();
+let replaying = false;
+
+// Root of the local checkout when it holds the target repository; null when
+// reviewing another repo (--repo, PR URL), where local lines mean nothing
+let checkoutRoot = null;
 
 // ---------------------------------------------------------------------------
 // Argument parsing
 // ---------------------------------------------------------------------------
 
-function parseArgs() {
+function parseArgs(defaults = {}) {
   const args = process.argv.slice(2);
   const result = {
     command: "list",
     prNumber: null,
+    prRepo: null,
+    repo: null,
     filter: null,
     replyTo: null,
     replyMessage: null,
@@ -68,8 +137,24 @@ function parseArgs() {
     expanded: false,
     resolve: false,
     watch: false,
+    stream: false,
+    fresh: false,
     watchInterval: 30,
     watchTimeout: 600,
+    planFile: null,
+    concurrency: DEFAULT_CONCURRENCY,
+    suggestionId: null,
+    all: false,
+    dryRun: false,
+    graphql: false,
+    outdated: null,
+    resolveId: null,
+    unresolveId: null,
+    resolveAll: null,
+    yes: false,
+    record: null,
+    replay: null,
+    ...defaults,
   };
 
   for (let i = 0; i < args.length; i++) {
@@ -82,6 +167,12 @@ function parseArgs() {
       case "-a":
         result.filter = "unanswered";
         break;
+      case "--filter": {
+        // Overrides defaults.filter from the config; "all" clears it
+        const value = args[++i];
+        result.filter = value === "all" ? null : value;
+        break;
+      }
       case "--reply":
       case "-r": {
         result.command = "reply";
@@ -96,8 +187,21 @@ function parseArgs() {
         break;
       }
       case "--pr":
-      case "-p":
-        result.prNumber = Number.parseInt(args[++i], 10);
+      case "-p": {
+        const value = args[++i];
+        // A PR URL also names the repository (and host)
+        const prUrl = parsePRUrl(value);
+        if (prUrl) {
+          result.prNumber = prUrl.number;
+          result.prRepo = prUrl;
+        } else {
+          result.prNumber = /^\d+$/.test(value || "") ? Number(value) : NaN;
+        }
+        break;
+      }
+      case "--repo":
+      case "-R":
+        result.repo = args[++i];
         break;
       case "--json":
       case "-j":
@@ -106,10 +210,12 @@ function parseArgs() {
       case "--bots-only":
       case "-b":
         result.botsOnly = true;
+        result.humansOnly = false;
         break;
       case "--humans-only":
       case "-H":
         result.humansOnly = true;
+        result.botsOnly = false;
         break;
       case "--detail":
       case "-d":
@@ -121,6 +227,18 @@ function parseArgs() {
         result.watch = true;
         result.command = "watch";
         break;
+      case "--interactive":
+      case "-I":
+        result.command = "tui";
+        break;
+      case "--stream":
+        result.stream = true;
+        result.watch = true;
+        result.command = "watch";
+        break;
+      case "--fresh":
+        result.fresh = true;
+        break;
       case "--interval":
       case "-i":
         result.watchInterval = Number.parseInt(args[++i], 10);
@@ -129,12 +247,65 @@ function parseArgs() {
       case "--timeout":
         result.watchTimeout = Number.parseInt(args[++i], 10);
         break;
+      case "--apply-plan":
+        result.command = "apply-plan";
+        result.planFile = args[++i];
+        break;
+      case "--apply-suggestion":
+        result.command = "apply-suggestion";
+        if (i + 1 < args.length && !args[i + 1].startsWith("-")) {
+          result.suggestionId = args[++i];
+        }
+        break;
+      case "--all":
+        result.all = true;
+        break;
+      case "--dry-run":
+        result.dryRun = true;
+        break;
+      case "--concurrency":
+        result.concurrency = Number.parseInt(args[++i], 10);
+        break;
+      case "--outdated":
+        result.outdated = "only";
+        break;
+      case "--hide-outdated":
+        result.outdated = "hide";
+        break;
+      case "--graphql":
+        result.graphql = true;
+        break;
       case "--expanded":
       case "-e":
         result.expanded = true;
         break;
       case "--resolve":
         result.resolve = true;
+        // `--resolve <id>` on its own resolves without replying
+        if (result.command !== "reply" && /^\d+$/.test(args[i + 1] || "")) {
+          result.resolveId = args[++i];
+          result.command = "resolve";
+        }
+        break;
+      case "--unresolve":
+        result.command = "unresolve";
+        if (/^\d+$/.test(args[i + 1] || "")) {
+          result.unresolveId = args[++i];
+        }
+        break;
+      case "--resolve-all":
+        result.command = "resolve-all";
+        result.resolveAll = args[++i];
+        break;
+      case "--yes":
+      case "-y":
+        result.yes = true;
+        break;
+      case "--record":
+        result.record = args[++i];
+        break;
+      case "--replay":
+        result.replay = args[++i];
         break;
       case "--help":
       case "-h":
@@ -145,6 +316,11 @@ function parseArgs() {
         result.version = true;
         break;
       default:
+        // `agent-reviews doctor`, `agent-reviews mcp`
+        if (i === 0 && (args[i] === "doctor" || args[i] === "mcp")) {
+          result.command = args[i];
+          break;
+        }
         // Collect positional args for commands that need them
         if (result.command === "reply" && !args[i].startsWith("-")) {
           if (!result.replyTo) {
@@ -172,29 +348,64 @@ ${colors.bright}Usage:${colors.reset}
   agent-reviews --unanswered           List comments without replies
   agent-reviews --reply <id> "msg"     Reply to a specific comment
   agent-reviews --reply <id> "msg" --resolve  Reply and resolve thread
+  agent-reviews --resolve <id>         Resolve a thread without replying
+  agent-reviews --unresolve <id>       Reopen a resolved thread
+  agent-reviews --resolve-all <rule>   Resolve every thread matching a rule
   agent-reviews --detail <id>          Show full detail for a comment
+  agent-reviews --apply-plan <file>    Batch reply/resolve from a JSON/JSONL plan
+  agent-reviews --apply-suggestion <id>  Apply a comment's suggestion to the local file
   agent-reviews --expanded             Show full detail for each comment
   agent-reviews --watch                Watch for new comments (poll mode)
+  agent-reviews -I                     Browse, reply and resolve in a terminal UI
   agent-reviews --json                 Output as JSON for scripting
+  agent-reviews doctor                 Diagnose token, repo, PR and proxy setup
+  agent-reviews mcp                    Serve review tools over MCP (stdio)
 
 ${colors.bright}Options:${colors.reset}
   -u, --unresolved   Show only unresolved/pending comments
   -a, --unanswered   Show only comments without any replies
+      --filter       all, unresolved or unanswered (overrides the config default)
   -r, --reply        Reply to a comment (requires ID and message)
   -d, --detail       Show full detail for a specific comment
-  -p, --pr           Target specific PR number (auto-detects from branch)
+  -p, --pr           Target specific PR (or GitLab MR) by number or URL (auto-detects from branch)
+  -R, --repo         Target repository as OWNER/REPO or HOST/OWNER/REPO
+                     (default: GH_REPO, then the upstream/origin remote)
   -j, --json         Output as JSON instead of formatted text
   -b, --bots-only    Only show comments from bots
   -H, --humans-only  Only show comments from humans
   -e, --expanded     Show full detail (body, diff hunk, replies) for each comment
-      --resolve      Resolve the review thread after replying (use with --reply)
+  -I, --interactive  Full-screen UI: browse, reply ($EDITOR), resolve, live updates
+      --outdated     Only show comments on code that changed since the review
+      --hide-outdated  Hide comments on code that changed since the review
+      --resolve      Resolve the review thread after replying (use with --reply),
+                     or on its own with a comment ID
+      --unresolve    Reopen the review thread of a comment
+      --resolve-all  Resolve threads by rule: "mine" (last reply is yours) or
+                     "outdated" (code has changed); combines with filters
+  -y, --yes          Skip the --resolve-all confirmation prompt
+      --apply-plan   Apply a plan file of {id, message, resolve} entries ("-" for stdin)
+      --concurrency  Parallel replies for --apply-plan (default: 4)
+      --apply-suggestion  Apply a \`\`\`suggestion block to the local file
+      --all          With --apply-suggestion: every matching comment with a suggestion
+      --dry-run      Print the unified diff instead of changing files
+                     (with --resolve-all: list matching threads only)
+      --graphql      Fetch comments with GraphQL in fewer requests (experimental)
+      --record <dir> Save all API requests and responses to a cassette directory
+                     (tokens redacted)
+      --replay <dir> Answer API requests from a recorded cassette, offline
   -h, --help         Show this help
   -v, --version      Show version
 
 ${colors.bright}Watch Mode:${colors.reset}
   -w, --watch        Poll for new comments (exits on detection)
+      --stream       Stay alive and write one JSON event per line to stdout
+      --fresh        Ignore saved watch state and start from scratch
   -i, --interval     Poll interval in seconds (default: 30)
-  --timeout          Exit after N seconds of inactivity (default: 600)
+  --timeout          Exit after N seconds of inactivity (default: 600, 0 = never with --stream)
+
+  Watch exit codes: 0 new comments, 2 idle timeout, 3 authentication error,
+  4 PR closed or merged (1 = unexpected error). With --json, progress goes to
+  stderr and a summary object is printed to stdout on exit.
 
 ${colors.bright}Examples:${colors.reset}
   agent-reviews                              # Show all comments
@@ -204,9 +415,23 @@ ${colors.bright}Examples:${colors.reset}
   agent-reviews --reply 12345 "Fixed!"       # Reply to comment #12345
   agent-reviews --detail 12345               # Full detail for a comment
   agent-reviews --detail 12345 --json        # Detail as JSON
+  agent-reviews --apply-plan replies.jsonl   # Reply to many comments at once
+  agent-reviews --resolve-all outdated --dry-run  # Preview outdated threads
+  agent-reviews --apply-suggestion 12345 --dry-run  # Preview a suggestion
+  agent-reviews --apply-suggestion --all -u  # Apply all unresolved suggestions
+  agent-reviews --pr https://github.com/o/r/pull/42  # PR in another repo
+  agent-reviews --repo o/r --pr 42 --watch   # Same, by repo and number
+  agent-reviews --pr https://gitlab.com/g/r/-/merge_requests/7  # GitLab MR
   agent-reviews --json | jq '.[]'            # Pipe to jq
   agent-reviews --watch --bots-only          # Watch for new bot comments
   agent-reviews -w -i 15 --timeout 300       # Poll every 15s, exit after 5 min
+  agent-reviews --watch --stream | jq -c .   # Consume change events
+  agent-reviews --pr 42 --record ./cassette  # Capture API traffic for a bug report
+  agent-reviews --pr 42 --replay ./cassette  # Rerun it without network
+
+${colors.bright}Configuration:${colors.reset}
+  Place .agent-reviews.json in the repo root to add bot logins, meta-comment
+  filters, body cleanup patterns, and default flags. See the README.
 
 ${colors.bright}Authentication:${colors.reset}
   Set GITHUB_TOKEN env var, or use 'gh auth login' (gh CLI).
@@ -215,6 +440,39 @@ ${colors.dim}Comment IDs are shown in brackets, e.g., [12345678]${colors.reset}
 `);
 }
 
+// ---------------------------------------------------------------------------
+// Authentication
+// ---------------------------------------------------------------------------
+
+// GitHub App settings apply to GitHub only; other providers use their token
+function getProviderAppCredentials() {
+  return getProvider().name === "github" ? getAppCredentials() : null;
+}
+
+// A replayed cassette was recorded with a (redacted) token, so none is
+// needed to run it
+function findToken(host) {
+  return (
+    resolveToken(host) ||
+    (replaying ? { token: "replay", source: "--replay" } : null)
+  );
+}
+
+// ---------------------------------------------------------------------------
+// Comment processing
+// ---------------------------------------------------------------------------
+
+/**
+ * processComments plus `currentLine` for inline comments, mapped through
+ * the local checkout's history (left null outside a git checkout).
+ */
+function processAndRemap(rawData, processOptions) {
+  const processed = processComments(rawData, processOptions);
+  return checkoutRoot
+    ? remapComments(processed, { root: checkoutRoot })
+    : processed;
+}
+
 // ---------------------------------------------------------------------------
 // Watch mode
 // ---------------------------------------------------------------------------
@@ -227,12 +485,90 @@ function sleep(seconds) {
   return new Promise((resolve) => setTimeout(resolve, seconds * 1000));
 }
 
+/**
+ * Seconds until the next poll. Stretches the configured interval when the
+ * API quota is running low, and reports the slowdown through `onSlowdown`.
+ */
+function nextPollInterval(options, onSlowdown) {
+  const rateLimit = getRateLimit(options.graphql ? "graphql" : "core");
+  const interval = getPollInterval(options.watchInterval, rateLimit);
+  if (interval > options.watchInterval) {
+    onSlowdown(
+      `Rate limit low (${rateLimit.remaining}/${rateLimit.limit} requests left), next poll in ${interval}s`
+    );
+  }
+  return interval;
+}
+
+function pluralize(count, singular, plural = `${singular}s`) {
+  return `${count} ${count === 1 ? singular : plural}`;
+}
+
+function describeChanges({ created, updated, replied }) {
+  const parts = [];
+  if (created.length > 0) {
+    parts.push(pluralize(created.length, "new comment"));
+  }
+  if (updated.length > 0) {
+    parts.push(pluralize(updated.length, "updated comment"));
+  }
+  if (replied.length > 0) {
+    const replyCount = replied.reduce((n, r) => n + r.replies.length, 0);
+    parts.push(pluralize(replyCount, "new reply", "new replies"));
+  }
+  return parts.join(", ");
+}
+
+// Set for `--watch --json` runs (without --stream): an exit before the
+// watcher returns its own summary still prints one, with the PR if known
+let pendingWatchSummary = null;
+
+/**
+ * Exit with `exitCode`. A pending watch gets its --json summary on stdout
+ * first, with status "auth_error" or "error" and the message under `error`.
+ */
+function exitWithError(exitCode, message) {
+  if (pendingWatchSummary) {
+    const summary = {
+      status: exitCode === WATCH_EXIT_CODES.auth_error ? "auth_error" : "error",
+      exitCode,
+      pr: pendingWatchSummary.pr,
+      comments: [],
+      tracked: 0,
+      polls: 0,
+      elapsedSeconds: 0,
+      error: message,
+    };
+    console.log(JSON.stringify(summary, null, 2));
+  }
+  process.exit(exitCode);
+}
+
+function hasChanges({ created, updated, replied }) {
+  return created.length + updated.length + replied.length > 0;
+}
+
+/**
+ * Watch mode: poll until new activity or an idle timeout, then return a
+ * summary whose `exitCode` the caller exits with (see WATCH_EXIT_CODES).
+ * With --json, progress goes to stderr and stdout is left for the summary.
+ */
 async function watchForComments(context, options) {
-  const { owner, repo, prNumber, prUrl, token } = context;
-  const seenIds = new Set();
-  let lastActivityTime = Date.now();
+  const { owner, repo, prNumber, processOptions, fetchOptions } = context;
+  let { prUrl, token } = context;
+  let snapshot = {};
+  let stateWarningShown = false;
+  // The same OWNER/REPO#N on another host or provider is another PR
+  const stateRemote = {
+    provider: getProvider().name,
+    host: new URL(getApiBase()).host,
+  };
+  const startTime = Date.now();
+  let lastActivityTime = startTime;
   let pollCount = 0;
 
+  const log = options.json ? console.error : console.log;
+
   function getWatchFilterDesc() {
     if (options.botsOnly) return "bots-only";
     if (options.humansOnly) return "humans-only";
@@ -240,147 +576,463 @@ async function watchForComments(context, options) {
   }
   const filterDesc = getWatchFilterDesc();
 
-  console.log(
-    `\n${colors.bright}=== PR Comments Watch Mode ===${colors.reset}`
-  );
-  console.log(`${colors.dim}PR #${prNumber}: ${prUrl}${colors.reset}`);
-  console.log(
-    `${colors.dim}Polling every ${options.watchInterval}s, exit after ${options.watchTimeout}s of inactivity${colors.reset}`
-  );
-  console.log(
-    `${colors.dim}Filters: ${filterDesc}, ${options.filter || "all comments"}${colors.reset}`
-  );
-  console.log(
-    `${colors.dim}Started at ${formatTimestamp()}${colors.reset}\n`
-  );
-
-  // Initial fetch to populate seen IDs
-  const initialData = await fetchPRComments(
-    owner,
-    repo,
-    prNumber,
-    token,
-    proxyFetch
-  );
-  const initialProcessed = processComments(initialData);
-  const initialFiltered = filterComments(initialProcessed, options);
-
-  for (const comment of initialFiltered) {
-    seenIds.add(comment.id);
-  }
-
-  console.log(
-    `${colors.dim}[${formatTimestamp()}] Initial state: ${initialFiltered.length} existing comments tracked${colors.reset}`
-  );
-
-  if (initialFiltered.length > 0) {
-    console.log(`\n${colors.yellow}=== EXISTING COMMENTS ===${colors.reset}`);
-    for (const comment of initialFiltered) {
-      console.log(formatComment(comment));
-      console.log("");
-    }
+  function finish(status, extra = {}) {
+    return {
+      status,
+      exitCode: WATCH_EXIT_CODES[status],
+      pr: prNumber,
+      comments: [],
+      tracked: Object.keys(snapshot).length,
+      polls: pollCount,
+      elapsedSeconds: Math.round((Date.now() - startTime) / 1000),
+      ...extra,
+    };
   }
 
-  // Watch loop
-  while (true) {
-    await sleep(options.watchInterval);
-    pollCount++;
-
+  async function fetchProcessed() {
     const rawData = await fetchPRComments(
       owner,
       repo,
       prNumber,
       token,
-      proxyFetch
+      proxyFetch,
+      fetchOptions
     );
-    const processed = processComments(rawData);
-    const filtered = filterComments(processed, options);
-
-    const newComments = filtered.filter((c) => !seenIds.has(c.id));
-
-    if (newComments.length > 0) {
-      for (const comment of newComments) {
-        seenIds.add(comment.id);
-      }
+    return processAndRemap(rawData, processOptions);
+  }
 
-      console.log(
-        `\n${colors.green}=== NEW COMMENTS DETECTED [${formatTimestamp()}] ===${colors.reset}`
-      );
-      console.log(
-        `${colors.bright}Found ${newComments.length} new comment${newComments.length === 1 ? "" : "s"}${colors.reset}`
-      );
+  // Returns a finished summary if the PR is no longer open, otherwise null
+  async function checkPRState() {
+    const pr = await fetchPR(owner, repo, prNumber, token, proxyFetch);
+    prUrl = prUrl || pr.html_url;
+    if (pr.state === "open") return null;
 
-      // Brief grace period to catch any stragglers from the same bot batch
-      console.log(
-        `${colors.dim}Waiting 5s for additional comments...${colors.reset}`
-      );
-      await sleep(5);
+    const prState = pr.merged || pr.merged_at ? "merged" : "closed";
+    log(
+      `\n${colors.yellow}=== WATCH: PR ${prState.toUpperCase()} ===${colors.reset}`
+    );
+    log(
+      `${colors.dim}PR #${prNumber} was ${prState}, nothing left to watch.${colors.reset}`
+    );
+    return finish("pr_closed", { prState });
+  }
 
-      // Re-fetch to catch any comments posted during the grace period
-      const graceData = await fetchPRComments(
+  // The snapshot covers every processed comment, not just the filtered ones,
+  // so switching filters between runs doesn't misreport old comments as new.
+  function persist(processed) {
+    snapshot = createSnapshot(processed);
+    try {
+      saveWatchState(
         owner,
         repo,
         prNumber,
-        token,
-        proxyFetch
+        { snapshot, lastPollAt: new Date().toISOString() },
+        stateRemote
       );
-      const graceProcessed = processComments(graceData);
-      const graceFiltered = filterComments(graceProcessed, options);
-      const lateComments = graceFiltered.filter((c) => !seenIds.has(c.id));
-
-      for (const comment of lateComments) {
-        seenIds.add(comment.id);
-        newComments.push(comment);
+    } catch (error) {
+      if (!stateWarningShown) {
+        stateWarningShown = true;
+        console.warn(
+          `${colors.yellow}Could not save watch state: ${error.message}${colors.reset}`
+        );
       }
+    }
+  }
 
-      if (lateComments.length > 0) {
-        console.log(
-          `${colors.bright}Caught ${lateComments.length} additional comment${lateComments.length === 1 ? "" : "s"}${colors.reset}`
-        );
+  function reportChanges(groups) {
+    const changed = toChangedComments(groups);
+    const sections = [
+      ["NEW COMMENTS", groups.created],
+      ["UPDATED COMMENTS", groups.updated],
+    ];
+    for (const [title, comments] of sections) {
+      if (comments.length === 0) continue;
+      log(`\n${colors.yellow}--- ${title} ---${colors.reset}\n`);
+      for (const comment of comments) {
+        log(formatComment(comment));
+        log("");
       }
+    }
 
-      console.log("");
-      for (const comment of newComments) {
-        console.log(formatComment(comment));
-        console.log("");
+    if (groups.replied.length > 0) {
+      log(`\n${colors.yellow}--- NEW REPLIES ---${colors.reset}\n`);
+      for (const { comment, replies } of groups.replied) {
+        log(formatComment(comment));
+        for (const reply of replies) {
+          log(
+            `  ${colors.bright}↳ [${reply.id}]${colors.reset} ${reply.user}: ${truncate(reply.body, 100)}`
+          );
+        }
+        log("");
       }
+    }
 
-      // JSON output for AI agent parsing
-      console.log(`${colors.dim}--- JSON for processing ---${colors.reset}`);
-      console.log(JSON.stringify(newComments, null, 2));
-      console.log(`${colors.dim}--- end JSON ---${colors.reset}`);
+    // JSON output for AI agent parsing (the --json summary carries it instead)
+    if (!options.json) {
+      log(`${colors.dim}--- JSON for processing ---${colors.reset}`);
+      log(JSON.stringify(changed, null, 2));
+      log(`${colors.dim}--- end JSON ---${colors.reset}`);
+    }
 
-      // Exit immediately so the caller can process and restart if needed
-      console.log(
-        `\n${colors.green}=== WATCH: EXITING WITH NEW COMMENTS ===${colors.reset}`
+    // Exit immediately so the caller can process and restart if needed
+    log(
+      `\n${colors.green}=== WATCH: EXITING WITH NEW COMMENTS ===${colors.reset}`
+    );
+    log(
+      `${colors.dim}Restart watcher after processing to catch further comments.${colors.reset}`
+    );
+    return finish("new_comments", { comments: changed });
+  }
+
+  async function run() {
+    const closed = await checkPRState();
+    if (closed) return closed;
+
+    log(`\n${colors.bright}=== PR Comments Watch Mode ===${colors.reset}`);
+    log(`${colors.dim}PR #${prNumber}: ${prUrl}${colors.reset}`);
+    log(
+      `${colors.dim}Polling every ${options.watchInterval}s, exit after ${options.watchTimeout}s of inactivity${colors.reset}`
+    );
+    log(
+      `${colors.dim}Filters: ${filterDesc}, ${options.filter || "all comments"}${colors.reset}`
+    );
+    log(`${colors.dim}Started at ${formatTimestamp()}${colors.reset}\n`);
+
+    if (options.fresh) {
+      clearWatchState(owner, repo, prNumber, stateRemote);
+    }
+    const saved = loadWatchState(owner, repo, prNumber, stateRemote);
+    const selfLogin =
+      context.selfLogin || (await fetchViewerLogin(token, proxyFetch));
+
+    // Every comment is diffed and only the changes are filtered, so a reply
+    // that takes a comment out of the filtered set is still reported
+    const diffFiltered = (previous, processed) =>
+      filterChanges(diffSnapshot(previous, processed), previous, options);
+
+    // Initial fetch to populate the snapshot
+    const initialProcessed = await fetchProcessed();
+    const initialFiltered = filterComments(initialProcessed, options);
+
+    if (saved) {
+      // Resume: anything that changed while no watcher was running is
+      // reported right away instead of being swallowed.
+      const gapChanges = groupChanges(
+        diffFiltered(saved.snapshot, initialProcessed),
+        selfLogin
       );
-      console.log(
-        `${colors.dim}Restart watcher after processing to catch further comments.${colors.reset}`
+      persist(initialProcessed);
+
+      log(
+        `${colors.dim}[${formatTimestamp()}] Resumed from last poll at ${saved.lastPollAt}: ${Object.keys(saved.snapshot).length} comments already seen${colors.reset}`
       );
-      return;
+
+      if (hasChanges(gapChanges)) {
+        log(
+          `\n${colors.green}=== CHANGES SINCE LAST WATCH [${formatTimestamp()}] ===${colors.reset}`
+        );
+        log(`${colors.bright}Found ${describeChanges(gapChanges)}${colors.reset}`);
+        return reportChanges(gapChanges);
+      }
     } else {
-      const inactiveSeconds = Math.round(
-        (Date.now() - lastActivityTime) / 1000
+      persist(initialProcessed);
+
+      log(
+        `${colors.dim}[${formatTimestamp()}] Initial state: ${initialFiltered.length} existing comments tracked${colors.reset}`
       );
-      console.log(
+
+      if (initialFiltered.length > 0) {
+        log(`\n${colors.yellow}=== EXISTING COMMENTS ===${colors.reset}`);
+        for (const comment of initialFiltered) {
+          log(formatComment(comment));
+          log("");
+        }
+      }
+    }
+
+    // Watch loop
+    while (true) {
+      const interval = nextPollInterval(options, (message) =>
+        log(`${colors.yellow}[${formatTimestamp()}] ${message}${colors.reset}`)
+      );
+      await sleep(interval);
+      pollCount++;
+      // App installation tokens expire after an hour
+      if (context.refreshToken) token = await context.refreshToken();
+
+      const closedDuringWatch = await checkPRState();
+      if (closedDuringWatch) return closedDuringWatch;
+
+      const processed = await fetchProcessed();
+      const changes = diffFiltered(snapshot, processed);
+      const groups = groupChanges(changes, selfLogin);
+
+      // Any change counts as activity, including ones that aren't reported
+      // (own replies, resolved threads)
+      if (changes.length > 0) {
+        lastActivityTime = Date.now();
+      }
+
+      if (hasChanges(groups)) {
+        log(
+          `\n${colors.green}=== NEW ACTIVITY DETECTED [${formatTimestamp()}] ===${colors.reset}`
+        );
+        log(`${colors.bright}Found ${describeChanges(groups)}${colors.reset}`);
+
+        // Brief grace period to catch any stragglers from the same bot batch
+        log(`${colors.dim}Waiting 5s for additional comments...${colors.reset}`);
+        await sleep(5);
+
+        // Re-fetch and re-diff so changes made during the grace period are
+        // reported together with the first batch
+        const graceProcessed = await fetchProcessed();
+        const finalGroups = groupChanges(
+          diffFiltered(snapshot, graceProcessed),
+          selfLogin
+        );
+        persist(graceProcessed);
+
+        // The change was undone during the grace period (e.g., deleted)
+        if (!hasChanges(finalGroups)) {
+          continue;
+        }
+
+        const finalSummary = describeChanges(finalGroups);
+        if (finalSummary !== describeChanges(groups)) {
+          log(`${colors.bright}After grace period: ${finalSummary}${colors.reset}`);
+        }
+
+        return reportChanges(finalGroups);
+      }
+
+      persist(processed);
+
+      const inactiveSeconds = Math.round((Date.now() - lastActivityTime) / 1000);
+      log(
         `${colors.dim}[${formatTimestamp()}] Poll #${pollCount}: No new comments (${inactiveSeconds}s/${options.watchTimeout}s idle)${colors.reset}`
       );
 
-      if (inactiveSeconds >= options.watchTimeout) {
-        console.log(`\n${colors.green}=== WATCH COMPLETE ===${colors.reset}`);
-        console.log(
+      if (isIdleTimeout(inactiveSeconds, options.watchTimeout)) {
+        log(`\n${colors.green}=== WATCH COMPLETE ===${colors.reset}`);
+        log(
           `${colors.dim}No new comments after ${options.watchTimeout}s of inactivity.${colors.reset}`
         );
-        console.log(
-          `${colors.dim}Total comments tracked: ${seenIds.size}${colors.reset}`
+        log(
+          `${colors.dim}Total comments tracked: ${Object.keys(snapshot).length}${colors.reset}`
         );
-        console.log(
-          `${colors.dim}Exiting at ${formatTimestamp()}${colors.reset}`
-        );
-        return;
+        log(`${colors.dim}Exiting at ${formatTimestamp()}${colors.reset}`);
+        return finish("idle");
       }
     }
   }
+
+  try {
+    return await run();
+  } catch (error) {
+    if (!isAuthError(error)) throw error;
+    log(`\n${colors.red}=== WATCH: AUTHENTICATION FAILED ===${colors.reset}`);
+    log(`${colors.red}${error.message}${colors.reset}`);
+    log(
+      `${colors.dim}Check that the token is valid and can read this repository.${colors.reset}`
+    );
+    return finish("auth_error", { error: error.message });
+  }
+}
+
+/**
+ * Stream mode: stay alive and write one JSON event per line to stdout
+ * (comment.created, comment.updated, comment.deleted, reply.created,
+ * reply.deleted, thread.resolved, poll, error, idle_timeout). All
+ * human-readable logging goes to stderr so stdout can be consumed as an
+ * event bus.
+ */
+async function streamComments(context, options) {
+  const {
+    owner,
+    repo,
+    prNumber,
+    prUrl,
+    processOptions,
+    fetchOptions,
+  } = context;
+  let { token } = context;
+  let lastActivityTime = Date.now();
+  let pollCount = 0;
+
+  function emit(type, payload) {
+    process.stdout.write(`${formatEvent(type, payload)}\n`);
+  }
+
+  function log(message) {
+    console.error(
+      `${colors.dim}[${formatTimestamp()}] ${message}${colors.reset}`
+    );
+  }
+
+  async function fetchProcessed() {
+    const rawData = await fetchPRComments(
+      owner,
+      repo,
+      prNumber,
+      token,
+      proxyFetch,
+      fetchOptions
+    );
+    return processAndRemap(rawData, processOptions);
+  }
+
+  log(`Streaming PR #${prNumber}${prUrl ? ` (${prUrl})` : ""}`);
+  log(
+    options.watchTimeout > 0
+      ? `Polling every ${options.watchInterval}s, stop after ${options.watchTimeout}s of inactivity`
+      : `Polling every ${options.watchInterval}s until interrupted`
+  );
+
+  // Every comment is snapshotted and filters apply only to what's emitted,
+  // so a thread resolving (or a comment leaving the filter) is still seen
+  let comments = await fetchProcessed();
+  let snapshot = createSnapshot(comments);
+  log(
+    `Tracking ${filterComments(comments, options).length} existing comments`
+  );
+
+  while (true) {
+    await sleep(nextPollInterval(options, log));
+    pollCount++;
+
+    let changes = null;
+    try {
+      if (context.refreshToken) token = await context.refreshToken();
+      const current = await fetchProcessed();
+      changes = filterChanges(
+        diffSnapshot(snapshot, current),
+        snapshot,
+        options,
+        comments
+      );
+      comments = current;
+      snapshot = createSnapshot(current);
+    } catch (error) {
+      // One failed poll doesn't end the stream; the next one tries again
+      emit("error", {
+        poll: pollCount,
+        message: error.message,
+        status: error.status ?? null,
+      });
+      log(`Poll #${pollCount} failed: ${error.message}`);
+    }
+
+    for (const { type, ...payload } of changes || []) {
+      emit(type, payload);
+    }
+
+    if (changes?.length > 0) {
+      lastActivityTime = Date.now();
+    }
+
+    const idleSeconds = Math.round((Date.now() - lastActivityTime) / 1000);
+    const tracked = filterComments(comments, options).length;
+    if (changes) {
+      emit("poll", { poll: pollCount, changes: changes.length, tracked, idleSeconds });
+      log(`Poll #${pollCount}: ${changes.length} change(s), ${idleSeconds}s idle`);
+    }
+
+    if (isIdleTimeout(idleSeconds, options.watchTimeout)) {
+      emit("idle_timeout", { idleSeconds, tracked });
+      log(`No activity for ${options.watchTimeout}s, stopping`);
+      return;
+    }
+  }
+}
+
+// ---------------------------------------------------------------------------
+// MCP server
+// ---------------------------------------------------------------------------
+
+/**
+ * Serve MCP on stdin/stdout until the client disconnects. Tokens and the
+ * current branch's PR are looked up per tool call rather than at startup,
+ * so the server comes up even before the PR exists and follows branch
+ * switches.
+ */
+async function serveMcp({ repoInfo, prNumber, processOptions, fetchOptions }) {
+  const { owner, repo, host } = repoInfo;
+  const appCredentials = getProviderAppCredentials();
+  const log = (message) => console.error(`[agent-reviews mcp] ${message}`);
+
+  // App tokens are minted per target repository (and cached per repository
+  // by getInstallationToken), so a PR in a fork's parent gets the parent's
+  async function getAuth(target = { owner, repo }) {
+    if (appCredentials) {
+      return getInstallationToken(
+        target.owner,
+        target.repo,
+        appCredentials,
+        proxyFetch
+      );
+    }
+    const token = findToken(host)?.token;
+    if (!token) {
+      const { label, tokenHelp } = getProvider();
+      throw new Error(`${label} token not found. ${tokenHelp}`);
+    }
+    return { token, login: null };
+  }
+
+  let selfLogin = null;
+  async function getSelfLogin(target) {
+    if (!selfLogin) {
+      const auth = await getAuth(target);
+      selfLogin = auth.login || (await fetchViewerLogin(auth.token, proxyFetch));
+    }
+    return selfLogin;
+  }
+
+  // Detected PRs by branch (or commit on a detached HEAD)
+  const detected = new Map();
+  async function resolvePR(pr) {
+    if (pr || prNumber) return { owner, repo, number: pr || prNumber };
+
+    const rawBranch = getCurrentBranch();
+    const branch = rawBranch === "HEAD" ? null : rawBranch;
+    const headSha = getHeadSha();
+    const key = branch || headSha;
+    if (!key) throw new Error("Not on a branch; pass `pr`");
+    if (detected.has(key)) return detected.get(key);
+
+    const found = await detectPR(
+      {
+        repoInfo,
+        branch,
+        tracking: branch ? getTrackingBranch(branch) : null,
+        headSha,
+      },
+      (await getAuth()).token,
+      proxyFetch
+    );
+    if (!found) {
+      throw new Error(
+        `No open PR found for ${branch ? `branch '${branch}'` : `commit ${headSha.slice(0, 7)}`}; pass \`pr\``
+      );
+    }
+    const target = { owner: found.owner, repo: found.repo, number: found.pr.number };
+    detected.set(key, target);
+    return target;
+  }
+
+  log(`Serving ${owner}/${repo} on stdio`);
+  await runMcpServer({
+    owner,
+    repo,
+    resolvePR,
+    getToken: async (target) => (await getAuth(target)).token,
+    getSelfLogin,
+    proxyFetch,
+    fetchOptions,
+    process: (rawData) => processAndRemap(rawData, processOptions),
+    version: require("../package.json").version,
+    log,
+  });
 }
 
 // ---------------------------------------------------------------------------
@@ -388,36 +1040,241 @@ async function watchForComments(context, options) {
 // ---------------------------------------------------------------------------
 
 async function main() {
-  const options = parseArgs();
-
-  if (options.version) {
+  // --help and --version work even when the config file is broken
+  const flags = parseArgs();
+  if (flags.version) {
     const pkg = require("../package.json");
     console.log(pkg.version);
     process.exit(0);
   }
 
-  if (options.help) {
+  if (flags.help) {
     showHelp();
     process.exit(0);
   }
 
-  // Get GitHub token
-  const token = getGitHubToken();
-  if (!token) {
-    console.error(`${colors.red}Error: GitHub token not found${colors.reset}`);
+  const config = loadConfig();
+  const options = parseArgs(config.defaults);
+  const processOptions = getProcessOptions(config);
+  const fetchOptions = { graphql: options.graphql };
+
+  if (options.filter && !["unresolved", "unanswered"].includes(options.filter)) {
     console.error(
-      "Set GITHUB_TOKEN env var, or authenticate with: gh auth login"
+      `${colors.red}Error: --filter expects all, unresolved or unanswered${colors.reset}`
     );
     process.exit(1);
   }
 
-  // Get repo info
-  const repoInfo = getRepoInfo();
+  // Without --reply, --resolve needs the comment to resolve
+  if (options.resolve && options.command !== "reply" && !options.resolveId) {
+    console.error(
+      `${colors.red}Error: --resolve requires a comment ID, or --reply <id> "message"${colors.reset}`
+    );
+    process.exit(1);
+  }
+  if (options.command === "unresolve" && !options.unresolveId) {
+    console.error(
+      `${colors.red}Error: --unresolve requires a comment ID${colors.reset}`
+    );
+    process.exit(1);
+  }
+
+  if (options.record && options.replay) {
+    console.error(
+      `${colors.red}Error: --record and --replay can't be combined${colors.reset}`
+    );
+    process.exit(1);
+  }
+  try {
+    if (options.replay) {
+      proxyFetch = replayFetch(options.replay);
+      replaying = true;
+    } else if (options.record) {
+      proxyFetch = recordFetch(proxyFetch, options.record);
+    }
+  } catch (error) {
+    console.error(`${colors.red}Error: ${error.message}${colors.reset}`);
+    process.exit(1);
+  }
+
+  // Watch wrappers branch on exit codes, so auth failures before the
+  // watcher starts get the watch auth code too
+  const watching = options.command === "watch";
+  if (watching && options.json && !options.stream) {
+    pendingWatchSummary = { pr: options.prNumber || null };
+  }
+
+  if (Number.isNaN(options.prNumber)) {
+    console.error(
+      `${colors.red}Error: --pr expects a PR number or URL${colors.reset}`
+    );
+    process.exit(1);
+  }
+
+  // Get repo info: --repo, then the repo of a PR URL, then GH_REPO / remotes
+  let repoInfo = null;
+  if (options.repo) {
+    repoInfo = parseRepoSpec(options.repo);
+    if (!repoInfo) {
+      console.error(
+        `${colors.red}Error: --repo expects OWNER/REPO or HOST/OWNER/REPO, got '${options.repo}'${colors.reset}`
+      );
+      process.exit(1);
+    }
+  }
+  if (options.prRepo) {
+    const { host, owner, repo } = options.prRepo;
+    if (
+      repoInfo &&
+      `${repoInfo.owner}/${repoInfo.repo}`.toLowerCase() !==
+        `${owner}/${repo}`.toLowerCase()
+    ) {
+      console.error(
+        `${colors.red}Error: --pr URL is in ${owner}/${repo} but --repo is ${repoInfo.owner}/${repoInfo.repo}${colors.reset}`
+      );
+      process.exit(1);
+    }
+    repoInfo = { host: repoInfo?.host || host, owner, repo };
+  }
+  const explicitRepo = Boolean(repoInfo);
+  repoInfo = repoInfo || getRepoInfo();
+
+  // GitLab and Gitea/Forgejo remotes (or the config's "provider") switch
+  // backends
+  setProvider(
+    detectProvider(
+      repoInfo?.host,
+      process.env,
+      options.prRepo?.provider || config.provider
+    )
+  );
+
+  // GitHub Enterprise and self-managed GitLab remotes imply their API host
+  // unless one is configured
+  const hostApiBase = apiBaseForHost(repoInfo?.host);
+  if (hostApiBase && !process.env[getProvider().apiUrlEnv]) {
+    setApiBase(hostApiBase);
+  }
+
+  // Handle doctor command: report every step instead of stopping at the
+  // first one that fails
+  if (options.command === "doctor") {
+    let repoSource = "git remote";
+    if (options.repo) repoSource = "--repo";
+    else if (options.prRepo) repoSource = "--pr URL";
+    else if (process.env.GH_REPO && parseRepoSpec(process.env.GH_REPO)) {
+      repoSource = "GH_REPO";
+    }
+    const rawBranch = getCurrentBranch();
+    const branch = rawBranch === "HEAD" ? null : rawBranch;
+    const { implementation, proxyUrl, noProxy } = selectFetch();
+
+    let doctorToken = null;
+    let tokenError = null;
+    try {
+      const credentials = getProviderAppCredentials();
+      if (credentials && repoInfo) {
+        const { token: appToken } = await getInstallationToken(
+          repoInfo.owner,
+          repoInfo.repo,
+          credentials,
+          proxyFetch
+        );
+        doctorToken = { token: appToken, source: "GitHub App" };
+      } else if (credentials) {
+        tokenError = "GitHub App configured, but the repository is unknown";
+      } else {
+        doctorToken = findToken(repoInfo?.host);
+      }
+    } catch (error) {
+      tokenError = error.message;
+    }
+
+    const report = await runDoctor(
+      {
+        token: doctorToken,
+        tokenError,
+        repo: repoInfo ? { ...repoInfo, source: repoSource } : null,
+        branch,
+        tracking: branch ? getTrackingBranch(branch) : null,
+        headSha: getHeadSha(),
+        prNumber: options.prNumber,
+        fetch: {
+          implementation: replaying ? `replay (${options.replay})` : implementation,
+          proxyUrl,
+          noProxy,
+        },
+        api: { rest: getApiBase(), graphql: getGraphQLUrl() },
+        provider: getProvider().name,
+      },
+      proxyFetch
+    );
+
+    console.log(
+      options.json ? JSON.stringify(report, null, 2) : formatDoctorReport(report)
+    );
+    process.exit(report.ok ? 0 : 1);
+  }
+
   if (!repoInfo) {
     console.error(
       `${colors.red}Error: Could not determine repository from git remote${colors.reset}`
     );
-    process.exit(1);
+    console.error("Pass --repo OWNER/REPO or a PR URL with --pr");
+    exitWithError(1, "Could not determine repository from git remote");
+  }
+
+  // Handle mcp command: stdout belongs to the protocol from here on
+  if (options.command === "mcp") {
+    if (!explicitRepo || hasRemoteFor(repoInfo.owner, repoInfo.repo)) {
+      checkoutRoot = getRepoRoot();
+    }
+    await serveMcp({
+      repoInfo,
+      prNumber: options.prNumber,
+      processOptions,
+      fetchOptions,
+    });
+    return;
+  }
+
+  // Get a token. A configured GitHub App takes precedence, so CI agents
+  // post as the App even where GITHUB_TOKEN is also set.
+  const appCredentials = getProviderAppCredentials();
+  let token;
+  let appAuth = null;
+  let refreshToken = null;
+  if (appCredentials) {
+    // Minted for repoInfo as it is at call time, so a refresh after PR
+    // detection moved to a fork's parent gets a token for the parent
+    refreshToken = async () => {
+      try {
+        appAuth = await getInstallationToken(
+          repoInfo.owner,
+          repoInfo.repo,
+          appCredentials,
+          proxyFetch
+        );
+      } catch (error) {
+        if (watching && isAuthError(error)) {
+          error.exitCode = WATCH_EXIT_CODES.auth_error;
+        }
+        throw error;
+      }
+      return appAuth.token;
+    };
+    token = await refreshToken();
+  } else {
+    token = findToken(repoInfo.host)?.token;
+  }
+  if (!token) {
+    const { label, tokenHelp } = getProvider();
+    console.error(`${colors.red}Error: ${label} token not found${colors.reset}`);
+    console.error(tokenHelp);
+    exitWithError(
+      watching ? WATCH_EXIT_CODES.auth_error : 1,
+      `${label} token not found`
+    );
   }
 
   // Find PR
@@ -425,30 +1282,55 @@ async function main() {
   let prUrl = null;
 
   if (!prNumber) {
-    const branch = getCurrentBranch();
-    if (!branch) {
+    // "HEAD" means detached; the commit can still identify the PR
+    const rawBranch = getCurrentBranch();
+    const branch = rawBranch === "HEAD" ? null : rawBranch;
+    const headSha = getHeadSha();
+    if (!(branch || headSha)) {
       console.error(
         `${colors.red}Error: Could not determine current branch${colors.reset}`
       );
-      process.exit(1);
+      exitWithError(1, "Could not determine current branch");
     }
 
-    const pr = await findPRForBranch(
-      repoInfo.owner,
-      repoInfo.repo,
-      branch,
-      token,
-      proxyFetch
-    );
-    if (!pr) {
-      console.error(
-        `${colors.red}Error: No open PR found for branch '${branch}'${colors.reset}`
+    let detected;
+    try {
+      detected = await detectPR(
+        {
+          repoInfo,
+          branch,
+          tracking: branch ? getTrackingBranch(branch) : null,
+          headSha,
+        },
+        token,
+        proxyFetch
       );
-      process.exit(1);
+    } catch (error) {
+      if (watching && isAuthError(error)) {
+        error.exitCode = WATCH_EXIT_CODES.auth_error;
+      }
+      throw error;
     }
+    if (!detected) {
+      const message = `No open PR found for ${branch ? `branch '${branch}'` : `commit ${headSha.slice(0, 7)}`}`;
+      console.error(`${colors.red}Error: ${message}${colors.reset}`);
+      exitWithError(1, message);
+    }
+
+    const movedRepo =
+      detected.owner !== repoInfo.owner || detected.repo !== repoInfo.repo;
+    repoInfo = { ...repoInfo, owner: detected.owner, repo: detected.repo };
+    prNumber = detected.pr.number;
+    prUrl = detected.pr.html_url;
+    if (pendingWatchSummary) pendingWatchSummary.pr = prNumber;
+
+    // The App token so far was for finding the PR; commands need one for
+    // the repository the PR is in
+    if (movedRepo && appCredentials) token = await refreshToken();
+  }
 
-    prNumber = pr.number;
-    prUrl = pr.html_url;
+  if (!explicitRepo || hasRemoteFor(repoInfo.owner, repoInfo.repo)) {
+    checkoutRoot = getRepoRoot();
   }
 
   // Handle reply command
@@ -516,6 +1398,271 @@ async function main() {
     return;
   }
 
+  // Handle standalone resolve / unresolve commands
+  if (options.command === "resolve" || options.command === "unresolve") {
+    const resolving = options.command === "resolve";
+    const commentId = resolving ? options.resolveId : options.unresolveId;
+
+    const setResolved = resolving ? resolveThread : unresolveThread;
+    const result = await setResolved(
+      repoInfo.owner,
+      repoInfo.repo,
+      prNumber,
+      commentId,
+      token,
+      proxyFetch
+    );
+
+    if (options.json) {
+      console.log(JSON.stringify(result, null, 2));
+    } else if (result.resolved) {
+      console.log(`${colors.green}✓ Thread resolved${colors.reset}`);
+    } else if (result.unresolved) {
+      console.log(`${colors.green}✓ Thread reopened${colors.reset}`);
+    } else if (result.alreadyResolved) {
+      console.log(`${colors.dim}Thread already resolved${colors.reset}`);
+    } else if (result.alreadyUnresolved) {
+      console.log(`${colors.dim}Thread is not resolved${colors.reset}`);
+    }
+
+    if (result.skipped) {
+      if (!options.json) {
+        console.error(
+          `${colors.red}Error: Comment ${commentId} is not part of a review thread (${result.reason})${colors.reset}`
+        );
+      }
+      process.exit(1);
+    }
+    return;
+  }
+
+  // Handle resolve-all command
+  if (options.command === "resolve-all") {
+    if (!options.resolveAll) {
+      console.error(
+        `${colors.red}Error: --resolve-all requires a rule (mine or outdated)${colors.reset}`
+      );
+      console.error("Usage: agent-reviews --resolve-all <mine|outdated> [--dry-run]");
+      process.exit(1);
+    }
+
+    const rawData = await fetchPRComments(
+      repoInfo.owner,
+      repoInfo.repo,
+      prNumber,
+      token,
+      proxyFetch,
+      fetchOptions
+    );
+    const processed = processAndRemap(rawData, processOptions);
+    const selfLogin =
+      options.resolveAll === "mine"
+        ? appAuth?.login || (await fetchViewerLogin(token, proxyFetch))
+        : null;
+    const targets = selectThreads(
+      filterComments(processed, options),
+      options.resolveAll,
+      { selfLogin }
+    );
+
+    if (targets.length === 0) {
+      if (options.json) {
+        console.log("[]");
+      } else {
+        console.log(
+          `${colors.green}No open threads match "${options.resolveAll}".${colors.reset}`
+        );
+      }
+      return;
+    }
+
+    if (options.dryRun) {
+      if (options.json) {
+        console.log(JSON.stringify(targets, null, 2));
+      } else {
+        console.log(
+          `${colors.bright}Would resolve ${targets.length} thread${targets.length === 1 ? "" : "s"}:${colors.reset}\n`
+        );
+        for (const comment of targets) {
+          console.log(formatComment(comment));
+          console.log("");
+        }
+      }
+      return;
+    }
+
+    if (!options.yes) {
+      if (!process.stdin.isTTY) {
+        console.error(
+          `${colors.red}Error: Refusing to resolve ${targets.length} thread${targets.length === 1 ? "" : "s"} without confirmation. Review with --dry-run, then pass --yes.${colors.reset}`
+        );
+        process.exit(1);
+      }
+
+      // Show what's about to happen on stderr so stdout stays clean for --json
+      console.error(
+        `${colors.bright}About to resolve ${targets.length} thread${targets.length === 1 ? "" : "s"}:${colors.reset}\n`
+      );
+      for (const comment of targets) {
+        console.error(formatComment(comment));
+        console.error("");
+      }
+
+      const rl = readline.createInterface({
+        input: process.stdin,
+        output: process.stderr,
+      });
+      const answer = await rl.question("Resolve these threads? [y/N] ");
+      rl.close();
+      if (!/^y(es)?$/i.test(answer.trim())) {
+        console.error(`${colors.dim}Aborted.${colors.reset}`);
+        process.exit(1);
+      }
+    }
+
+    const results = await resolveThreads(
+      {
+        owner: repoInfo.owner,
+        repo: repoInfo.repo,
+        prNumber,
+        token,
+        proxyFetch,
+      },
+      targets,
+      {
+        concurrency: options.concurrency,
+        threads: rawData.reviewThreads || undefined,
+      }
+    );
+
+    if (options.json) {
+      console.log(JSON.stringify(results, null, 2));
+    } else {
+      console.log(formatResolveResults(results));
+    }
+
+    if (results.some((r) => !r.ok)) {
+      process.exit(1);
+    }
+    return;
+  }
+
+  // Handle apply-plan command
+  if (options.command === "apply-plan") {
+    if (!options.planFile) {
+      console.error(
+        `${colors.red}Error: --apply-plan requires a file path${colors.reset}`
+      );
+      console.error("Usage: agent-reviews --apply-plan <file.jsonl>");
+      process.exit(1);
+    }
+
+    const planText =
+      options.planFile === "-"
+        ? readFileSync(0, "utf8")
+        : readFileSync(options.planFile, "utf8");
+    const items = parsePlan(planText);
+
+    const results = await applyPlan(
+      {
+        owner: repoInfo.owner,
+        repo: repoInfo.repo,
+        prNumber,
+        token,
+        proxyFetch,
+        fetchOptions,
+      },
+      items,
+      { concurrency: options.concurrency }
+    );
+
+    if (options.json) {
+      console.log(JSON.stringify(results, null, 2));
+    } else {
+      console.log(formatPlanResults(results));
+    }
+
+    if (results.some((r) => !r.ok)) {
+      process.exit(1);
+    }
+    return;
+  }
+
+  // Handle apply-suggestion command
+  if (options.command === "apply-suggestion") {
+    if (!(options.suggestionId || options.all)) {
+      console.error(
+        `${colors.red}Error: --apply-suggestion requires a comment ID or --all${colors.reset}`
+      );
+      console.error("Usage: agent-reviews --apply-suggestion <id> [--dry-run]");
+      process.exit(1);
+    }
+
+    if (!getProvider().supportsSuggestions) {
+      console.error(
+        `${colors.red}Error: --apply-suggestion is not supported on ${getProvider().label}${colors.reset}`
+      );
+      process.exit(1);
+    }
+
+    const root = checkoutRoot;
+    if (!root) {
+      console.error(
+        `${colors.red}Error: --apply-suggestion must run inside a checkout of ${repoInfo.owner}/${repoInfo.repo}${colors.reset}`
+      );
+      process.exit(1);
+    }
+
+    const rawData = await fetchPRComments(
+      repoInfo.owner,
+      repoInfo.repo,
+      prNumber,
+      token,
+      proxyFetch,
+      fetchOptions
+    );
+    const processed = processAndRemap(rawData, processOptions);
+    const rawBodies = new Map(
+      rawData.reviewComments.map((c) => [c.id, c.body ?? ""])
+    );
+
+    let targets;
+    if (options.all) {
+      targets = filterComments(processed, options).filter(
+        (c) =>
+          c.type === "review_comment" &&
+          extractSuggestions(rawBodies.get(c.id) ?? c.body).length > 0
+      );
+    } else {
+      const targetId = Number(options.suggestionId);
+      const comment = processed.find((c) => c.id === targetId);
+      if (!comment) {
+        console.error(
+          `${colors.red}Error: Comment ${options.suggestionId} not found in PR #${prNumber}${colors.reset}`
+        );
+        process.exit(1);
+      }
+      targets = [comment];
+    }
+
+    const results = applySuggestions(targets, {
+      root,
+      dryRun: options.dryRun,
+      rawBodies,
+    });
+
+    if (options.json) {
+      console.log(JSON.stringify(results, null, 2));
+    } else {
+      console.log(formatSuggestionResults(results));
+    }
+
+    if (results.some((r) => r.status === "failed")) {
+      process.exit(1);
+    }
+    return;
+  }
+
   // Handle detail command
   if (options.command === "detail") {
     if (!options.detail) {
@@ -530,9 +1677,10 @@ async function main() {
       repoInfo.repo,
       prNumber,
       token,
-      proxyFetch
+      proxyFetch,
+      fetchOptions
     );
-    const processed = processComments(rawData);
+    const processed = processAndRemap(rawData, processOptions);
     const targetId = Number(options.detail);
     const comment = processed.find((c) => c.id === targetId);
 
@@ -552,13 +1700,87 @@ async function main() {
     return;
   }
 
+  // Handle interactive UI
+  if (options.command === "tui") {
+    if (!process.stdin.isTTY || !process.stdout.isTTY) {
+      console.error(
+        `${colors.red}Error: --interactive needs a terminal; use --json or --watch in scripts${colors.reset}`
+      );
+      process.exit(1);
+    }
+
+    const { owner, repo } = repoInfo;
+    const currentToken = async () =>
+      refreshToken ? (token = await refreshToken()) : token;
+    await runTui({
+      title: `${owner}/${repo} #${prNumber}`,
+      filters: {
+        filter: options.filter,
+        botsOnly: options.botsOnly,
+        humansOnly: options.humansOnly,
+        outdated: options.outdated,
+      },
+      load: async () =>
+        processAndRemap(
+          await fetchPRComments(
+            owner,
+            repo,
+            prNumber,
+            await currentToken(),
+            proxyFetch,
+            fetchOptions
+          ),
+          processOptions
+        ),
+      reply: async (commentId, message) =>
+        replyToComment(
+          owner,
+          repo,
+          prNumber,
+          commentId,
+          message,
+          await currentToken(),
+          proxyFetch
+        ),
+      setResolved: async (commentId, resolved) =>
+        (resolved ? resolveThread : unresolveThread)(
+          owner,
+          repo,
+          prNumber,
+          commentId,
+          await currentToken(),
+          proxyFetch
+        ),
+      pollInterval: (onSlowdown) => nextPollInterval(options, onSlowdown),
+      selfLogin: appAuth?.login || (await fetchViewerLogin(token, proxyFetch)),
+    });
+    return;
+  }
+
   // Handle watch command
   if (options.command === "watch") {
-    await watchForComments(
-      { owner: repoInfo.owner, repo: repoInfo.repo, prNumber, prUrl, token },
-      options
-    );
-    return;
+    const watchContext = {
+      owner: repoInfo.owner,
+      repo: repoInfo.repo,
+      prNumber,
+      prUrl,
+      token,
+      refreshToken,
+      selfLogin: appAuth?.login || null,
+      processOptions,
+      fetchOptions,
+    };
+
+    if (options.stream) {
+      await streamComments(watchContext, options);
+      return;
+    }
+
+    const summary = await watchForComments(watchContext, options);
+    if (options.json) {
+      console.log(JSON.stringify(summary, null, 2));
+    }
+    process.exit(summary.exitCode);
   }
 
   // Default: fetch and display comments
@@ -567,10 +1789,11 @@ async function main() {
     repoInfo.repo,
     prNumber,
     token,
-    proxyFetch
+    proxyFetch,
+    fetchOptions
   );
 
-  const processed = processComments(rawData);
+  const processed = processAndRemap(rawData, processOptions);
   const filtered = filterComments(processed, options);
 
   console.log(formatOutput(filtered, options));
@@ -579,5 +1802,5 @@ async function main() {
 
 main().catch((error) => {
   console.error(`${colors.red}Error: ${error.message}${colors.reset}`);
-  process.exit(1);
+  exitWithError(error.exitCode || 1, error.message);
 });
@@ -0,0 +1,263 @@
+/**
+ * GitHub App authentication
+ *
+ * With an App ID and private key configured, agent-reviews signs a JWT as
+ * the App, exchanges it for an installation token scoped to the target
+ * repository, and acts as the App's bot account. Tokens last an hour; they
+ * are cached on disk (under the state directory, readable only by the
+ * user) so consecutive CLI runs reuse one token until it is about to expire.
+ *
+ * Settings (environment):
+ *   GITHUB_APP_ID                App ID (or Client ID)
+ *   GITHUB_APP_PRIVATE_KEY       PEM contents ("\n" escapes are accepted)
+ *   GITHUB_APP_PRIVATE_KEY_PATH  Path to the PEM file instead
+ *   GITHUB_APP_INSTALLATION_ID   Skip the installation lookup (optional)
+ */
+
+const { createSign } = require("node:crypto");
+const {
+  existsSync,
+  mkdirSync,
+  readFileSync,
+  renameSync,
+  writeFileSync,
+} = require("node:fs");
+const path = require("node:path");
+const { fetchWithRetry } = require("./http");
+const { getStateDir } = require("./state");
+const { getApiBase } = require("./comments");
+
+const USER_AGENT = "agent-reviews";
+
+// GitHub rejects JWTs valid for more than 10 minutes; iat is backdated to
+// absorb clock drift
+const JWT_LIFETIME_SECONDS = 9 * 60;
+const JWT_BACKDATE_SECONDS = 60;
+
+// Cached tokens are replaced this long before they expire
+const TOKEN_REFRESH_MARGIN_MS = 5 * 60 * 1000;
+
+// ---------------------------------------------------------------------------
+// Settings
+// ---------------------------------------------------------------------------
+
+/**
+ * Read App settings from the environment. Returns { appId, privateKey,
+ * installationId } or null when no App is configured; throws when the
+ * settings are incomplete, since silently falling back to a personal token
+ * would post as the wrong identity.
+ */
+function getAppCredentials(env = process.env) {
+  const appId = env.GITHUB_APP_ID?.trim();
+  if (!appId) return null;
+
+  let privateKey = env.GITHUB_APP_PRIVATE_KEY;
+  if (!privateKey && env.GITHUB_APP_PRIVATE_KEY_PATH) {
+    try {
+      privateKey = readFileSync(env.GITHUB_APP_PRIVATE_KEY_PATH, "utf8");
+    } catch (error) {
+      throw new Error(
+        `Cannot read GITHUB_APP_PRIVATE_KEY_PATH (${env.GITHUB_APP_PRIVATE_KEY_PATH}): ${error.message}`
+      );
+    }
+  }
+  if (!privateKey) {
+    throw new Error(
+      "GITHUB_APP_ID is set but no private key was given; set GITHUB_APP_PRIVATE_KEY or GITHUB_APP_PRIVATE_KEY_PATH"
+    );
+  }
+
+  return {
+    appId,
+    // CI secrets often store the PEM on one line with literal \n
+    privateKey: privateKey.replace(/\\n/g, "\n"),
+    installationId: env.GITHUB_APP_INSTALLATION_ID?.trim() || null,
+  };
+}
+
+// ---------------------------------------------------------------------------
+// JWT
+// ---------------------------------------------------------------------------
+
+function base64url(value) {
+  return Buffer.from(value).toString("base64url");
+}
+
+/**
+ * Sign a short-lived RS256 JWT identifying the App.
+ */
+function createAppJWT(appId, privateKey, now = Date.now()) {
+  const seconds = Math.floor(now / 1000);
+  const header = base64url(JSON.stringify({ alg: "RS256", typ: "JWT" }));
+  const payload = base64url(
+    JSON.stringify({
+      iat: seconds - JWT_BACKDATE_SECONDS,
+      exp: seconds + JWT_LIFETIME_SECONDS,
+      iss: appId,
+    })
+  );
+
+  const signer = createSign("RSA-SHA256");
+  signer.update(`${header}.${payload}`);
+  let signature;
+  try {
+    signature = signer.sign(privateKey).toString("base64url");
+  } catch (error) {
+    throw new Error(`Invalid GitHub App private key: ${error.message}`);
+  }
+  return `${header}.${payload}.${signature}`;
+}
+
+// ---------------------------------------------------------------------------
+// Token cache
+// ---------------------------------------------------------------------------
+
+// Keyed by API host too: the same App ID can exist on github.com and GHES
+function getTokenCachePath(appId, owner, repo) {
+  const host = new URL(getApiBase()).host;
+  const name = `${host}__${appId}__${owner}__${repo}.json`.replace(
+    /[^\w.-]/g,
+    "_"
+  );
+  return path.join(getStateDir(), "app-tokens", name);
+}
+
+function loadCachedToken(file, now) {
+  if (!existsSync(file)) return null;
+  try {
+    const cached = JSON.parse(readFileSync(file, "utf8"));
+    if (
+      cached.token &&
+      Date.parse(cached.expiresAt) - now > TOKEN_REFRESH_MARGIN_MS
+    ) {
+      return cached;
+    }
+  } catch {
+    // Corrupt cache; mint a new token
+  }
+  return null;
+}
+
+function saveCachedToken(file, entry) {
+  try {
+    mkdirSync(path.dirname(file), { recursive: true, mode: 0o700 });
+    const tempFile = `${file}.${process.pid}.tmp`;
+    writeFileSync(tempFile, JSON.stringify(entry), { mode: 0o600 });
+    renameSync(tempFile, file);
+  } catch {
+    // A read-only state dir only costs a token exchange per run
+  }
+}
+
+// ---------------------------------------------------------------------------
+// Installation token
+// ---------------------------------------------------------------------------
+
+// Both calls are safe to retry: a repeated token request just mints
+// another token
+async function appRequest(url, jwt, proxyFetch, init = {}) {
+  const response = await fetchWithRetry(
+    proxyFetch,
+    url,
+    {
+      ...init,
+      headers: {
+        Authorization: `Bearer ${jwt}`,
+        Accept: "application/vnd.github+json",
+        "User-Agent": USER_AGENT,
+        ...init.headers,
+      },
+    },
+    { idempotent: true }
+  );
+  if (!response.ok) {
+    let detail = "";
+    try {
+      detail = (await response.json())?.message || "";
+    } catch {
+      // No JSON body
+    }
+    const error = new Error(
+      `GitHub App authentication failed: ${response.status}${detail ? ` ${detail}` : ""}`
+    );
+    error.status = response.status;
+    throw error;
+  }
+  return response.json();
+}
+
+/**
+ * An installation token for owner/repo, from the cache when it has more
+ * than a few minutes left. Returns { token, expiresAt, installationId,
+ * login }, where `login` is the App's bot account.
+ *
+ * Options:
+ *   now    Current time in milliseconds, for tests
+ *   cache  false to bypass the on-disk cache
+ */
+async function getInstallationToken(
+  owner,
+  repo,
+  credentials,
+  proxyFetch,
+  options = {}
+) {
+  const now = options.now ?? Date.now();
+  const useCache = options.cache !== false;
+  const cacheFile = getTokenCachePath(credentials.appId, owner, repo);
+
+  if (useCache) {
+    const cached = loadCachedToken(cacheFile, now);
+    if (cached) return cached;
+  }
+
+  const jwt = createAppJWT(credentials.appId, credentials.privateKey, now);
+  const apiBase = getApiBase();
+
+  // The App's bot account, so replies it posted count as our own
+  const app = await appRequest(`${apiBase}/app`, jwt, proxyFetch);
+
+  let installationId = credentials.installationId;
+  if (!installationId) {
+    const installation = await appRequest(
+      `${apiBase}/repos/${owner}/${repo}/installation`,
+      jwt,
+      proxyFetch
+    ).catch((error) => {
+      if (error.status === 404) {
+        error.message = `GitHub App ${credentials.appId} is not installed on ${owner}/${repo}`;
+      }
+      throw error;
+    });
+    installationId = installation.id;
+  }
+
+  // Without a body the token would cover every repository the App is
+  // installed on
+  const created = await appRequest(
+    `${apiBase}/app/installations/${installationId}/access_tokens`,
+    jwt,
+    proxyFetch,
+    {
+      method: "POST",
+      headers: { "Content-Type": "application/json" },
+      body: JSON.stringify({ repositories: [repo] }),
+    }
+  );
+
+  const entry = {
+    token: created.token,
+    expiresAt: created.expires_at,
+    installationId: String(installationId),
+    login: app?.slug ? `${app.slug}[bot]` : null,
+  };
+  if (useCache) saveCachedToken(cacheFile, entry);
+  return entry;
+}
+
+module.exports = {
+  getAppCredentials,
+  createAppJWT,
+  getInstallationToken,
+  getTokenCachePath,
+};
@@ -0,0 +1,277 @@
+/**
+ * Recorded API traffic ("cassettes")
+ *
+ * recordFetch wraps a proxyFetch-compatible function and writes every
+ * request and response to a directory, one numbered JSON file per
+ * exchange. Credentials are redacted, so a cassette can be attached to a
+ * bug report. replayFetch serves a cassette back without network access.
+ *
+ * Replay matches on method, URL and request body, then on method and URL
+ * alone (so a reply with different wording still finds the recorded POST).
+ * Repeated requests get their recorded responses in order, and the last one
+ * again once they run out, which keeps watch-mode polling going.
+ */
+
+const {
+  existsSync,
+  mkdirSync,
+  readdirSync,
+  readFileSync,
+  writeFileSync,
+} = require("node:fs");
+const path = require("node:path");
+
+const REDACTED = "[REDACTED]";
+
+const SECRET_REQUEST_HEADERS = new Set([
+  "authorization",
+  "proxy-authorization",
+  "cookie",
+  "private-token",
+]);
+const SECRET_RESPONSE_HEADERS = new Set(["set-cookie"]);
+// JSON fields (at any depth) and query parameters holding credentials
+const SECRET_FIELD = /token$|secret|password/i;
+const SECRET_QUERY_PARAM = /token|secret|password|signature/i;
+
+// Response headers agent-reviews reads, for fetch implementations whose
+// headers can't be listed (the proxy tunnel only implements get())
+const KNOWN_RESPONSE_HEADERS = [
+  "content-type",
+  "etag",
+  "link",
+  "retry-after",
+  "x-ratelimit-limit",
+  "x-ratelimit-remaining",
+  "x-ratelimit-reset",
+  "x-ratelimit-resource",
+  "x-ratelimit-used",
+  "x-oauth-scopes",
+  "x-accepted-oauth-scopes",
+];
+
+const ENTRY_FILE = /^\d+-.*\.json$/;
+
+// ---------------------------------------------------------------------------
+// Entries
+// ---------------------------------------------------------------------------
+
+function requestHeaders(headers) {
+  const result = {};
+  for (const [name, value] of new Headers(headers || {})) {
+    result[name] = SECRET_REQUEST_HEADERS.has(name) ? REDACTED : value;
+  }
+  return result;
+}
+
+function responseHeaders(headers) {
+  const result = {};
+  if (typeof headers?.forEach === "function") {
+    headers.forEach((value, name) => {
+      result[name.toLowerCase()] = value;
+    });
+  } else {
+    for (const name of KNOWN_RESPONSE_HEADERS) {
+      const value = headers?.get(name);
+      if (value !== null && value !== undefined) result[name] = value;
+    }
+  }
+  for (const name of SECRET_RESPONSE_HEADERS) delete result[name];
+  return result;
+}
+
+/**
+ * `url` with credential query parameters (?access_token=, ?token=, ...)
+ * redacted. URLs without any come back unchanged.
+ */
+function redactUrl(url) {
+  let parsed;
+  try {
+    parsed = new URL(url);
+  } catch {
+    return url;
+  }
+  let redacted = false;
+  for (const name of new Set(parsed.searchParams.keys())) {
+    if (SECRET_QUERY_PARAM.test(name)) {
+      parsed.searchParams.set(name, REDACTED);
+      redacted = true;
+    }
+  }
+  return redacted ? parsed.toString() : url;
+}
+
+// Credential fields and URLs redacted at any depth, e.g. an installation
+// token or a GraphQL `data.*.token`
+function redactJson(value, key = "") {
+  if (typeof value === "string") {
+    return SECRET_FIELD.test(key) ? REDACTED : redactUrl(value);
+  }
+  if (Array.isArray(value)) return value.map((item) => redactJson(item));
+  if (value && typeof value === "object") {
+    return Object.fromEntries(
+      Object.entries(value).map(([name, item]) => [name, redactJson(item, name)])
+    );
+  }
+  return value;
+}
+
+/**
+ * Response body for the cassette: parsed JSON under `json` (readable in a
+ * bug report) with credentials redacted, else the raw text under `body`.
+ */
+function responseBody(text) {
+  if (!text) return { body: text };
+  try {
+    return { json: redactJson(JSON.parse(text)) };
+  } catch {
+    return { body: text };
+  }
+}
+
+// Just enough of the fetch Response interface for agent-reviews
+function toResponse(recorded) {
+  const text =
+    recorded.json !== undefined
+      ? JSON.stringify(recorded.json)
+      : recorded.body || "";
+  const headers = recorded.headers || {};
+  return {
+    ok: recorded.status >= 200 && recorded.status < 300,
+    status: recorded.status,
+    statusText: recorded.statusText || "",
+    headers: {
+      get(name) {
+        return headers[String(name).toLowerCase()] ?? null;
+      },
+    },
+    async text() {
+      return text;
+    },
+    async json() {
+      return JSON.parse(text || "null");
+    },
+  };
+}
+
+function entryFileName(index, method, url) {
+  const { pathname } = new URL(url);
+  const slug = pathname
+    .replace(/[^A-Za-z0-9]+/g, "-")
+    .replace(/^-|-$/g, "")
+    .slice(0, 60);
+  return `${String(index).padStart(4, "0")}-${method.toLowerCase()}-${slug || "root"}.json`;
+}
+
+/**
+ * The exchanges recorded in `dir`, in recording order.
+ */
+function readCassette(dir) {
+  if (!existsSync(dir)) {
+    throw new Error(`Cassette directory not found: ${dir}`);
+  }
+  return readdirSync(dir)
+    .filter((name) => ENTRY_FILE.test(name))
+    .sort((a, b) => Number.parseInt(a, 10) - Number.parseInt(b, 10))
+    .map((name) => JSON.parse(readFileSync(path.join(dir, name), "utf8")));
+}
+
+// ---------------------------------------------------------------------------
+// Record and replay
+// ---------------------------------------------------------------------------
+
+/**
+ * Wrap `proxyFetch` so every exchange is saved to `dir` (created if
+ * needed). Recording into an existing cassette appends to it, so several
+ * commands can be captured together. Network errors aren't recorded.
+ */
+function recordFetch(proxyFetch, dir) {
+  mkdirSync(dir, { recursive: true });
+  let count = readdirSync(dir).filter((name) => ENTRY_FILE.test(name)).length;
+
+  return async (url, init = {}) => {
+    const method = (init.method || "GET").toUpperCase();
+    // Numbered at send time, so concurrent requests keep their order
+    const index = ++count;
+    const response = await proxyFetch(url, init);
+    const text = await response.text();
+
+    const entry = {
+      request: {
+        method,
+        url: redactUrl(String(url)),
+        headers: requestHeaders(init.headers),
+        body: init.body ?? null,
+      },
+      response: {
+        status: response.status,
+        statusText: response.statusText || "",
+        headers: responseHeaders(response.headers),
+        ...responseBody(text),
+      },
+    };
+    writeFileSync(
+      path.join(dir, entryFileName(index, method, String(url))),
+      `${JSON.stringify(entry, null, 2)}\n`
+    );
+
+    // Callers get the live body; only the cassette copy is redacted
+    return toResponse({ ...entry.response, json: undefined, body: text });
+  };
+}
+
+/**
+ * A proxyFetch-compatible function that answers from the cassette in `dir`.
+ * Requests that were never recorded throw (without retries), naming the
+ * request.
+ */
+function replayFetch(dir) {
+  const entries = readCassette(dir);
+  if (entries.length === 0) {
+    throw new Error(`Cassette ${dir} has no recorded requests`);
+  }
+
+  const exact = new Map();
+  const loose = new Map();
+  const add = (map, key, entry) => {
+    if (!map.has(key)) map.set(key, []);
+    map.get(key).push(entry);
+  };
+  for (const entry of entries) {
+    const { method, url, body } = entry.request;
+    add(exact, `${method} ${url}\n${body ?? ""}`, entry);
+    add(loose, `${method} ${url}`, entry);
+  }
+
+  // An entry sits in both maps, so it's marked used rather than dequeued
+  const used = new Set();
+
+  return async (url, init = {}) => {
+    const method = (init.method || "GET").toUpperCase();
+    // Recorded URLs had their credentials redacted
+    const recordedUrl = redactUrl(String(url));
+    const queues = [
+      exact.get(`${method} ${recordedUrl}\n${init.body ?? ""}`),
+      loose.get(`${method} ${recordedUrl}`),
+    ].filter(Boolean);
+    if (queues.length === 0) {
+      const error = new Error(
+        `No recorded response for ${method} ${recordedUrl} in ${dir}`
+      );
+      error.retryable = false;
+      throw error;
+    }
+    const entry =
+      queues.map((queue) => queue.find((e) => !used.has(e))).find(Boolean) ||
+      queues[0][queues[0].length - 1];
+    used.add(entry);
+    return toResponse(entry.response);
+  };
+}
+
+module.exports = {
+  REDACTED,
+  recordFetch,
+  replayFetch,
+  readCassette,
+};
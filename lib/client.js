@@ -0,0 +1,314 @@
+/**
+ * ReviewClient: the programmatic API
+ *
+ * Binds a repository, PR, token and fetch implementation once, so callers
+ * don't thread `(owner, repo, prNumber, token, proxyFetch)` through every
+ * call, and returns comments in the versioned schema from ./schema. GitLab
+ * merge requests work the same way (see ./providers).
+ *
+ *   const { ReviewClient } = require("agent-reviews");
+ *   const client = new ReviewClient({ repo: "acme/app", pr: 42 });
+ *   for (const comment of await client.list({ filter: "unresolved" })) { ... }
+ *   await client.reply(comment.id, "Fixed in abc123", { resolve: true });
+ *   for await (const event of client.watch({ interval: 30 })) { ... }
+ */
+
+const { processComments, filterComments } = require("./comments");
+const { validateConfig, getProcessOptions } = require("./config");
+const { getProxyFetch, parseRepoSpec, parsePRUrl } = require("./github");
+const { withApiBase } = require("./http");
+const {
+  PROVIDERS,
+  detectProvider,
+  normalizeProviderName,
+} = require("./providers");
+const { remapComments } = require("./remap");
+const {
+  SCHEMA_VERSION,
+  toSchemaComment,
+  toSchemaReply,
+} = require("./schema");
+const { createSnapshot, diffSnapshot, filterChanges } = require("./watch");
+
+const DEFAULT_WATCH_INTERVAL_SECONDS = 30;
+
+// Resolves after `seconds`, or early (with false) when `signal` aborts
+function sleep(seconds, signal) {
+  if (signal?.aborted) return Promise.resolve(false);
+  return new Promise((resolve) => {
+    const timer = setTimeout(() => {
+      signal?.removeEventListener("abort", onAbort);
+      resolve(true);
+    }, seconds * 1000);
+    function onAbort() {
+      clearTimeout(timer);
+      resolve(false);
+    }
+    signal?.addEventListener("abort", onAbort, { once: true });
+  });
+}
+
+// "owner/repo", "host/owner/repo", a repository URL or { owner, repo }
+function normalizeRepo(repo) {
+  if (repo && typeof repo === "object") return { ...repo };
+  return parseRepoSpec(repo);
+}
+
+class ReviewClient {
+  /**
+   * Options:
+   *   repo    "OWNER/REPO", "HOST/OWNER/REPO", a repository URL or
+   *           { owner, repo }. Optional when `pr` is a URL.
+   *   pr      PR number or URL
+   *   token   Token string, or a (possibly async) function returning one,
+   *           called before every request batch so it can refresh. Defaults
+   *           to GITHUB_TOKEN, GH_TOKEN, .env.local or `gh auth token`.
+   *   fetch   fetch-compatible function; defaults to the proxy-aware fetch
+   *   apiUrl  REST API base URL; defaults to GITHUB_API_URL (GITLAB_API_URL
+   *           for GitLab), else the one for the repo's host
+   *   provider "github", "gitlab" or "gitea" (alias "forgejo"); defaults
+   *           to config.provider, else the one for the repo's host (see
+   *           detectProvider)
+   *   graphql Fetch comments with GraphQL instead of REST (GitHub only)
+   *   config  Same shape as .agent-reviews.json (bots, metaFilters,
+   *           cleanupPatterns, provider)
+   *   root    Local checkout of the repository; enables `currentLine`
+   *
+   * The provider and API base URL belong to the client, so clients for
+   * different hosts can be used side by side.
+   */
+  constructor(options = {}) {
+    const prUrl = typeof options.pr === "string" ? parsePRUrl(options.pr) : null;
+    const prNumber = prUrl ? prUrl.number : Number(options.pr);
+    if (!Number.isInteger(prNumber) || prNumber <= 0) {
+      throw new Error(`Invalid pr: ${options.pr} (expected a PR number or URL)`);
+    }
+
+    const repo = options.repo ? normalizeRepo(options.repo) : prUrl;
+    if (!repo?.owner || !repo?.repo) {
+      throw new Error(
+        `Invalid repo: ${options.repo} (expected OWNER/REPO, HOST/OWNER/REPO or a URL)`
+      );
+    }
+
+    const config = options.config || {};
+    const errors = validateConfig(config);
+    if (errors.length > 0) {
+      throw new Error(`Invalid config:\n${errors.map((e) => `  - ${e}`).join("\n")}`);
+    }
+
+    const host = repo.host || prUrl?.host || null;
+    const providerName =
+      options.provider ||
+      detectProvider(host, process.env, prUrl?.provider || config.provider);
+    const provider = PROVIDERS[normalizeProviderName(providerName)];
+    if (!provider) throw new Error(`Unknown provider "${providerName}"`);
+    // GitLab owners are full namespaces, which may span several segments
+    const { owner } = repo;
+
+    if (
+      prUrl &&
+      (prUrl.owner.toLowerCase() !== owner.toLowerCase() ||
+        prUrl.repo.toLowerCase() !== repo.repo.toLowerCase())
+    ) {
+      throw new Error(
+        `pr ${options.pr} belongs to ${prUrl.owner}/${prUrl.repo}, not ${owner}/${repo.repo}`
+      );
+    }
+
+    // Same precedence as the CLI: an explicit URL, then GITHUB_API_URL (or
+    // GITLAB_API_URL), then the URL for the repository's host
+    const apiBase =
+      options.apiUrl ||
+      process.env[provider.apiUrlEnv] ||
+      provider.apiBaseForHost(host) ||
+      provider.defaultApiUrl;
+
+    this.provider = provider.name;
+    this.owner = owner;
+    this.repo = repo.repo;
+    this.pr = prNumber;
+    this.schemaVersion = SCHEMA_VERSION;
+
+    this._provider = provider;
+    this._apiBase = apiBase;
+    this._host = host;
+    this._token = options.token;
+    this._fetch = options.fetch || getProxyFetch();
+    this._fetchOptions = { graphql: options.graphql === true };
+    this._processOptions = getProcessOptions(config);
+    this._root = options.root || null;
+  }
+
+  // Calls a provider function against this client's API base
+  _call(name, ...args) {
+    return withApiBase(this._apiBase, () => this._provider[name](...args));
+  }
+
+  async _getToken() {
+    const token =
+      typeof this._token === "function"
+        ? await this._token()
+        : this._token || this._provider.resolveToken(this._host)?.token;
+    if (!token) {
+      const { label, tokenEnv } = this._provider;
+      throw new Error(`${label} token not found; pass \`token\` or set ${tokenEnv}`);
+    }
+    return token;
+  }
+
+  // Every comment on the PR in the internal processComments shape
+  async _fetchProcessed() {
+    const rawData = await this._call(
+      "fetchPRComments",
+      this.owner,
+      this.repo,
+      this.pr,
+      await this._getToken(),
+      this._fetch,
+      this._fetchOptions
+    );
+    const processed = processComments(rawData, this._processOptions);
+    return this._root
+      ? remapComments(processed, { root: this._root })
+      : processed;
+  }
+
+  /**
+   * Comments on the PR, newest first. `filters` takes the CLI's filter
+   * options: { filter: "unresolved" | "unanswered", botsOnly, humansOnly,
+   * outdated: "only" | "hide" }.
+   *
+   * @returns {Promise<import("./schema").Comment[]>}
+   */
+  async list(filters = {}) {
+    const processed = await this._fetchProcessed();
+    return filterComments(processed, filters).map(toSchemaComment);
+  }
+
+  /**
+   * One comment by ID (with its replies), or null if the PR has none.
+   *
+   * @returns {Promise<import("./schema").Comment | null>}
+   */
+  async get(id) {
+    const processed = await this._fetchProcessed();
+    const comment = processed.find((c) => c.id === Number(id));
+    return comment ? toSchemaComment(comment) : null;
+  }
+
+  /**
+   * Reply to a comment, threaded under it when it is a review comment.
+   * With `resolve`, also resolve its review thread. Returns { id, url,
+   * resolution }; `resolution` is null without `resolve`, else the result
+   * of resolve() or { failed: true, reason } when the reply was posted but
+   * resolving failed.
+   */
+  async reply(id, message, { resolve = false } = {}) {
+    const token = await this._getToken();
+    const posted = await this._call(
+      "replyToComment",
+      this.owner,
+      this.repo,
+      this.pr,
+      id,
+      message,
+      token,
+      this._fetch
+    );
+
+    let resolution = null;
+    if (resolve) {
+      resolution = await this._call(
+        "resolveThread",
+        this.owner,
+        this.repo,
+        this.pr,
+        id,
+        token,
+        this._fetch
+      ).catch((error) => ({ failed: true, reason: error.message }));
+    }
+
+    return { id: posted.id, url: posted.html_url ?? null, resolution };
+  }
+
+  /**
+   * Resolve the review thread containing a comment. Returns { resolved },
+   * { alreadyResolved } or { skipped, reason } for non-thread comments.
+   */
+  async resolve(id) {
+    return this._call(
+      "resolveThread",
+      this.owner,
+      this.repo,
+      this.pr,
+      id,
+      await this._getToken(),
+      this._fetch
+    );
+  }
+
+  /**
+   * Reopen the review thread containing a comment. Mirrors resolve().
+   */
+  async unresolve(id) {
+    return this._call(
+      "unresolveThread",
+      this.owner,
+      this.repo,
+      this.pr,
+      id,
+      await this._getToken(),
+      this._fetch
+    );
+  }
+
+  /**
+   * Poll the PR and yield a change event per new comment, edit, reply or
+   * resolved thread, until `signal` aborts or the loop is exited:
+   *
+   *   { type: "comment.created", comment }
+   *   { type: "comment.updated", comment, previousUpdatedAt }
+   *   { type: "reply.created", comment, reply }
+   *   { type: "reply.deleted", comment, replyId }
+   *   { type: "thread.resolved", comment }
+   *   { type: "comment.deleted", commentId }
+   *
+   * Options: { interval: seconds between polls (default 30), signal,
+   * filters: as for list() }. Filters apply to the comment before or after
+   * the change, so a reply that answers an unresolved comment is reported.
+   * Comments present when watching starts are not reported.
+   */
+  async *watch({
+    interval = DEFAULT_WATCH_INTERVAL_SECONDS,
+    signal,
+    filters = {},
+  } = {}) {
+    let comments = await this._fetchProcessed();
+    let snapshot = createSnapshot(comments);
+
+    while (await sleep(interval, signal)) {
+      const current = await this._fetchProcessed();
+      const changes = filterChanges(
+        diffSnapshot(snapshot, current),
+        snapshot,
+        filters,
+        comments
+      );
+      comments = current;
+      snapshot = createSnapshot(current);
+
+      for (const { comment, reply, ...rest } of changes) {
+        const event = { ...rest };
+        if (comment) event.comment = toSchemaComment(comment);
+        if (reply) event.reply = toSchemaReply(reply);
+        yield event;
+      }
+    }
+  }
+}
+
+module.exports = {
+  ReviewClient,
+};
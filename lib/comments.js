@@ -6,6 +6,8 @@
  * filtering capabilities.
  */
 
+const { fetchWithRetry, scopedApiBase } = require("./http");
+
 const USER_AGENT = "agent-reviews";
 
 // Base URL for the GitHub REST API. Defaults to api.github.com.
@@ -13,27 +15,52 @@ const USER_AGENT = "agent-reviews";
 // API-compatible server (e.g., for testing or recording). Trailing
 // whitespace and slashes are stripped so callers can pass either
 // "https://host/api/v3" or "https://host/api/v3/".
-const API_BASE = (process.env.GITHUB_API_URL || "https://api.github.com")
-  .trim()
-  .replace(/\/+$/, "");
+let API_BASE;
+
+function setApiBase(apiUrl) {
+  API_BASE = apiUrl.trim().replace(/\/+$/, "");
+}
+
+// The base for the current call (see withApiBase in ./http)
+function getApiBase() {
+  return scopedApiBase(API_BASE);
+}
 
 // GitHub Enterprise Server splits REST (/api/v3) and GraphQL (/api/graphql)
 // onto sibling paths under the same origin, so we can't just append /graphql
 // to the REST base. Detect the GHES shape and rewrite; otherwise append.
 // GITHUB_GRAPHQL_URL fully overrides the derivation for unusual setups.
-const GRAPHQL_URL =
-  process.env.GITHUB_GRAPHQL_URL?.trim().replace(/\/+$/, "") ||
-  (API_BASE.endsWith("/api/v3")
-    ? API_BASE.replace(/\/api\/v3$/, "/api/graphql")
-    : API_BASE + "/graphql");
+function getGraphQLUrl() {
+  const apiBase = getApiBase();
+  return (
+    process.env.GITHUB_GRAPHQL_URL?.trim().replace(/\/+$/, "") ||
+    (apiBase.endsWith("/api/v3")
+      ? apiBase.replace(/\/api\/v3$/, "/api/graphql")
+      : apiBase + "/graphql")
+  );
+}
+
+setApiBase(process.env.GITHUB_API_URL || "https://api.github.com");
 
 // ---------------------------------------------------------------------------
 // GitHub API helpers
 // ---------------------------------------------------------------------------
 
-async function findPRForBranch(owner, repo, branch, token, proxyFetch) {
-  const response = await proxyFetch(
-    `${API_BASE}/repos/${owner}/${repo}/pulls?head=${owner}:${branch}&state=open`,
+/**
+ * Open PRs in owner/repo whose head is `headOwner:branch`. `headOwner`
+ * differs from `owner` for PRs opened from a fork.
+ */
+async function findPRsForBranch(
+  owner,
+  repo,
+  branch,
+  token,
+  proxyFetch,
+  headOwner = owner
+) {
+  const response = await fetchWithRetry(
+    proxyFetch,
+    `${getApiBase()}/repos/${owner}/${repo}/pulls?head=${headOwner}:${encodeURIComponent(branch)}&state=open`,
     {
       headers: {
         Authorization: `Bearer ${token}`,
@@ -44,13 +71,216 @@ async function findPRForBranch(owner, repo, branch, token, proxyFetch) {
   );
 
   if (!response.ok) {
-    throw new Error(`Failed to find PR: ${response.status}`);
+    const error = new Error(`Failed to find PR: ${response.status}`);
+    error.status = response.status;
+    throw error;
   }
 
-  const prs = await response.json();
+  return response.json();
+}
+
+async function findPRForBranch(
+  owner,
+  repo,
+  branch,
+  token,
+  proxyFetch,
+  headOwner = owner
+) {
+  const prs = await findPRsForBranch(
+    owner,
+    repo,
+    branch,
+    token,
+    proxyFetch,
+    headOwner
+  );
   return prs[0] || null;
 }
 
+/**
+ * Open PRs in owner/repo that contain commit `sha`, for branches whose name
+ * or upstream doesn't match the PR head (renamed branches, detached HEAD).
+ */
+async function findPRsForCommit(owner, repo, sha, token, proxyFetch) {
+  const response = await fetchWithRetry(
+    proxyFetch,
+    `${getApiBase()}/repos/${owner}/${repo}/commits/${sha}/pulls`,
+    {
+      headers: {
+        Authorization: `Bearer ${token}`,
+        Accept: "application/vnd.github.v3+json",
+        "User-Agent": USER_AGENT,
+      },
+    }
+  );
+
+  // 422: the commit isn't in this repository (e.g. not pushed yet)
+  if (response.status === 404 || response.status === 422) return [];
+  if (!response.ok) {
+    const error = new Error(`Failed to find PRs for commit: ${response.status}`);
+    error.status = response.status;
+    throw error;
+  }
+
+  const prs = await response.json();
+  return prs.filter((pr) => pr.state === "open");
+}
+
+/**
+ * Repository metadata (fork status and parent), or null when it can't be
+ * read.
+ */
+async function fetchRepo(owner, repo, token, proxyFetch) {
+  const response = await fetchWithRetry(
+    proxyFetch,
+    `${getApiBase()}/repos/${owner}/${repo}`,
+    {
+      headers: {
+        Authorization: `Bearer ${token}`,
+        Accept: "application/vnd.github.v3+json",
+        "User-Agent": USER_AGENT,
+      },
+    }
+  );
+  if (!response.ok) return null;
+  return response.json();
+}
+
+async function fetchPR(owner, repo, prNumber, token, proxyFetch) {
+  const response = await conditionalGet(
+    `${getApiBase()}/repos/${owner}/${repo}/pulls/${prNumber}`,
+    token,
+    proxyFetch
+  );
+
+  if (!response.ok) {
+    const error = new Error(`Failed to fetch PR #${prNumber}: ${response.status}`);
+    error.status = response.status;
+    throw error;
+  }
+
+  return response.data;
+}
+
+/**
+ * Login of the user the token belongs to, or null if it can't be determined
+ * (e.g., installation tokens, which have no associated user).
+ */
+async function fetchViewerLogin(token, proxyFetch) {
+  try {
+    const response = await fetchWithRetry(proxyFetch, `${getApiBase()}/user`, {
+      headers: {
+        Authorization: `Bearer ${token}`,
+        Accept: "application/vnd.github.v3+json",
+        "User-Agent": USER_AGENT,
+      },
+    });
+    if (!response.ok) return null;
+    const user = await response.json();
+    return user?.login || null;
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * What a token is and can do, for diagnostics: { status, login, scopes,
+ * rateLimits }. `status` is the /user response status (401 for a bad
+ * token; 403 for App installation tokens, which have no user). `scopes` is
+ * null for tokens without OAuth scopes (fine-grained PATs, Apps), and
+ * `rateLimits` holds the `core` and `graphql` quotas.
+ */
+async function fetchTokenInfo(token, proxyFetch) {
+  const headers = {
+    Authorization: `Bearer ${token}`,
+    Accept: "application/vnd.github.v3+json",
+    "User-Agent": USER_AGENT,
+  };
+
+  const userResponse = await fetchWithRetry(proxyFetch, `${getApiBase()}/user`, {
+    headers,
+  });
+  const scopesHeader = userResponse.headers?.get("x-oauth-scopes") ?? null;
+  const user = userResponse.ok ? await userResponse.json() : null;
+
+  // /rate_limit itself doesn't count against the quota
+  const limitResponse = await fetchWithRetry(
+    proxyFetch,
+    `${getApiBase()}/rate_limit`,
+    { headers }
+  );
+  const resources = limitResponse.ok
+    ? (await limitResponse.json())?.resources
+    : null;
+
+  return {
+    status: userResponse.status,
+    login: user?.login ?? null,
+    scopes:
+      scopesHeader === null
+        ? null
+        : scopesHeader
+            .split(",")
+            .map((scope) => scope.trim())
+            .filter(Boolean),
+    rateLimits: resources
+      ? { core: resources.core ?? null, graphql: resources.graphql ?? null }
+      : null,
+  };
+}
+
+// ---------------------------------------------------------------------------
+// Conditional requests
+// ---------------------------------------------------------------------------
+
+// ETag and body per token + URL. Watch mode polls the same pages over and
+// over; a 304 reply reuses the cached body and doesn't count against the
+// primary rate limit.
+const etagCache = new Map();
+
+/**
+ * GET a JSON resource with If-None-Match when a previous response carried an
+ * ETag. Returns { ok, status, data, link }, where `link` is the Link header
+ * (kept from the original response when the server answers 304).
+ */
+async function conditionalGet(url, token, proxyFetch) {
+  const key = `${token}\n${url}`;
+  const cached = etagCache.get(key);
+  const headers = {
+    Authorization: `Bearer ${token}`,
+    Accept: "application/vnd.github.v3+json",
+    "User-Agent": USER_AGENT,
+  };
+  if (cached) {
+    headers["If-None-Match"] = cached.etag;
+  }
+
+  const response = await fetchWithRetry(proxyFetch, url, { headers });
+
+  if (cached && response.status === 304) {
+    return { ok: true, status: 304, data: cached.data, link: cached.link };
+  }
+  if (!response.ok) {
+    return { ok: false, status: response.status, data: null, link: null };
+  }
+
+  const data = await response.json();
+  const link = response.headers.get("link");
+  const etag = response.headers.get("etag");
+  if (etag) {
+    etagCache.set(key, { etag, data, link });
+  } else {
+    etagCache.delete(key);
+  }
+
+  return { ok: true, status: response.status, data, link };
+}
+
+function clearETagCache() {
+  etagCache.clear();
+}
+
 // ---------------------------------------------------------------------------
 // Paginated fetch
 // ---------------------------------------------------------------------------
@@ -60,26 +290,20 @@ async function fetchAllPages(url, token, proxyFetch) {
   let nextUrl = url;
 
   while (nextUrl) {
-    const response = await proxyFetch(nextUrl, {
-      headers: {
-        Authorization: `Bearer ${token}`,
-        Accept: "application/vnd.github.v3+json",
-        "User-Agent": USER_AGENT,
-      },
-    });
+    const response = await conditionalGet(nextUrl, token, proxyFetch);
 
     if (!response.ok) {
-      throw new Error(`API request failed: ${response.status}`);
+      const error = new Error(`API request failed: ${response.status}`);
+      error.status = response.status;
+      throw error;
     }
 
-    const data = await response.json();
-    results.push(...data);
+    results.push(...response.data);
 
     // Check for next page in Link header
-    const linkHeader = response.headers.get("link");
     nextUrl = null;
-    if (linkHeader) {
-      const nextMatch = linkHeader.match(/<([^>]+)>;\s*rel="next"/);
+    if (response.link) {
+      const nextMatch = response.link.match(/<([^>]+)>;\s*rel="next"/);
       if (nextMatch) {
         nextUrl = nextMatch[1];
       }
@@ -89,29 +313,56 @@ async function fetchAllPages(url, token, proxyFetch) {
   return results;
 }
 
-async function fetchPRComments(owner, repo, prNumber, token, proxyFetch) {
-  const baseUrl = `${API_BASE}/repos/${owner}/${repo}`;
+/**
+ * Fetch all review comments, issue comments, reviews, and review threads
+ * for a PR. Pass `{ graphql: true }` to fetch everything through
+ * fetchPRCommentsGraphQL instead of the REST endpoints.
+ */
+async function fetchPRComments(
+  owner,
+  repo,
+  prNumber,
+  token,
+  proxyFetch,
+  options = {}
+) {
+  if (options.graphql) {
+    return fetchPRCommentsGraphQL(owner, repo, prNumber, token, proxyFetch);
+  }
+
+  const baseUrl = `${getApiBase()}/repos/${owner}/${repo}`;
 
   // Fetch all comment types in parallel
-  const [reviewComments, issueComments, reviews] = await Promise.all([
-    fetchAllPages(
-      `${baseUrl}/pulls/${prNumber}/comments?per_page=100`,
-      token,
-      proxyFetch
-    ),
-    fetchAllPages(
-      `${baseUrl}/issues/${prNumber}/comments?per_page=100`,
-      token,
-      proxyFetch
-    ),
-    fetchAllPages(
-      `${baseUrl}/pulls/${prNumber}/reviews?per_page=100`,
-      token,
-      proxyFetch
-    ),
-  ]);
+  const [reviewComments, issueComments, reviews, reviewThreads] =
+    await Promise.all([
+      fetchAllPages(
+        `${baseUrl}/pulls/${prNumber}/comments?per_page=100`,
+        token,
+        proxyFetch
+      ),
+      fetchAllPages(
+        `${baseUrl}/issues/${prNumber}/comments?per_page=100`,
+        token,
+        proxyFetch
+      ),
+      fetchAllPages(
+        `${baseUrl}/pulls/${prNumber}/reviews?per_page=100`,
+        token,
+        proxyFetch
+      ),
+      // Thread state only enriches the REST data, so an unavailable GraphQL
+      // API (restricted token, API-compatible server without /graphql)
+      // degrades to the reply-based heuristics instead of failing the whole
+      // fetch. Auth and rate-limit failures still surface.
+      fetchReviewThreads(owner, repo, prNumber, token, proxyFetch).catch(
+        (error) => {
+          if (isGraphQLUnavailable(error)) return null;
+          throw error;
+        }
+      ),
+    ]);
 
-  return { reviewComments, issueComments, reviews };
+  return { reviewComments, issueComments, reviews, reviewThreads };
 }
 
 // ---------------------------------------------------------------------------
@@ -194,11 +445,12 @@ const KNOWN_BOT_LOGINS = new Set([
   "gemini-code-assist",
 ]);
 
-function isBot(username) {
+function isBot(username, extraBotLogins = []) {
   if (!username) return false;
   return (
     username.endsWith("[bot]") ||
     KNOWN_BOT_LOGINS.has(username) ||
+    extraBotLogins.includes(username) ||
     username.includes("bot")
   );
 }
@@ -212,9 +464,10 @@ function isBot(username) {
  *  - HTML comments (<!-- ... -->)
  *  - Cursor "Fix in Cursor" / "Fix in Web" button blocks
  *  - "Additional Locations" <details> blocks
+ *  - Any extra patterns (e.g., from .agent-reviews.json)
  *  - Collapse leftover blank lines
  */
-function cleanBody(body) {
+function cleanBody(body, extraPatterns = []) {
   if (!body) return body;
 
   let cleaned = body;
@@ -231,6 +484,10 @@ function cleanBody(body) {
   // Remove <p> blocks containing cursor.com links
   cleaned = cleaned.replace(/<p>\s*<a [^>]*cursor\.com[\s\S]*?<\/p>/gi, "");
 
+  for (const pattern of extraPatterns) {
+    cleaned = cleaned.replace(pattern, "");
+  }
+
   // Collapse runs of 3+ newlines into 2
   cleaned = cleaned.replace(/\n{3,}/g, "\n\n");
 
@@ -242,8 +499,21 @@ function cleanBody(body) {
 // ---------------------------------------------------------------------------
 
 function processComments(data, options = {}) {
-  const { reviewComments, issueComments, reviews } = data;
+  const { reviewComments, issueComments, reviews, reviewThreads } = data;
   const metaFilters = options.metaFilters || DEFAULT_META_FILTERS;
+  const botLogins = options.botLogins || [];
+  const cleanupPatterns = options.cleanupPatterns || [];
+  const isBotUser = (login) => isBot(login, botLogins);
+  const clean = (body) => cleanBody(body, cleanupPatterns);
+
+  // Map each thread's root comment ID to its GraphQL thread state
+  const threadsMap = new Map();
+  for (const thread of reviewThreads || []) {
+    const rootId = thread.comments?.nodes?.[0]?.databaseId;
+    if (rootId) {
+      threadsMap.set(rootId, thread);
+    }
+  }
 
   // Build a map of comment replies
   const repliesMap = new Map();
@@ -255,9 +525,9 @@ function processComments(data, options = {}) {
       repliesMap.get(comment.in_reply_to_id).push({
         id: comment.id,
         user: comment.user?.login,
-        body: cleanBody(comment.body),
+        body: clean(comment.body),
         createdAt: comment.created_at,
-        isBot: isBot(comment.user?.login),
+        isBot: isBotUser(comment.user?.login),
       });
     }
   }
@@ -272,23 +542,45 @@ function processComments(data, options = {}) {
     const replies = repliesMap.get(comment.id) || [];
     const hasHumanReply = replies.some((r) => !r.isBot);
     const hasAnyReply = replies.length > 0;
+    const thread = threadsMap.get(comment.id);
 
     processed.push({
       id: comment.id,
       type: "review_comment",
       user: comment.user?.login,
-      isBot: isBot(comment.user?.login),
+      isBot: isBotUser(comment.user?.login),
       path: comment.path,
       line: comment.line || comment.original_line,
+      // Outdated comments only keep their original range
+      startLine:
+        (comment.line ? comment.start_line : comment.original_start_line) ||
+        null,
+      originalLine: comment.original_line ?? null,
+      originalStartLine: comment.original_start_line ?? null,
+      // "RIGHT" is the PR's version of the file, "LEFT" the base (deleted lines)
+      side: comment.side || null,
+      startSide: comment.start_side || null,
+      // "file" for comments on a whole file rather than specific lines
+      subjectType: comment.subject_type || "line",
+      currentLine: null,
+      commitId: comment.commit_id || null,
+      originalCommitId: comment.original_commit_id || null,
       diffHunk: comment.diff_hunk || null,
-      body: cleanBody(comment.body),
+      body: clean(comment.body),
       createdAt: comment.created_at,
       updatedAt: comment.updated_at,
       url: comment.html_url,
       replies,
       hasHumanReply,
       hasAnyReply,
-      isResolved: false,
+      isResolved: thread?.isResolved ?? false,
+      resolvedBy: thread?.resolvedBy?.login ?? null,
+      // Without thread state, REST marks outdated comments with a null line
+      isOutdated: thread
+        ? thread.isOutdated === true
+        : comment.subject_type !== "file" && comment.line === null,
+      isCollapsed: thread?.isCollapsed ?? false,
+      threadId: thread?.id ?? null,
     });
   }
 
@@ -300,11 +592,20 @@ function processComments(data, options = {}) {
       id: comment.id,
       type: "issue_comment",
       user: comment.user?.login,
-      isBot: isBot(comment.user?.login),
+      isBot: isBotUser(comment.user?.login),
       path: null,
       line: null,
+      startLine: null,
+      originalLine: null,
+      originalStartLine: null,
+      side: null,
+      startSide: null,
+      subjectType: null,
+      currentLine: null,
+      commitId: null,
+      originalCommitId: null,
       diffHunk: null,
-      body: cleanBody(comment.body),
+      body: clean(comment.body),
       createdAt: comment.created_at,
       updatedAt: comment.updated_at,
       url: comment.html_url,
@@ -318,7 +619,7 @@ function processComments(data, options = {}) {
   // Process review bodies (only if they have content)
   // Bot review bodies are always summaries; actionable findings come as review_comment
   for (const review of reviews) {
-    if (isBot(review.user?.login)) continue;
+    if (isBotUser(review.user?.login)) continue;
     if (isMetaComment(review.user?.login, review.body, metaFilters)) continue;
     if (!review.body?.trim()) continue;
 
@@ -326,11 +627,20 @@ function processComments(data, options = {}) {
       id: review.id,
       type: "review",
       user: review.user?.login,
-      isBot: isBot(review.user?.login),
+      isBot: isBotUser(review.user?.login),
       path: null,
       line: null,
+      startLine: null,
+      originalLine: null,
+      originalStartLine: null,
+      side: null,
+      startSide: null,
+      subjectType: null,
+      currentLine: null,
+      commitId: null,
+      originalCommitId: null,
       diffHunk: null,
-      body: cleanBody(review.body),
+      body: clean(review.body),
       state: review.state,
       createdAt: review.submitted_at,
       updatedAt: review.submitted_at,
@@ -364,6 +674,12 @@ function filterComments(comments, options) {
     filtered = filtered.filter((c) => !c.isBot);
   }
 
+  if (options.outdated === "only") {
+    filtered = filtered.filter((c) => c.isOutdated);
+  } else if (options.outdated === "hide") {
+    filtered = filtered.filter((c) => !c.isOutdated);
+  }
+
   if (options.filter === "unresolved") {
     filtered = filtered.filter((c) => !(c.isResolved || c.hasHumanReply));
   } else if (options.filter === "unanswered") {
@@ -377,6 +693,13 @@ function filterComments(comments, options) {
 // Reply
 // ---------------------------------------------------------------------------
 
+// Body used when a reply can't be threaded and is posted as an issue
+// comment instead. The "> Re: comment" prefix is also what the default meta
+// filters key on to hide these replies from listings.
+function fallbackReplyBody(commentId, message) {
+  return `> Re: comment ${commentId}\n\n${message}`;
+}
+
 async function replyToComment(
   owner,
   repo,
@@ -387,8 +710,9 @@ async function replyToComment(
   proxyFetch
 ) {
   // Try review comment reply endpoint first
-  const response = await proxyFetch(
-    `${API_BASE}/repos/${owner}/${repo}/pulls/${prNumber}/comments/${commentId}/replies`,
+  const response = await fetchWithRetry(
+    proxyFetch,
+    `${getApiBase()}/repos/${owner}/${repo}/pulls/${prNumber}/comments/${commentId}/replies`,
     {
       method: "POST",
       headers: {
@@ -403,8 +727,9 @@ async function replyToComment(
 
   if (!response.ok) {
     // Fallback to issue comment endpoint
-    const issueResponse = await proxyFetch(
-      `${API_BASE}/repos/${owner}/${repo}/issues/${prNumber}/comments`,
+    const issueResponse = await fetchWithRetry(
+      proxyFetch,
+      `${getApiBase()}/repos/${owner}/${repo}/issues/${prNumber}/comments`,
       {
         method: "POST",
         headers: {
@@ -414,7 +739,7 @@ async function replyToComment(
           "User-Agent": USER_AGENT,
         },
         body: JSON.stringify({
-          body: `> Re: comment ${commentId}\n\n${message}`,
+          body: fallbackReplyBody(commentId, message),
         }),
       }
     );
@@ -431,37 +756,422 @@ async function replyToComment(
 }
 
 // ---------------------------------------------------------------------------
-// Thread resolution (GraphQL)
+// Review threads (GraphQL)
 // ---------------------------------------------------------------------------
 
-async function resolveThread(owner, repo, prNumber, commentId, token, proxyFetch) {
-  const targetId = Number(commentId);
+async function graphqlRequest(query, variables, token, proxyFetch) {
+  // Queries are read-only, so they're safe to retry
+  const response = await fetchWithRetry(
+    proxyFetch,
+    getGraphQLUrl(),
+    {
+      method: "POST",
+      headers: {
+        Authorization: `Bearer ${token}`,
+        "Content-Type": "application/json",
+        "User-Agent": USER_AGENT,
+      },
+      body: JSON.stringify({ query, variables }),
+    },
+    { idempotent: true }
+  );
+
+  if (!response.ok) {
+    const error = new Error(`GraphQL query failed: ${response.status}`);
+    error.status = response.status;
+    throw error;
+  }
+
+  const data = await response.json();
+  if (data.errors) {
+    const error = new Error(`GraphQL error: ${data.errors[0].message}`);
+    error.type = data.errors[0].type ?? null;
+    throw error;
+  }
+
+  return data.data;
+}
 
-  // Find the thread containing this comment
-  const query = `
-    query($owner: String!, $repo: String!, $pr: Int!, $cursor: String) {
-      repository(owner: $owner, name: $repo) {
-        pullRequest(number: $pr) {
-          reviewThreads(first: 100, after: $cursor) {
-            pageInfo { hasNextPage endCursor }
-            nodes {
-              id
-              isResolved
-              comments(first: 1) {
-                nodes { databaseId }
-              }
+/**
+ * Whether a failed GraphQL request means thread state is unavailable
+ * (no /graphql endpoint, a restricted token, a server error) rather than
+ * a bad token or an exhausted rate limit, which REST calls would hit too.
+ */
+function isGraphQLUnavailable(error) {
+  if (error?.rateLimited || error?.type === "RATE_LIMITED") return false;
+  return error?.status !== 401 && error?.status !== 403;
+}
+
+const VIEWER_ACCESS_QUERY = `
+  query($owner: String!, $repo: String!, $pr: Int!, $withPR: Boolean!) {
+    viewer { login }
+    repository(owner: $owner, name: $repo) {
+      viewerPermission
+      pullRequest(number: $pr) @include(if: $withPR) {
+        author { login }
+        reviewThreads(first: 1) {
+          nodes { viewerCanResolve }
+        }
+      }
+    }
+  }
+`;
+
+// Repository roles that may resolve any review thread
+const RESOLVING_PERMISSIONS = ["WRITE", "MAINTAIN", "ADMIN"];
+
+/**
+ * Whether the token may resolve review threads, checked through GraphQL:
+ * { login, permission, canResolveThreads }. An existing thread's
+ * `viewerCanResolve` is authoritative; without one, write access or
+ * authorship of the PR is what GitHub requires.
+ */
+async function fetchViewerAccess(owner, repo, prNumber, token, proxyFetch) {
+  const data = await graphqlRequest(
+    VIEWER_ACCESS_QUERY,
+    { owner, repo, pr: prNumber || 0, withPR: Boolean(prNumber) },
+    token,
+    proxyFetch
+  );
+
+  const login = data?.viewer?.login ?? null;
+  const permission = data?.repository?.viewerPermission ?? null;
+  const pr = data?.repository?.pullRequest;
+  const thread = pr?.reviewThreads?.nodes?.[0];
+
+  let canResolveThreads;
+  if (thread) {
+    canResolveThreads = thread.viewerCanResolve === true;
+  } else {
+    canResolveThreads =
+      RESOLVING_PERMISSIONS.includes(permission) ||
+      Boolean(login && pr?.author?.login === login);
+  }
+
+  return { login, permission, canResolveThreads };
+}
+
+const REVIEW_THREADS_QUERY = `
+  query($owner: String!, $repo: String!, $pr: Int!, $cursor: String) {
+    repository(owner: $owner, name: $repo) {
+      pullRequest(number: $pr) {
+        reviewThreads(first: 100, after: $cursor) {
+          pageInfo { hasNextPage endCursor }
+          nodes {
+            id
+            isResolved
+            isOutdated
+            isCollapsed
+            resolvedBy { login }
+            comments(first: 1) {
+              nodes { databaseId }
             }
           }
         }
       }
     }
-  `;
+  }
+`;
 
+/**
+ * Fetch every review thread on a PR. Each thread is keyed to the REST
+ * review comment that started it via `comments.nodes[0].databaseId`.
+ */
+async function fetchReviewThreads(owner, repo, prNumber, token, proxyFetch) {
+  const threads = [];
   let cursor = null;
-  let thread = null;
 
-  while (!thread) {
-    const response = await proxyFetch(GRAPHQL_URL, {
+  while (true) {
+    const data = await graphqlRequest(
+      REVIEW_THREADS_QUERY,
+      { owner, repo, pr: prNumber, cursor },
+      token,
+      proxyFetch
+    );
+
+    const reviewThreads = data?.repository?.pullRequest?.reviewThreads;
+    if (!reviewThreads) break;
+
+    threads.push(...reviewThreads.nodes);
+
+    if (!reviewThreads.pageInfo.hasNextPage) break;
+    cursor = reviewThreads.pageInfo.endCursor;
+  }
+
+  return threads;
+}
+
+function findThreadForComment(threads, commentId) {
+  const targetId = Number(commentId);
+  return (
+    threads.find((t) =>
+      t.comments.nodes.some((c) => c.databaseId === targetId)
+    ) || null
+  );
+}
+
+// ---------------------------------------------------------------------------
+// Full feedback fetch (GraphQL)
+// ---------------------------------------------------------------------------
+
+const REVIEW_COMMENT_FIELDS = `
+  databaseId
+  author { login __typename }
+  body
+  path
+  line
+  originalLine
+  startLine
+  originalStartLine
+  diffHunk
+  commit { oid }
+  originalCommit { oid }
+  createdAt
+  updatedAt
+  url
+`;
+
+const AUTHORED_FIELDS = `
+  databaseId
+  author { login __typename }
+  body
+  createdAt
+  updatedAt
+  url
+`;
+
+// Each connection is paginated independently; @include drops the ones
+// that are already exhausted from follow-up pages.
+const PR_FEEDBACK_QUERY = `
+  query(
+    $owner: String!
+    $repo: String!
+    $pr: Int!
+    $threadsCursor: String
+    $commentsCursor: String
+    $reviewsCursor: String
+    $withThreads: Boolean!
+    $withComments: Boolean!
+    $withReviews: Boolean!
+  ) {
+    repository(owner: $owner, name: $repo) {
+      pullRequest(number: $pr) {
+        reviewThreads(first: 50, after: $threadsCursor)
+          @include(if: $withThreads) {
+          pageInfo { hasNextPage endCursor }
+          nodes {
+            id
+            isResolved
+            isOutdated
+            isCollapsed
+            resolvedBy { login }
+            diffSide
+            startDiffSide
+            subjectType
+            comments(first: 50) {
+              pageInfo { hasNextPage endCursor }
+              nodes { ${REVIEW_COMMENT_FIELDS} }
+            }
+          }
+        }
+        comments(first: 100, after: $commentsCursor)
+          @include(if: $withComments) {
+          pageInfo { hasNextPage endCursor }
+          nodes { ${AUTHORED_FIELDS} }
+        }
+        reviews(first: 100, after: $reviewsCursor)
+          @include(if: $withReviews) {
+          pageInfo { hasNextPage endCursor }
+          nodes { ${AUTHORED_FIELDS} state submittedAt }
+        }
+      }
+    }
+  }
+`;
+
+// Remaining comments of a thread with more than one page of them
+const THREAD_COMMENTS_QUERY = `
+  query($id: ID!, $cursor: String) {
+    node(id: $id) {
+      ... on PullRequestReviewThread {
+        comments(first: 100, after: $cursor) {
+          pageInfo { hasNextPage endCursor }
+          nodes { ${REVIEW_COMMENT_FIELDS} }
+        }
+      }
+    }
+  }
+`;
+
+// GraphQL reports bot accounts without the "[bot]" suffix REST uses
+function toRestUser(author) {
+  if (!author) return null;
+  return {
+    login: author.__typename === "Bot" ? `${author.login}[bot]` : author.login,
+  };
+}
+
+// Side and subject type live on the thread in GraphQL, on each comment in REST
+function toRestReviewComment(node, rootId, thread = {}) {
+  return {
+    id: node.databaseId,
+    user: toRestUser(node.author),
+    body: node.body,
+    path: node.path,
+    line: node.line,
+    original_line: node.originalLine,
+    start_line: node.startLine,
+    original_start_line: node.originalStartLine,
+    side: thread.diffSide ?? null,
+    start_side: thread.startDiffSide ?? null,
+    subject_type: thread.subjectType?.toLowerCase() ?? null,
+    diff_hunk: node.diffHunk,
+    commit_id: node.commit?.oid ?? null,
+    original_commit_id: node.originalCommit?.oid ?? null,
+    created_at: node.createdAt,
+    updated_at: node.updatedAt,
+    html_url: node.url,
+    in_reply_to_id: node.databaseId === rootId ? null : rootId,
+  };
+}
+
+async function fetchRemainingThreadComments(thread, token, proxyFetch) {
+  const nodes = [...thread.comments.nodes];
+  let pageInfo = thread.comments.pageInfo;
+
+  while (pageInfo.hasNextPage) {
+    const data = await graphqlRequest(
+      THREAD_COMMENTS_QUERY,
+      { id: thread.id, cursor: pageInfo.endCursor },
+      token,
+      proxyFetch
+    );
+    const comments = data?.node?.comments;
+    if (!comments) break;
+    nodes.push(...comments.nodes);
+    pageInfo = comments.pageInfo;
+  }
+
+  return nodes;
+}
+
+/**
+ * GraphQL alternative to the REST sweeps in fetchPRComments: review threads
+ * with their comments, issue comments, and reviews come from one paginated
+ * query. Returns the same { reviewComments, issueComments, reviews,
+ * reviewThreads } shape, with REST field names, so processComments and
+ * everything downstream work unchanged.
+ */
+async function fetchPRCommentsGraphQL(owner, repo, prNumber, token, proxyFetch) {
+  const threads = [];
+  const issueNodes = [];
+  const reviewNodes = [];
+  const cursors = { threads: null, comments: null, reviews: null };
+  const pending = { threads: true, comments: true, reviews: true };
+
+  while (pending.threads || pending.comments || pending.reviews) {
+    const data = await graphqlRequest(
+      PR_FEEDBACK_QUERY,
+      {
+        owner,
+        repo,
+        pr: prNumber,
+        threadsCursor: cursors.threads,
+        commentsCursor: cursors.comments,
+        reviewsCursor: cursors.reviews,
+        withThreads: pending.threads,
+        withComments: pending.comments,
+        withReviews: pending.reviews,
+      },
+      token,
+      proxyFetch
+    );
+
+    const pr = data?.repository?.pullRequest;
+    if (!pr) {
+      throw new Error(`PR #${prNumber} not found in ${owner}/${repo}`);
+    }
+
+    const connections = [
+      ["threads", pr.reviewThreads, threads],
+      ["comments", pr.comments, issueNodes],
+      ["reviews", pr.reviews, reviewNodes],
+    ];
+    for (const [key, connection, target] of connections) {
+      if (!pending[key]) continue;
+      target.push(...connection.nodes);
+      pending[key] = connection.pageInfo.hasNextPage;
+      cursors[key] = connection.pageInfo.endCursor;
+    }
+  }
+
+  const reviewComments = [];
+  const reviewThreads = [];
+  for (const thread of threads) {
+    const nodes = await fetchRemainingThreadComments(thread, token, proxyFetch);
+    const rootId = nodes[0]?.databaseId;
+    reviewComments.push(...nodes.map((n) => toRestReviewComment(n, rootId, thread)));
+    reviewThreads.push({
+      id: thread.id,
+      isResolved: thread.isResolved,
+      isOutdated: thread.isOutdated,
+      isCollapsed: thread.isCollapsed,
+      resolvedBy: thread.resolvedBy,
+      comments: { nodes: nodes.map((n) => ({ databaseId: n.databaseId })) },
+    });
+  }
+
+  const issueComments = issueNodes.map((node) => ({
+    id: node.databaseId,
+    user: toRestUser(node.author),
+    body: node.body,
+    created_at: node.createdAt,
+    updated_at: node.updatedAt,
+    html_url: node.url,
+  }));
+
+  const reviews = reviewNodes.map((node) => ({
+    id: node.databaseId,
+    user: toRestUser(node.author),
+    body: node.body,
+    state: node.state,
+    submitted_at: node.submittedAt,
+    html_url: node.url,
+  }));
+
+  return { reviewComments, issueComments, reviews, reviewThreads };
+}
+
+// ---------------------------------------------------------------------------
+// Thread resolution (GraphQL)
+// ---------------------------------------------------------------------------
+
+const SET_THREAD_RESOLVED_MUTATIONS = {
+  resolve: `
+    mutation($threadId: ID!) {
+      resolveReviewThread(input: { threadId: $threadId }) {
+        thread { id isResolved }
+      }
+    }
+  `,
+  unresolve: `
+    mutation($threadId: ID!) {
+      unresolveReviewThread(input: { threadId: $threadId }) {
+        thread { id isResolved }
+      }
+    }
+  `,
+};
+
+async function setThreadResolved(thread, resolved, token, proxyFetch) {
+  const action = resolved ? "resolve" : "unresolve";
+
+  // Setting a thread to the state it's already in is a no-op, so this is
+  // safe to retry
+  const response = await fetchWithRetry(
+    proxyFetch,
+    getGraphQLUrl(),
+    {
       method: "POST",
       headers: {
         Authorization: `Bearer ${token}`,
@@ -469,33 +1179,43 @@ async function resolveThread(owner, repo, prNumber, commentId, token, proxyFetch
         "User-Agent": USER_AGENT,
       },
       body: JSON.stringify({
-        query,
-        variables: { owner, repo, pr: prNumber, cursor },
+        query: SET_THREAD_RESOLVED_MUTATIONS[action],
+        variables: { threadId: thread.id },
       }),
-    });
-
-    if (!response.ok) {
-      throw new Error(`GraphQL query failed: ${response.status}`);
-    }
+    },
+    { idempotent: true }
+  );
 
-    const data = await response.json();
-    if (data.errors) {
-      throw new Error(`GraphQL error: ${data.errors[0].message}`);
-    }
+  if (!response.ok) {
+    throw new Error(`Failed to ${action} thread: ${response.status}`);
+  }
 
-    const reviewThreads = data.data?.repository?.pullRequest?.reviewThreads;
-    if (!reviewThreads) break;
+  const data = await response.json();
+  if (data.errors) {
+    throw new Error(`GraphQL error: ${data.errors[0].message}`);
+  }
 
-    thread = reviewThreads.nodes.find((t) =>
-      t.comments.nodes.some((c) => c.databaseId === targetId)
-    );
+  thread.isResolved = resolved;
+}
 
-    if (!thread && reviewThreads.pageInfo.hasNextPage) {
-      cursor = reviewThreads.pageInfo.endCursor;
-    } else {
-      break;
-    }
-  }
+/**
+ * Resolve the review thread containing a comment. Pass `threads` (from
+ * fetchReviewThreads) to reuse one thread index across many calls; the
+ * cached entry is marked resolved so later lookups see the new state.
+ */
+async function resolveThread(
+  owner,
+  repo,
+  prNumber,
+  commentId,
+  token,
+  proxyFetch,
+  threads = null
+) {
+  const threadList =
+    threads ||
+    (await fetchReviewThreads(owner, repo, prNumber, token, proxyFetch));
+  const thread = findThreadForComment(threadList, commentId);
 
   if (!thread) {
     return { skipped: true, reason: "not a review comment thread" };
@@ -505,48 +1225,62 @@ async function resolveThread(owner, repo, prNumber, commentId, token, proxyFetch
     return { alreadyResolved: true, threadId: thread.id };
   }
 
-  // Resolve the thread
-  const mutation = `
-    mutation($threadId: ID!) {
-      resolveReviewThread(input: { threadId: $threadId }) {
-        thread { id isResolved }
-      }
-    }
-  `;
-
-  const resolveResponse = await proxyFetch(GRAPHQL_URL, {
-    method: "POST",
-    headers: {
-      Authorization: `Bearer ${token}`,
-      "Content-Type": "application/json",
-      "User-Agent": USER_AGENT,
-    },
-    body: JSON.stringify({
-      query: mutation,
-      variables: { threadId: thread.id },
-    }),
-  });
+  await setThreadResolved(thread, true, token, proxyFetch);
+  return { resolved: true, threadId: thread.id };
+}
+
+/**
+ * Reopen the review thread containing a comment. Mirrors resolveThread.
+ */
+async function unresolveThread(
+  owner,
+  repo,
+  prNumber,
+  commentId,
+  token,
+  proxyFetch,
+  threads = null
+) {
+  const threadList =
+    threads ||
+    (await fetchReviewThreads(owner, repo, prNumber, token, proxyFetch));
+  const thread = findThreadForComment(threadList, commentId);
 
-  if (!resolveResponse.ok) {
-    throw new Error(`Failed to resolve thread: ${resolveResponse.status}`);
+  if (!thread) {
+    return { skipped: true, reason: "not a review comment thread" };
   }
 
-  const resolveData = await resolveResponse.json();
-  if (resolveData.errors) {
-    throw new Error(`GraphQL error: ${resolveData.errors[0].message}`);
+  if (!thread.isResolved) {
+    return { alreadyUnresolved: true, threadId: thread.id };
   }
 
-  return { resolved: true, threadId: thread.id };
+  await setThreadResolved(thread, false, token, proxyFetch);
+  return { unresolved: true, threadId: thread.id };
 }
 
 module.exports = {
+  setApiBase,
+  getApiBase,
+  getGraphQLUrl,
+  fetchTokenInfo,
+  fetchViewerAccess,
   findPRForBranch,
+  findPRsForBranch,
+  findPRsForCommit,
+  fetchRepo,
+  fetchPR,
+  fetchViewerLogin,
   fetchAllPages,
+  clearETagCache,
   fetchPRComments,
+  fetchPRCommentsGraphQL,
+  fetchReviewThreads,
   processComments,
   filterComments,
   replyToComment,
+  fallbackReplyBody,
   resolveThread,
+  unresolveThread,
   isBot,
   isMetaComment,
   cleanBody,
@@ -0,0 +1,274 @@
+/**
+ * Project configuration (.agent-reviews.json)
+ *
+ * Loads an optional config file from the repository root that extends the
+ * built-in meta-comment filters, bot logins, and body cleanup patterns, and
+ * sets default values for CLI flags and the review provider.
+ *
+ * Example:
+ *   {
+ *     "bots": ["acme-reviewer"],
+ *     "metaFilters": [
+ *       { "user": "acme-deployer", "startsWith": "Deployed to staging" }
+ *     ],
+ *     "cleanupPatterns": ["<sub>Powered by Acme</sub>"],
+ *     "defaults": { "botsOnly": true, "watchInterval": 15 },
+ *     "provider": "forgejo"
+ *   }
+ */
+
+const { existsSync, readFileSync } = require("node:fs");
+const path = require("node:path");
+
+const { getRepoRoot } = require("./github");
+const { DEFAULT_META_FILTERS } = require("./comments");
+const { PROVIDER_NAMES, normalizeProviderName } = require("./providers");
+
+const CONFIG_FILENAME = ".agent-reviews.json";
+
+const TOP_LEVEL_KEYS = new Set([
+  "bots",
+  "metaFilters",
+  "cleanupPatterns",
+  "defaults",
+  "provider",
+]);
+
+const META_FILTER_KEYS = new Set(["user", "startsWith", "includes", "matches"]);
+
+// CLI options that can be given a project-wide default, with their types.
+// Keys match the fields returned by parseArgs in bin/agent-reviews.js.
+const DEFAULT_OPTION_TYPES = {
+  filter: ["unresolved", "unanswered"],
+  botsOnly: "boolean",
+  humansOnly: "boolean",
+  expanded: "boolean",
+  json: "boolean",
+  watchInterval: "number",
+  // 0 means "never time out"
+  watchTimeout: "count",
+  graphql: "boolean",
+  outdated: ["only", "hide"],
+};
+
+// ---------------------------------------------------------------------------
+// Validation
+// ---------------------------------------------------------------------------
+
+function isStringList(value) {
+  return (
+    typeof value === "string" ||
+    (Array.isArray(value) &&
+      value.length > 0 &&
+      value.every((v) => typeof v === "string"))
+  );
+}
+
+function checkRegex(source, where, errors) {
+  try {
+    new RegExp(source);
+  } catch (error) {
+    errors.push(`${where}: invalid regular expression (${error.message})`);
+  }
+}
+
+function validateMetaFilter(rule, where, errors) {
+  if (!rule || typeof rule !== "object" || Array.isArray(rule)) {
+    errors.push(`${where}: must be an object`);
+    return;
+  }
+
+  const keys = Object.keys(rule);
+  for (const key of keys) {
+    if (!META_FILTER_KEYS.has(key)) {
+      errors.push(
+        `${where}: unknown key "${key}" (expected user, startsWith, includes or matches)`
+      );
+    }
+  }
+  if (!keys.some((key) => META_FILTER_KEYS.has(key))) {
+    errors.push(`${where}: needs at least one of user, startsWith, includes or matches`);
+  }
+
+  if (rule.user !== undefined && !isStringList(rule.user)) {
+    errors.push(`${where}.user: must be a string or a list of strings`);
+  }
+  for (const key of ["startsWith", "includes", "matches"]) {
+    if (rule[key] !== undefined && typeof rule[key] !== "string") {
+      errors.push(`${where}.${key}: must be a string`);
+    }
+  }
+  if (typeof rule.matches === "string") {
+    checkRegex(rule.matches, `${where}.matches`, errors);
+  }
+}
+
+function validateDefaults(defaults, errors) {
+  if (!defaults || typeof defaults !== "object" || Array.isArray(defaults)) {
+    errors.push("defaults: must be an object");
+    return;
+  }
+
+  for (const [key, value] of Object.entries(defaults)) {
+    const type = DEFAULT_OPTION_TYPES[key];
+    if (!type) {
+      errors.push(
+        `defaults.${key}: unknown option (expected one of ${Object.keys(DEFAULT_OPTION_TYPES).join(", ")})`
+      );
+    } else if (Array.isArray(type)) {
+      if (!type.includes(value)) {
+        errors.push(`defaults.${key}: must be one of ${type.join(", ")}`);
+      }
+    } else if (type === "number") {
+      if (!Number.isInteger(value) || value <= 0) {
+        errors.push(`defaults.${key}: must be a positive integer`);
+      }
+    } else if (type === "count") {
+      if (!Number.isInteger(value) || value < 0) {
+        errors.push(`defaults.${key}: must be a non-negative integer`);
+      }
+    } else if (typeof value !== type) {
+      errors.push(`defaults.${key}: must be a ${type}`);
+    }
+  }
+
+  if (defaults.botsOnly && defaults.humansOnly) {
+    errors.push("defaults: botsOnly and humansOnly cannot both be true");
+  }
+}
+
+/**
+ * Validate a parsed config object. Returns a list of human-readable
+ * problems (empty when the config is valid).
+ */
+function validateConfig(config) {
+  const errors = [];
+
+  if (!config || typeof config !== "object" || Array.isArray(config)) {
+    return ["config must be a JSON object"];
+  }
+
+  for (const key of Object.keys(config)) {
+    if (!TOP_LEVEL_KEYS.has(key)) {
+      errors.push(`unknown key "${key}"`);
+    }
+  }
+
+  if (config.bots !== undefined) {
+    if (
+      !Array.isArray(config.bots) ||
+      !config.bots.every((b) => typeof b === "string" && b.length > 0)
+    ) {
+      errors.push("bots: must be a list of login names");
+    }
+  }
+
+  if (config.metaFilters !== undefined) {
+    if (Array.isArray(config.metaFilters)) {
+      config.metaFilters.forEach((rule, i) =>
+        validateMetaFilter(rule, `metaFilters[${i}]`, errors)
+      );
+    } else {
+      errors.push("metaFilters: must be a list of filter rules");
+    }
+  }
+
+  if (config.cleanupPatterns !== undefined) {
+    if (Array.isArray(config.cleanupPatterns)) {
+      config.cleanupPatterns.forEach((pattern, i) => {
+        if (typeof pattern === "string") {
+          checkRegex(pattern, `cleanupPatterns[${i}]`, errors);
+        } else {
+          errors.push(`cleanupPatterns[${i}]: must be a string`);
+        }
+      });
+    } else {
+      errors.push("cleanupPatterns: must be a list of regular expressions");
+    }
+  }
+
+  if (config.defaults !== undefined) {
+    validateDefaults(config.defaults, errors);
+  }
+
+  if (
+    config.provider !== undefined &&
+    (typeof config.provider !== "string" ||
+      !normalizeProviderName(config.provider))
+  ) {
+    errors.push(`provider: must be one of ${PROVIDER_NAMES.join(", ")}`);
+  }
+
+  return errors;
+}
+
+// ---------------------------------------------------------------------------
+// Loading
+// ---------------------------------------------------------------------------
+
+/**
+ * Load .agent-reviews.json from the given directory (defaults to the repo
+ * root). Returns an empty config when no file exists; throws with every
+ * validation problem listed when the file is malformed.
+ */
+function loadConfig(root = getRepoRoot()) {
+  if (!root) return {};
+
+  const configPath = path.join(root, CONFIG_FILENAME);
+  if (!existsSync(configPath)) return {};
+
+  let config;
+  try {
+    config = JSON.parse(readFileSync(configPath, "utf8"));
+  } catch (error) {
+    throw new Error(`Invalid ${CONFIG_FILENAME}: ${error.message}`);
+  }
+
+  const errors = validateConfig(config);
+  if (errors.length > 0) {
+    throw new Error(
+      `Invalid ${CONFIG_FILENAME}:\n${errors.map((e) => `  - ${e}`).join("\n")}`
+    );
+  }
+
+  return config;
+}
+
+// ---------------------------------------------------------------------------
+// Conversion to processComments options
+// ---------------------------------------------------------------------------
+
+function compileMetaFilter(rule) {
+  const users = rule.user === undefined ? null : [].concat(rule.user);
+  const matcher = rule.matches ? new RegExp(rule.matches) : null;
+
+  return (user, body) =>
+    (!users || users.includes(user)) &&
+    (rule.startsWith === undefined || body.startsWith(rule.startsWith)) &&
+    (rule.includes === undefined || body.includes(rule.includes)) &&
+    (!matcher || matcher.test(body));
+}
+
+/**
+ * Build the options object processComments expects from a loaded config.
+ * Config rules extend the built-in defaults rather than replacing them.
+ */
+function getProcessOptions(config = {}) {
+  return {
+    metaFilters: [
+      ...DEFAULT_META_FILTERS,
+      ...(config.metaFilters || []).map(compileMetaFilter),
+    ],
+    botLogins: config.bots || [],
+    cleanupPatterns: (config.cleanupPatterns || []).map(
+      (pattern) => new RegExp(pattern, "g")
+    ),
+  };
+}
+
+module.exports = {
+  CONFIG_FILENAME,
+  loadConfig,
+  validateConfig,
+  getProcessOptions,
+};
@@ -0,0 +1,130 @@
+/**
+ * Find the open PR for the current checkout
+ *
+ * Tries, in order: the branch as pushed (its tracking remote decides the
+ * head owner, so PRs from forks are found), the same lookup against the
+ * parent repository when the base repo is itself a fork, and finally PRs
+ * that contain the HEAD commit. Several matches are an error listing them,
+ * since guessing would read or reply on the wrong PR.
+ */
+
+const {
+  findPRsForBranch,
+  findPRsForCommit,
+  fetchRepo,
+} = require("./providers");
+
+function formatCandidate(pr) {
+  const head = pr.head?.label || pr.head?.ref || "?";
+  const base = pr.base?.repo?.full_name || pr.base?.ref || "?";
+  return `  #${pr.number}  ${pr.title || ""}  (${head} → ${base})\n    ${pr.html_url}`;
+}
+
+/**
+ * Error for an ambiguous match. `candidates` keeps the PRs for callers that
+ * want to present their own picker.
+ */
+function ambiguousPRError(branch, prs) {
+  const error = new Error(
+    [
+      `${prs.length} open PRs match branch '${branch}':`,
+      ...prs.map(formatCandidate),
+      "Pick one with --pr <number>.",
+    ].join("\n")
+  );
+  error.candidates = prs;
+  return error;
+}
+
+function uniqueRepos(repos) {
+  const seen = new Set();
+  return repos.filter((r) => {
+    const key = `${r.owner}/${r.repo}`.toLowerCase();
+    if (seen.has(key)) return false;
+    seen.add(key);
+    return true;
+  });
+}
+
+// "owner/repo"; GitLab owners can be nested groups ("group/sub/repo")
+function splitFullName(fullName) {
+  const slash = fullName.lastIndexOf("/");
+  return { owner: fullName.slice(0, slash), repo: fullName.slice(slash + 1) };
+}
+
+// PRs returned by the API carry their base repository
+function repoOfPR(pr, fallback) {
+  const fullName = pr.base?.repo?.full_name;
+  if (!fullName) return fallback;
+  return splitFullName(fullName);
+}
+
+/**
+ * Returns { owner, repo, pr } for the single open PR matching the checkout,
+ * null when there is none, or throws when several match.
+ *
+ *   repoInfo  { owner, repo } the PR is expected in (see getRepoInfo)
+ *   branch    Local branch name
+ *   tracking  getTrackingBranch() result, or null
+ *   headSha   HEAD commit, or null
+ */
+async function detectPR({ repoInfo, branch, tracking, headSha }, token, proxyFetch) {
+  const headOwner = tracking?.owner || repoInfo.owner;
+  const headBranch = tracking?.branch || branch;
+
+  const bases = [repoInfo];
+  const matchIn = async (base) => {
+    const prs = await findPRsForBranch(
+      base.owner,
+      base.repo,
+      headBranch,
+      token,
+      proxyFetch,
+      headOwner
+    );
+    return prs.map((pr) => ({ base, pr }));
+  };
+
+  let matches = headBranch ? await matchIn(repoInfo) : [];
+
+  // A clone of a fork with no `upstream` remote: PRs live in the parent
+  if (matches.length === 0) {
+    const meta = await fetchRepo(repoInfo.owner, repoInfo.repo, token, proxyFetch);
+    if (meta?.fork && meta.parent?.full_name) {
+      const parent = splitFullName(meta.parent.full_name);
+      bases.push(parent);
+      if (headBranch) matches = await matchIn(parent);
+    }
+  }
+
+  if (matches.length === 0 && headSha) {
+    for (const base of uniqueRepos(bases)) {
+      const prs = await findPRsForCommit(
+        base.owner,
+        base.repo,
+        headSha,
+        token,
+        proxyFetch
+      );
+      matches.push(...prs.map((pr) => ({ base: repoOfPR(pr, base), pr })));
+    }
+    const seen = new Set();
+    matches = matches.filter(({ pr }) => {
+      if (seen.has(pr.html_url)) return false;
+      seen.add(pr.html_url);
+      return true;
+    });
+  }
+
+  if (matches.length === 0) return null;
+  if (matches.length > 1) {
+    throw ambiguousPRError(headBranch || branch, matches.map((m) => m.pr));
+  }
+
+  const [{ base, pr }] = matches;
+  return { owner: base.owner, repo: base.repo, pr };
+}
+
+module.exports = {
+  detectPR,
+};
@@ -32,6 +32,63 @@ function getReplyStatus(comment) {
   return `${colors.yellow}⚡ bot replied${colors.reset}`;
 }
 
+function getThreadStatus(comment) {
+  const parts = [];
+  if (comment.isResolved && comment.type === "review_comment") {
+    parts.push(
+      comment.resolvedBy
+        ? `${colors.green}✔ resolved by ${comment.resolvedBy}${colors.reset}`
+        : `${colors.green}✔ resolved${colors.reset}`
+    );
+  }
+  if (comment.isOutdated) {
+    parts.push(`${colors.yellow}⚠ outdated${colors.reset}`);
+  }
+  return parts.join(" ");
+}
+
+const SIDE_PREFIXES = { LEFT: "L", RIGHT: "R" };
+
+/**
+ * "path", "path:12" or "path:10-24" for a comment. A range that starts on
+ * one side of the diff and ends on the other is written "L10-R24".
+ */
+function formatPathRange(comment) {
+  if (!comment.line || comment.subjectType === "file") return comment.path;
+
+  const start = comment.startLine;
+  if (!start || start === comment.line) return `${comment.path}:${comment.line}`;
+
+  if (comment.startSide && comment.side && comment.startSide !== comment.side) {
+    return `${comment.path}:${SIDE_PREFIXES[comment.startSide] || ""}${start}-${SIDE_PREFIXES[comment.side] || ""}${comment.line}`;
+  }
+  return `${comment.path}:${start}-${comment.line}`;
+}
+
+// Qualifiers shown after the location: file-level, deleted code, drift
+function getLocationNotes(comment) {
+  const notes = [];
+  if (comment.subjectType === "file") notes.push("whole file");
+  if (comment.side === "LEFT" && comment.startSide !== "RIGHT") {
+    notes.push("deleted lines");
+  }
+  const lineNote = getCurrentLineNote(comment);
+  if (lineNote) notes.push(lineNote);
+  return notes;
+}
+
+// Where the commented line is now, when that differs from the review
+function getCurrentLineNote(comment) {
+  if (comment.type !== "review_comment" || !comment.line) return "";
+  if (comment.currentLine && comment.currentLine !== comment.line) {
+    return `now line ${comment.currentLine}`;
+  }
+  if (comment.isOutdated && comment.currentLine === null) {
+    return "line changed since review";
+  }
+  return "";
+}
+
 function formatComment(comment) {
   const typeColors = {
     review_comment: colors.cyan,
@@ -49,18 +106,20 @@ function formatComment(comment) {
   const typeLabel = typeLabels[comment.type] || comment.type.toUpperCase();
   const userColor = comment.isBot ? colors.yellow : colors.green;
   const replyStatus = getReplyStatus(comment);
+  const threadStatus = getThreadStatus(comment);
 
   let location = "";
   if (comment.path) {
-    location = `${colors.dim}${comment.path}`;
-    if (comment.line) {
-      location += `:${comment.line}`;
+    location = `${colors.dim}${formatPathRange(comment)}`;
+    const notes = getLocationNotes(comment);
+    if (notes.length > 0) {
+      location += ` (${notes.join(", ")})`;
     }
     location += colors.reset;
   }
 
   const lines = [
-    `${colors.bright}[${comment.id}]${colors.reset} ${typeColor}${typeLabel}${colors.reset} by ${userColor}${comment.user}${colors.reset} ${replyStatus}`,
+    `${colors.bright}[${comment.id}]${colors.reset} ${typeColor}${typeLabel}${colors.reset} by ${userColor}${comment.user}${colors.reset} ${replyStatus}${threadStatus ? ` ${threadStatus}` : ""}`,
   ];
 
   if (location) {
@@ -94,16 +153,48 @@ function formatDetailedComment(comment) {
   const lines = [];
 
   lines.push(`=== Comment [${comment.id}] ===`);
-  lines.push(
-    `Type: ${typeLabel} | By: ${comment.user} | Status: ${replyStatus}`
-  );
+  let statusLine = `Type: ${typeLabel} | By: ${comment.user} | Status: ${replyStatus}`;
+  if (comment.type === "review_comment") {
+    if (comment.isResolved) {
+      statusLine += comment.resolvedBy
+        ? ` | Thread: resolved by ${comment.resolvedBy}`
+        : " | Thread: resolved";
+    } else {
+      statusLine += " | Thread: open";
+    }
+    if (comment.isOutdated) statusLine += " (outdated)";
+  }
+  lines.push(statusLine);
 
   if (comment.path) {
-    let location = `File: ${comment.path}`;
-    if (comment.line) location += `:${comment.line}`;
+    let location = `File: ${formatPathRange(comment)}`;
+    const notes = getLocationNotes(comment);
+    if (notes.length > 0) location += ` (${notes.join(", ")})`;
     lines.push(location);
   }
 
+  if (comment.side && comment.subjectType !== "file") {
+    const sideLabel = (side) =>
+      side === "LEFT" ? "LEFT (base)" : `${side} (head)`;
+    lines.push(
+      comment.startSide && comment.startSide !== comment.side
+        ? `Side: ${sideLabel(comment.startSide)} to ${sideLabel(comment.side)}`
+        : `Side: ${sideLabel(comment.side)}`
+    );
+  }
+
+  if (comment.commitId || comment.originalCommitId) {
+    let commits = `Commit: ${(comment.commitId || comment.originalCommitId).slice(0, 7)}`;
+    if (
+      comment.originalCommitId &&
+      comment.commitId &&
+      comment.originalCommitId !== comment.commitId
+    ) {
+      commits += ` (originally ${comment.originalCommitId.slice(0, 7)})`;
+    }
+    lines.push(commits);
+  }
+
   lines.push(`URL: ${comment.url}`);
 
   if (comment.diffHunk) {
@@ -159,10 +250,105 @@ function formatOutput(comments, options) {
   return `${header}\n${formatted}`;
 }
 
+const RESOLVE_LABELS = {
+  resolved: `${colors.green}✓ resolved${colors.reset}`,
+  already_resolved: `${colors.dim}already resolved${colors.reset}`,
+  skipped: `${colors.dim}resolve skipped (not a review thread)${colors.reset}`,
+  failed: `${colors.red}✗ resolve failed${colors.reset}`,
+};
+
+function formatPlanResults(results) {
+  const replyLabels = {
+    posted: `${colors.green}✓ reply posted${colors.reset}`,
+    already_posted: `${colors.dim}reply already posted${colors.reset}`,
+    failed: `${colors.red}✗ reply failed${colors.reset}`,
+  };
+
+  const lines = results.map((r) => {
+    let line = `${colors.bright}[${r.id}]${colors.reset} ${replyLabels[r.reply]}`;
+    if (r.resolve) line += `, ${RESOLVE_LABELS[r.resolve]}`;
+    if (r.error) line += `\n  ${colors.red}${r.error}${colors.reset}`;
+    return line;
+  });
+
+  const failed = results.filter((r) => !r.ok).length;
+  const summary =
+    failed > 0
+      ? `${colors.red}${failed} of ${results.length} plan item${results.length === 1 ? "" : "s"} failed${colors.reset}`
+      : `${colors.green}All ${results.length} plan item${results.length === 1 ? "" : "s"} applied${colors.reset}`;
+
+  return `${lines.join("\n")}\n\n${summary}`;
+}
+
+function formatResolveResults(results) {
+  const lines = results.map((r) => {
+    let line = `${colors.bright}[${r.id}]${colors.reset} ${RESOLVE_LABELS[r.resolve]}`;
+    if (r.error) line += `\n  ${colors.red}${r.error}${colors.reset}`;
+    return line;
+  });
+
+  const failed = results.filter((r) => !r.ok).length;
+  const summary =
+    failed > 0
+      ? `${colors.red}${failed} of ${results.length} thread${results.length === 1 ? "" : "s"} failed to resolve${colors.reset}`
+      : `${colors.green}${results.length} thread${results.length === 1 ? "" : "s"} processed${colors.reset}`;
+
+  return `${lines.join("\n")}\n\n${summary}`;
+}
+
+function formatSuggestionResults(results) {
+  if (results.length === 0) {
+    return `${colors.green}No suggestions found.${colors.reset}`;
+  }
+
+  const blocks = results.map((r) => {
+    if (r.status === "failed") {
+      return `${colors.red}✗ [${r.id}] ${r.path || "(no file)"}: ${r.error}${colors.reset}`;
+    }
+    const label =
+      r.status === "applied"
+        ? `${colors.green}✓ Applied suggestion from [${r.id}] to ${r.path}${colors.reset}`
+        : `${colors.cyan}Would apply suggestion from [${r.id}] to ${r.path}${colors.reset}`;
+    return `${label}\n${r.diff}`;
+  });
+
+  return blocks.join("\n\n");
+}
+
+const DOCTOR_MARKS = {
+  ok: `${colors.green}✓${colors.reset}`,
+  warn: `${colors.yellow}!${colors.reset}`,
+  fail: `${colors.red}✗${colors.reset}`,
+};
+
+function formatDoctorReport(report) {
+  const width = Math.max(...report.checks.map((c) => c.name.length));
+  const lines = report.checks.map(
+    (c) => `${DOCTOR_MARKS[c.status]} ${c.name.padEnd(width)}  ${c.message}`
+  );
+
+  const failed = report.checks.filter((c) => c.status === "fail").length;
+  const warned = report.checks.filter((c) => c.status === "warn").length;
+  let summary;
+  if (failed > 0) {
+    summary = `${colors.red}${failed} check${failed === 1 ? "" : "s"} failed${colors.reset}`;
+  } else if (warned > 0) {
+    summary = `${colors.yellow}All required checks passed, ${warned} warning${warned === 1 ? "" : "s"}${colors.reset}`;
+  } else {
+    summary = `${colors.green}All checks passed${colors.reset}`;
+  }
+
+  return `${lines.join("\n")}\n\n${summary}`;
+}
+
 module.exports = {
   colors,
   truncate,
   formatComment,
   formatDetailedComment,
   formatOutput,
+  formatPlanResults,
+  formatResolveResults,
+  formatSuggestionResults,
+  formatDoctorReport,
 };
@@ -6,9 +6,16 @@
  */
 
 const { execSync, execFileSync } = require("node:child_process");
-const { existsSync, readFileSync, mkdtempSync, rmSync } = require("node:fs");
+const {
+  existsSync,
+  readFileSync,
+  writeFileSync,
+  mkdtempSync,
+  rmSync,
+} = require("node:fs");
 const os = require("node:os");
 const path = require("node:path");
+const { createTunnelFetch, getNoProxy, shouldBypassProxy } = require("./proxy");
 
 // ---------------------------------------------------------------------------
 // Proxy-aware fetch (for cloud/corporate environments)
@@ -69,14 +76,19 @@ function createCurlFetch() {
       "%{http_code}",
     ];
 
+    // Headers (including the token) go through a file and the body through
+    // stdin, so neither shows up in the process list
     if (options.headers) {
-      for (const [key, value] of Object.entries(options.headers)) {
-        args.push("--header", `${key}: ${value}`);
-      }
+      const requestHeadersFile = path.join(tempDir, "request-headers.txt");
+      const lines = Object.entries(options.headers).map(
+        ([key, value]) => `${key}: ${value}\n`
+      );
+      writeFileSync(requestHeadersFile, lines.join(""), { mode: 0o600 });
+      args.push("--header", `@${requestHeadersFile}`);
     }
 
     if (options.body) {
-      args.push("--data", options.body);
+      args.push("--data-binary", "@-");
     }
 
     args.push(String(url));
@@ -84,11 +96,13 @@ function createCurlFetch() {
     try {
       const statusCodeRaw = execFileSync("curl", args, {
         encoding: "utf8",
+        input: options.body || "",
         stdio: ["pipe", "pipe", "pipe"],
         timeout: 65000,
       }).trim();
       const status = Number.parseInt(statusCodeRaw, 10);
-      const body = readFileSync(bodyFile, "utf8");
+      // curl doesn't create the output file for bodiless responses (304)
+      const body = existsSync(bodyFile) ? readFileSync(bodyFile, "utf8") : "";
       const headersRaw = readFileSync(headersFile, "utf8");
       const lastHeaderBlock = parseLastHeaderBlock(headersRaw);
 
@@ -109,19 +123,57 @@ function createCurlFetch() {
   };
 }
 
-function getProxyFetch() {
+/**
+ * Pick a fetch implementation: native fetch without a proxy; behind
+ * HTTPS_PROXY, undici's ProxyAgent when it is installed, else the built-in
+ * CONNECT tunnel, else curl (for proxy schemes the tunnel doesn't speak,
+ * such as socks5://). Hosts matching NO_PROXY always use native fetch.
+ * Returns { fetch, implementation: "native" | "undici" | "tunnel" | "curl",
+ * proxyUrl, noProxy }.
+ */
+function selectFetch() {
   const proxyUrl = process.env.HTTPS_PROXY || process.env.https_proxy;
-  if (proxyUrl) {
-    try {
-      const { ProxyAgent, fetch: undiciFetch } = require("undici");
-      const agent = new ProxyAgent(proxyUrl);
-      return (url, options = {}) =>
-        undiciFetch(url, { ...options, dispatcher: agent });
-    } catch {
-      return createCurlFetch();
+  if (!proxyUrl) {
+    return {
+      fetch: globalThis.fetch,
+      implementation: "native",
+      proxyUrl: null,
+      noProxy: null,
+    };
+  }
+
+  let proxied;
+  let implementation;
+  try {
+    const { ProxyAgent, fetch: undiciFetch } = require("undici");
+    const agent = new ProxyAgent(proxyUrl);
+    proxied = (url, options = {}) =>
+      undiciFetch(url, { ...options, dispatcher: agent });
+    implementation = "undici";
+  } catch {
+    if (/^https?:\/\//i.test(proxyUrl)) {
+      proxied = createTunnelFetch(proxyUrl);
+      implementation = "tunnel";
+    } else {
+      proxied = createCurlFetch();
+      implementation = "curl";
     }
   }
-  return globalThis.fetch;
+
+  const noProxy = getNoProxy() || null;
+  return {
+    fetch: (url, options) =>
+      shouldBypassProxy(url, noProxy)
+        ? globalThis.fetch(url, options)
+        : proxied(url, options),
+    implementation,
+    proxyUrl,
+    noProxy,
+  };
+}
+
+function getProxyFetch() {
+  return selectFetch().fetch;
 }
 
 // ---------------------------------------------------------------------------
@@ -133,15 +185,18 @@ function getProxyFetch() {
  * 1. GITHUB_TOKEN env var
  * 2. GH_TOKEN env var
  * 3. .env.local files in the repo root
- * 4. `gh auth token` CLI
+ * 4. `gh auth token` CLI (for `host` when it isn't github.com)
+ *
+ * Returns { token, source } with source "GITHUB_TOKEN", "GH_TOKEN",
+ * ".env.local" or "gh", or null when none is available.
  */
-function getGitHubToken() {
+function resolveGitHubToken(host) {
   if (process.env.GITHUB_TOKEN) {
-    return process.env.GITHUB_TOKEN;
+    return { token: process.env.GITHUB_TOKEN, source: "GITHUB_TOKEN" };
   }
 
   if (process.env.GH_TOKEN) {
-    return process.env.GH_TOKEN;
+    return { token: process.env.GH_TOKEN, source: "GH_TOKEN" };
   }
 
   const root = getRepoRoot();
@@ -151,18 +206,20 @@ function getGitHubToken() {
       const content = readFileSync(envFile, "utf8");
       const match = content.match(/^GITHUB_TOKEN=["']?([^"'\n]+)["']?/m);
       if (match) {
-        return match[1];
+        return { token: match[1], source: ".env.local" };
       }
     }
   }
 
   try {
-    const token = execSync("gh auth token", {
+    const args = ["auth", "token"];
+    if (apiBaseForHost(host)) args.push("--hostname", host);
+    const token = execFileSync("gh", args, {
       encoding: "utf8",
       stdio: ["pipe", "pipe", "pipe"],
     }).trim();
     if (token) {
-      return token;
+      return { token, source: "gh" };
     }
   } catch {
     // gh CLI not available or not authenticated
@@ -171,6 +228,10 @@ function getGitHubToken() {
   return null;
 }
 
+function getGitHubToken(host) {
+  return resolveGitHubToken(host)?.token || null;
+}
+
 // ---------------------------------------------------------------------------
 // Repository info
 // ---------------------------------------------------------------------------
@@ -186,42 +247,203 @@ function getRepoRoot() {
   }
 }
 
+function git(args) {
+  return execFileSync("git", args, {
+    encoding: "utf8",
+    stdio: ["pipe", "pipe", "pipe"],
+  }).trim();
+}
+
+/**
+ * Parse a git remote URL into { host, owner, repo }. Accepts scp-style SSH
+ * (git@host:owner/repo), ssh:// and https:// URLs on any host, so GitHub
+ * Enterprise remotes work too, and the local git proxy form
+ * (http://proxy/git/owner/repo), which has no meaningful host. In paths
+ * with more than two segments (GitLab subgroups) the owner is the full
+ * namespace before the repository ("group/sub"), as in parsePRUrl.
+ */
+function parseRemoteUrl(remoteUrl) {
+  const url = remoteUrl.trim();
+
+  const proxyMatch = url.match(/^https?:\/\/[^/]+\/git\/([^/]+)\/([^/]+?)(?:\.git)?\/?$/);
+  if (proxyMatch) {
+    return { host: null, owner: proxyMatch[1], repo: proxyMatch[2] };
+  }
+
+  const scpMatch = url.match(
+    /^(?:[^@/]+@)?([^:/]+):((?:[^/]+\/)*[^/]+)\/([^/]+?)(?:\.git)?\/?$/
+  );
+  if (scpMatch && !url.includes("://")) {
+    return { host: scpMatch[1], owner: scpMatch[2], repo: scpMatch[3] };
+  }
+
+  const urlMatch = url.match(
+    /^(?:https?|ssh|git):\/\/(?:[^@/]+@)?([^:/]+)(?::\d+)?\/((?:[^/]+\/)*[^/]+)\/([^/]+?)(?:\.git)?\/?$/
+  );
+  if (urlMatch) {
+    return { host: urlMatch[1], owner: urlMatch[2], repo: urlMatch[3] };
+  }
+
+  return null;
+}
+
+/**
+ * REST base URL for a remote's host: null for github.com (the default),
+ * api.<host> for GHE.com data-residency tenants, or the GitHub Enterprise
+ * Server API path for any other host.
+ */
+function apiBaseForHost(host) {
+  if (!host || host === "github.com" || host.endsWith(".github.com")) {
+    return null;
+  }
+  if (host.endsWith(".ghe.com")) return `https://api.${host}`;
+  return `https://${host}/api/v3`;
+}
+
+function getRemoteNames() {
+  try {
+    return git(["remote"]).split("\n").filter(Boolean);
+  } catch {
+    return [];
+  }
+}
+
+function getRemoteInfo(name) {
+  try {
+    return parseRemoteUrl(git(["remote", "get-url", name]));
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Parse "OWNER/REPO", "HOST/OWNER/REPO" or a repository URL, as accepted by
+ * GH_REPO and --repo. The first segment is only a host when it looks like
+ * one (has a "." or ":", or is "localhost"); otherwise every segment but
+ * the last is the owner, so GitLab subgroups ("group/sub/repo") work.
+ * Returns { owner, repo } (plus `host` when given), or null.
+ */
+function parseRepoSpec(spec) {
+  const value = String(spec || "").trim();
+  if (/^[a-z]+:\/\//i.test(value)) return parseRemoteUrl(value);
+
+  const segments = value.replace(/\.git$/, "").split("/");
+  if (segments.length < 2 || segments.some((segment) => !segment)) return null;
+
+  const looksLikeHost =
+    segments.length > 2 && (/[.:]/.test(segments[0]) || segments[0] === "localhost");
+  const host = looksLikeHost ? segments.shift() : null;
+  const repo = segments.pop();
+  const owner = segments.join("/");
+  return host ? { host, owner, repo } : { owner, repo };
+}
+
+/**
+ * Parse a PR URL (https://HOST/OWNER/REPO/pull/123, with any trailing
+ * /files, /commits or #fragment) into { host, owner, repo, number }. GitLab
+ * merge request URLs (https://HOST/GROUP/.../REPO/-/merge_requests/12) are
+ * accepted too and add `provider: "gitlab"`; their owner is the full
+ * namespace.
+ */
+function parsePRUrl(value) {
+  const url = String(value || "").trim();
+
+  const mrMatch = url.match(
+    /^https?:\/\/([^/]+)\/(.+)\/([^/]+)\/-\/merge_requests\/(\d+)(?:[/?#].*)?$/
+  );
+  if (mrMatch) {
+    return {
+      host: mrMatch[1].replace(/:\d+$/, ""),
+      owner: mrMatch[2],
+      repo: mrMatch[3],
+      number: Number(mrMatch[4]),
+      provider: "gitlab",
+    };
+  }
+
+  const match = url.match(
+    /^https?:\/\/([^/]+)\/([^/]+)\/([^/]+)\/pulls?\/(\d+)(?:[/?#].*)?$/
+  );
+  if (!match) return null;
+  return {
+    host: match[1].replace(/:\d+$/, ""),
+    owner: match[2],
+    repo: match[3],
+    number: Number(match[4]),
+  };
+}
+
+/**
+ * The repository PRs are opened against. GH_REPO ([HOST/]OWNER/REPO) wins;
+ * otherwise the `upstream` remote (the usual name for the parent of a fork),
+ * then `origin`, then whichever remote exists.
+ */
 function getRepoInfo() {
   const envRepo = process.env.GH_REPO;
   if (envRepo) {
-    const match = envRepo.match(/^([^/]+)\/([^/]+)$/);
-    if (match) {
-      return { owner: match[1], repo: match[2] };
-    }
+    const info = parseRepoSpec(envRepo);
+    if (info) return info;
+  }
+
+  const remotes = getRemoteNames();
+  const ordered = [
+    ...["upstream", "origin"].filter((name) => remotes.includes(name)),
+    ...remotes.filter((name) => name !== "upstream" && name !== "origin"),
+  ];
+  for (const name of ordered) {
+    const info = getRemoteInfo(name);
+    if (info) return info;
   }
+  return null;
+}
 
+/**
+ * Whether some remote of the current checkout points at owner/repo, i.e.
+ * local files and commits belong to that repository.
+ */
+function hasRemoteFor(owner, repo) {
+  const target = `${owner}/${repo}`.toLowerCase();
+  return getRemoteNames().some((name) => {
+    const info = getRemoteInfo(name);
+    return info && `${info.owner}/${info.repo}`.toLowerCase() === target;
+  });
+}
+
+/**
+ * The remote and branch the current branch tracks, as
+ * { remote, branch, owner, repo, host }, or null without an upstream.
+ * `branch` can differ from the local name (`git push -u origin local:remote`).
+ */
+function getTrackingBranch(branch = getCurrentBranch()) {
+  if (!branch) return null;
   try {
-    const remoteUrl = execSync("git remote get-url origin", {
-      encoding: "utf8",
-    }).trim();
+    const remote = git(["config", `branch.${branch}.remote`]);
+    const merge = git(["config", `branch.${branch}.merge`]);
+    const info = getRemoteInfo(remote);
+    if (!info) return null;
+    return {
+      remote,
+      branch: merge.replace(/^refs\/heads\//, ""),
+      ...info,
+    };
+  } catch {
+    return null;
+  }
+}
 
-    const sshMatch = remoteUrl.match(
-      /git@github\.com:([^/]+)\/(.+?)(?:\.git)?$/
-    );
-    const httpsMatch = remoteUrl.match(
-      /github\.com\/([^/]+)\/(.+?)(?:\.git)?$/
-    );
-    const proxyMatch = remoteUrl.match(/\/git\/([^/]+)\/([^/]+)$/);
-
-    const match = sshMatch || httpsMatch || proxyMatch;
-    if (match) {
-      return { owner: match[1], repo: match[2].replace(/\.git$/, "") };
-    }
+function getHeadSha() {
+  try {
+    return git(["rev-parse", "HEAD"]);
   } catch {
-    // Ignore errors
+    return null;
   }
-  return null;
 }
 
 function getCurrentBranch() {
   try {
     return execSync("git rev-parse --abbrev-ref HEAD", {
       encoding: "utf8",
+      stdio: ["pipe", "pipe", "pipe"],
     }).trim();
   } catch {
     return null;
@@ -230,10 +452,19 @@ function getCurrentBranch() {
 
 module.exports = {
   getProxyFetch,
+  selectFetch,
   getGitHubToken,
+  resolveGitHubToken,
   getRepoInfo,
   getRepoRoot,
   getCurrentBranch,
+  getTrackingBranch,
+  getHeadSha,
+  parseRemoteUrl,
+  parseRepoSpec,
+  parsePRUrl,
+  hasRemoteFor,
+  apiBaseForHost,
   parseHeaderMap,
   parseLastHeaderBlock,
 };
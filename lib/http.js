@@ -0,0 +1,204 @@
+/**
+ * HTTP requests with retries and rate-limit handling
+ *
+ * Wraps a proxyFetch-compatible function. Network errors and 5xx responses
+ * are retried with exponential backoff for idempotent calls only. Rate-limited
+ * responses (429, or 403 with an exhausted quota or a Retry-After header) are
+ * retried for every call, because GitHub rejected them without acting on
+ * them. The latest rate-limit headers are kept so watch mode can slow down
+ * before the quota runs out.
+ */
+
+const { AsyncLocalStorage } = require("node:async_hooks");
+
+const DEFAULT_RETRIES = 3;
+const BASE_DELAY_MS = 1000;
+const MAX_DELAY_MS = 30000;
+// Waits longer than this fail with a "rate limited until" error instead
+const MAX_RATE_LIMIT_WAIT_MS = 60000;
+
+// Latest quota per rate-limit resource ("core", "graphql", ...)
+const rateLimits = new Map();
+
+// ---------------------------------------------------------------------------
+// Rate-limit headers
+// ---------------------------------------------------------------------------
+
+/**
+ * Read GitHub's x-ratelimit-* headers. Returns
+ * { resource, limit, remaining, reset } (reset in epoch milliseconds), or
+ * null when the response has no rate-limit headers.
+ */
+function parseRateLimit(headers) {
+  const remaining = headers?.get("x-ratelimit-remaining");
+  if (remaining === null || remaining === undefined) return null;
+
+  const reset = Number(headers.get("x-ratelimit-reset"));
+  return {
+    resource: headers.get("x-ratelimit-resource") || "core",
+    limit: Number(headers.get("x-ratelimit-limit")) || null,
+    remaining: Number(remaining),
+    reset: reset ? reset * 1000 : null,
+  };
+}
+
+function getRateLimit(resource = "core") {
+  return rateLimits.get(resource) || null;
+}
+
+function clearRateLimits() {
+  rateLimits.clear();
+}
+
+// Test doubles and some fetch shims omit headers entirely
+function getHeader(response, name) {
+  return response.headers?.get(name) ?? null;
+}
+
+function isRateLimited(response) {
+  if (response.status === 429) return true;
+  if (response.status !== 403) return false;
+  return (
+    getHeader(response, "x-ratelimit-remaining") === "0" ||
+    getHeader(response, "retry-after") !== null
+  );
+}
+
+// ---------------------------------------------------------------------------
+// Delays
+// ---------------------------------------------------------------------------
+
+function backoffDelay(attempt) {
+  return Math.min(MAX_DELAY_MS, BASE_DELAY_MS * 2 ** attempt);
+}
+
+// Retry-After is either a number of seconds or an HTTP date
+function parseRetryAfter(value, now) {
+  if (value === null || value === undefined) return null;
+  const seconds = Number(value);
+  if (Number.isFinite(seconds)) return Math.max(0, seconds * 1000);
+  const date = Date.parse(value);
+  return Number.isNaN(date) ? null : Math.max(0, date - now);
+}
+
+/**
+ * How long to wait before retrying a rate-limited response: Retry-After if
+ * present, else until x-ratelimit-reset when the quota is exhausted, else
+ * exponential backoff (secondary rate limits without either header).
+ */
+function rateLimitDelay(response, attempt, now = Date.now()) {
+  const retryAfter = parseRetryAfter(getHeader(response, "retry-after"), now);
+  if (retryAfter !== null) return retryAfter;
+
+  const limit = parseRateLimit(response.headers);
+  if (limit && limit.remaining === 0 && limit.reset) {
+    return Math.max(0, limit.reset - now) + BASE_DELAY_MS;
+  }
+
+  return backoffDelay(attempt);
+}
+
+function formatClock(ms) {
+  const date = new Date(ms);
+  const hh = String(date.getHours()).padStart(2, "0");
+  const mm = String(date.getMinutes()).padStart(2, "0");
+  return `${hh}:${mm}`;
+}
+
+function sleep(ms) {
+  return new Promise((resolve) => setTimeout(resolve, ms));
+}
+
+// ---------------------------------------------------------------------------
+// Request
+// ---------------------------------------------------------------------------
+
+/**
+ * Send a request through `proxyFetch`, retrying as described above. Returns
+ * the final response (which may still be a non-2xx the caller reports), or
+ * throws when the rate limit doesn't lift within the retry budget. Errors
+ * thrown with `retryable: false` (like a cassette miss) are not retried.
+ *
+ * Options:
+ *   idempotent  Retry network errors and 5xx (default: true for GET)
+ *   retries     Maximum number of retries (default: 3)
+ *   sleep       Delay function in milliseconds, for tests
+ */
+async function fetchWithRetry(proxyFetch, url, init = {}, options = {}) {
+  const retries = options.retries ?? DEFAULT_RETRIES;
+  const idempotent =
+    options.idempotent ?? (!init.method || init.method === "GET");
+  const wait = options.sleep || sleep;
+
+  for (let attempt = 0; ; attempt++) {
+    let response;
+    try {
+      response = await proxyFetch(url, init);
+    } catch (error) {
+      if (!idempotent || attempt >= retries || error.retryable === false) {
+        throw error;
+      }
+      await wait(backoffDelay(attempt));
+      continue;
+    }
+
+    const limit = parseRateLimit(response.headers);
+    if (limit) rateLimits.set(limit.resource, limit);
+
+    if (isRateLimited(response)) {
+      const delay = rateLimitDelay(response, attempt);
+      if (attempt >= retries || delay > MAX_RATE_LIMIT_WAIT_MS) {
+        const error = new Error(
+          `GitHub API rate limit exceeded (${response.status}); rate limited until ${formatClock(Date.now() + delay)}`
+        );
+        error.status = response.status;
+        error.rateLimited = true;
+        throw error;
+      }
+      await wait(delay);
+      continue;
+    }
+
+    if (idempotent && response.status >= 500 && attempt < retries) {
+      const retryAfter = parseRetryAfter(
+        getHeader(response, "retry-after"),
+        Date.now()
+      );
+      await wait(Math.min(MAX_DELAY_MS, retryAfter ?? backoffDelay(attempt)));
+      continue;
+    }
+
+    return response;
+  }
+}
+
+// ---------------------------------------------------------------------------
+// Per-call API base
+// ---------------------------------------------------------------------------
+
+const apiBaseScope = new AsyncLocalStorage();
+
+/**
+ * Run `fn` with requests going to `apiBase` instead of the provider's
+ * process-wide API base, through every await inside it. ReviewClient uses
+ * this so clients for different hosts don't interfere.
+ */
+function withApiBase(apiBase, fn) {
+  return apiBaseScope.run(apiBase.trim().replace(/\/+$/, ""), fn);
+}
+
+// The API base set by withApiBase, else `fallback`
+function scopedApiBase(fallback) {
+  return apiBaseScope.getStore() ?? fallback;
+}
+
+module.exports = {
+  DEFAULT_RETRIES,
+  fetchWithRetry,
+  parseRateLimit,
+  getRateLimit,
+  clearRateLimits,
+  rateLimitDelay,
+  withApiBase,
+  scopedApiBase,
+};
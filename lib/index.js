@@ -0,0 +1,16 @@
+/**
+ * agent-reviews programmatic API
+ *
+ * This module is the package's supported entry point. Everything else under
+ * lib/ is internal to the CLI and may change in any release; the comment
+ * shape returned here is versioned (see SCHEMA_VERSION).
+ */
+
+const { ReviewClient } = require("./client");
+const { SCHEMA_VERSION, COMMENT_SCHEMA } = require("./schema");
+
+module.exports = {
+  ReviewClient,
+  SCHEMA_VERSION,
+  COMMENT_SCHEMA,
+};
@@ -0,0 +1,552 @@
+/**
+ * `agent-reviews mcp`: a Model Context Protocol server over stdio
+ *
+ * Exposes the review workflow as typed tools so agents don't have to shell
+ * out to the CLI, quote multi-line replies into argv, or scrape formatted
+ * text. Messages are newline-delimited JSON-RPC 2.0 on stdin/stdout; logs
+ * go to stderr. Tool results are JSON text in the versioned comment schema
+ * from ./schema.
+ *
+ * The server is bound to one repository. The PR defaults to the one for the
+ * current branch, detected on each call (agents often start the server
+ * before the PR exists), and every tool takes an optional `pr` override.
+ */
+
+const readline = require("node:readline");
+const { filterComments } = require("./comments");
+const {
+  fetchPRComments,
+  replyToComment,
+  resolveThread,
+} = require("./providers");
+const { SCHEMA_VERSION, toSchemaComment } = require("./schema");
+const {
+  createSnapshot,
+  diffSnapshot,
+  filterChanges,
+  groupChanges,
+  toChangedComments,
+} = require("./watch");
+
+const SERVER_NAME = "agent-reviews";
+
+// Newest first; the client's version is echoed back when we support it
+const PROTOCOL_VERSIONS = ["2025-06-18", "2025-03-26", "2024-11-05"];
+
+const DEFAULT_WAIT_TIMEOUT_SECONDS = 300;
+const MAX_WAIT_TIMEOUT_SECONDS = 3600;
+const DEFAULT_POLL_INTERVAL_SECONDS = 30;
+const MIN_POLL_INTERVAL_SECONDS = 5;
+
+// JSON-RPC error codes
+const PARSE_ERROR = -32700;
+const INVALID_REQUEST = -32600;
+const METHOD_NOT_FOUND = -32601;
+const INVALID_PARAMS = -32602;
+const INTERNAL_ERROR = -32603;
+
+// ---------------------------------------------------------------------------
+// Tool definitions
+// ---------------------------------------------------------------------------
+
+const PR_PROPERTY = {
+  type: "integer",
+  minimum: 1,
+  description: "PR number. Defaults to the open PR for the current branch.",
+};
+
+const FILTER_PROPERTIES = {
+  filter: {
+    type: "string",
+    enum: ["all", "unresolved", "unanswered"],
+    description:
+      "unresolved: no resolved thread and no human reply. unanswered: no replies at all.",
+  },
+  author: {
+    type: "string",
+    enum: ["all", "bots", "humans"],
+    description: "Only comments from bots or from humans.",
+  },
+  outdated: {
+    type: "string",
+    enum: ["include", "only", "hide"],
+    description: "Comments on code that has since changed.",
+  },
+};
+
+const COMMENT_ID_PROPERTY = {
+  type: "integer",
+  description: "Comment ID, as returned by list_comments.",
+};
+
+const TOOLS = [
+  {
+    name: "list_comments",
+    description:
+      "List review comments, PR comments and review bodies on the pull request, newest first, with their replies and resolution state.",
+    inputSchema: {
+      type: "object",
+      properties: { pr: PR_PROPERTY, ...FILTER_PROPERTIES },
+      additionalProperties: false,
+    },
+  },
+  {
+    name: "get_comment",
+    description:
+      "Get one comment with its full body, diff hunk, location and replies.",
+    inputSchema: {
+      type: "object",
+      properties: { id: COMMENT_ID_PROPERTY, pr: PR_PROPERTY },
+      required: ["id"],
+      additionalProperties: false,
+    },
+  },
+  {
+    name: "reply",
+    description:
+      "Reply to a comment. Review comments get a threaded reply; other comments get a PR comment quoting them. Set resolve to also resolve the review thread.",
+    inputSchema: {
+      type: "object",
+      properties: {
+        id: COMMENT_ID_PROPERTY,
+        message: { type: "string", minLength: 1, description: "Markdown reply." },
+        resolve: {
+          type: "boolean",
+          description: "Resolve the comment's review thread after replying.",
+        },
+        pr: PR_PROPERTY,
+      },
+      required: ["id", "message"],
+      additionalProperties: false,
+    },
+  },
+  {
+    name: "resolve_thread",
+    description: "Resolve the review thread that contains a comment.",
+    inputSchema: {
+      type: "object",
+      properties: { id: COMMENT_ID_PROPERTY, pr: PR_PROPERTY },
+      required: ["id"],
+      additionalProperties: false,
+    },
+  },
+  {
+    name: "wait_for_new_comments",
+    description:
+      "Wait until comments are added or edited, or replies arrive, since the comments were last listed, then return them. Your own replies are ignored. Returns status \"timeout\" if nothing happens in time.",
+    inputSchema: {
+      type: "object",
+      properties: {
+        pr: PR_PROPERTY,
+        ...FILTER_PROPERTIES,
+        timeout_seconds: {
+          type: "integer",
+          minimum: 0,
+          maximum: MAX_WAIT_TIMEOUT_SECONDS,
+          description: `How long to wait (default ${DEFAULT_WAIT_TIMEOUT_SECONDS}).`,
+        },
+        interval_seconds: {
+          type: "integer",
+          minimum: MIN_POLL_INTERVAL_SECONDS,
+          description: `Seconds between polls (default ${DEFAULT_POLL_INTERVAL_SECONDS}).`,
+        },
+      },
+      additionalProperties: false,
+    },
+  },
+];
+
+// ---------------------------------------------------------------------------
+// Argument validation
+// ---------------------------------------------------------------------------
+
+function matchesType(value, type) {
+  if (type === "integer") return Number.isInteger(value);
+  if (type === "string") return typeof value === "string";
+  if (type === "boolean") return typeof value === "boolean";
+  return true;
+}
+
+/**
+ * Check tool arguments against the tool's inputSchema (the subset used
+ * above: required, additionalProperties, type, enum, minimum, maximum,
+ * minLength). Returns an error message, or null when they are valid.
+ */
+function validateArguments(schema, args) {
+  if (!args || typeof args !== "object" || Array.isArray(args)) {
+    return "arguments must be an object";
+  }
+  for (const name of schema.required || []) {
+    if (args[name] === undefined) return `missing required argument "${name}"`;
+  }
+  for (const [name, value] of Object.entries(args)) {
+    const property = schema.properties[name];
+    if (!property) return `unknown argument "${name}"`;
+    if (!matchesType(value, property.type)) {
+      return `"${name}" must be ${property.type === "integer" ? "an" : "a"} ${property.type}`;
+    }
+    if (property.enum && !property.enum.includes(value)) {
+      return `"${name}" must be one of ${property.enum.join(", ")}`;
+    }
+    if (property.minimum !== undefined && value < property.minimum) {
+      return `"${name}" must be at least ${property.minimum}`;
+    }
+    if (property.maximum !== undefined && value > property.maximum) {
+      return `"${name}" must be at most ${property.maximum}`;
+    }
+    if (property.minLength !== undefined && value.length < property.minLength) {
+      return `"${name}" must not be empty`;
+    }
+  }
+  return null;
+}
+
+// Tool arguments to filterComments options
+function toFilterOptions({ filter, author, outdated }) {
+  return {
+    filter: filter === "all" ? null : filter,
+    botsOnly: author === "bots",
+    humansOnly: author === "humans",
+    outdated: outdated === "include" ? null : outdated,
+  };
+}
+
+// Resolves after `seconds`, or early when `signal` aborts
+function sleep(seconds, signal) {
+  return new Promise((resolve) => {
+    if (signal?.aborted) return resolve();
+    const timer = setTimeout(done, seconds * 1000);
+    function done() {
+      clearTimeout(timer);
+      signal?.removeEventListener("abort", done);
+      resolve();
+    }
+    signal?.addEventListener("abort", done, { once: true });
+  });
+}
+
+// ---------------------------------------------------------------------------
+// Server
+// ---------------------------------------------------------------------------
+
+/**
+ * Create a server. `context` supplies everything tied to the environment:
+ *
+ *   owner, repo      Repository the server was started for
+ *   resolvePR        async (pr) => { owner, repo, number } of the PR to act
+ *                    on; `pr` is the tool argument, or undefined to detect
+ *                    it (possibly in a fork's parent)
+ *   getToken         async (target) => token for the resolved PR's
+ *                    repository (called per tool call, so App tokens can
+ *                    refresh)
+ *   getSelfLogin     async (target) => login whose replies waits ignore, or
+ *                    null
+ *   proxyFetch       fetch implementation
+ *   fetchOptions     Passed to fetchPRComments ({ graphql })
+ *   process          rawData => processed comments (processComments, plus
+ *                    line remapping in a checkout)
+ *   version          Server version reported on initialize
+ *   log              (message) => void, for diagnostics (stderr)
+ *
+ * Returns { handle(message), cancelAll() }. `handle` resolves with the
+ * JSON-RPC response for a request, or null for notifications.
+ */
+function createMcpServer(context) {
+  const log = context.log || (() => {});
+  // Comments the agent has seen, per PR, as watch snapshots
+  const seen = new Map();
+  // In-flight requests by JSON-RPC id, for notifications/cancelled
+  const inFlight = new Map();
+
+  async function fetchProcessed(target) {
+    const rawData = await fetchPRComments(
+      target.owner,
+      target.repo,
+      target.number,
+      await context.getToken(target),
+      context.proxyFetch,
+      context.fetchOptions
+    );
+    return context.process(rawData);
+  }
+
+  const seenKey = (target) => `${target.owner}/${target.repo}#${target.number}`;
+
+  // The first time a PR is touched, every comment on it (`all`) becomes the
+  // baseline, so a filtered listing or a single comment doesn't make the
+  // next wait report everything else as new. Later marks merge into it.
+  function markSeen(target, comments, all) {
+    const key = seenKey(target);
+    const baseline = seen.get(key) || createSnapshot(all);
+    seen.set(key, { ...baseline, ...createSnapshot(comments) });
+  }
+
+  const tools = {
+    async list_comments(args) {
+      const target = await context.resolvePR(args.pr);
+      const all = await fetchProcessed(target);
+      const comments = filterComments(all, toFilterOptions(args));
+      markSeen(target, comments, all);
+      return {
+        schemaVersion: SCHEMA_VERSION,
+        pr: target.number,
+        comments: comments.map(toSchemaComment),
+      };
+    },
+
+    async get_comment(args) {
+      const target = await context.resolvePR(args.pr);
+      const all = await fetchProcessed(target);
+      const comment = all.find((c) => c.id === args.id);
+      if (!comment) {
+        throw new Error(`Comment ${args.id} not found in PR #${target.number}`);
+      }
+      markSeen(target, [comment], all);
+      return toSchemaComment(comment);
+    },
+
+    async reply(args) {
+      const target = await context.resolvePR(args.pr);
+      const token = await context.getToken(target);
+      const posted = await replyToComment(
+        target.owner,
+        target.repo,
+        target.number,
+        args.id,
+        args.message,
+        token,
+        context.proxyFetch
+      );
+
+      let resolution = null;
+      if (args.resolve) {
+        resolution = await resolveThread(
+          target.owner,
+          target.repo,
+          target.number,
+          args.id,
+          token,
+          context.proxyFetch
+        ).catch((error) => ({ failed: true, reason: error.message }));
+      }
+      return { id: posted.id, url: posted.html_url ?? null, resolution };
+    },
+
+    async resolve_thread(args) {
+      const target = await context.resolvePR(args.pr);
+      return resolveThread(
+        target.owner,
+        target.repo,
+        target.number,
+        args.id,
+        await context.getToken(target),
+        context.proxyFetch
+      );
+    },
+
+    async wait_for_new_comments(args, signal) {
+      const target = await context.resolvePR(args.pr);
+      const filters = toFilterOptions(args);
+      const timeout = args.timeout_seconds ?? DEFAULT_WAIT_TIMEOUT_SECONDS;
+      const interval = args.interval_seconds ?? DEFAULT_POLL_INTERVAL_SECONDS;
+      const deadline = Date.now() + timeout * 1000;
+      const selfLogin = await context.getSelfLogin(target);
+
+      // Without a listing to compare against, start from what's there now
+      let compare = seen.has(seenKey(target));
+      if (!compare) markSeen(target, [], await fetchProcessed(target));
+
+      while (!signal.aborted) {
+        if (compare) {
+          // Every comment is diffed, so a reply that takes a comment out of
+          // the filtered set is still reported
+          const all = await fetchProcessed(target);
+          const previous = seen.get(seenKey(target));
+          const changed = toChangedComments(
+            groupChanges(
+              filterChanges(diffSnapshot(previous, all), previous, filters),
+              selfLogin
+            )
+          );
+          // Own replies and changes outside the filters count as seen too
+          markSeen(target, all, all);
+          if (changed.length > 0) {
+            return {
+              status: "new_comments",
+              schemaVersion: SCHEMA_VERSION,
+              pr: target.number,
+              comments: changed.map((comment) => ({
+                ...toSchemaComment(comment),
+                changes: comment.changes,
+                newReplyIds: comment.newReplyIds || [],
+              })),
+            };
+          }
+        }
+        compare = true;
+
+        const remaining = (deadline - Date.now()) / 1000;
+        if (remaining <= 0) break;
+        await sleep(Math.min(interval, remaining), signal);
+      }
+
+      return {
+        status: signal.aborted ? "cancelled" : "timeout",
+        schemaVersion: SCHEMA_VERSION,
+        pr: target.number,
+        comments: [],
+      };
+    },
+  };
+
+  async function callTool(params, signal) {
+    const tool = TOOLS.find((t) => t.name === params?.name);
+    if (!tool) {
+      throw rpcError(INVALID_PARAMS, `Unknown tool: ${params?.name}`);
+    }
+    const args = params.arguments ?? {};
+    const invalid = validateArguments(tool.inputSchema, args);
+    if (invalid) {
+      return toolError(`Invalid arguments for ${tool.name}: ${invalid}`);
+    }
+
+    try {
+      const result = await tools[tool.name](args, signal);
+      return {
+        content: [{ type: "text", text: JSON.stringify(result, null, 2) }],
+      };
+    } catch (error) {
+      log(`${tool.name} failed: ${error.message}`);
+      return toolError(error.message);
+    }
+  }
+
+  async function dispatch(message, signal) {
+    const { method, params } = message;
+    switch (method) {
+      case "initialize": {
+        const requested = params?.protocolVersion;
+        return {
+          protocolVersion: PROTOCOL_VERSIONS.includes(requested)
+            ? requested
+            : PROTOCOL_VERSIONS[0],
+          capabilities: { tools: {} },
+          serverInfo: { name: SERVER_NAME, version: context.version || "0.0.0" },
+          instructions: `Review comments for ${context.owner}/${context.repo}. List comments, fix or dismiss each finding, reply (with resolve: true when fixed), then wait_for_new_comments until reviewers go quiet.`,
+        };
+      }
+      case "ping":
+        return {};
+      case "tools/list":
+        return { tools: TOOLS };
+      case "tools/call":
+        return callTool(params, signal);
+      default:
+        throw rpcError(METHOD_NOT_FOUND, `Method not found: ${method}`);
+    }
+  }
+
+  async function handle(message) {
+    if (
+      !message ||
+      typeof message !== "object" ||
+      message.jsonrpc !== "2.0" ||
+      typeof message.method !== "string"
+    ) {
+      // Responses to our (nonexistent) requests are ignored
+      if (message && (message.result !== undefined || message.error)) return null;
+      return errorResponse(message?.id ?? null, rpcError(INVALID_REQUEST, "Invalid request"));
+    }
+
+    const isNotification = message.id === undefined || message.id === null;
+    if (isNotification) {
+      if (message.method === "notifications/cancelled") {
+        inFlight.get(message.params?.requestId)?.abort();
+      }
+      return null;
+    }
+
+    const controller = new AbortController();
+    inFlight.set(message.id, controller);
+    try {
+      const result = await dispatch(message, controller.signal);
+      return { jsonrpc: "2.0", id: message.id, result };
+    } catch (error) {
+      return errorResponse(message.id, error);
+    } finally {
+      inFlight.delete(message.id);
+    }
+  }
+
+  // Abort every in-flight request, e.g. when the client disconnects
+  function cancelAll() {
+    for (const controller of inFlight.values()) controller.abort();
+  }
+
+  return { handle, cancelAll };
+}
+
+function rpcError(code, message) {
+  const error = new Error(message);
+  error.code = code;
+  return error;
+}
+
+function errorResponse(id, error) {
+  return {
+    jsonrpc: "2.0",
+    id,
+    error: { code: error.code ?? INTERNAL_ERROR, message: error.message },
+  };
+}
+
+function toolError(message) {
+  return { content: [{ type: "text", text: message }], isError: true };
+}
+
+/**
+ * Serve MCP over newline-delimited JSON on `input`/`output` (stdin/stdout
+ * by default). Requests are handled concurrently, so a long
+ * wait_for_new_comments doesn't block other calls. Resolves when input
+ * ends; pending waits are cancelled and answered first.
+ */
+function runMcpServer(context, { input = process.stdin, output = process.stdout } = {}) {
+  const server = createMcpServer(context);
+  const pending = new Set();
+  const send = (response) => {
+    if (response) output.write(`${JSON.stringify(response)}\n`);
+  };
+
+  const lines = readline.createInterface({ input, crlfDelay: Infinity });
+  lines.on("line", (line) => {
+    if (!line.trim()) return;
+    let message;
+    try {
+      message = JSON.parse(line);
+    } catch {
+      send(errorResponse(null, rpcError(PARSE_ERROR, "Parse error")));
+      return;
+    }
+    const task = server.handle(message).then(send, (error) =>
+      send(errorResponse(message.id ?? null, error))
+    );
+    pending.add(task);
+    task.finally(() => pending.delete(task));
+  });
+
+  return new Promise((resolve) => {
+    lines.on("close", () => {
+      // Nobody is left to read a long wait's result
+      server.cancelAll();
+      Promise.all(pending).then(() => resolve());
+    });
+  });
+}
+
+module.exports = {
+  PROTOCOL_VERSIONS,
+  TOOLS,
+  validateArguments,
+  createMcpServer,
+  runMcpServer,
+};
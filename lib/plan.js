@@ -0,0 +1,240 @@
+/**
+ * Batch replies from a plan file
+ *
+ * A plan is a JSON array or a JSONL file of `{ id, message, resolve }`
+ * entries. Applying it fetches the PR once, skips replies that were already
+ * posted (so a half-failed plan can be re-run safely), posts the rest with
+ * bounded concurrency, and resolves threads against a single thread index.
+ */
+
+const { fallbackReplyBody } = require("./comments");
+const {
+  fetchPRComments,
+  fetchReviewThreads,
+  replyToComment,
+  resolveThread,
+} = require("./providers");
+
+const DEFAULT_CONCURRENCY = 4;
+
+// ---------------------------------------------------------------------------
+// Parsing
+// ---------------------------------------------------------------------------
+
+function validatePlanItem(item, where) {
+  if (!item || typeof item !== "object" || Array.isArray(item)) {
+    throw new Error(`Invalid plan ${where}: expected an object`);
+  }
+
+  const id = Number(item.id);
+  if (!Number.isInteger(id) || id <= 0) {
+    throw new Error(`Invalid plan ${where}: "id" must be a comment ID`);
+  }
+  if (typeof item.message !== "string" || !item.message.trim()) {
+    throw new Error(`Invalid plan ${where}: "message" must be a non-empty string`);
+  }
+  if (item.resolve !== undefined && typeof item.resolve !== "boolean") {
+    throw new Error(`Invalid plan ${where}: "resolve" must be true or false`);
+  }
+
+  return { id, message: item.message, resolve: item.resolve === true };
+}
+
+/**
+ * Parse plan file contents. Accepts a JSON array or one JSON object per
+ * line (blank lines are ignored).
+ */
+function parsePlan(text) {
+  const trimmed = text.trim();
+
+  if (trimmed.startsWith("[")) {
+    let items;
+    try {
+      items = JSON.parse(trimmed);
+    } catch (error) {
+      throw new Error(`Invalid plan: ${error.message}`);
+    }
+    return items.map((item, i) => validatePlanItem(item, `entry ${i + 1}`));
+  }
+
+  const items = [];
+  const lines = text.split(/\r?\n/);
+  for (let i = 0; i < lines.length; i++) {
+    if (!lines[i].trim()) continue;
+    let item;
+    try {
+      item = JSON.parse(lines[i]);
+    } catch (error) {
+      throw new Error(`Invalid plan line ${i + 1}: ${error.message}`);
+    }
+    items.push(validatePlanItem(item, `line ${i + 1}`));
+  }
+  return items;
+}
+
+// ---------------------------------------------------------------------------
+// Execution
+// ---------------------------------------------------------------------------
+
+/**
+ * Run `fn` over `items` with at most `limit` calls in flight. Results keep
+ * the input order.
+ */
+async function mapWithConcurrency(items, limit, fn) {
+  const results = new Array(items.length);
+  let next = 0;
+
+  async function worker() {
+    while (next < items.length) {
+      const index = next++;
+      results[index] = await fn(items[index], index);
+    }
+  }
+
+  const workers = [];
+  for (let i = 0; i < Math.min(limit, items.length); i++) {
+    workers.push(worker());
+  }
+  await Promise.all(workers);
+
+  return results;
+}
+
+// Collect reply bodies that already exist, keyed by the root comment of the
+// thread they're in, so re-running a plan never posts the same reply twice.
+function indexExistingReplies(rawData) {
+  const existing = new Set();
+  // Replies to a reply land in its thread, under the root comment
+  const roots = new Map();
+  for (const comment of rawData.reviewComments) {
+    roots.set(comment.id, comment.in_reply_to_id || comment.id);
+    if (comment.in_reply_to_id) {
+      existing.add(`${comment.in_reply_to_id}\n${comment.body?.trim()}`);
+    }
+  }
+  for (const comment of rawData.issueComments) {
+    existing.add(`issue\n${comment.body?.trim()}`);
+  }
+  return { existing, roots };
+}
+
+function replyKey(index, item) {
+  const id = Number(item.id);
+  return `${index.roots.get(id) ?? id}\n${item.message.trim()}`;
+}
+
+function hasExistingReply(index, item) {
+  return (
+    index.existing.has(replyKey(index, item)) ||
+    index.existing.has(
+      `issue\n${fallbackReplyBody(item.id, item.message).trim()}`
+    )
+  );
+}
+
+/**
+ * Apply a parsed plan. Returns one result per item:
+ *   { id, ok, reply: "posted" | "already_posted" | "failed",
+ *     resolve: "resolved" | "already_resolved" | "skipped" | "failed" | null,
+ *     url, error }
+ */
+async function applyPlan(context, items, options = {}) {
+  const { owner, repo, prNumber, token, proxyFetch, fetchOptions } = context;
+  const concurrency =
+    options.concurrency > 0 ? options.concurrency : DEFAULT_CONCURRENCY;
+
+  const rawData = await fetchPRComments(
+    owner,
+    repo,
+    prNumber,
+    token,
+    proxyFetch,
+    fetchOptions
+  );
+  const replies = indexExistingReplies(rawData);
+
+  // Build the thread index once, lazily, and only if something resolves
+  let threadsPromise = rawData.reviewThreads
+    ? Promise.resolve(rawData.reviewThreads)
+    : null;
+  const getThreads = () => {
+    if (!threadsPromise) {
+      threadsPromise = fetchReviewThreads(
+        owner,
+        repo,
+        prNumber,
+        token,
+        proxyFetch
+      );
+    }
+    return threadsPromise;
+  };
+
+  return mapWithConcurrency(items, concurrency, async (item) => {
+    const result = {
+      id: item.id,
+      ok: false,
+      reply: null,
+      resolve: null,
+      url: null,
+      error: null,
+    };
+
+    if (hasExistingReply(replies, item)) {
+      result.reply = "already_posted";
+    } else {
+      // Reserve the reply before posting so duplicate plan entries don't race
+      replies.existing.add(replyKey(replies, item));
+      try {
+        const posted = await replyToComment(
+          owner,
+          repo,
+          prNumber,
+          item.id,
+          item.message,
+          token,
+          proxyFetch
+        );
+        result.reply = "posted";
+        result.url = posted.html_url || null;
+      } catch (error) {
+        replies.existing.delete(replyKey(replies, item));
+        result.reply = "failed";
+        result.error = error.message;
+        return result;
+      }
+    }
+
+    if (item.resolve) {
+      try {
+        const threads = await getThreads();
+        const resolved = await resolveThread(
+          owner,
+          repo,
+          prNumber,
+          item.id,
+          token,
+          proxyFetch,
+          threads
+        );
+        if (resolved.resolved) result.resolve = "resolved";
+        else if (resolved.alreadyResolved) result.resolve = "already_resolved";
+        else result.resolve = "skipped";
+      } catch (error) {
+        result.resolve = "failed";
+        result.error = error.message;
+        return result;
+      }
+    }
+
+    result.ok = true;
+    return result;
+  });
+}
+
+module.exports = {
+  DEFAULT_CONCURRENCY,
+  parsePlan,
+  mapWithConcurrency,
+  applyPlan,
+};
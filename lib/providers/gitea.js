@@ -0,0 +1,629 @@
+/**
+ * Gitea and Forgejo pull request backend
+ *
+ * Gitea's REST API (v1, which Forgejo shares) mirrors GitHub's for pull
+ * requests, issue comments and reviews, so most responses pass through
+ * as-is. The differences:
+ *   - Review comments are listed per review, and carry a signed line pair
+ *     (`position` on the PR side, `original_position` on the base side)
+ *     instead of `line`/`side`.
+ *   - There are no reply links. A conversation starts at an anchor comment
+ *     and takes in later comments on the same file and line that are in
+ *     the anchor's review (replies from the web UI) or on the anchor's
+ *     commit (replies posted here, as a one-comment review on that line
+ *     and commit). Comments from other rounds start their own
+ *     conversations.
+ *   - There is no GraphQL and no API for resolving conversations. The
+ *     resolved state is readable (`resolver`), but resolveThread reports
+ *     { skipped } instead of failing.
+ */
+
+const { existsSync, readFileSync } = require("node:fs");
+const path = require("node:path");
+const { fetchWithRetry, scopedApiBase } = require("../http");
+const { fetchAllPages, fallbackReplyBody } = require("../comments");
+const { getRepoRoot } = require("../github");
+
+const USER_AGENT = "agent-reviews";
+const DEFAULT_API_URL = "https://codeberg.org/api/v1";
+// Gitea caps page sizes at 50 by default
+const PAGE_LIMIT = 50;
+
+const RESOLVE_UNSUPPORTED =
+  "Gitea and Forgejo have no API for resolving conversations";
+
+// Review states in GitHub's vocabulary
+const REVIEW_STATES = {
+  COMMENT: "COMMENTED",
+  REQUEST_CHANGES: "CHANGES_REQUESTED",
+};
+
+let API_BASE;
+
+function setApiBase(apiUrl) {
+  API_BASE = apiUrl.trim().replace(/\/+$/, "");
+}
+
+// The base for the current call (see withApiBase in ../http)
+function getApiBase() {
+  return scopedApiBase(API_BASE);
+}
+
+setApiBase(process.env.GITEA_API_URL || DEFAULT_API_URL);
+
+/**
+ * REST base URL for a remote's host. Every instance serves it under
+ * /api/v1, so only an unknown host (null) has no base.
+ */
+function apiBaseForHost(host) {
+  return host ? `https://${host}/api/v1` : null;
+}
+
+function repoPath(owner, repo) {
+  return `${getApiBase()}/repos/${owner}/${repo}`;
+}
+
+function headers(token, extra = {}) {
+  return {
+    Authorization: `Bearer ${token}`,
+    Accept: "application/json",
+    "User-Agent": USER_AGENT,
+    ...extra,
+  };
+}
+
+async function getJSON(url, token, proxyFetch, what) {
+  const response = await fetchWithRetry(proxyFetch, url, {
+    headers: headers(token),
+  });
+  if (!response.ok) {
+    const error = new Error(`Failed to ${what}: ${response.status}`);
+    error.status = response.status;
+    throw error;
+  }
+  return response.json();
+}
+
+async function postJSON(url, body, token, proxyFetch) {
+  return fetchWithRetry(proxyFetch, url, {
+    method: "POST",
+    headers: headers(token, { "Content-Type": "application/json" }),
+    body: JSON.stringify(body),
+  });
+}
+
+// ---------------------------------------------------------------------------
+// Authentication
+// ---------------------------------------------------------------------------
+
+/**
+ * Get a Gitea/Forgejo token, in order: GITEA_TOKEN, FORGEJO_TOKEN, then
+ * either of them in .env.local. Returns { token, source } or null.
+ */
+function resolveToken() {
+  for (const name of ["GITEA_TOKEN", "FORGEJO_TOKEN"]) {
+    if (process.env[name]) {
+      return { token: process.env[name], source: name };
+    }
+  }
+
+  const root = getRepoRoot();
+  if (root) {
+    const envFile = path.join(root, ".env.local");
+    if (existsSync(envFile)) {
+      const content = readFileSync(envFile, "utf8");
+      const match = content.match(
+        /^(?:GITEA|FORGEJO)_TOKEN=["']?([^"'\n]+)["']?/m
+      );
+      if (match) {
+        return { token: match[1], source: ".env.local" };
+      }
+    }
+  }
+
+  return null;
+}
+
+// ---------------------------------------------------------------------------
+// Pull requests
+// ---------------------------------------------------------------------------
+
+async function fetchOpenPRs(owner, repo, token, proxyFetch) {
+  return fetchAllPages(
+    `${repoPath(owner, repo)}/pulls?state=open&limit=${PAGE_LIMIT}`,
+    token,
+    proxyFetch
+  );
+}
+
+/**
+ * Open PRs in owner/repo whose head is `headOwner:branch`. Gitea can't
+ * filter by head, so open PRs are listed and matched locally.
+ */
+async function findPRsForBranch(
+  owner,
+  repo,
+  branch,
+  token,
+  proxyFetch,
+  headOwner = owner
+) {
+  const prs = await fetchOpenPRs(owner, repo, token, proxyFetch);
+  return prs.filter((pr) => {
+    if (pr.head?.ref !== branch) return false;
+    const prOwner = pr.head.repo?.owner?.login;
+    return !prOwner || prOwner.toLowerCase() === headOwner.toLowerCase();
+  });
+}
+
+async function findPRForBranch(
+  owner,
+  repo,
+  branch,
+  token,
+  proxyFetch,
+  headOwner = owner
+) {
+  const prs = await findPRsForBranch(
+    owner,
+    repo,
+    branch,
+    token,
+    proxyFetch,
+    headOwner
+  );
+  return prs[0] || null;
+}
+
+/**
+ * Open PRs in owner/repo whose head is commit `sha`.
+ */
+async function findPRsForCommit(owner, repo, sha, token, proxyFetch) {
+  const prs = await fetchOpenPRs(owner, repo, token, proxyFetch);
+  return prs.filter((pr) => pr.head?.sha === sha);
+}
+
+/**
+ * Repository metadata (fork status and parent), or null when it can't be
+ * read.
+ */
+async function fetchRepo(owner, repo, token, proxyFetch) {
+  const response = await fetchWithRetry(proxyFetch, repoPath(owner, repo), {
+    headers: headers(token),
+  });
+  if (!response.ok) return null;
+  return response.json();
+}
+
+async function fetchPR(owner, repo, prNumber, token, proxyFetch) {
+  return getJSON(
+    `${repoPath(owner, repo)}/pulls/${prNumber}`,
+    token,
+    proxyFetch,
+    `fetch PR #${prNumber}`
+  );
+}
+
+/**
+ * Login the token belongs to, or null if it can't be determined.
+ */
+async function fetchViewerLogin(token, proxyFetch) {
+  try {
+    const response = await fetchWithRetry(proxyFetch, `${getApiBase()}/user`, {
+      headers: headers(token),
+    });
+    if (!response.ok) return null;
+    const user = await response.json();
+    return user?.login || null;
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Token diagnostics in the shape doctor expects. Gitea reports neither
+ * token scopes nor rate limits on its responses.
+ */
+async function fetchTokenInfo(token, proxyFetch) {
+  const response = await fetchWithRetry(proxyFetch, `${getApiBase()}/user`, {
+    headers: headers(token),
+  });
+  const user = response.ok ? await response.json() : null;
+  return {
+    status: response.status,
+    login: user?.login ?? null,
+    scopes: null,
+    rateLimits: null,
+  };
+}
+
+/**
+ * The token's repository permission. Conversations can't be resolved over
+ * the API at all, so `canResolveThreads` is always false and `unsupported`
+ * says why.
+ */
+async function fetchViewerAccess(owner, repo, prNumber, token, proxyFetch) {
+  const [login, meta] = await Promise.all([
+    fetchViewerLogin(token, proxyFetch),
+    fetchRepo(owner, repo, token, proxyFetch),
+  ]);
+  if (!meta) {
+    throw new Error(`Failed to read repository ${owner}/${repo}`);
+  }
+
+  const { admin, push, pull } = meta.permissions || {};
+  let permission = null;
+  if (admin) permission = "ADMIN";
+  else if (push) permission = "WRITE";
+  else if (pull) permission = "READ";
+
+  return {
+    login,
+    permission,
+    canResolveThreads: false,
+    unsupported: RESOLVE_UNSUPPORTED,
+  };
+}
+
+// ---------------------------------------------------------------------------
+// Comments
+// ---------------------------------------------------------------------------
+
+// PR-side lines are positive `position`s; a comment on a removed line only
+// has `original_position`
+function commentSide(comment) {
+  return comment.position > 0 ? "RIGHT" : "LEFT";
+}
+
+function commentLine(comment) {
+  return (
+    (comment.position > 0 ? comment.position : comment.original_position) ||
+    null
+  );
+}
+
+function locationKey(comment) {
+  return `${comment.path}\n${commentSide(comment)}\n${commentLine(comment)}`;
+}
+
+// Review comments seen per PR, by ID, so a reply finds its anchor without
+// listing every review again. A comment's file, line and commit never
+// change, so entries don't go stale.
+const knownComments = new Map();
+
+function prKey(owner, repo, prNumber) {
+  return `${getApiBase()} ${owner}/${repo}#${prNumber}`;
+}
+
+async function fetchReviewsAndComments(owner, repo, prNumber, token, proxyFetch) {
+  const base = `${repoPath(owner, repo)}/pulls/${prNumber}`;
+  const reviews = await fetchAllPages(
+    `${base}/reviews?limit=${PAGE_LIMIT}`,
+    token,
+    proxyFetch
+  );
+  const perReview = await Promise.all(
+    reviews
+      .filter((review) => review.comments_count > 0)
+      .map(async (review) => {
+        const comments = await fetchAllPages(
+          `${base}/reviews/${review.id}/comments?limit=${PAGE_LIMIT}`,
+          token,
+          proxyFetch
+        );
+        return comments.map((comment) => ({
+          ...comment,
+          pull_request_review_id: comment.pull_request_review_id ?? review.id,
+        }));
+      })
+  );
+  const comments = perReview.flat();
+
+  const key = prKey(owner, repo, prNumber);
+  if (!knownComments.has(key)) knownComments.set(key, new Map());
+  for (const comment of comments) knownComments.get(key).set(comment.id, comment);
+
+  return { reviews, comments };
+}
+
+/**
+ * Group review comments into conversations, oldest first (see the header
+ * for how replies are matched to their anchor). Returns the comments in
+ * GitHub's REST shape (with `in_reply_to_id` on replies) and one review
+ * thread per conversation, keyed by its anchor comment.
+ */
+function toConversations(comments) {
+  const conversations = [];
+  // The latest conversation per review and location, and per commit and
+  // location
+  const byReview = new Map();
+  const byCommit = new Map();
+  const sorted = [...comments].sort(
+    (a, b) => new Date(a.created_at) - new Date(b.created_at)
+  );
+  for (const comment of sorted) {
+    const location = locationKey(comment);
+    const reviewKey = `${comment.pull_request_review_id}\n${location}`;
+    const commitKey = `${comment.commit_id}\n${location}`;
+    let conversation =
+      byReview.get(reviewKey) || (comment.commit_id && byCommit.get(commitKey));
+    if (!conversation) {
+      conversation = [];
+      conversations.push(conversation);
+    }
+    conversation.push(comment);
+    byReview.set(reviewKey, conversation);
+    if (comment.commit_id) byCommit.set(commitKey, conversation);
+  }
+
+  const reviewComments = [];
+  const reviewThreads = [];
+  for (const conversation of conversations) {
+    const [root] = conversation;
+    for (const comment of conversation) {
+      const line = commentLine(comment);
+      reviewComments.push({
+        id: comment.id,
+        user: comment.user,
+        body: comment.body,
+        path: comment.path,
+        line,
+        original_line: line,
+        side: commentSide(comment),
+        subject_type: "line",
+        diff_hunk: comment.diff_hunk || null,
+        commit_id: comment.commit_id || null,
+        original_commit_id: comment.original_commit_id || null,
+        created_at: comment.created_at,
+        updated_at: comment.updated_at,
+        html_url: comment.html_url,
+        in_reply_to_id: comment === root ? null : root.id,
+      });
+    }
+
+    const resolver = conversation.find((c) => c.resolver)?.resolver;
+    reviewThreads.push({
+      id: String(root.id),
+      isResolved: Boolean(resolver),
+      isOutdated: false,
+      isCollapsed: false,
+      resolvedBy: resolver ? { login: resolver.login } : null,
+      comments: { nodes: conversation.map((c) => ({ databaseId: c.id })) },
+    });
+  }
+
+  return { reviewComments, reviewThreads };
+}
+
+/**
+ * Review comments, issue comments, reviews and conversations for a PR, in
+ * the shape fetchPRComments returns for GitHub. `options` is accepted for
+ * signature compatibility; there is no GraphQL path.
+ */
+async function fetchPRComments(owner, repo, prNumber, token, proxyFetch) {
+  const [{ reviews, comments }, issueComments] = await Promise.all([
+    fetchReviewsAndComments(owner, repo, prNumber, token, proxyFetch),
+    fetchAllPages(
+      `${repoPath(owner, repo)}/issues/${prNumber}/comments?limit=${PAGE_LIMIT}`,
+      token,
+      proxyFetch
+    ),
+  ]);
+
+  const { reviewComments, reviewThreads } = toConversations(comments);
+
+  return {
+    reviewComments,
+    issueComments,
+    // Pending reviews are drafts only their author can see
+    reviews: reviews
+      .filter((review) => review.state !== "PENDING")
+      .map((review) => ({
+        ...review,
+        state: review.dismissed
+          ? "DISMISSED"
+          : REVIEW_STATES[review.state] || review.state,
+      })),
+    reviewThreads,
+  };
+}
+
+/**
+ * Every conversation on a PR, as fetchPRComments' reviewThreads.
+ */
+async function fetchReviewThreads(owner, repo, prNumber, token, proxyFetch) {
+  const { comments } = await fetchReviewsAndComments(
+    owner,
+    repo,
+    prNumber,
+    token,
+    proxyFetch
+  );
+  return toConversations(comments).reviewThreads;
+}
+
+/**
+ * Reply to a comment. Review comments get a one-comment review on the same
+ * file, line and commit, which joins their conversation; anything else
+ * falls back to an issue comment quoting the ID, as on GitHub. The anchor
+ * comes from comments already fetched for the PR when it is among them.
+ */
+async function replyToComment(
+  owner,
+  repo,
+  prNumber,
+  commentId,
+  message,
+  token,
+  proxyFetch
+) {
+  const base = `${repoPath(owner, repo)}/pulls/${prNumber}`;
+  const targetId = Number(commentId);
+  const findKnown = () =>
+    knownComments.get(prKey(owner, repo, prNumber))?.get(targetId);
+  let target = findKnown();
+  if (!target) {
+    await fetchReviewsAndComments(owner, repo, prNumber, token, proxyFetch);
+    target = findKnown();
+  }
+
+  if (target) {
+    const line = commentLine(target);
+    const response = await postJSON(
+      `${base}/reviews`,
+      {
+        event: "COMMENT",
+        body: "",
+        commit_id: target.commit_id || undefined,
+        comments: [
+          {
+            path: target.path,
+            body: message,
+            [commentSide(target) === "RIGHT" ? "new_position" : "old_position"]:
+              line,
+          },
+        ],
+      },
+      token,
+      proxyFetch
+    );
+
+    if (response.ok) {
+      const review = await response.json();
+      const [posted] = await fetchAllPages(
+        `${base}/reviews/${review.id}/comments?limit=${PAGE_LIMIT}`,
+        token,
+        proxyFetch
+      );
+      return posted || review;
+    }
+  }
+
+  const issueResponse = await postJSON(
+    `${repoPath(owner, repo)}/issues/${prNumber}/comments`,
+    { body: fallbackReplyBody(commentId, message) },
+    token,
+    proxyFetch
+  );
+
+  if (!issueResponse.ok) {
+    const error = await issueResponse.text();
+    throw new Error(`Failed to reply: ${issueResponse.status} - ${error}`);
+  }
+
+  return issueResponse.json();
+}
+
+function findThreadForComment(threads, commentId) {
+  const targetId = Number(commentId);
+  return (
+    threads.find((t) =>
+      t.comments.nodes.some((c) => c.databaseId === targetId)
+    ) || null
+  );
+}
+
+// Resolution state is readable, so already-resolved conversations and
+// non-review comments are reported as usual; changing it is skipped
+async function setResolved(
+  owner,
+  repo,
+  prNumber,
+  commentId,
+  token,
+  proxyFetch,
+  threads,
+  resolved
+) {
+  const threadList =
+    threads ||
+    (await fetchReviewThreads(owner, repo, prNumber, token, proxyFetch));
+  const thread = findThreadForComment(threadList, commentId);
+
+  if (!thread) {
+    return { skipped: true, reason: "not a review comment thread" };
+  }
+  if (thread.isResolved === resolved) {
+    return resolved
+      ? { alreadyResolved: true, threadId: thread.id }
+      : { alreadyUnresolved: true, threadId: thread.id };
+  }
+  return { skipped: true, reason: RESOLVE_UNSUPPORTED };
+}
+
+/**
+ * Same contract as the GitHub resolveThread. Since the API can't resolve
+ * conversations, open ones come back as { skipped, reason }.
+ */
+async function resolveThread(
+  owner,
+  repo,
+  prNumber,
+  commentId,
+  token,
+  proxyFetch,
+  threads = null
+) {
+  return setResolved(
+    owner,
+    repo,
+    prNumber,
+    commentId,
+    token,
+    proxyFetch,
+    threads,
+    true
+  );
+}
+
+/**
+ * Mirrors resolveThread.
+ */
+async function unresolveThread(
+  owner,
+  repo,
+  prNumber,
+  commentId,
+  token,
+  proxyFetch,
+  threads = null
+) {
+  return setResolved(
+    owner,
+    repo,
+    prNumber,
+    commentId,
+    token,
+    proxyFetch,
+    threads,
+    false
+  );
+}
+
+module.exports = {
+  name: "gitea",
+  label: "Gitea/Forgejo",
+  apiUrlEnv: "GITEA_API_URL",
+  defaultApiUrl: DEFAULT_API_URL,
+  tokenEnv: "GITEA_TOKEN",
+  tokenHelp: "Set GITEA_TOKEN (or FORGEJO_TOKEN) env var",
+  supportsSuggestions: true,
+  setApiBase,
+  getApiBase,
+  getGraphQLUrl: () => null,
+  apiBaseForHost,
+  resolveToken,
+  findPRsForBranch,
+  findPRForBranch,
+  findPRsForCommit,
+  fetchRepo,
+  fetchPR,
+  fetchViewerLogin,
+  fetchTokenInfo,
+  fetchViewerAccess,
+  fetchPRComments,
+  fetchReviewThreads,
+  replyToComment,
+  resolveThread,
+  unresolveThread,
+};
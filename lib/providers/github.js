@@ -0,0 +1,38 @@
+/**
+ * GitHub pull request backend
+ *
+ * The original implementation lives in ../comments (API calls) and
+ * ../github (token and remote helpers); this module only collects it under
+ * the provider interface.
+ */
+
+const comments = require("../comments");
+const { resolveGitHubToken, apiBaseForHost } = require("../github");
+
+module.exports = {
+  name: "github",
+  label: "GitHub",
+  apiUrlEnv: "GITHUB_API_URL",
+  defaultApiUrl: "https://api.github.com",
+  tokenEnv: "GITHUB_TOKEN",
+  tokenHelp: "Set GITHUB_TOKEN env var, or authenticate with: gh auth login",
+  supportsSuggestions: true,
+  setApiBase: comments.setApiBase,
+  getApiBase: comments.getApiBase,
+  getGraphQLUrl: comments.getGraphQLUrl,
+  apiBaseForHost,
+  resolveToken: resolveGitHubToken,
+  findPRsForBranch: comments.findPRsForBranch,
+  findPRForBranch: comments.findPRForBranch,
+  findPRsForCommit: comments.findPRsForCommit,
+  fetchRepo: comments.fetchRepo,
+  fetchPR: comments.fetchPR,
+  fetchViewerLogin: comments.fetchViewerLogin,
+  fetchTokenInfo: comments.fetchTokenInfo,
+  fetchViewerAccess: comments.fetchViewerAccess,
+  fetchPRComments: comments.fetchPRComments,
+  fetchReviewThreads: comments.fetchReviewThreads,
+  replyToComment: comments.replyToComment,
+  resolveThread: comments.resolveThread,
+  unresolveThread: comments.unresolveThread,
+};
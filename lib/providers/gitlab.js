@@ -0,0 +1,736 @@
+/**
+ * GitLab merge request backend
+ *
+ * Implements the provider functions against the GitLab REST API (v4). MR
+ * discussions are mapped onto the REST shapes processComments expects:
+ * a discussion's first note becomes a review comment (inline when it has a
+ * diff position), later notes become its replies, standalone notes become
+ * issue comments, and resolvable discussions become review threads. MRs
+ * are mapped to the fields PR detection and watch mode read (number,
+ * html_url, state, head, base). "owner" is the project's full namespace,
+ * which may contain slashes for nested groups.
+ */
+
+const { execFileSync } = require("node:child_process");
+const { existsSync, readFileSync } = require("node:fs");
+const path = require("node:path");
+const { fetchWithRetry, scopedApiBase } = require("../http");
+const { fetchAllPages, fallbackReplyBody } = require("../comments");
+const { getRepoRoot } = require("../github");
+
+const USER_AGENT = "agent-reviews";
+
+// Project roles by access level. Developer and above can resolve any
+// discussion.
+const ACCESS_ROLES = {
+  10: "GUEST",
+  20: "REPORTER",
+  30: "DEVELOPER",
+  40: "MAINTAINER",
+  50: "OWNER",
+};
+const DEVELOPER_ACCESS_LEVEL = 30;
+
+const DEFAULT_API_URL = "https://gitlab.com/api/v4";
+
+let API_BASE;
+
+function setApiBase(apiUrl) {
+  API_BASE = apiUrl.trim().replace(/\/+$/, "");
+}
+
+// The base for the current call (see withApiBase in ../http)
+function getApiBase() {
+  return scopedApiBase(API_BASE);
+}
+
+setApiBase(process.env.GITLAB_API_URL || DEFAULT_API_URL);
+
+/**
+ * REST base URL for a remote's host: null for gitlab.com (the default),
+ * https://<host>/api/v4 for self-managed instances.
+ */
+function apiBaseForHost(host) {
+  if (!host || host === "gitlab.com") return null;
+  return `https://${host}/api/v4`;
+}
+
+// Web URLs (for html_url) live on the same origin as the API
+function webBase() {
+  return getApiBase().replace(/\/api\/v4$/, "");
+}
+
+function projectPath(owner, repo) {
+  return `${getApiBase()}/projects/${encodeURIComponent(`${owner}/${repo}`)}`;
+}
+
+function headers(token, extra = {}) {
+  return {
+    Authorization: `Bearer ${token}`,
+    Accept: "application/json",
+    "User-Agent": USER_AGENT,
+    ...extra,
+  };
+}
+
+async function getJSON(url, token, proxyFetch, what) {
+  const response = await fetchWithRetry(proxyFetch, url, {
+    headers: headers(token),
+  });
+  if (!response.ok) {
+    const error = new Error(`Failed to ${what}: ${response.status}`);
+    error.status = response.status;
+    throw error;
+  }
+  return response.json();
+}
+
+// ---------------------------------------------------------------------------
+// Authentication
+// ---------------------------------------------------------------------------
+
+/**
+ * Get a GitLab token, in order: GITLAB_TOKEN, GITLAB_TOKEN in .env.local,
+ * then `glab config get token` for `host`. Returns { token, source } or
+ * null.
+ */
+function resolveToken(host) {
+  if (process.env.GITLAB_TOKEN) {
+    return { token: process.env.GITLAB_TOKEN, source: "GITLAB_TOKEN" };
+  }
+
+  const root = getRepoRoot();
+  if (root) {
+    const envFile = path.join(root, ".env.local");
+    if (existsSync(envFile)) {
+      const content = readFileSync(envFile, "utf8");
+      const match = content.match(/^GITLAB_TOKEN=["']?([^"'\n]+)["']?/m);
+      if (match) {
+        return { token: match[1], source: ".env.local" };
+      }
+    }
+  }
+
+  try {
+    const token = execFileSync(
+      "glab",
+      ["config", "get", "token", "--host", host || "gitlab.com"],
+      { encoding: "utf8", stdio: ["pipe", "pipe", "pipe"] }
+    ).trim();
+    if (token) {
+      return { token, source: "glab" };
+    }
+  } catch {
+    // glab not available or not authenticated
+  }
+
+  return null;
+}
+
+// ---------------------------------------------------------------------------
+// Merge requests
+// ---------------------------------------------------------------------------
+
+// The subset of GitHub's pull request fields the rest of the code reads
+function toPullRequest(mr) {
+  const fullName = mr.references?.full?.replace(/!\d+$/, "") || null;
+  return {
+    number: mr.iid,
+    title: mr.title,
+    html_url: mr.web_url,
+    state: mr.state === "opened" ? "open" : "closed",
+    merged: mr.state === "merged",
+    merged_at: mr.merged_at ?? null,
+    user: mr.author ? { login: mr.author.username } : null,
+    head: { ref: mr.source_branch, label: mr.source_branch, sha: mr.sha },
+    base: {
+      ref: mr.target_branch,
+      repo: fullName ? { full_name: fullName } : null,
+    },
+  };
+}
+
+/**
+ * Open MRs in owner/repo whose source branch is `branch`. GitLab lists MRs
+ * from forks in the target project too, so `headOwner` isn't needed to find
+ * them; it is accepted for signature compatibility.
+ */
+async function findPRsForBranch(owner, repo, branch, token, proxyFetch) {
+  const mrs = await getJSON(
+    `${projectPath(owner, repo)}/merge_requests?source_branch=${encodeURIComponent(branch)}&state=opened`,
+    token,
+    proxyFetch,
+    "find MR"
+  );
+  return mrs.map(toPullRequest);
+}
+
+async function findPRForBranch(owner, repo, branch, token, proxyFetch) {
+  const prs = await findPRsForBranch(owner, repo, branch, token, proxyFetch);
+  return prs[0] || null;
+}
+
+/**
+ * Open MRs in owner/repo that contain commit `sha`.
+ */
+async function findPRsForCommit(owner, repo, sha, token, proxyFetch) {
+  const response = await fetchWithRetry(
+    proxyFetch,
+    `${projectPath(owner, repo)}/repository/commits/${sha}/merge_requests`,
+    { headers: headers(token) }
+  );
+
+  // 404: the commit isn't in this project (e.g. not pushed yet)
+  if (response.status === 404) return [];
+  if (!response.ok) {
+    const error = new Error(`Failed to find MRs for commit: ${response.status}`);
+    error.status = response.status;
+    throw error;
+  }
+
+  const mrs = await response.json();
+  return mrs.filter((mr) => mr.state === "opened").map(toPullRequest);
+}
+
+/**
+ * Project metadata in GitHub's shape ({ fork, parent: { full_name } }), or
+ * null when it can't be read.
+ */
+async function fetchRepo(owner, repo, token, proxyFetch) {
+  const response = await fetchWithRetry(proxyFetch, projectPath(owner, repo), {
+    headers: headers(token),
+  });
+  if (!response.ok) return null;
+  const project = await response.json();
+  const parent = project.forked_from_project?.path_with_namespace;
+  return {
+    full_name: project.path_with_namespace,
+    fork: Boolean(parent),
+    parent: parent ? { full_name: parent } : null,
+    permissions: project.permissions,
+  };
+}
+
+async function fetchPR(owner, repo, prNumber, token, proxyFetch) {
+  const mr = await getJSON(
+    `${projectPath(owner, repo)}/merge_requests/${prNumber}`,
+    token,
+    proxyFetch,
+    `fetch MR !${prNumber}`
+  );
+  return toPullRequest(mr);
+}
+
+/**
+ * Username the token belongs to, or null if it can't be determined.
+ */
+async function fetchViewerLogin(token, proxyFetch) {
+  try {
+    const response = await fetchWithRetry(proxyFetch, `${getApiBase()}/user`, {
+      headers: headers(token),
+    });
+    if (!response.ok) return null;
+    const user = await response.json();
+    return user?.username || null;
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Token diagnostics in the shape doctor expects. GitLab has no OAuth scope
+ * header or rate-limit endpoint, so `scopes` and `rateLimits` are null.
+ */
+async function fetchTokenInfo(token, proxyFetch) {
+  const response = await fetchWithRetry(proxyFetch, `${getApiBase()}/user`, {
+    headers: headers(token),
+  });
+  const user = response.ok ? await response.json() : null;
+  return {
+    status: response.status,
+    login: user?.username ?? null,
+    scopes: null,
+    rateLimits: null,
+  };
+}
+
+/**
+ * Whether the token can resolve discussions on the MR: Developer access to
+ * the project, or authorship of the MR.
+ */
+async function fetchViewerAccess(owner, repo, prNumber, token, proxyFetch) {
+  const [login, project, pr] = await Promise.all([
+    fetchViewerLogin(token, proxyFetch),
+    fetchRepo(owner, repo, token, proxyFetch),
+    prNumber ? fetchPR(owner, repo, prNumber, token, proxyFetch) : null,
+  ]);
+  if (!project) {
+    throw new Error(`Failed to read project ${owner}/${repo}`);
+  }
+
+  const level = Math.max(
+    project.permissions?.project_access?.access_level ?? 0,
+    project.permissions?.group_access?.access_level ?? 0
+  );
+
+  return {
+    login,
+    permission: ACCESS_ROLES[level] ?? null,
+    canResolveThreads:
+      level >= DEVELOPER_ACCESS_LEVEL ||
+      Boolean(login && pr?.user?.login === login),
+  };
+}
+
+// ---------------------------------------------------------------------------
+// Discussions
+// ---------------------------------------------------------------------------
+
+async function fetchDiscussions(owner, repo, prNumber, token, proxyFetch) {
+  return fetchAllPages(
+    `${projectPath(owner, repo)}/merge_requests/${prNumber}/discussions?per_page=100`,
+    token,
+    proxyFetch
+  );
+}
+
+// System notes ("added 1 commit", "resolved all threads") aren't feedback
+function userNotes(discussion) {
+  return (discussion.notes || []).filter((note) => !note.system);
+}
+
+function noteUrl(owner, repo, prNumber, noteId) {
+  return `${webBase()}/${owner}/${repo}/-/merge_requests/${prNumber}#note_${noteId}`;
+}
+
+// "new" lines are on the MR's side of the diff, "old" lines on the base
+function positionSide(lineRef) {
+  if (!lineRef) return null;
+  return lineRef.new_line == null ? "LEFT" : "RIGHT";
+}
+
+function positionLine(lineRef) {
+  return lineRef ? (lineRef.new_line ?? lineRef.old_line ?? null) : null;
+}
+
+/**
+ * A note in the REST review comment shape. Location fields come from the
+ * discussion's root note, since replies have no position of their own.
+ */
+function toReviewComment(note, root, url) {
+  const position = root.position || null;
+  const isFile = position?.position_type === "file";
+  const line = isFile ? null : positionLine(position);
+  const start = isFile ? null : position?.line_range?.start;
+  const startLine = positionLine(start);
+  const hasRange = startLine !== null && startLine !== line;
+
+  return {
+    id: note.id,
+    user: note.author ? { login: note.author.username } : null,
+    body: note.body,
+    path: position ? position.new_path || position.old_path : null,
+    line,
+    original_line: line,
+    start_line: hasRange ? startLine : null,
+    original_start_line: hasRange ? startLine : null,
+    side: isFile ? null : positionSide(position),
+    start_side: hasRange ? positionSide(start) : null,
+    subject_type: isFile || !position ? "file" : "line",
+    diff_hunk: null,
+    commit_id: position?.head_sha ?? null,
+    original_commit_id: position?.head_sha ?? null,
+    created_at: note.created_at,
+    updated_at: note.updated_at,
+    html_url: url,
+    in_reply_to_id: note.id === root.id ? null : root.id,
+  };
+}
+
+/**
+ * Index an MR's current diff by path: for each changed file, the line
+ * numbers the diff shows on the new side (context and added lines) and on
+ * the old side (context and removed lines).
+ */
+function indexDiffs(diffs) {
+  const index = new Map();
+  for (const file of diffs) {
+    const entry = { newLines: new Set(), oldLines: new Set() };
+    let oldLine = 0;
+    let newLine = 0;
+    for (const line of (file.diff || "").split("\n")) {
+      const header = line.match(/^@@ -(\d+)(?:,\d+)? \+(\d+)(?:,\d+)? @@/);
+      if (header) {
+        oldLine = Number(header[1]);
+        newLine = Number(header[2]);
+      } else if (line.startsWith("+")) {
+        entry.newLines.add(newLine++);
+      } else if (line.startsWith("-")) {
+        entry.oldLines.add(oldLine++);
+      } else if (line.startsWith(" ")) {
+        entry.newLines.add(newLine++);
+        entry.oldLines.add(oldLine++);
+      }
+    }
+    index.set(file.new_path, entry);
+    if (file.old_path !== file.new_path) index.set(file.old_path, entry);
+  }
+  return index;
+}
+
+// Whether a diff note's position still points into the current diff
+function positionInDiff(position, diffIndex) {
+  const file =
+    diffIndex.get(position.new_path) || diffIndex.get(position.old_path);
+  if (!file) return false;
+  if (position.position_type === "file") return true;
+  return position.new_line != null
+    ? file.newLines.has(position.new_line)
+    : file.oldLines.has(position.old_line);
+}
+
+// Thread entries match fetchReviewThreads: comments.nodes[0] is the root.
+// GitLab doesn't flag outdated notes. A note written on an older head is
+// outdated when its position no longer points into the current diff;
+// without the diff (`diffIndex` null) nothing is marked outdated.
+function toReviewThread(discussion, notes, headSha, diffIndex) {
+  const root = notes[0];
+  const position = root.position;
+  const movedOn = Boolean(
+    position?.head_sha && headSha && position.head_sha !== headSha
+  );
+  const isOutdated =
+    movedOn && diffIndex !== null && !positionInDiff(position, diffIndex);
+  return {
+    id: discussion.id,
+    isResolved: root.resolved === true,
+    isOutdated,
+    isCollapsed: false,
+    resolvedBy: root.resolved_by ? { login: root.resolved_by.username } : null,
+    resolvable: root.resolvable === true,
+    comments: { nodes: notes.map((note) => ({ databaseId: note.id })) },
+  };
+}
+
+// The MR's current diff, indexed, or null when it can't be read (the
+// /diffs endpoint needs GitLab 15.7 or later)
+async function fetchDiffIndex(owner, repo, prNumber, token, proxyFetch) {
+  try {
+    const diffs = await fetchAllPages(
+      `${projectPath(owner, repo)}/merge_requests/${prNumber}/diffs?per_page=100`,
+      token,
+      proxyFetch
+    );
+    return indexDiffs(diffs);
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Every discussion on an MR as { reviewComments, issueComments, reviews,
+ * reviewThreads }, the shape fetchPRComments returns for GitHub. GitLab has
+ * no review bodies, so `reviews` is empty. `options` is accepted for
+ * signature compatibility; GitLab is always read over REST.
+ */
+async function fetchPRComments(owner, repo, prNumber, token, proxyFetch) {
+  const [discussions, mr] = await Promise.all([
+    fetchDiscussions(owner, repo, prNumber, token, proxyFetch),
+    getJSON(
+      `${projectPath(owner, repo)}/merge_requests/${prNumber}`,
+      token,
+      proxyFetch,
+      `fetch MR !${prNumber}`
+    ),
+  ]);
+  const headSha = mr.diff_refs?.head_sha ?? mr.sha ?? null;
+
+  // The current diff only matters for notes written on an older head
+  const needsDiff = discussions.some((discussion) => {
+    const sha = userNotes(discussion)[0]?.position?.head_sha;
+    return sha && headSha && sha !== headSha;
+  });
+  const diffIndex = needsDiff
+    ? await fetchDiffIndex(owner, repo, prNumber, token, proxyFetch)
+    : null;
+
+  const reviewComments = [];
+  const issueComments = [];
+  const reviewThreads = [];
+
+  for (const discussion of discussions) {
+    const notes = userNotes(discussion);
+    if (notes.length === 0) continue;
+    const [root] = notes;
+    const url = (note) => noteUrl(owner, repo, prNumber, note.id);
+
+    if (discussion.individual_note && !root.position) {
+      issueComments.push({
+        id: root.id,
+        user: root.author ? { login: root.author.username } : null,
+        body: root.body,
+        created_at: root.created_at,
+        updated_at: root.updated_at,
+        html_url: url(root),
+      });
+      continue;
+    }
+
+    for (const note of notes) {
+      reviewComments.push(toReviewComment(note, root, url(note)));
+    }
+    reviewThreads.push(toReviewThread(discussion, notes, headSha, diffIndex));
+  }
+
+  return { reviewComments, issueComments, reviews: [], reviewThreads };
+}
+
+/**
+ * Every threaded discussion on an MR, as fetchPRComments' reviewThreads.
+ */
+async function fetchReviewThreads(owner, repo, prNumber, token, proxyFetch) {
+  const { reviewThreads } = await fetchPRComments(
+    owner,
+    repo,
+    prNumber,
+    token,
+    proxyFetch
+  );
+  return reviewThreads;
+}
+
+// The discussion a note belongs to, or null
+async function findDiscussion(owner, repo, prNumber, noteId, token, proxyFetch) {
+  const targetId = Number(noteId);
+  const discussions = await fetchDiscussions(
+    owner,
+    repo,
+    prNumber,
+    token,
+    proxyFetch
+  );
+  return (
+    discussions.find((d) => (d.notes || []).some((n) => n.id === targetId)) ||
+    null
+  );
+}
+
+/**
+ * Reply in the discussion a note belongs to. Replying to a standalone note
+ * turns it into a thread. Falls back to a new MR note quoting the ID when
+ * the note isn't found or the reply is rejected.
+ */
+async function replyToComment(
+  owner,
+  repo,
+  prNumber,
+  commentId,
+  message,
+  token,
+  proxyFetch
+) {
+  const mrUrl = `${projectPath(owner, repo)}/merge_requests/${prNumber}`;
+  const discussion = await findDiscussion(
+    owner,
+    repo,
+    prNumber,
+    commentId,
+    token,
+    proxyFetch
+  );
+
+  let response = null;
+  if (discussion) {
+    response = await fetchWithRetry(
+      proxyFetch,
+      `${mrUrl}/discussions/${discussion.id}/notes`,
+      {
+        method: "POST",
+        headers: headers(token, { "Content-Type": "application/json" }),
+        body: JSON.stringify({ body: message }),
+      }
+    );
+  }
+
+  if (!response?.ok) {
+    response = await fetchWithRetry(proxyFetch, `${mrUrl}/notes`, {
+      method: "POST",
+      headers: headers(token, { "Content-Type": "application/json" }),
+      body: JSON.stringify({ body: fallbackReplyBody(commentId, message) }),
+    });
+
+    if (!response.ok) {
+      const error = await response.text();
+      throw new Error(`Failed to reply: ${response.status} - ${error}`);
+    }
+  }
+
+  const note = await response.json();
+  return { ...note, html_url: noteUrl(owner, repo, prNumber, note.id) };
+}
+
+function findThreadForComment(threads, commentId) {
+  const targetId = Number(commentId);
+  return (
+    threads.find((t) =>
+      t.comments.nodes.some((c) => c.databaseId === targetId)
+    ) || null
+  );
+}
+
+async function setThreadResolved(
+  owner,
+  repo,
+  prNumber,
+  thread,
+  resolved,
+  token,
+  proxyFetch
+) {
+  const action = resolved ? "resolve" : "unresolve";
+
+  // Setting a discussion to the state it's already in is a no-op, so this
+  // is safe to retry
+  const response = await fetchWithRetry(
+    proxyFetch,
+    `${projectPath(owner, repo)}/merge_requests/${prNumber}/discussions/${thread.id}?resolved=${resolved}`,
+    { method: "PUT", headers: headers(token) },
+    { idempotent: true }
+  );
+
+  if (!response.ok) {
+    throw new Error(`Failed to ${action} thread: ${response.status}`);
+  }
+
+  thread.isResolved = resolved;
+}
+
+async function findResolvableThread(
+  owner,
+  repo,
+  prNumber,
+  commentId,
+  token,
+  proxyFetch,
+  threads
+) {
+  const threadList =
+    threads ||
+    (await fetchReviewThreads(owner, repo, prNumber, token, proxyFetch));
+  const thread = findThreadForComment(threadList, commentId);
+  if (!thread) return { skipped: true, reason: "not a discussion thread" };
+  if (!thread.resolvable) {
+    return { skipped: true, reason: "discussion is not resolvable" };
+  }
+  return { thread };
+}
+
+/**
+ * Resolve the discussion containing a note. Same contract as the GitHub
+ * resolveThread, including the reusable `threads` index.
+ */
+async function resolveThread(
+  owner,
+  repo,
+  prNumber,
+  commentId,
+  token,
+  proxyFetch,
+  threads = null
+) {
+  const found = await findResolvableThread(
+    owner,
+    repo,
+    prNumber,
+    commentId,
+    token,
+    proxyFetch,
+    threads
+  );
+  if (!found.thread) return found;
+  const { thread } = found;
+
+  if (thread.isResolved) {
+    return { alreadyResolved: true, threadId: thread.id };
+  }
+
+  await setThreadResolved(
+    owner,
+    repo,
+    prNumber,
+    thread,
+    true,
+    token,
+    proxyFetch
+  );
+  return { resolved: true, threadId: thread.id };
+}
+
+/**
+ * Reopen the discussion containing a note. Mirrors resolveThread.
+ */
+async function unresolveThread(
+  owner,
+  repo,
+  prNumber,
+  commentId,
+  token,
+  proxyFetch,
+  threads = null
+) {
+  const found = await findResolvableThread(
+    owner,
+    repo,
+    prNumber,
+    commentId,
+    token,
+    proxyFetch,
+    threads
+  );
+  if (!found.thread) return found;
+  const { thread } = found;
+
+  if (!thread.isResolved) {
+    return { alreadyUnresolved: true, threadId: thread.id };
+  }
+
+  await setThreadResolved(
+    owner,
+    repo,
+    prNumber,
+    thread,
+    false,
+    token,
+    proxyFetch
+  );
+  return { unresolved: true, threadId: thread.id };
+}
+
+module.exports = {
+  name: "gitlab",
+  label: "GitLab",
+  apiUrlEnv: "GITLAB_API_URL",
+  defaultApiUrl: DEFAULT_API_URL,
+  tokenEnv: "GITLAB_TOKEN",
+  tokenHelp: "Set GITLAB_TOKEN env var, or authenticate with: glab auth login",
+  // Notes carry no diff hunk to check a suggestion's lines against
+  supportsSuggestions: false,
+  setApiBase,
+  getApiBase,
+  getGraphQLUrl: () => null,
+  apiBaseForHost,
+  resolveToken,
+  findPRsForBranch,
+  findPRForBranch,
+  findPRsForCommit,
+  fetchRepo,
+  fetchPR,
+  fetchViewerLogin,
+  fetchTokenInfo,
+  fetchViewerAccess,
+  fetchPRComments,
+  fetchReviewThreads,
+  replyToComment,
+  resolveThread,
+  unresolveThread,
+};
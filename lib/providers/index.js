@@ -0,0 +1,142 @@
+/**
+ * Code review providers
+ *
+ * Each provider (./github, ./gitlab, ./gitea) implements the same
+ * functions with the same positional signatures and returns GitHub REST
+ * shapes, so processComments, filters, watch mode and formatting work
+ * unchanged. The active provider is process-wide, like the API base URL:
+ * the CLI picks it from the repository's host (or the config file) once,
+ * and callers use the forwarding functions exported here. ReviewClient
+ * calls a provider module from PROVIDERS directly instead, with its own
+ * API base (see withApiBase in ../http).
+ */
+
+const github = require("./github");
+const gitlab = require("./gitlab");
+const gitea = require("./gitea");
+
+const PROVIDERS = { github, gitlab, gitea };
+
+// Forgejo is a Gitea fork with the same API
+const ALIASES = { forgejo: "gitea" };
+
+const PROVIDER_NAMES = [...Object.keys(PROVIDERS), ...Object.keys(ALIASES)];
+
+let active = github;
+
+/**
+ * Canonical provider name for a user-supplied one ("Forgejo" -> "gitea"),
+ * or null when it names no provider.
+ */
+function normalizeProviderName(name) {
+  const key = String(name).trim().toLowerCase();
+  const canonical = ALIASES[key] || key;
+  return PROVIDERS[canonical] ? canonical : null;
+}
+
+// Hosts listed in a comma-separated env var, without scheme or port
+function hostList(value) {
+  return (value || "")
+    .split(",")
+    .map((entry) =>
+      entry
+        .trim()
+        .toLowerCase()
+        .replace(/^https?:\/\//, "")
+        .replace(/[:/].*$/, "")
+    )
+    .filter(Boolean);
+}
+
+/**
+ * Provider name for a repository host. In order: AGENT_REVIEWS_PROVIDER,
+ * `preferred` (a PR URL's provider or the config file's "provider"), then
+ * the host: "gitlab" for gitlab.com, gitlab.* and GITLAB_HOST hosts,
+ * "gitea" for codeberg.org, gitea.com, gitea.*, forgejo.* and GITEA_HOST
+ * hosts, else "github".
+ */
+function detectProvider(host, env = process.env, preferred = null) {
+  const forced = env.AGENT_REVIEWS_PROVIDER?.trim();
+  if (forced) {
+    const name = normalizeProviderName(forced);
+    if (!name) {
+      throw new Error(
+        `Unknown AGENT_REVIEWS_PROVIDER "${forced.toLowerCase()}" (expected one of: ${PROVIDER_NAMES.join(", ")})`
+      );
+    }
+    return name;
+  }
+
+  if (preferred) {
+    const name = normalizeProviderName(preferred);
+    if (!name) throw new Error(`Unknown provider "${preferred}"`);
+    return name;
+  }
+
+  if (!host) return "github";
+  const name = host.toLowerCase();
+  if (
+    name === "gitlab.com" ||
+    name.startsWith("gitlab.") ||
+    hostList(env.GITLAB_HOST).includes(name)
+  ) {
+    return "gitlab";
+  }
+  if (
+    name === "codeberg.org" ||
+    name === "gitea.com" ||
+    name.startsWith("gitea.") ||
+    name.startsWith("forgejo.") ||
+    hostList(env.GITEA_HOST).includes(name)
+  ) {
+    return "gitea";
+  }
+  return "github";
+}
+
+function setProvider(name) {
+  const canonical = normalizeProviderName(name);
+  if (!canonical) {
+    throw new Error(`Unknown provider "${name}"`);
+  }
+  active = PROVIDERS[canonical];
+}
+
+/**
+ * The active provider module ({ name, label, apiUrlEnv, ... }).
+ */
+function getProvider() {
+  return active;
+}
+
+// Calls the active provider's implementation, looked up at call time
+function forward(name) {
+  return (...args) => active[name](...args);
+}
+
+module.exports = {
+  PROVIDERS,
+  PROVIDER_NAMES,
+  normalizeProviderName,
+  detectProvider,
+  setProvider,
+  getProvider,
+  setApiBase: forward("setApiBase"),
+  getApiBase: forward("getApiBase"),
+  getGraphQLUrl: forward("getGraphQLUrl"),
+  apiBaseForHost: forward("apiBaseForHost"),
+  resolveToken: forward("resolveToken"),
+  findPRsForBranch: forward("findPRsForBranch"),
+  findPRForBranch: forward("findPRForBranch"),
+  findPRsForCommit: forward("findPRsForCommit"),
+  fetchRepo: forward("fetchRepo"),
+  fetchPR: forward("fetchPR"),
+  fetchViewerLogin: forward("fetchViewerLogin"),
+  fetchTokenInfo: forward("fetchTokenInfo"),
+  fetchViewerAccess: forward("fetchViewerAccess"),
+  fetchPRComments: forward("fetchPRComments"),
+  fetchReviewThreads: forward("fetchReviewThreads"),
+  replyToComment: forward("replyToComment"),
+  resolveThread: forward("resolveThread"),
+  unresolveThread: forward("unresolveThread"),
+};
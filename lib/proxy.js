@@ -0,0 +1,287 @@
+/**
+ * Proxy routing without third-party dependencies
+ *
+ * NO_PROXY matching decides which hosts skip the proxy (an internal GitHub
+ * Enterprise host usually should). The tunnel fetch sends HTTPS requests
+ * through an HTTP(S) proxy with CONNECT using only node:http and node:tls,
+ * so proxy support doesn't depend on undici being installed or on spawning
+ * curl for every request. Tunneled sockets are kept alive and reused, which
+ * matters for watch mode.
+ */
+
+const http = require("node:http");
+const https = require("node:https");
+const net = require("node:net");
+const tls = require("node:tls");
+
+const CONNECT_TIMEOUT_MS = 10000;
+const REQUEST_TIMEOUT_MS = 60000;
+const MAX_REDIRECTS = 5;
+const REDIRECT_STATUSES = new Set([301, 302, 303, 307, 308]);
+// Not forwarded when a redirect leaves the original origin
+const CREDENTIAL_HEADERS = new Set(["authorization", "cookie", "private-token"]);
+
+// ---------------------------------------------------------------------------
+// NO_PROXY
+// ---------------------------------------------------------------------------
+
+function getNoProxy(env = process.env) {
+  return env.NO_PROXY ?? env.no_proxy ?? "";
+}
+
+// URL hostnames keep the brackets around IPv6 addresses
+function stripBrackets(host) {
+  return host.replace(/^\[(.*)\]$/, "$1");
+}
+
+function defaultPort(protocol) {
+  return protocol === "http:" ? "80" : "443";
+}
+
+/**
+ * Split a NO_PROXY value into { host, port, subnet } entries. Entries are
+ * separated by commas or whitespace. A leading "." or "*." is dropped, since
+ * every entry matches its subdomains anyway (curl's behavior). "*" alone
+ * becomes { host: "*" }.
+ */
+function parseNoProxy(value) {
+  const entries = [];
+  for (const raw of String(value || "").toLowerCase().split(/[\s,]+/)) {
+    if (!raw) continue;
+    if (raw === "*") {
+      entries.push({ host: "*", port: null, subnet: null });
+      continue;
+    }
+
+    const cidr = raw.match(/^([^/]+)\/(\d{1,3})$/);
+    if (cidr && net.isIP(cidr[1])) {
+      entries.push({
+        host: null,
+        port: null,
+        subnet: { address: cidr[1], prefix: Number(cidr[2]) },
+      });
+      continue;
+    }
+
+    // host, host:port, [v6], [v6]:port or a bare IPv6 address
+    const match = net.isIPv6(raw)
+      ? [raw, raw, undefined]
+      : raw.match(/^(\[[^\]]+\]|[^:]+)(?::(\d+))?$/);
+    if (!match) continue;
+    const host = stripBrackets(match[1]).replace(/^\*?\./, "");
+    if (host) entries.push({ host, port: match[2] || null, subnet: null });
+  }
+  return entries;
+}
+
+function inSubnet(address, { address: network, prefix }) {
+  const family = net.isIPv6(network) ? "ipv6" : "ipv4";
+  if ((net.isIPv6(address) ? "ipv6" : "ipv4") !== family) return false;
+  const list = new net.BlockList();
+  try {
+    list.addSubnet(network, prefix, family);
+  } catch {
+    return false;
+  }
+  return list.check(address, family);
+}
+
+/**
+ * Whether `url` should bypass the proxy according to NO_PROXY. `noProxy`
+ * defaults to NO_PROXY / no_proxy from the environment.
+ */
+function shouldBypassProxy(url, noProxy = getNoProxy()) {
+  const entries = parseNoProxy(noProxy);
+  if (entries.length === 0) return false;
+
+  const target = new URL(url);
+  const host = stripBrackets(target.hostname).toLowerCase();
+  const port = target.port || defaultPort(target.protocol);
+
+  return entries.some((entry) => {
+    if (entry.host === "*") return true;
+    if (entry.subnet) return net.isIP(host) !== 0 && inSubnet(host, entry.subnet);
+    if (entry.port && entry.port !== port) return false;
+    return host === entry.host || host.endsWith(`.${entry.host}`);
+  });
+}
+
+// ---------------------------------------------------------------------------
+// CONNECT tunnel
+// ---------------------------------------------------------------------------
+
+function proxyAuthorization(proxy) {
+  if (!proxy.username) return null;
+  const credentials = `${decodeURIComponent(proxy.username)}:${decodeURIComponent(proxy.password)}`;
+  return `Basic ${Buffer.from(credentials).toString("base64")}`;
+}
+
+/**
+ * Ask the proxy for a raw TCP connection to host:port. Resolves with the
+ * socket once the proxy answers 200.
+ */
+function openTunnel(proxy, host, port) {
+  const authority = `${net.isIPv6(host) ? `[${host}]` : host}:${port}`;
+  const headers = { Host: authority };
+  const authorization = proxyAuthorization(proxy);
+  if (authorization) headers["Proxy-Authorization"] = authorization;
+
+  return new Promise((resolve, reject) => {
+    const request = (proxy.protocol === "https:" ? https : http).request({
+      host: stripBrackets(proxy.hostname),
+      port: proxy.port || defaultPort(proxy.protocol),
+      method: "CONNECT",
+      path: authority,
+      headers,
+      agent: false,
+      timeout: CONNECT_TIMEOUT_MS,
+    });
+
+    request.once("connect", (response, socket) => {
+      if (response.statusCode === 200) {
+        resolve(socket);
+        return;
+      }
+      socket.destroy();
+      const reason =
+        response.statusCode === 407
+          ? "proxy authentication required"
+          : `proxy answered ${response.statusCode}`;
+      reject(new Error(`CONNECT ${authority} via ${proxy.host} failed: ${reason}`));
+    });
+    request.once("timeout", () =>
+      request.destroy(new Error(`Timed out connecting to proxy ${proxy.host}`))
+    );
+    request.once("error", reject);
+    request.end();
+  });
+}
+
+// A keep-alive agent whose sockets are tunnels through the proxy; HTTPS
+// targets get TLS on top of the tunnel
+function createTunnelAgent(proxy, secure) {
+  const agent = new (secure ? https : http).Agent({ keepAlive: true });
+  agent.createConnection = (options, callback) => {
+    openTunnel(proxy, options.host, options.port).then((socket) => {
+      if (!secure) {
+        callback(null, socket);
+        return;
+      }
+      const servername = net.isIP(options.host)
+        ? undefined
+        : options.servername || options.host;
+      callback(null, tls.connect({ ...options, socket, servername }));
+    }, callback);
+  };
+  return agent;
+}
+
+// Just enough of the fetch Response interface for agent-reviews
+function toResponse(message, body) {
+  return {
+    ok: message.statusCode >= 200 && message.statusCode < 300,
+    status: message.statusCode,
+    headers: {
+      get(name) {
+        const value = message.headers[String(name).toLowerCase()];
+        if (value === undefined) return null;
+        return Array.isArray(value) ? value.join(", ") : value;
+      },
+    },
+    async text() {
+      return body;
+    },
+    async json() {
+      return JSON.parse(body || "null");
+    },
+  };
+}
+
+function withoutCredentials(headers) {
+  const result = {};
+  for (const [name, value] of new Headers(headers || {})) {
+    if (!CREDENTIAL_HEADERS.has(name)) result[name] = value;
+  }
+  return result;
+}
+
+function send(url, options, agents, redirects) {
+  const target = new URL(url);
+  const secure = target.protocol === "https:";
+
+  return new Promise((resolve, reject) => {
+    const request = (secure ? https : http).request(
+      target,
+      {
+        method: options.method || "GET",
+        headers: options.headers,
+        agent: secure ? agents.https : agents.http,
+        timeout: REQUEST_TIMEOUT_MS,
+      },
+      (message) => {
+        const chunks = [];
+        message.on("data", (chunk) => chunks.push(chunk));
+        message.on("error", reject);
+        // "close" rather than "end": by then a kept-alive socket is back in
+        // the pool, so the next request (or redirect) reuses the tunnel
+        message.on("close", () => {
+          if (!message.complete) {
+            reject(new Error(`Connection to ${target.host} closed mid-response`));
+            return;
+          }
+          const location = message.headers.location;
+          if (
+            REDIRECT_STATUSES.has(message.statusCode) &&
+            location &&
+            redirects < MAX_REDIRECTS
+          ) {
+            // Like fetch: 303 (and 301/302 after a POST) turn into a GET
+            const keepMethod =
+              message.statusCode === 307 ||
+              message.statusCode === 308 ||
+              !options.method ||
+              options.method === "GET";
+            let next = keepMethod
+              ? options
+              : { ...options, method: "GET", body: undefined };
+            // Like fetch, the token stays with the host it was meant for
+            const redirectUrl = new URL(location, target);
+            if (redirectUrl.origin !== target.origin) {
+              next = { ...next, headers: withoutCredentials(next.headers) };
+            }
+            resolve(send(redirectUrl, next, agents, redirects + 1));
+            return;
+          }
+          resolve(toResponse(message, Buffer.concat(chunks).toString("utf8")));
+        });
+      }
+    );
+    request.once("timeout", () =>
+      request.destroy(new Error(`Request to ${target.host} timed out`))
+    );
+    request.once("error", reject);
+    if (options.body) request.write(options.body);
+    request.end();
+  });
+}
+
+/**
+ * A fetch-compatible function that tunnels every request through the
+ * http:// or https:// proxy at `proxyUrl`. Credentials in the proxy URL
+ * are sent as Proxy-Authorization.
+ */
+function createTunnelFetch(proxyUrl) {
+  const proxy = new URL(proxyUrl);
+  const agents = {
+    http: createTunnelAgent(proxy, false),
+    https: createTunnelAgent(proxy, true),
+  };
+  return (url, options = {}) => send(url, options, agents, 0);
+}
+
+module.exports = {
+  getNoProxy,
+  parseNoProxy,
+  shouldBypassProxy,
+  createTunnelFetch,
+};
@@ -0,0 +1,150 @@
+/**
+ * Map review comment lines onto the current checkout
+ *
+ * A review comment's line number refers to the commit it was written
+ * against. After a few more pushes that line has usually moved, so each
+ * comment's line is carried through `git diff <commit> HEAD -- <path>` to
+ * find where it is now, or to learn that it was changed or removed.
+ */
+
+const { execFileSync } = require("node:child_process");
+
+// Parsed hunks per (HEAD, commit, path). A diff between two commits never
+// changes, so entries stay valid for the life of the process.
+const hunkCache = new Map();
+
+function runGit(args, root) {
+  return execFileSync("git", args, {
+    cwd: root,
+    encoding: "utf8",
+    stdio: ["pipe", "pipe", "pipe"],
+    maxBuffer: 64 * 1024 * 1024,
+  });
+}
+
+// ---------------------------------------------------------------------------
+// Diff parsing and line mapping
+// ---------------------------------------------------------------------------
+
+/**
+ * Parse the hunk headers of a zero-context unified diff into
+ * { oldStart, oldCount, newStart, newCount } entries.
+ */
+function parseDiffHunks(diffText) {
+  const hunks = [];
+  for (const line of diffText.split("\n")) {
+    const match = line.match(/^@@ -(\d+)(?:,(\d+))? \+(\d+)(?:,(\d+))? @@/);
+    if (!match) continue;
+    hunks.push({
+      oldStart: Number(match[1]),
+      oldCount: match[2] === undefined ? 1 : Number(match[2]),
+      newStart: Number(match[3]),
+      newCount: match[4] === undefined ? 1 : Number(match[4]),
+    });
+  }
+  return hunks;
+}
+
+/**
+ * Map a line number on the old side of a zero-context diff to the new side.
+ * Returns null when the line itself was changed or removed.
+ */
+function mapLine(hunks, line) {
+  let offset = 0;
+
+  for (const hunk of hunks) {
+    if (hunk.oldCount === 0) {
+      // Pure insertion after old line `oldStart`
+      if (line <= hunk.oldStart) break;
+      offset += hunk.newCount;
+      continue;
+    }
+
+    if (line < hunk.oldStart) break;
+    if (line < hunk.oldStart + hunk.oldCount) return null;
+    offset += hunk.newCount - hunk.oldCount;
+  }
+
+  return line + offset;
+}
+
+// ---------------------------------------------------------------------------
+// Remapping comments
+// ---------------------------------------------------------------------------
+
+function getHunks(git, root, head, commit, filePath) {
+  const key = `${head}\0${commit}\0${filePath}`;
+  if (!hunkCache.has(key)) {
+    let hunks = null;
+    try {
+      hunks = parseDiffHunks(
+        git(
+          [
+            "diff",
+            "--no-color",
+            "--no-ext-diff",
+            "--unified=0",
+            commit,
+            head,
+            "--",
+            filePath,
+          ],
+          root
+        )
+      );
+    } catch {
+      // Commit not available locally (not fetched, or force-pushed away)
+    }
+    hunkCache.set(key, hunks);
+  }
+  return hunkCache.get(key);
+}
+
+/**
+ * Return copies of `comments` with `currentLine` set on inline review
+ * comments: the comment's line as it is at HEAD, or null when it can't be
+ * mapped (line changed or removed, commit missing locally, not in a git
+ * checkout).
+ *
+ * Options:
+ *   root  Repository root to run git in (default: cwd)
+ *   git   (args, root) => stdout, for tests
+ */
+function remapComments(comments, options = {}) {
+  const root = options.root || process.cwd();
+  const git = options.git || runGit;
+
+  let head;
+  try {
+    head = git(["rev-parse", "HEAD"], root).trim();
+  } catch {
+    return comments;
+  }
+
+  return comments.map((comment) => {
+    if (comment.type !== "review_comment" || !comment.path) return comment;
+    // Lines on the LEFT side number the base version, not the PR's commits
+    if (comment.side === "LEFT") return comment;
+
+    // `line` tracks `commitId` while the comment is current; once outdated
+    // only the original position is meaningful.
+    const commit = comment.isOutdated
+      ? comment.originalCommitId
+      : comment.commitId || comment.originalCommitId;
+    const line = comment.isOutdated ? comment.originalLine : comment.line;
+    if (!commit || !line) return comment;
+
+    if (commit === head) {
+      return { ...comment, currentLine: line };
+    }
+
+    const hunks = getHunks(git, root, head, commit, comment.path);
+    return { ...comment, currentLine: hunks ? mapLine(hunks, line) : null };
+  });
+}
+
+module.exports = {
+  parseDiffHunks,
+  mapLine,
+  remapComments,
+};
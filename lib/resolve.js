@@ -0,0 +1,81 @@
+/**
+ * Bulk thread resolution
+ *
+ * Selects review threads by rule and resolves them against a single thread
+ * index. Rules:
+ *   mine      the latest message in the thread was written by the
+ *             authenticated user (typically the agent's "Fixed in ..." reply)
+ *   outdated  the code the thread points at has changed since the comment
+ */
+
+const { fetchReviewThreads, resolveThread } = require("./providers");
+const { mapWithConcurrency, DEFAULT_CONCURRENCY } = require("./plan");
+
+const RESOLVE_ALL_MODES = ["mine", "outdated"];
+
+/**
+ * Pick the open review threads (by root comment) that match `mode`.
+ * `selfLogin` is required for "mine".
+ */
+function selectThreads(comments, mode, options = {}) {
+  if (!RESOLVE_ALL_MODES.includes(mode)) {
+    throw new Error(
+      `Unknown --resolve-all mode "${mode}" (expected one of: ${RESOLVE_ALL_MODES.join(", ")})`
+    );
+  }
+  if (mode === "mine" && !options.selfLogin) {
+    throw new Error(
+      "--resolve-all mine needs to know who you are, but the token has no associated user"
+    );
+  }
+
+  return comments.filter((comment) => {
+    if (comment.type !== "review_comment" || comment.isResolved) return false;
+    if (mode === "outdated") return comment.isOutdated === true;
+
+    const last = comment.replies.length > 0 ? comment.replies.at(-1) : comment;
+    return last.user === options.selfLogin;
+  });
+}
+
+/**
+ * Resolve the threads started by `comments`. Pass `options.threads` (e.g.
+ * the reviewThreads from fetchPRComments) to skip fetching the index again.
+ * Returns one result per comment:
+ *   { id, ok, resolve: "resolved" | "already_resolved" | "skipped" | "failed",
+ *     error }
+ */
+async function resolveThreads(context, comments, options = {}) {
+  const { owner, repo, prNumber, token, proxyFetch } = context;
+  const concurrency =
+    options.concurrency > 0 ? options.concurrency : DEFAULT_CONCURRENCY;
+  const threads =
+    options.threads ||
+    (await fetchReviewThreads(owner, repo, prNumber, token, proxyFetch));
+
+  return mapWithConcurrency(comments, concurrency, async (comment) => {
+    try {
+      const result = await resolveThread(
+        owner,
+        repo,
+        prNumber,
+        comment.id,
+        token,
+        proxyFetch,
+        threads
+      );
+      let resolve = "skipped";
+      if (result.resolved) resolve = "resolved";
+      else if (result.alreadyResolved) resolve = "already_resolved";
+      return { id: comment.id, ok: true, resolve, error: null };
+    } catch (error) {
+      return { id: comment.id, ok: false, resolve: "failed", error: error.message };
+    }
+  });
+}
+
+module.exports = {
+  RESOLVE_ALL_MODES,
+  selectThreads,
+  resolveThreads,
+};
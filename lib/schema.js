@@ -0,0 +1,196 @@
+/**
+ * Versioned comment schema for the programmatic API
+ *
+ * ReviewClient returns comments in this shape rather than the internal
+ * processComments objects, which gain fields as features land. Within a
+ * schema version fields are only ever added, never renamed, removed or
+ * retyped; anything else bumps SCHEMA_VERSION.
+ *
+ * COMMENT_SCHEMA is the same contract as a JSON Schema (draft 2020-12), for
+ * consumers that validate or generate types from it.
+ */
+
+const SCHEMA_VERSION = 1;
+
+/**
+ * @typedef {object} Reply
+ * @property {number} id
+ * @property {string|null} user
+ * @property {boolean} isBot
+ * @property {string} body
+ * @property {string} createdAt  ISO 8601
+ */
+
+/**
+ * @typedef {object} Comment
+ * @property {number} schemaVersion
+ * @property {number} id
+ * @property {"review_comment"|"issue_comment"|"review"} type
+ * @property {string|null} user
+ * @property {boolean} isBot
+ * @property {string} body
+ * @property {string|null} url
+ * @property {string} createdAt  ISO 8601
+ * @property {string|null} updatedAt  ISO 8601
+ * @property {string|null} path  File path (review comments only)
+ * @property {number|null} line  Last line of the commented range
+ * @property {number|null} startLine  First line of a multi-line range
+ * @property {number|null} originalLine
+ * @property {number|null} originalStartLine
+ * @property {number|null} currentLine  `line` mapped to the local checkout
+ * @property {"LEFT"|"RIGHT"|null} side
+ * @property {"LEFT"|"RIGHT"|null} startSide
+ * @property {"line"|"file"|null} subjectType
+ * @property {string|null} diffHunk
+ * @property {string|null} commitId
+ * @property {string|null} reviewState  Review state (reviews only)
+ * @property {Reply[]} replies
+ * @property {boolean} hasHumanReply
+ * @property {boolean} hasAnyReply
+ * @property {boolean} isResolved
+ * @property {string|null} resolvedBy
+ * @property {boolean} isOutdated
+ * @property {string|null} threadId  GraphQL review thread ID
+ */
+
+const nullable = (type) => ({ type: [type, "null"] });
+const SIDE = { enum: ["LEFT", "RIGHT", null] };
+
+const COMMENT_SCHEMA = {
+  $schema: "https://json-schema.org/draft/2020-12/schema",
+  $id: `urn:agent-reviews:comment:v${SCHEMA_VERSION}`,
+  title: "agent-reviews comment",
+  type: "object",
+  required: [
+    "schemaVersion",
+    "id",
+    "type",
+    "user",
+    "isBot",
+    "body",
+    "url",
+    "createdAt",
+    "updatedAt",
+    "path",
+    "line",
+    "startLine",
+    "originalLine",
+    "originalStartLine",
+    "currentLine",
+    "side",
+    "startSide",
+    "subjectType",
+    "diffHunk",
+    "commitId",
+    "reviewState",
+    "replies",
+    "hasHumanReply",
+    "hasAnyReply",
+    "isResolved",
+    "resolvedBy",
+    "isOutdated",
+    "threadId",
+  ],
+  properties: {
+    schemaVersion: { const: SCHEMA_VERSION },
+    id: { type: "integer" },
+    type: { enum: ["review_comment", "issue_comment", "review"] },
+    user: nullable("string"),
+    isBot: { type: "boolean" },
+    body: { type: "string" },
+    url: nullable("string"),
+    createdAt: { type: "string", format: "date-time" },
+    updatedAt: nullable("string"),
+    path: nullable("string"),
+    line: nullable("integer"),
+    startLine: nullable("integer"),
+    originalLine: nullable("integer"),
+    originalStartLine: nullable("integer"),
+    currentLine: nullable("integer"),
+    side: SIDE,
+    startSide: SIDE,
+    subjectType: { enum: ["line", "file", null] },
+    diffHunk: nullable("string"),
+    commitId: nullable("string"),
+    reviewState: nullable("string"),
+    replies: {
+      type: "array",
+      items: {
+        type: "object",
+        required: ["id", "user", "isBot", "body", "createdAt"],
+        properties: {
+          id: { type: "integer" },
+          user: nullable("string"),
+          isBot: { type: "boolean" },
+          body: { type: "string" },
+          createdAt: { type: "string", format: "date-time" },
+        },
+      },
+    },
+    hasHumanReply: { type: "boolean" },
+    hasAnyReply: { type: "boolean" },
+    isResolved: { type: "boolean" },
+    resolvedBy: nullable("string"),
+    isOutdated: { type: "boolean" },
+    threadId: nullable("string"),
+  },
+};
+
+/**
+ * @returns {Reply}
+ */
+function toSchemaReply(reply) {
+  return {
+    id: reply.id,
+    user: reply.user ?? null,
+    isBot: reply.isBot === true,
+    body: reply.body ?? "",
+    createdAt: reply.createdAt,
+  };
+}
+
+/**
+ * Convert a processComments entry to the public schema. Every field is
+ * present; what doesn't apply to a comment type is null (or false).
+ *
+ * @returns {Comment}
+ */
+function toSchemaComment(comment) {
+  return {
+    schemaVersion: SCHEMA_VERSION,
+    id: comment.id,
+    type: comment.type,
+    user: comment.user ?? null,
+    isBot: comment.isBot === true,
+    body: comment.body ?? "",
+    url: comment.url ?? null,
+    createdAt: comment.createdAt,
+    updatedAt: comment.updatedAt ?? null,
+    path: comment.path ?? null,
+    line: comment.line ?? null,
+    startLine: comment.startLine ?? null,
+    originalLine: comment.originalLine ?? null,
+    originalStartLine: comment.originalStartLine ?? null,
+    currentLine: comment.currentLine ?? null,
+    side: comment.side ?? null,
+    startSide: comment.startSide ?? null,
+    subjectType: comment.subjectType ?? null,
+    diffHunk: comment.diffHunk ?? null,
+    commitId: comment.commitId ?? null,
+    reviewState: comment.state ?? null,
+    replies: (comment.replies || []).map(toSchemaReply),
+    hasHumanReply: comment.hasHumanReply === true,
+    hasAnyReply: comment.hasAnyReply === true,
+    isResolved: comment.isResolved === true,
+    resolvedBy: comment.resolvedBy ?? null,
+    isOutdated: comment.isOutdated === true,
+    threadId: comment.threadId ?? null,
+  };
+}
+
+module.exports = {
+  SCHEMA_VERSION,
+  COMMENT_SCHEMA,
+  toSchemaComment,
+  toSchemaReply,
+};
@@ -0,0 +1,100 @@
+/**
+ * Local state persistence
+ *
+ * Stores small JSON files per provider, host, repo and PR so the watcher
+ * can resume where its previous run stopped. Files live under (first match wins):
+ * 1. $AGENT_REVIEWS_STATE_DIR
+ * 2. $XDG_STATE_HOME/agent-reviews
+ * 3. ~/.local/state/agent-reviews
+ */
+
+const {
+  existsSync,
+  mkdirSync,
+  readFileSync,
+  renameSync,
+  rmSync,
+  writeFileSync,
+} = require("node:fs");
+const os = require("node:os");
+const path = require("node:path");
+
+const WATCH_STATE_VERSION = 1;
+
+function getStateDir() {
+  if (process.env.AGENT_REVIEWS_STATE_DIR) {
+    return process.env.AGENT_REVIEWS_STATE_DIR;
+  }
+  if (process.env.XDG_STATE_HOME) {
+    return path.join(process.env.XDG_STATE_HOME, "agent-reviews");
+  }
+  return path.join(os.homedir(), ".local", "state", "agent-reviews");
+}
+
+/**
+ * State file for a PR. `remote` ({ provider, host }) keeps the same
+ * OWNER/REPO on different hosts or providers apart.
+ */
+function getWatchStatePath(owner, repo, prNumber, remote = {}) {
+  const name = [remote.provider, remote.host, owner, repo, prNumber]
+    .filter((part) => part !== undefined && part !== null && part !== "")
+    .join("__");
+  return path.join(
+    getStateDir(),
+    "watch",
+    `${name}.json`.replace(/[^\w.-]/g, "_")
+  );
+}
+
+/**
+ * Load the saved watch state for a PR. Returns null when there is none or
+ * it can't be used (unreadable, corrupt, or from another format version).
+ */
+function loadWatchState(owner, repo, prNumber, remote) {
+  const file = getWatchStatePath(owner, repo, prNumber, remote);
+  if (!existsSync(file)) return null;
+
+  try {
+    const state = JSON.parse(readFileSync(file, "utf8"));
+    if (state.version !== WATCH_STATE_VERSION || !state.snapshot) {
+      return null;
+    }
+    return state;
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Save watch state for a PR. Writes to a temp file and renames it so an
+ * interrupted watcher never leaves a half-written file behind.
+ */
+function saveWatchState(
+  owner,
+  repo,
+  prNumber,
+  { snapshot, lastPollAt },
+  remote
+) {
+  const file = getWatchStatePath(owner, repo, prNumber, remote);
+  mkdirSync(path.dirname(file), { recursive: true });
+
+  const tempFile = `${file}.${process.pid}.tmp`;
+  writeFileSync(
+    tempFile,
+    JSON.stringify({ version: WATCH_STATE_VERSION, lastPollAt, snapshot })
+  );
+  renameSync(tempFile, file);
+}
+
+function clearWatchState(owner, repo, prNumber, remote) {
+  rmSync(getWatchStatePath(owner, repo, prNumber, remote), { force: true });
+}
+
+module.exports = {
+  getStateDir,
+  getWatchStatePath,
+  loadWatchState,
+  saveWatchState,
+  clearWatchState,
+};
@@ -0,0 +1,285 @@
+/**
+ * Apply GitHub ```suggestion blocks to the local working tree
+ *
+ * Reviewers (human and bot) can attach a suggested replacement for the
+ * commented lines. This module extracts the suggestion from a processed
+ * comment, verifies the local file still matches the comment's diff hunk,
+ * and rewrites the commented line range in place.
+ */
+
+const { existsSync, readFileSync, writeFileSync } = require("node:fs");
+const path = require("node:path");
+
+const DIFF_CONTEXT_LINES = 3;
+
+// ---------------------------------------------------------------------------
+// Parsing
+// ---------------------------------------------------------------------------
+
+/**
+ * Extract the contents of every ```suggestion fenced block in a comment
+ * body. Each entry is the list of replacement lines (empty for a deletion).
+ */
+function extractSuggestions(body) {
+  if (!body) return [];
+
+  const suggestions = [];
+  const lines = body.split(/\r?\n/);
+  let fence = null;
+  let current = null;
+
+  for (const line of lines) {
+    if (!fence) {
+      const open = line.match(/^\s*(`{3,}|~{3,})\s*suggestion\s*$/);
+      if (open) {
+        fence = open[1];
+        current = [];
+      }
+      continue;
+    }
+
+    const close = line.match(/^\s*(`{3,}|~{3,})\s*$/);
+    if (close && close[1][0] === fence[0] && close[1].length >= fence.length) {
+      suggestions.push(current);
+      fence = null;
+      current = null;
+    } else {
+      current.push(line);
+    }
+  }
+
+  return suggestions;
+}
+
+/**
+ * Map new-side line numbers to their text for a diff hunk. Context and
+ * added lines exist in the new file; removed lines do not.
+ */
+function parseHunkNewLines(diffHunk) {
+  const lines = new Map();
+  if (!diffHunk) return lines;
+
+  const [header, ...body] = diffHunk.split(/\r?\n/);
+  const match = header.match(/^@@ -\d+(?:,\d+)? \+(\d+)(?:,\d+)? @@/);
+  if (!match) return lines;
+
+  let lineNumber = Number(match[1]);
+  for (const line of body) {
+    if (line.startsWith("\\")) continue; // "\ No newline at end of file"
+    if (line.startsWith("-")) continue;
+    lines.set(lineNumber, line.slice(1));
+    lineNumber++;
+  }
+
+  return lines;
+}
+
+// ---------------------------------------------------------------------------
+// Diff output
+// ---------------------------------------------------------------------------
+
+function formatRange(start, count) {
+  return count === 1 ? `${start}` : `${start},${count}`;
+}
+
+/**
+ * Build a single-hunk unified diff for replacing lines [start, end]
+ * (1-based, inclusive) of `oldLines` with `replacement`.
+ */
+function createUnifiedDiff(filePath, oldLines, start, end, replacement) {
+  const contextStart = Math.max(1, start - DIFF_CONTEXT_LINES);
+  const contextEnd = Math.min(oldLines.length, end + DIFF_CONTEXT_LINES);
+
+  const before = oldLines.slice(contextStart - 1, start - 1);
+  const removed = oldLines.slice(start - 1, end);
+  const after = oldLines.slice(end, contextEnd);
+
+  const oldCount = before.length + removed.length + after.length;
+  const newCount = before.length + replacement.length + after.length;
+  // An empty side of a hunk is numbered from the line before it
+  const newStart = newCount === 0 ? contextStart - 1 : contextStart;
+
+  return [
+    `--- a/${filePath}`,
+    `+++ b/${filePath}`,
+    `@@ -${formatRange(contextStart, oldCount)} +${formatRange(newStart, newCount)} @@`,
+    ...before.map((l) => ` ${l}`),
+    ...removed.map((l) => `-${l}`),
+    ...replacement.map((l) => `+${l}`),
+    ...after.map((l) => ` ${l}`),
+  ].join("\n");
+}
+
+// ---------------------------------------------------------------------------
+// Planning and applying
+// ---------------------------------------------------------------------------
+
+/**
+ * Work out the edit a comment's suggestion makes, checked against the
+ * current file contents. Throws with a user-facing message when the
+ * suggestion can't be applied safely.
+ */
+function planSuggestion(comment, fileLines, rawBody) {
+  if (comment.type !== "review_comment" || !comment.path) {
+    throw new Error("not an inline review comment");
+  }
+
+  // The cleaned body may have lost HTML comments or blank lines in the code
+  const suggestions = extractSuggestions(rawBody ?? comment.body);
+  if (suggestions.length === 0) {
+    throw new Error("comment has no ```suggestion block");
+  }
+  if (suggestions.length > 1) {
+    throw new Error(
+      `comment has ${suggestions.length} suggestion blocks; apply it by hand`
+    );
+  }
+
+  if (comment.side === "LEFT" || comment.startSide === "LEFT") {
+    throw new Error("comment is on deleted lines; nothing to replace");
+  }
+
+  // The diff hunk numbers lines as of the commit the comment was written
+  // on. The range is checked there, then shifted to where it ends now
+  // (`currentLine` in a checkout, else `line` on the PR's head).
+  const originalEnd = comment.originalLine || comment.line;
+  const originalStart = comment.originalLine
+    ? comment.originalStartLine || originalEnd
+    : comment.startLine || originalEnd;
+  if (!originalEnd || originalStart > originalEnd) {
+    throw new Error("comment has no usable line range");
+  }
+  const offset = (comment.currentLine || comment.line || originalEnd) - originalEnd;
+  const start = originalStart + offset;
+  const end = originalEnd + offset;
+  if (end > fileLines.length) {
+    throw new Error(
+      `${comment.path} has ${fileLines.length} lines but the comment targets line ${end}; the file has drifted`
+    );
+  }
+
+  // Every commented line that appears in the diff hunk must still match the
+  // local file, otherwise the line numbers no longer point at the same code.
+  const hunkLines = parseHunkNewLines(comment.diffHunk);
+  if (!hunkLines.has(originalEnd)) {
+    throw new Error(
+      "cannot verify the target lines against the comment's diff hunk"
+    );
+  }
+  for (let n = originalStart; n <= originalEnd; n++) {
+    if (hunkLines.has(n) && hunkLines.get(n) !== fileLines[n + offset - 1]) {
+      throw new Error(
+        `${comment.path}:${n + offset} no longer matches the reviewed code; the file has drifted since the comment was posted`
+      );
+    }
+  }
+
+  return { path: comment.path, start, end, replacement: suggestions[0] };
+}
+
+function splitFile(content) {
+  const eol = content.includes("\r\n") ? "\r\n" : "\n";
+  const hasTrailingNewline = content.endsWith(eol);
+  const body = hasTrailingNewline ? content.slice(0, -eol.length) : content;
+  return {
+    eol,
+    hasTrailingNewline,
+    lines: body === "" ? [] : body.split(eol),
+  };
+}
+
+function joinFile({ eol, hasTrailingNewline, lines }) {
+  const content = lines.join(eol);
+  return hasTrailingNewline && lines.length > 0 ? content + eol : content;
+}
+
+/**
+ * Apply the suggestions from a list of processed comments to files under
+ * `root`. Edits are checked against the file as it is on disk before any
+ * change is made, then written bottom-up so earlier line numbers stay valid.
+ * `rawBodies` maps comment IDs to their bodies as the API returned them,
+ * since the cleaned `body` may have lost lines inside a suggestion.
+ *
+ * Returns one result per comment:
+ *   { id, path, status: "applied" | "would_apply" | "failed", diff, error }
+ */
+function applySuggestions(comments, options = {}) {
+  const root = options.root || process.cwd();
+  const dryRun = options.dryRun === true;
+  const rawBodies = options.rawBodies || new Map();
+  const results = [];
+  const files = new Map();
+
+  function loadFile(filePath) {
+    if (!files.has(filePath)) {
+      const fullPath = path.join(root, filePath);
+      if (!existsSync(fullPath)) {
+        throw new Error(`${filePath} does not exist in the working tree`);
+      }
+      files.set(filePath, {
+        fullPath,
+        ...splitFile(readFileSync(fullPath, "utf8")),
+        edits: [],
+      });
+    }
+    return files.get(filePath);
+  }
+
+  for (const comment of comments) {
+    const result = {
+      id: comment.id,
+      path: comment.path,
+      status: "failed",
+      diff: null,
+      error: null,
+    };
+    results.push(result);
+
+    try {
+      const file = loadFile(comment.path);
+      const edit = planSuggestion(comment, file.lines, rawBodies.get(comment.id));
+
+      const overlapping = file.edits.find(
+        (e) => edit.start <= e.end && e.start <= edit.end
+      );
+      if (overlapping) {
+        throw new Error(
+          `overlaps the suggestion from comment ${overlapping.result.id}`
+        );
+      }
+
+      result.diff = createUnifiedDiff(
+        edit.path,
+        file.lines,
+        edit.start,
+        edit.end,
+        edit.replacement
+      );
+      result.status = dryRun ? "would_apply" : "applied";
+      file.edits.push({ ...edit, result });
+    } catch (error) {
+      result.error = error.message;
+    }
+  }
+
+  if (!dryRun) {
+    for (const file of files.values()) {
+      if (file.edits.length === 0) continue;
+      const lines = [...file.lines];
+      const edits = [...file.edits].sort((a, b) => b.start - a.start);
+      for (const edit of edits) {
+        lines.splice(edit.start - 1, edit.end - edit.start + 1, ...edit.replacement);
+      }
+      writeFileSync(file.fullPath, joinFile({ ...file, lines }));
+    }
+  }
+
+  return results;
+}
+
+module.exports = {
+  extractSuggestions,
+  parseHunkNewLines,
+  createUnifiedDiff,
+  applySuggestions,
+};
@@ -0,0 +1,561 @@
+/**
+ * `agent-reviews -I`: a full-screen terminal UI
+ *
+ * The comment list (with the CLI's filters) is on the left and the --detail
+ * view of the selected comment on the right. Replies are written in
+ * $EDITOR, threads can be resolved and reopened in place, and the comments
+ * are re-fetched on the watch poller's interval, with new activity marked
+ * in the list.
+ *
+ * Rendering is plain ANSI on the alternate screen. Everything that talks to
+ * the API comes in as callbacks, so the UI can be driven over fake streams
+ * in tests.
+ */
+
+const { spawnSync } = require("node:child_process");
+const { mkdtempSync, readFileSync, rmSync, writeFileSync } = require("node:fs");
+const os = require("node:os");
+const path = require("node:path");
+const readline = require("node:readline");
+const { filterComments } = require("./comments");
+const { colors, formatDetailedComment } = require("./format");
+const { createSnapshot, diffSnapshot, groupChanges } = require("./watch");
+
+const ESC = "\x1b[";
+const ENTER_SCREEN = `${ESC}?1049h${ESC}?25l${ESC}?7l`;
+const LEAVE_SCREEN = `${ESC}?7h${ESC}?25h${ESC}?1049l`;
+const INVERSE = `${ESC}7m`;
+
+const KEY_HELP =
+  "↑↓ select  PgUp/PgDn scroll  r reply  x resolve  f filter  b bots  h humans  R refresh  q quit";
+
+const FILTER_CYCLE = [null, "unresolved", "unanswered"];
+
+const TYPE_LABELS = {
+  review_comment: "CODE",
+  issue_comment: "COMMENT",
+  review: "REVIEW",
+};
+
+// Everything from this line down is dropped from the reply
+const SCISSORS = "# ------------------------ >8 ------------------------";
+
+// ---------------------------------------------------------------------------
+// Text
+// ---------------------------------------------------------------------------
+
+// Comment bodies are untrusted; escape sequences in them must not reach the
+// terminal
+function sanitize(text) {
+  return String(text ?? "")
+    .replace(/\t/g, "    ")
+    .replace(/\r\n?/g, "\n")
+    .replace(/[\x00-\x09\x0b-\x1f\x7f]/g, "");
+}
+
+/**
+ * Join [text, color] segments into one line of exactly `width` columns,
+ * cutting off what doesn't fit.
+ */
+function fit(segments, width) {
+  let out = "";
+  let remaining = width;
+  for (const [text, color] of segments) {
+    if (remaining <= 0) break;
+    const chars = [...text];
+    const shown = chars.slice(0, remaining).join("");
+    remaining -= Math.min(chars.length, remaining);
+    out += color ? `${color}${shown}${colors.reset}` : shown;
+  }
+  return out + " ".repeat(remaining);
+}
+
+/**
+ * Hard-wrap text to `width` columns.
+ */
+function wrapLines(text, width) {
+  const lines = [];
+  for (const line of sanitize(text).split("\n")) {
+    const chars = [...line];
+    if (chars.length === 0) lines.push("");
+    for (let i = 0; i < chars.length; i += width) {
+      lines.push(chars.slice(i, i + width).join(""));
+    }
+  }
+  return lines;
+}
+
+// ---------------------------------------------------------------------------
+// Rendering
+// ---------------------------------------------------------------------------
+
+function layout(columns, rows) {
+  const listWidth = Math.max(24, Math.min(60, Math.floor(columns * 0.4)));
+  return {
+    listWidth,
+    detailWidth: Math.max(1, columns - listWidth - 1),
+    bodyHeight: Math.max(1, rows - 2),
+  };
+}
+
+function statusGlyph(comment) {
+  if (comment.isResolved) return ["✔", colors.green];
+  if (comment.hasHumanReply) return ["✓", colors.green];
+  if (comment.hasAnyReply) return ["✓", colors.yellow];
+  return ["○", colors.red];
+}
+
+function listRow(comment, width, { selected, changed }) {
+  const label = TYPE_LABELS[comment.type] || comment.type.toUpperCase();
+  const segments = [
+    changed ? ["●", colors.yellow] : [" "],
+    statusGlyph(comment),
+    [` ${label.padEnd(7)} `, colors.cyan],
+    [comment.user, comment.isBot ? colors.yellow : colors.green],
+    [` ${sanitize(comment.body).replace(/\s+/g, " ").trim()}`, colors.dim],
+  ];
+  if (!selected) return fit(segments, width);
+  // Selection is shown in inverse video, which colors would cancel
+  return `${INVERSE}${fit(segments.map(([text]) => [text]), width)}${colors.reset}`;
+}
+
+function describeFilters({ filter, botsOnly, humansOnly }) {
+  const parts = [filter || "all"];
+  if (botsOnly) parts.push("bots only");
+  if (humansOnly) parts.push("humans only");
+  return parts.join(" · ");
+}
+
+/**
+ * The full screen as a list of lines, each exactly `columns` wide.
+ */
+function renderScreen(state, { columns, rows }) {
+  const { listWidth, detailWidth, bodyHeight } = layout(columns, rows);
+  const { visible } = state;
+  const selectedIndex = visible.findIndex((c) => c.id === state.selectedId);
+  const selected = visible[selectedIndex] || null;
+
+  // Keep the selection inside the list window
+  if (selectedIndex < state.listTop) state.listTop = Math.max(0, selectedIndex);
+  if (selectedIndex >= state.listTop + bodyHeight) {
+    state.listTop = selectedIndex - bodyHeight + 1;
+  }
+
+  const detail = selected
+    ? wrapLines(formatDetailedComment(selected), detailWidth)
+    : [];
+  state.detailTop = Math.max(
+    0,
+    Math.min(state.detailTop, detail.length - bodyHeight)
+  );
+
+  const lines = [
+    `${colors.bright}${INVERSE}${fit(
+      [
+        [
+          ` ${state.title}  ${describeFilters(state.filters)}  ${visible.length} of ${state.comments.length} comments`,
+        ],
+      ],
+      columns
+    )}${colors.reset}`,
+  ];
+
+  for (let row = 0; row < bodyHeight; row++) {
+    const comment = visible[state.listTop + row];
+    const left = comment
+      ? listRow(comment, listWidth, {
+          selected: comment === selected,
+          changed: state.changed.has(comment.id),
+        })
+      : fit(
+          [[row === 0 ? " No comments match the filters." : "", colors.dim]],
+          listWidth
+        );
+    const right = fit([[detail[state.detailTop + row] || ""]], detailWidth);
+    lines.push(`${left}${colors.dim}│${colors.reset}${right}`);
+  }
+
+  lines.push(
+    state.status
+      ? fit([[` ${state.status.text}`, state.status.color]], columns)
+      : fit([[` ${KEY_HELP}`, colors.dim]], columns)
+  );
+  return lines;
+}
+
+// ---------------------------------------------------------------------------
+// Replies
+// ---------------------------------------------------------------------------
+
+/**
+ * Editor template for a reply to `comment`: an empty message above the
+ * scissors line and the comment quoted below it for reference.
+ */
+function replyTemplate(comment) {
+  const quoted = sanitize(formatDetailedComment(comment))
+    .split("\n")
+    .map((line) => `# ${line}`.trimEnd());
+  return [
+    "",
+    SCISSORS,
+    "# Write your reply above this line. Everything below it is ignored;",
+    "# an empty reply cancels.",
+    "#",
+    ...quoted,
+    "",
+  ].join("\n");
+}
+
+/**
+ * The reply in an edited template, without the scissors section.
+ */
+function stripTemplate(text) {
+  const cut = text.split("\n").findIndex((line) => line === SCISSORS);
+  const kept = cut === -1 ? text : text.split("\n").slice(0, cut).join("\n");
+  return kept.trim();
+}
+
+/**
+ * Open $VISUAL or $EDITOR (default vi) on `template` and return what was
+ * saved. Throws when the editor exits with an error.
+ */
+function editMessage(template, env = process.env) {
+  const editor = env.VISUAL || env.EDITOR || "vi";
+  const dir = mkdtempSync(path.join(os.tmpdir(), "agent-reviews-reply-"));
+  const file = path.join(dir, "REPLY.md");
+  writeFileSync(file, template);
+  try {
+    // Through the shell, so EDITOR="code --wait" works
+    const result = spawnSync(`${editor} "${file}"`, {
+      stdio: "inherit",
+      shell: true,
+    });
+    if (result.error) throw result.error;
+    if (result.status !== 0) {
+      throw new Error(`${editor} exited with status ${result.status}`);
+    }
+    return readFileSync(file, "utf8");
+  } finally {
+    rmSync(dir, { recursive: true, force: true });
+  }
+}
+
+// ---------------------------------------------------------------------------
+// Session
+// ---------------------------------------------------------------------------
+
+/**
+ * Run the UI until the user quits. Options:
+ *   title        Header text, e.g. "acme/app #42"
+ *   filters      Initial { filter, botsOnly, humansOnly, outdated }
+ *   load         async () => processed comments (unfiltered)
+ *   reply        async (commentId, message) => posted reply
+ *   setResolved  async (commentId, resolved) => resolveThread result
+ *   pollInterval (onSlowdown) => seconds until the next poll, or 0 for no
+ *                polling
+ *   selfLogin    Replies by this login aren't marked as new activity
+ *   editMessage  (template) => edited text (defaults to $EDITOR)
+ *   input/output TTY streams (default process.stdin/process.stdout)
+ *
+ * The first load happens before the screen is taken over, so its errors
+ * reject without leaving the terminal in a bad state.
+ */
+async function runTui(options) {
+  const input = options.input || process.stdin;
+  const output = options.output || process.stdout;
+  const edit = options.editMessage || editMessage;
+  const size = () => ({
+    columns: output.columns || 80,
+    rows: output.rows || 24,
+  });
+
+  const state = {
+    title: options.title || "",
+    comments: [],
+    visible: [],
+    filters: {
+      filter: null,
+      botsOnly: false,
+      humansOnly: false,
+      outdated: null,
+      ...options.filters,
+    },
+    selectedId: null,
+    listTop: 0,
+    detailTop: 0,
+    changed: new Set(),
+    status: null,
+  };
+  let snapshot = {};
+  let pending = null;
+  let pollTimer = null;
+  let suspended = false;
+  let closed = false;
+
+  function applyFilters() {
+    state.visible = filterComments(state.comments, state.filters);
+    if (!state.visible.some((c) => c.id === state.selectedId)) {
+      state.selectedId = state.visible[0]?.id ?? null;
+      state.detailTop = 0;
+    }
+  }
+
+  function setStatus(text, color = null) {
+    state.status = text ? { text, color } : null;
+  }
+
+  function draw() {
+    if (closed || suspended) return;
+    const lines = renderScreen(state, size());
+    output.write(
+      lines.map((line, i) => `${ESC}${i + 1};1H${line}${ESC}K`).join("")
+    );
+  }
+
+  async function refresh({ initial = false } = {}) {
+    const comments = await options.load();
+    const changes = groupChanges(
+      diffSnapshot(snapshot, comments),
+      options.selfLogin
+    );
+    snapshot = createSnapshot(comments);
+    state.comments = comments;
+    applyFilters();
+    if (initial) return;
+
+    const ids = [
+      ...changes.created,
+      ...changes.updated,
+      ...changes.replied.map((r) => r.comment),
+    ].map((c) => c.id);
+    for (const id of ids) {
+      if (id !== state.selectedId) state.changed.add(id);
+    }
+    if (changes.created.length + changes.replied.length > 0) {
+      const parts = [];
+      if (changes.created.length > 0) {
+        parts.push(`${changes.created.length} new comment(s)`);
+      }
+      if (changes.replied.length > 0) {
+        parts.push(`new replies on ${changes.replied.length} comment(s)`);
+      }
+      setStatus(parts.join(", "), colors.yellow);
+    }
+  }
+
+  // One API action at a time; further action keys wait their turn
+  function run(action) {
+    if (pending) {
+      setStatus("Busy, try again in a moment", colors.yellow);
+      draw();
+      return pending;
+    }
+    pending = action()
+      .catch((error) => setStatus(`Error: ${error.message}`, colors.red))
+      .finally(() => {
+        pending = null;
+        draw();
+      });
+    return pending;
+  }
+
+  function schedulePoll() {
+    if (closed || !options.pollInterval) return;
+    const seconds = options.pollInterval((message) =>
+      setStatus(message, colors.yellow)
+    );
+    if (!seconds) return;
+    pollTimer = setTimeout(() => {
+      // A user action in flight already refreshes when it's done
+      (pending || run(refresh)).finally(schedulePoll);
+    }, seconds * 1000);
+  }
+
+  function selected() {
+    return state.visible.find((c) => c.id === state.selectedId) || null;
+  }
+
+  function move(delta) {
+    const index = state.visible.findIndex((c) => c.id === state.selectedId);
+    const target = Math.min(state.visible.length - 1, index + delta);
+    const next = state.visible[Math.max(0, target)];
+    if (!next || next.id === state.selectedId) return;
+    state.selectedId = next.id;
+    state.detailTop = 0;
+    state.changed.delete(next.id);
+  }
+
+  async function replyToSelected() {
+    const comment = selected();
+    if (!comment) return;
+
+    suspend();
+    let text;
+    try {
+      text = await edit(replyTemplate(comment));
+    } finally {
+      resume();
+    }
+    const message = stripTemplate(text);
+    if (!message) {
+      setStatus("Reply cancelled (empty message)");
+      return;
+    }
+
+    setStatus(`Posting reply to [${comment.id}]...`);
+    draw();
+    await options.reply(comment.id, message);
+    await refresh();
+    setStatus(`✓ Replied to [${comment.id}]`, colors.green);
+  }
+
+  async function toggleResolved() {
+    const comment = selected();
+    if (!comment) return;
+    if (comment.type !== "review_comment") {
+      setStatus(`[${comment.id}] is not part of a review thread`, colors.yellow);
+      return;
+    }
+
+    const resolving = !comment.isResolved;
+    setStatus(`${resolving ? "Resolving" : "Reopening"} [${comment.id}]...`);
+    draw();
+    const result = await options.setResolved(comment.id, resolving);
+    if (result.skipped) {
+      setStatus(`Resolution skipped (${result.reason})`, colors.yellow);
+      return;
+    }
+    await refresh();
+    setStatus(
+      result.resolved || result.unresolved
+        ? `✓ Thread ${resolving ? "resolved" : "reopened"}`
+        : `Thread already ${resolving ? "resolved" : "open"}`,
+      colors.green
+    );
+  }
+
+  function handleKey(str, key = {}) {
+    const name = key.name || str;
+    const { bodyHeight } = layout(size().columns, size().rows);
+    setStatus(null);
+
+    if ((key.ctrl && name === "c") || name === "q") {
+      close();
+      return;
+    }
+
+    switch (key.shift && name === "r" ? "R" : name) {
+      case "up":
+      case "k":
+        move(-1);
+        break;
+      case "down":
+      case "j":
+        move(1);
+        break;
+      case "home":
+        move(-state.visible.length);
+        break;
+      case "end":
+        move(state.visible.length);
+        break;
+      case "pageup":
+        state.detailTop = Math.max(0, state.detailTop - bodyHeight);
+        break;
+      case "pagedown":
+      case "space":
+        state.detailTop += bodyHeight;
+        break;
+      case "r":
+        run(replyToSelected);
+        break;
+      case "x":
+        run(toggleResolved);
+        break;
+      case "R":
+        setStatus("Refreshing...");
+        run(refresh);
+        break;
+      case "f": {
+        const index = FILTER_CYCLE.indexOf(state.filters.filter);
+        state.filters.filter = FILTER_CYCLE[(index + 1) % FILTER_CYCLE.length];
+        applyFilters();
+        break;
+      }
+      case "b":
+        state.filters.botsOnly = !state.filters.botsOnly;
+        state.filters.humansOnly = false;
+        applyFilters();
+        break;
+      case "h":
+        state.filters.humansOnly = !state.filters.humansOnly;
+        state.filters.botsOnly = false;
+        applyFilters();
+        break;
+    }
+    draw();
+  }
+
+  function enter() {
+    if (input.isTTY) input.setRawMode(true);
+    input.resume();
+    output.write(ENTER_SCREEN);
+  }
+
+  function leave() {
+    output.write(LEAVE_SCREEN);
+    if (input.isTTY) input.setRawMode(false);
+    input.pause();
+  }
+
+  // The editor gets the real terminal while it runs
+  function suspend() {
+    suspended = true;
+    input.off("keypress", handleKey);
+    leave();
+  }
+
+  function resume() {
+    suspended = false;
+    enter();
+    input.on("keypress", handleKey);
+    draw();
+  }
+
+  let finish;
+  const done = new Promise((resolve) => {
+    finish = resolve;
+  });
+
+  function close() {
+    if (closed) return;
+    closed = true;
+    clearTimeout(pollTimer);
+    input.off("keypress", handleKey);
+    output.off("resize", draw);
+    leave();
+    finish();
+  }
+
+  await refresh({ initial: true });
+
+  readline.emitKeypressEvents(input);
+  enter();
+  input.on("keypress", handleKey);
+  output.on("resize", draw);
+  draw();
+  schedulePoll();
+
+  await done;
+  // Let an action in flight settle before returning
+  await pending;
+}
+
+module.exports = {
+  runTui,
+  renderScreen,
+  replyTemplate,
+  stripTemplate,
+  editMessage,
+  wrapLines,
+};
@@ -0,0 +1,245 @@
+/**
+ * Watch-mode change detection
+ *
+ * Reduces a list of processed comments to a small, JSON-serializable
+ * snapshot and diffs successive snapshots into change events. The CLI's
+ * watch and stream modes poll, diff, and report these events.
+ */
+
+const { filterComments } = require("./comments");
+
+/**
+ * Exit codes for a watch run, so wrappers can branch on the outcome without
+ * parsing banner text. 1 stays reserved for unexpected errors.
+ */
+const WATCH_EXIT_CODES = {
+  new_comments: 0,
+  idle: 2,
+  auth_error: 3,
+  pr_closed: 4,
+};
+
+/**
+ * Whether an API error means the token is missing, expired, or lacks access
+ * (as opposed to a transient failure worth reporting as a crash). A 403 can
+ * also be a rate limit, which is not an auth problem.
+ */
+function isAuthError(error) {
+  if (error?.rateLimited) return false;
+  return error?.status === 401 || error?.status === 403;
+}
+
+// Below this share of the hourly quota, polling slows down
+const LOW_QUOTA_FRACTION = 0.1;
+// Upper bound on REST requests per poll (PR state plus paginated comments)
+const REQUESTS_PER_POLL = 5;
+
+/**
+ * Poll interval in seconds given the latest core rate limit. Normally the
+ * configured interval; when the remaining quota is low, stretched so the
+ * quota lasts until it resets.
+ */
+function getPollInterval(baseSeconds, rateLimit, now = Date.now()) {
+  if (!rateLimit?.limit || !rateLimit.reset) return baseSeconds;
+  if (rateLimit.remaining > rateLimit.limit * LOW_QUOTA_FRACTION) {
+    return baseSeconds;
+  }
+
+  const secondsUntilReset = Math.max(0, (rateLimit.reset - now) / 1000);
+  const pollsLeft = Math.max(1, Math.floor(rateLimit.remaining / REQUESTS_PER_POLL));
+  return Math.max(baseSeconds, Math.ceil(secondsUntilReset / pollsLeft));
+}
+
+/**
+ * Whether a watch that has seen no activity for `idleSeconds` should stop.
+ * A `watchTimeout` of 0 never times out.
+ */
+function isIdleTimeout(idleSeconds, watchTimeout) {
+  return watchTimeout > 0 && idleSeconds >= watchTimeout;
+}
+
+/**
+ * Snapshot the parts of each comment that watch mode tracks, keyed by ID:
+ *   { [id]: { updatedAt, replyIds, isResolved } }
+ */
+function createSnapshot(comments) {
+  const snapshot = {};
+  for (const comment of comments) {
+    snapshot[comment.id] = {
+      updatedAt: comment.updatedAt || null,
+      replyIds: comment.replies.map((r) => r.id),
+      isResolved: comment.isResolved === true,
+    };
+  }
+  return snapshot;
+}
+
+/**
+ * Compare the current comments against a previous snapshot. Returns a list
+ * of change events in the order they should be reported:
+ *   { type: "comment.created", comment }
+ *   { type: "comment.updated", comment, previousUpdatedAt }
+ *   { type: "reply.created", comment, reply }
+ *   { type: "reply.deleted", comment, replyId }
+ *   { type: "thread.resolved", comment }
+ *   { type: "comment.deleted", commentId }
+ */
+function diffSnapshot(previous, comments) {
+  const events = [];
+  const currentIds = new Set();
+
+  for (const comment of comments) {
+    currentIds.add(String(comment.id));
+    const before = previous[comment.id];
+
+    if (!before) {
+      events.push({ type: "comment.created", comment });
+      continue;
+    }
+
+    if (comment.updatedAt && comment.updatedAt !== before.updatedAt) {
+      events.push({
+        type: "comment.updated",
+        comment,
+        previousUpdatedAt: before.updatedAt,
+      });
+    }
+
+    const knownReplies = new Set(before.replyIds);
+    for (const reply of comment.replies) {
+      if (!knownReplies.has(reply.id)) {
+        events.push({ type: "reply.created", comment, reply });
+      }
+    }
+    const replyIds = new Set(comment.replies.map((r) => r.id));
+    for (const replyId of before.replyIds) {
+      if (!replyIds.has(replyId)) {
+        events.push({ type: "reply.deleted", comment, replyId });
+      }
+    }
+
+    if (comment.isResolved && !before.isResolved) {
+      events.push({ type: "thread.resolved", comment });
+    }
+  }
+
+  for (const id of Object.keys(previous)) {
+    if (!currentIds.has(id)) {
+      events.push({ type: "comment.deleted", commentId: Number(id) });
+    }
+  }
+
+  return events;
+}
+
+// The comment as of a snapshot entry, as far as filterComments can tell
+function previousState(comment, before) {
+  const known = new Set(before.replyIds);
+  const replies = comment.replies.filter((r) => known.has(r.id));
+  return {
+    ...comment,
+    replies,
+    hasHumanReply: replies.some((r) => !r.isBot),
+    hasAnyReply: replies.length > 0,
+    isResolved: before.isResolved,
+  };
+}
+
+/**
+ * Keep the change events for comments that match `filters` (as for
+ * filterComments) now or did in the `previous` snapshot. Diffing the
+ * unfiltered comments and filtering here means a human reply, which takes
+ * a comment out of --unresolved, is still reported. Deleted comments are
+ * checked against `previousComments` (the comments `previous` was taken
+ * from) and kept when they aren't in it.
+ */
+function filterChanges(changes, previous, filters, previousComments = []) {
+  const matches = (comment) => filterComments([comment], filters).length > 0;
+  return changes.filter(({ type, comment, commentId }) => {
+    if (type === "comment.deleted") {
+      const last = previousComments.find((c) => c.id === commentId);
+      return !last || matches(last);
+    }
+    if (matches(comment)) return true;
+    const before = previous[comment.id];
+    return Boolean(before) && matches(previousState(comment, before));
+  });
+}
+
+/**
+ * Split change events into what watch mode reports: new comments, edited
+ * comments, and new replies (grouped per thread). Thread resolution is left
+ * out, as are replies written by `selfLogin` so the agent's own replies
+ * don't wake the watcher up again.
+ */
+function groupChanges(changes, selfLogin = null) {
+  const created = [];
+  const updated = [];
+  const repliesByComment = new Map();
+
+  for (const change of changes) {
+    if (change.type === "comment.created") {
+      created.push(change.comment);
+    } else if (change.type === "comment.updated") {
+      updated.push(change.comment);
+    } else if (
+      change.type === "reply.created" &&
+      !(selfLogin && change.reply.user === selfLogin)
+    ) {
+      if (!repliesByComment.has(change.comment.id)) {
+        repliesByComment.set(change.comment.id, {
+          comment: change.comment,
+          replies: [],
+        });
+      }
+      repliesByComment.get(change.comment.id).replies.push(change.reply);
+    }
+  }
+
+  return { created, updated, replied: [...repliesByComment.values()] };
+}
+
+/**
+ * Flatten grouped changes into one list of comments for JSON output. Each
+ * comment appears once with a `changes` list ("created", "updated",
+ * "new_reply") and, for new replies, the `newReplyIds`.
+ */
+function toChangedComments({ created, updated, replied }) {
+  const byId = new Map();
+  const add = (comment, change) => {
+    if (!byId.has(comment.id)) {
+      byId.set(comment.id, { ...comment, changes: [] });
+    }
+    const entry = byId.get(comment.id);
+    entry.changes.push(change);
+    return entry;
+  };
+
+  for (const comment of created) add(comment, "created");
+  for (const comment of updated) add(comment, "updated");
+  for (const { comment, replies } of replied) {
+    add(comment, "new_reply").newReplyIds = replies.map((r) => r.id);
+  }
+
+  return [...byId.values()];
+}
+
+/**
+ * Serialize an event as a single NDJSON line for --stream output.
+ */
+function formatEvent(type, payload = {}) {
+  return JSON.stringify({ type, timestamp: new Date().toISOString(), ...payload });
+}
+
+module.exports = {
+  WATCH_EXIT_CODES,
+  isAuthError,
+  getPollInterval,
+  isIdleTimeout,
+  createSnapshot,
+  diffSnapshot,
+  filterChanges,
+  groupChanges,
+  toChangedComments,
+  formatEvent,
+};
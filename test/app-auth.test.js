@@ -0,0 +1,239 @@
+import { describe, it, expect, beforeAll, beforeEach, afterEach } from "vitest";
+import { generateKeyPairSync, createVerify } from "node:crypto";
+import { mkdtempSync, rmSync, writeFileSync, statSync } from "node:fs";
+import os from "node:os";
+import path from "node:path";
+import {
+  getAppCredentials,
+  createAppJWT,
+  getInstallationToken,
+  getTokenCachePath,
+} from "../lib/app-auth.js";
+
+let privateKey;
+let publicKey;
+
+beforeAll(() => {
+  ({ privateKey, publicKey } = generateKeyPairSync("rsa", {
+    modulusLength: 2048,
+    privateKeyEncoding: { type: "pkcs8", format: "pem" },
+    publicKeyEncoding: { type: "spki", format: "pem" },
+  }));
+});
+
+const decode = (part) => JSON.parse(Buffer.from(part, "base64url").toString());
+
+// ---------------------------------------------------------------------------
+// getAppCredentials
+// ---------------------------------------------------------------------------
+
+describe("getAppCredentials", () => {
+  it("returns null when no App is configured", () => {
+    expect(getAppCredentials({})).toBe(null);
+  });
+
+  it("reads the key from the environment, unescaping \\n", () => {
+    const escaped = privateKey.replace(/\n/g, "\\n");
+    const credentials = getAppCredentials({
+      GITHUB_APP_ID: "123",
+      GITHUB_APP_PRIVATE_KEY: escaped,
+      GITHUB_APP_INSTALLATION_ID: "456",
+    });
+    expect(credentials).toEqual({
+      appId: "123",
+      privateKey,
+      installationId: "456",
+    });
+  });
+
+  it("reads the key from a PEM file", () => {
+    const dir = mkdtempSync(path.join(os.tmpdir(), "agent-reviews-app-"));
+    const file = path.join(dir, "app.pem");
+    writeFileSync(file, privateKey);
+    try {
+      const credentials = getAppCredentials({
+        GITHUB_APP_ID: "123",
+        GITHUB_APP_PRIVATE_KEY_PATH: file,
+      });
+      expect(credentials.privateKey).toBe(privateKey);
+      expect(credentials.installationId).toBe(null);
+    } finally {
+      rmSync(dir, { recursive: true, force: true });
+    }
+  });
+
+  it("refuses an App ID without a key", () => {
+    expect(() => getAppCredentials({ GITHUB_APP_ID: "123" })).toThrow(
+      "no private key"
+    );
+    expect(() =>
+      getAppCredentials({
+        GITHUB_APP_ID: "123",
+        GITHUB_APP_PRIVATE_KEY_PATH: "/nonexistent/app.pem",
+      })
+    ).toThrow("Cannot read GITHUB_APP_PRIVATE_KEY_PATH");
+  });
+});
+
+// ---------------------------------------------------------------------------
+// createAppJWT
+// ---------------------------------------------------------------------------
+
+describe("createAppJWT", () => {
+  it("signs an RS256 JWT issued by the App", () => {
+    const now = 1700000000000;
+    const jwt = createAppJWT("123", privateKey, now);
+    const [header, payload, signature] = jwt.split(".");
+
+    expect(decode(header)).toEqual({ alg: "RS256", typ: "JWT" });
+    expect(decode(payload)).toEqual({
+      iat: 1700000000 - 60,
+      exp: 1700000000 + 540,
+      iss: "123",
+    });
+
+    const verifier = createVerify("RSA-SHA256");
+    verifier.update(`${header}.${payload}`);
+    expect(verifier.verify(publicKey, Buffer.from(signature, "base64url"))).toBe(
+      true
+    );
+  });
+
+  it("reports an unusable key", () => {
+    expect(() => createAppJWT("123", "not a key")).toThrow(
+      "Invalid GitHub App private key"
+    );
+  });
+});
+
+// ---------------------------------------------------------------------------
+// getInstallationToken
+// ---------------------------------------------------------------------------
+
+describe("getInstallationToken", () => {
+  const savedEnv = {};
+  let dir;
+
+  beforeEach(() => {
+    savedEnv.AGENT_REVIEWS_STATE_DIR = process.env.AGENT_REVIEWS_STATE_DIR;
+    dir = mkdtempSync(path.join(os.tmpdir(), "agent-reviews-app-"));
+    process.env.AGENT_REVIEWS_STATE_DIR = dir;
+  });
+
+  afterEach(() => {
+    if (savedEnv.AGENT_REVIEWS_STATE_DIR !== undefined) {
+      process.env.AGENT_REVIEWS_STATE_DIR = savedEnv.AGENT_REVIEWS_STATE_DIR;
+    } else {
+      delete process.env.AGENT_REVIEWS_STATE_DIR;
+    }
+    rmSync(dir, { recursive: true, force: true });
+  });
+
+  const now = Date.parse("2025-01-01T12:00:00Z");
+
+  function appApi({ installed = true } = {}) {
+    const calls = [];
+    const proxyFetch = async (url, init = {}) => {
+      const { pathname } = new URL(url);
+      calls.push({ method: init.method || "GET", path: pathname, init });
+      const respond = (status, body) => ({
+        ok: status >= 200 && status < 300,
+        status,
+        json: async () => body,
+      });
+      if (pathname === "/app") return respond(200, { slug: "review-bot" });
+      if (pathname === "/repos/acme/app/installation") {
+        return installed
+          ? respond(200, { id: 42 })
+          : respond(404, { message: "Not Found" });
+      }
+      if (pathname.endsWith("/access_tokens")) {
+        return respond(201, {
+          token: `ghs_${calls.length}`,
+          expires_at: new Date(now + 60 * 60 * 1000).toISOString(),
+        });
+      }
+      return respond(404, {});
+    };
+    return { calls, proxyFetch };
+  }
+
+  const credentials = () => ({ appId: "123", privateKey, installationId: null });
+
+  it("finds the installation and exchanges the JWT for a token", async () => {
+    const { calls, proxyFetch } = appApi();
+    const result = await getInstallationToken(
+      "acme",
+      "app",
+      credentials(),
+      proxyFetch,
+      { now }
+    );
+
+    expect(result).toMatchObject({
+      installationId: "42",
+      login: "review-bot[bot]",
+    });
+    expect(result.token).toMatch(/^ghs_/);
+    expect(calls.map((c) => `${c.method} ${c.path}`)).toEqual([
+      "GET /app",
+      "GET /repos/acme/app/installation",
+      "POST /app/installations/42/access_tokens",
+    ]);
+    expect(calls[0].init.headers.Authorization).toMatch(/^Bearer ey/);
+    expect(JSON.parse(calls[2].init.body)).toEqual({ repositories: ["app"] });
+  });
+
+  it("skips the lookup with a configured installation ID", async () => {
+    const { calls, proxyFetch } = appApi();
+    await getInstallationToken(
+      "acme",
+      "app",
+      { ...credentials(), installationId: "7" },
+      proxyFetch,
+      { now }
+    );
+    expect(calls.map((c) => c.path)).toEqual([
+      "/app",
+      "/app/installations/7/access_tokens",
+    ]);
+  });
+
+  it("reuses the cached token until shortly before it expires", async () => {
+    const { calls, proxyFetch } = appApi();
+    const first = await getInstallationToken("acme", "app", credentials(), proxyFetch, {
+      now,
+    });
+    const again = await getInstallationToken("acme", "app", credentials(), proxyFetch, {
+      now: now + 30 * 60 * 1000,
+    });
+    expect(again.token).toBe(first.token);
+    expect(calls).toHaveLength(3);
+
+    const mode = statSync(getTokenCachePath("123", "acme", "app")).mode & 0o777;
+    expect(mode).toBe(0o600);
+
+    // Within five minutes of expiry a new token is minted
+    const renewed = await getInstallationToken(
+      "acme",
+      "app",
+      credentials(),
+      proxyFetch,
+      { now: now + 56 * 60 * 1000 }
+    );
+    expect(renewed.token).not.toBe(first.token);
+  });
+
+  it("explains a missing installation", async () => {
+    const { proxyFetch } = appApi({ installed: false });
+    const error = await getInstallationToken(
+      "acme",
+      "app",
+      credentials(),
+      proxyFetch,
+      { now, cache: false }
+    ).catch((e) => e);
+    expect(error.message).toBe("GitHub App 123 is not installed on acme/app");
+    expect(error.status).toBe(404);
+  });
+});
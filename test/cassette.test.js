@@ -0,0 +1,181 @@
+import { describe, it, expect, beforeEach, afterEach } from "vitest";
+import { mkdtempSync, readdirSync, readFileSync, rmSync } from "node:fs";
+import os from "node:os";
+import path from "node:path";
+import { recordFetch, replayFetch, REDACTED } from "../lib/cassette.js";
+import { fetchWithRetry } from "../lib/http.js";
+
+const API = "https://api.github.com/repos/acme/app";
+
+// A live API stand-in: numbered comment lists, and a 304 once an ETag is sent
+function fakeApi() {
+  let polls = 0;
+  return async (url, init = {}) => {
+    const body = url.endsWith("/access_tokens")
+      ? { token: "ghs_secret", expires_at: "2030-01-01T00:00:00Z" }
+      : init.method === "POST"
+        ? { id: 99, body: JSON.parse(init.body).body }
+        : [{ id: ++polls }];
+    const notModified = Boolean(init.headers?.["If-None-Match"]);
+    return new Response(notModified ? null : JSON.stringify(body), {
+      status: notModified ? 304 : init.method === "POST" ? 201 : 200,
+      headers: {
+        "content-type": "application/json",
+        etag: '"v1"',
+        "set-cookie": "session=abc",
+      },
+    });
+  };
+}
+
+let dir;
+
+beforeEach(() => {
+  dir = mkdtempSync(path.join(os.tmpdir(), "agent-reviews-cassette-"));
+});
+
+afterEach(() => {
+  rmSync(dir, { recursive: true, force: true });
+});
+
+describe("recordFetch", () => {
+  it("saves each exchange with credentials redacted", async () => {
+    const proxyFetch = recordFetch(fakeApi(), dir);
+
+    const response = await proxyFetch(`${API}/installation/access_tokens`, {
+      method: "POST",
+      headers: { Authorization: "Bearer jwt", "Content-Type": "application/json" },
+      body: "{}",
+    });
+    // The caller still sees the real token
+    expect(await response.json()).toMatchObject({ token: "ghs_secret" });
+
+    await proxyFetch(`${API}/pulls/1/comments`, {
+      headers: { Authorization: "token ghp_secret", "If-None-Match": '"v1"' },
+    });
+
+    const files = readdirSync(dir).sort();
+    expect(files).toEqual([
+      "0001-post-repos-acme-app-installation-access-tokens.json",
+      "0002-get-repos-acme-app-pulls-1-comments.json",
+    ]);
+    const [first, second] = files.map((name) =>
+      JSON.parse(readFileSync(path.join(dir, name), "utf8"))
+    );
+    expect(first.request.headers.authorization).toBe(REDACTED);
+    expect(first.response).toMatchObject({
+      status: 201,
+      headers: { etag: '"v1"' },
+      json: { token: REDACTED },
+    });
+    expect(first.response.headers["set-cookie"]).toBeUndefined();
+    expect(second.response).toMatchObject({ status: 304, body: "" });
+    expect(JSON.stringify([first, second])).not.toMatch(/secret/);
+  });
+
+  it("redacts nested tokens and credentials in URLs", async () => {
+    const api = async () =>
+      new Response(
+        JSON.stringify({
+          data: { viewer: { token: "ghs_nested", login: "me" } },
+          links: [{ download: "https://dl.example/a.zip?token=raw_secret&x=1" }],
+        }),
+        { status: 200, headers: { "content-type": "application/json" } }
+      );
+    const url = `${API}/pulls/1?access_token=query_secret&per_page=100`;
+    await recordFetch(api, dir)(url);
+
+    const [name] = readdirSync(dir);
+    const entry = JSON.parse(readFileSync(path.join(dir, name), "utf8"));
+    expect(entry.response.json.data.viewer).toEqual({ token: REDACTED, login: "me" });
+    expect(new URL(entry.response.json.links[0].download).searchParams.get("x")).toBe("1");
+    expect(new URL(entry.request.url).searchParams.get("per_page")).toBe("100");
+    expect(JSON.stringify(entry)).not.toMatch(/secret/);
+
+    // Replay finds the entry with the live credentials in the URL
+    const replayed = await replayFetch(dir)(url);
+    expect((await replayed.json()).data.viewer.login).toBe("me");
+  });
+
+  it("appends to an existing cassette", async () => {
+    await recordFetch(fakeApi(), dir)(`${API}/pulls/1`);
+    await recordFetch(fakeApi(), dir)(`${API}/pulls/2`);
+
+    expect(readdirSync(dir).sort()).toEqual([
+      "0001-get-repos-acme-app-pulls-1.json",
+      "0002-get-repos-acme-app-pulls-2.json",
+    ]);
+  });
+});
+
+describe("replayFetch", () => {
+  it("serves repeated requests in order, then repeats the last", async () => {
+    const record = recordFetch(fakeApi(), dir);
+    await record(`${API}/pulls/1/comments`);
+    await record(`${API}/pulls/1/comments`);
+
+    const replay = replayFetch(dir);
+    const ids = [];
+    for (let i = 0; i < 3; i++) {
+      const response = await replay(`${API}/pulls/1/comments`);
+      expect(response.headers.get("ETag")).toBe('"v1"');
+      ids.push((await response.json())[0].id);
+    }
+    expect(ids).toEqual([1, 2, 2]);
+  });
+
+  it("matches a request with a different body by method and URL", async () => {
+    await recordFetch(fakeApi(), dir)(`${API}/pulls/1/comments/5/replies`, {
+      method: "POST",
+      body: JSON.stringify({ body: "Fixed" }),
+    });
+
+    const response = await replayFetch(dir)(`${API}/pulls/1/comments/5/replies`, {
+      method: "POST",
+      body: JSON.stringify({ body: "Fixed in abc123" }),
+    });
+    expect(response.status).toBe(201);
+    expect(await response.json()).toEqual({ id: 99, body: "Fixed" });
+  });
+
+  it("doesn't serve an entry twice when matched exactly after loosely", async () => {
+    const record = recordFetch(fakeApi(), dir);
+    const replies = `${API}/pulls/1/comments/5/replies`;
+    for (const body of ["Fixed", "Done"]) {
+      await record(replies, { method: "POST", body: JSON.stringify({ body }) });
+    }
+
+    const replay = replayFetch(dir);
+    const bodies = [];
+    for (const body of ["Something else", "Fixed"]) {
+      const response = await replay(replies, {
+        method: "POST",
+        body: JSON.stringify({ body }),
+      });
+      bodies.push((await response.json()).body);
+    }
+    expect(bodies).toEqual(["Fixed", "Done"]);
+  });
+
+  it("fails unrecorded requests without retrying", async () => {
+    await recordFetch(fakeApi(), dir)(`${API}/pulls/1`);
+    const replay = replayFetch(dir);
+    let calls = 0;
+    const counting = (...args) => {
+      calls++;
+      return replay(...args);
+    };
+
+    await expect(fetchWithRetry(counting, `${API}/pulls/2`)).rejects.toThrow(
+      `No recorded response for GET ${API}/pulls/2 in ${dir}`
+    );
+    expect(calls).toBe(1);
+  });
+
+  it("rejects missing or empty cassettes", () => {
+    expect(() => replayFetch(dir)).toThrow("has no recorded requests");
+    expect(() => replayFetch(path.join(dir, "nope"))).toThrow(
+      "Cassette directory not found"
+    );
+  });
+});
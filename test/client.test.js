@@ -0,0 +1,247 @@
+import { describe, it, expect, afterEach } from "vitest";
+import { ReviewClient, SCHEMA_VERSION, COMMENT_SCHEMA } from "../lib/index.js";
+import { setApiBase, getApiBase, clearETagCache } from "../lib/comments.js";
+
+const noHeaders = { get: () => null };
+
+const reviewComment = (id, extra = {}) => ({
+  id,
+  user: { login: "coderabbitai[bot]" },
+  body: `Finding ${id}`,
+  path: "src/app.js",
+  line: 10,
+  original_line: 10,
+  side: "RIGHT",
+  subject_type: "line",
+  created_at: `2025-01-0${id}T00:00:00Z`,
+  updated_at: `2025-01-0${id}T00:00:00Z`,
+  html_url: `https://github.com/acme/app/pull/7#discussion_r${id}`,
+  ...extra,
+});
+
+// A fake GitHub for PR acme/app#7 whose review comments can change between
+// calls. GraphQL answers with one unresolved thread rooted at comment 1.
+function fakeGitHub(state) {
+  const calls = [];
+  const fetch = async (url, init = {}) => {
+    const { pathname } = new URL(url);
+    calls.push(`${init.method || "GET"} ${pathname}`);
+    const respond = (body, status = 200) => ({
+      ok: status >= 200 && status < 300,
+      status,
+      headers: noHeaders,
+      json: async () => body,
+      text: async () => JSON.stringify(body),
+    });
+
+    if (pathname === "/graphql") {
+      const query = JSON.parse(init.body).query;
+      if (query.includes("resolveReviewThread")) {
+        return respond({
+          data: { resolveReviewThread: { thread: { id: "T1", isResolved: true } } },
+        });
+      }
+      return respond({
+        data: {
+          repository: {
+            pullRequest: {
+              reviewThreads: {
+                pageInfo: { hasNextPage: false, endCursor: null },
+                nodes: [
+                  {
+                    id: "T1",
+                    isResolved: false,
+                    isOutdated: false,
+                    comments: { nodes: [{ databaseId: 1 }] },
+                  },
+                ],
+              },
+            },
+          },
+        },
+      });
+    }
+    if (pathname === "/repos/acme/app/pulls/7/comments") {
+      return respond(state.reviewComments);
+    }
+    if (pathname === "/repos/acme/app/pulls/7/comments/1/replies") {
+      return respond({ id: 50, html_url: "https://github.com/acme/app/pull/7#r50" }, 201);
+    }
+    if (pathname.startsWith("/repos/acme/app/issues/7/comments")) {
+      return respond([]);
+    }
+    if (pathname === "/repos/acme/app/pulls/7/reviews") {
+      return respond(state.reviews || []);
+    }
+    return respond({ message: "Not Found" }, 404);
+  };
+  return { calls, fetch };
+}
+
+afterEach(() => {
+  setApiBase("https://api.github.com");
+  clearETagCache();
+});
+
+describe("ReviewClient", () => {
+  it("accepts a PR URL in place of repo and number", () => {
+    const client = new ReviewClient({
+      pr: "https://github.com/acme/app/pull/7",
+      token: "tok",
+    });
+    expect(client).toMatchObject({ owner: "acme", repo: "app", pr: 7 });
+    expect(client.schemaVersion).toBe(SCHEMA_VERSION);
+  });
+
+  it("rejects bad options up front", () => {
+    expect(() => new ReviewClient({ repo: "acme/app" })).toThrow("Invalid pr");
+    expect(() => new ReviewClient({ repo: "nope", pr: 1 })).toThrow("Invalid repo");
+    expect(
+      () =>
+        new ReviewClient({
+          repo: "acme/other",
+          pr: "https://github.com/acme/app/pull/7",
+        })
+    ).toThrow("belongs to acme/app");
+    expect(
+      () => new ReviewClient({ repo: "acme/app", pr: 1, config: { bogus: 1 } })
+    ).toThrow('unknown key "bogus"');
+  });
+
+  it("lists comments in the versioned schema", async () => {
+    const { fetch } = fakeGitHub({
+      reviewComments: [
+        reviewComment(1),
+        reviewComment(2, { in_reply_to_id: 1, user: { login: "me" } }),
+      ],
+      reviews: [
+        {
+          id: 9,
+          user: { login: "alice" },
+          body: "Looks good overall",
+          state: "COMMENTED",
+          submitted_at: "2025-01-05T00:00:00Z",
+          html_url: "https://github.com/acme/app/pull/7#pullrequestreview-9",
+        },
+      ],
+    });
+    const client = new ReviewClient({ repo: "acme/app", pr: 7, token: "tok", fetch });
+
+    const comments = await client.list();
+    expect(comments.map((c) => c.id)).toEqual([9, 1]);
+
+    // Every comment type carries every schema field
+    for (const comment of comments) {
+      expect(Object.keys(comment).sort()).toEqual([...COMMENT_SCHEMA.required].sort());
+      expect(comment.schemaVersion).toBe(SCHEMA_VERSION);
+    }
+    expect(comments[0]).toMatchObject({ type: "review", reviewState: "COMMENTED", path: null });
+    expect(comments[1]).toMatchObject({
+      type: "review_comment",
+      threadId: "T1",
+      replies: [{ id: 2, user: "me", isBot: false, body: "Finding 2" }],
+      hasHumanReply: true,
+    });
+
+    expect(await client.list({ botsOnly: true })).toHaveLength(1);
+    expect(await client.list({ filter: "unresolved" })).toHaveLength(1);
+  });
+
+  it("gets a single comment by ID", async () => {
+    const { fetch } = fakeGitHub({ reviewComments: [reviewComment(1)] });
+    const client = new ReviewClient({ repo: "acme/app", pr: 7, token: "tok", fetch });
+
+    expect((await client.get(1)).body).toBe("Finding 1");
+    expect(await client.get("1")).not.toBe(null);
+    expect(await client.get(404)).toBe(null);
+  });
+
+  it("replies and resolves the thread", async () => {
+    const { calls, fetch } = fakeGitHub({ reviewComments: [reviewComment(1)] });
+    const token = async () => "fresh-token";
+    const client = new ReviewClient({ repo: "acme/app", pr: 7, token, fetch });
+
+    const result = await client.reply(1, "Fixed", { resolve: true });
+
+    expect(result).toEqual({
+      id: 50,
+      url: "https://github.com/acme/app/pull/7#r50",
+      resolution: { resolved: true, threadId: "T1" },
+    });
+    expect(calls).toEqual([
+      "POST /repos/acme/app/pulls/7/comments/1/replies",
+      "POST /graphql",
+      "POST /graphql",
+    ]);
+  });
+
+  it("keeps its own API base alongside other clients", async () => {
+    const { fetch } = fakeGitHub({ reviewComments: [reviewComment(1)] });
+    const hosts = [];
+    const recording = (url, init) => {
+      hosts.push(new URL(url).host);
+      return fetch(url, init);
+    };
+    const client = (apiUrl) =>
+      new ReviewClient({ repo: "acme/app", pr: 7, token: "tok", fetch: recording, apiUrl });
+    const one = client("https://one.example");
+    const two = client("https://two.example");
+
+    const [fromOne, fromTwo] = await Promise.all([one.list(), two.list()]);
+
+    expect(fromOne.map((c) => c.threadId)).toEqual(["T1"]);
+    expect(fromTwo.map((c) => c.threadId)).toEqual(["T1"]);
+    expect(hosts.filter((host) => host === "one.example")).toHaveLength(
+      hosts.length / 2
+    );
+    expect(new Set(hosts)).toEqual(new Set(["one.example", "two.example"]));
+    expect(getApiBase()).toBe("https://api.github.com");
+  });
+
+  it("yields change events from watch() until aborted", async () => {
+    // The first fetch is the starting snapshot; later polls see a reply to
+    // comment 1 and a new comment 3
+    let fetches = 0;
+    const state = {
+      get reviewComments() {
+        fetches++;
+        return fetches === 1
+          ? [reviewComment(1)]
+          : [
+              reviewComment(1),
+              reviewComment(2, { in_reply_to_id: 1, user: { login: "me" } }),
+              reviewComment(3),
+            ];
+      },
+    };
+    const { fetch } = fakeGitHub(state);
+    const client = new ReviewClient({ repo: "acme/app", pr: 7, token: "tok", fetch });
+    const controller = new AbortController();
+
+    const events = [];
+    for await (const event of client.watch({
+      interval: 0.01,
+      signal: controller.signal,
+    })) {
+      events.push(event);
+      if (events.length === 2) controller.abort();
+    }
+
+    expect(events.map((e) => e.type).sort()).toEqual([
+      "comment.created",
+      "reply.created",
+    ]);
+    const reply = events.find((e) => e.type === "reply.created");
+    expect(reply.comment.id).toBe(1);
+    expect(reply.reply).toEqual({
+      id: 2,
+      user: "me",
+      isBot: false,
+      body: "Finding 2",
+      createdAt: "2025-01-02T00:00:00Z",
+    });
+    expect(events.find((e) => e.type === "comment.created").comment.schemaVersion).toBe(
+      SCHEMA_VERSION
+    );
+  });
+});
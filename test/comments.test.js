@@ -5,6 +5,13 @@ import {
   isMetaComment,
   processComments,
   filterComments,
+  fetchReviewThreads,
+  fetchPRComments,
+  fetchViewerLogin,
+  fetchPR,
+  fetchAllPages,
+  clearETagCache,
+  fetchPRCommentsGraphQL,
 } from "../lib/comments.js";
 
 // ---------------------------------------------------------------------------
@@ -660,6 +667,85 @@ describe("processComments", () => {
     expect(result).toHaveLength(1);
     expect(result[0].id).toBe(200);
   });
+
+  it("merges GraphQL thread state onto review comments by databaseId", () => {
+    const data = {
+      reviewComments: [
+        makeReviewComment({ id: 1 }),
+        makeReviewComment({ id: 2, created_at: "2025-01-02T00:00:00Z" }),
+      ],
+      issueComments: [],
+      reviews: [],
+      reviewThreads: [
+        {
+          id: "PRRT_1",
+          isResolved: true,
+          isOutdated: true,
+          isCollapsed: true,
+          resolvedBy: { login: "pbakaus" },
+          comments: { nodes: [{ databaseId: 1 }] },
+        },
+        {
+          id: "PRRT_2",
+          isResolved: false,
+          isOutdated: false,
+          isCollapsed: false,
+          resolvedBy: null,
+          comments: { nodes: [{ databaseId: 2 }] },
+        },
+      ],
+    };
+
+    const result = processComments(data);
+    const resolved = result.find((c) => c.id === 1);
+    const open = result.find((c) => c.id === 2);
+
+    expect(resolved).toMatchObject({
+      isResolved: true,
+      resolvedBy: "pbakaus",
+      isOutdated: true,
+      isCollapsed: true,
+      threadId: "PRRT_1",
+    });
+    expect(open).toMatchObject({
+      isResolved: false,
+      resolvedBy: null,
+      threadId: "PRRT_2",
+    });
+  });
+
+  it("defaults review comments to unresolved when thread state is missing", () => {
+    const data = {
+      reviewComments: [makeReviewComment({ id: 1 })],
+      issueComments: [],
+      reviews: [],
+      reviewThreads: null,
+    };
+
+    const result = processComments(data);
+    expect(result[0].isResolved).toBe(false);
+    expect(result[0].threadId).toBe(null);
+  });
+
+  it("lets filterComments hide threads resolved in the GitHub UI", () => {
+    const data = {
+      reviewComments: [makeReviewComment({ id: 1 })],
+      issueComments: [],
+      reviews: [],
+      reviewThreads: [
+        {
+          id: "PRRT_1",
+          isResolved: true,
+          comments: { nodes: [{ databaseId: 1 }] },
+        },
+      ],
+    };
+
+    const result = filterComments(processComments(data), {
+      filter: "unresolved",
+    });
+    expect(result).toHaveLength(0);
+  });
 });
 
 // ---------------------------------------------------------------------------
@@ -754,6 +840,35 @@ describe("GITHUB_API_URL override", () => {
     );
   });
 
+  it("setApiBase redirects REST and GraphQL requests", async () => {
+    delete process.env.GITHUB_API_URL;
+    vi.resetModules();
+    const { setApiBase, findPRForBranch, fetchReviewThreads } = await import(
+      "../lib/comments.js"
+    );
+    setApiBase("https://ghe.corp.test/api/v3/");
+
+    const calls = [];
+    const proxyFetch = async (url) => {
+      calls.push(url);
+      const threads = { pageInfo: { hasNextPage: false }, nodes: [] };
+      return {
+        ok: true,
+        json: async () =>
+          url.endsWith("/graphql")
+            ? { data: { repository: { pullRequest: { reviewThreads: threads } } } }
+            : [],
+      };
+    };
+    await findPRForBranch("o", "r", "b", "tok", proxyFetch, "fork");
+    await fetchReviewThreads("o", "r", 1, "tok", proxyFetch);
+
+    expect(calls).toEqual([
+      "https://ghe.corp.test/api/v3/repos/o/r/pulls?head=fork:b&state=open",
+      "https://ghe.corp.test/api/graphql",
+    ]);
+  });
+
   it("findPRForBranch defaults to api.github.com when unset", async () => {
     delete process.env.GITHUB_API_URL;
     vi.resetModules();
@@ -925,3 +1040,636 @@ describe("GITHUB_API_URL override", () => {
     delete process.env.GITHUB_GRAPHQL_URL;
   });
 });
+
+// ---------------------------------------------------------------------------
+// Review threads
+// ---------------------------------------------------------------------------
+
+describe("fetchReviewThreads", () => {
+  const page = (nodes, hasNextPage, endCursor = null) => ({
+    data: {
+      repository: {
+        pullRequest: {
+          reviewThreads: { pageInfo: { hasNextPage, endCursor }, nodes },
+        },
+      },
+    },
+  });
+
+  it("follows the cursor until the last page", async () => {
+    const cursors = [];
+    const threads = await fetchReviewThreads("o", "r", 1, "tok", async (_url, opts) => {
+      const { variables } = JSON.parse(opts.body);
+      cursors.push(variables.cursor);
+      const body =
+        variables.cursor === null
+          ? page([{ id: "T1", comments: { nodes: [{ databaseId: 1 }] } }], true, "c1")
+          : page([{ id: "T2", comments: { nodes: [{ databaseId: 2 }] } }], false);
+      return { ok: true, json: async () => body };
+    });
+
+    expect(cursors).toEqual([null, "c1"]);
+    expect(threads.map((t) => t.id)).toEqual(["T1", "T2"]);
+  });
+
+  it("fetchPRComments tolerates a failing GraphQL endpoint", async () => {
+    const result = await fetchPRComments("o", "r", 1, "tok", async (url) => {
+      if (url.endsWith("/graphql")) {
+        return { ok: false, status: 404 };
+      }
+      return { ok: true, json: async () => [], headers: { get: () => null } };
+    });
+
+    expect(result.reviewThreads).toBe(null);
+    expect(result.reviewComments).toEqual([]);
+  });
+
+  it("fetchPRComments surfaces GraphQL auth and rate-limit failures", async () => {
+    const fetchWith = (graphqlResponse) =>
+      fetchPRComments("o", "r", 1, "tok", async (url) => {
+        if (url.endsWith("/graphql")) return graphqlResponse;
+        return { ok: true, json: async () => [], headers: { get: () => null } };
+      });
+
+    await expect(
+      fetchWith({ ok: false, status: 401, headers: { get: () => null } })
+    ).rejects.toMatchObject({ status: 401 });
+    await expect(
+      fetchWith({
+        ok: true,
+        status: 200,
+        headers: { get: () => null },
+        json: async () => ({
+          errors: [{ type: "RATE_LIMITED", message: "API rate limit exceeded" }],
+        }),
+      })
+    ).rejects.toThrow("GraphQL error: API rate limit exceeded");
+  });
+});
+
+// ---------------------------------------------------------------------------
+// fetchViewerLogin
+// ---------------------------------------------------------------------------
+
+describe("fetchViewerLogin", () => {
+  it("returns the token owner's login", async () => {
+    const calls = [];
+    const login = await fetchViewerLogin("tok", async (url) => {
+      calls.push(url);
+      return { ok: true, json: async () => ({ login: "octocat" }) };
+    });
+    expect(login).toBe("octocat");
+    expect(calls[0]).toBe("https://api.github.com/user");
+  });
+
+  it("returns null when the token has no user", async () => {
+    const login = await fetchViewerLogin("tok", async () => ({
+      ok: false,
+      status: 403,
+    }));
+    expect(login).toBe(null);
+  });
+});
+
+// ---------------------------------------------------------------------------
+// fetchPR / API error status
+// ---------------------------------------------------------------------------
+
+describe("fetchPR", () => {
+  it("returns the pull request", async () => {
+    const calls = [];
+    const pr = await fetchPR("o", "r", 7, "tok", async (url) => {
+      calls.push(url);
+      return {
+        ok: true,
+        status: 200,
+        headers: { get: () => null },
+        json: async () => ({ number: 7, state: "closed" }),
+      };
+    });
+    expect(pr.state).toBe("closed");
+    expect(calls[0]).toBe("https://api.github.com/repos/o/r/pulls/7");
+  });
+
+  it("attaches the HTTP status to errors", async () => {
+    const error = await fetchPR("o", "r", 7, "tok", async () => ({
+      ok: false,
+      status: 401,
+    })).catch((e) => e);
+    expect(error.message).toBe("Failed to fetch PR #7: 401");
+    expect(error.status).toBe(401);
+  });
+});
+
+describe("fetchAllPages errors", () => {
+  it("attaches the HTTP status to errors", async () => {
+    const error = await fetchAllPages("https://x/y", "tok", async () => ({
+      ok: false,
+      status: 403,
+    })).catch((e) => e);
+    expect(error.status).toBe(403);
+  });
+});
+
+// ---------------------------------------------------------------------------
+// Conditional requests
+// ---------------------------------------------------------------------------
+
+describe("fetchAllPages conditional requests", () => {
+  afterEach(() => clearETagCache());
+
+  const page = (status, data, headers = {}) => ({
+    ok: status >= 200 && status < 300,
+    status,
+    headers: { get: (name) => headers[name.toLowerCase()] ?? null },
+    json: async () => data,
+  });
+
+  it("sends If-None-Match and reuses cached pages on 304", async () => {
+    const requests = [];
+    const proxyFetch = async (url, options) => {
+      requests.push({ url, ifNoneMatch: options.headers["If-None-Match"] });
+      const cached = options.headers["If-None-Match"];
+      if (url === "https://x/c") {
+        return cached === '"p1"'
+          ? page(304, null)
+          : page(200, [{ id: 1 }], {
+              etag: '"p1"',
+              link: '<https://x/c?page=2>; rel="next"',
+            });
+      }
+      return cached === '"p2"'
+        ? page(304, null)
+        : page(200, [{ id: 2 }], { etag: '"p2"' });
+    };
+
+    const first = await fetchAllPages("https://x/c", "tok", proxyFetch);
+    const second = await fetchAllPages("https://x/c", "tok", proxyFetch);
+
+    expect(first).toEqual([{ id: 1 }, { id: 2 }]);
+    expect(second).toEqual(first);
+    expect(requests.map((r) => r.ifNoneMatch)).toEqual([
+      undefined,
+      undefined,
+      '"p1"',
+      '"p2"',
+    ]);
+  });
+
+  it("replaces the cached body when the page changed", async () => {
+    let version = 1;
+    const proxyFetch = async (url, options) =>
+      options.headers["If-None-Match"] === `"v${version}"`
+        ? page(304, null)
+        : page(200, [{ id: version }], { etag: `"v${version}"` });
+
+    await fetchAllPages("https://x/c", "tok", proxyFetch);
+    version = 2;
+    expect(await fetchAllPages("https://x/c", "tok", proxyFetch)).toEqual([
+      { id: 2 },
+    ]);
+    expect(await fetchAllPages("https://x/c", "tok", proxyFetch)).toEqual([
+      { id: 2 },
+    ]);
+  });
+
+  it("keeps caches separate per token", async () => {
+    const seen = [];
+    const proxyFetch = async (url, options) => {
+      seen.push(options.headers["If-None-Match"]);
+      return page(200, [], { etag: '"e"' });
+    };
+
+    await fetchAllPages("https://x/c", "a", proxyFetch);
+    await fetchAllPages("https://x/c", "b", proxyFetch);
+    expect(seen).toEqual([undefined, undefined]);
+  });
+});
+
+// ---------------------------------------------------------------------------
+// fetchPRCommentsGraphQL
+// ---------------------------------------------------------------------------
+
+describe("fetchPRCommentsGraphQL", () => {
+  const connection = (nodes, hasNextPage = false, endCursor = null) => ({
+    pageInfo: { hasNextPage, endCursor },
+    nodes,
+  });
+
+  const reviewComment = (databaseId, login, overrides = {}) => ({
+    databaseId,
+    author: { login, __typename: login.startsWith("bot") ? "Bot" : "User" },
+    body: `comment ${databaseId}`,
+    path: "src/a.js",
+    line: 10,
+    originalLine: 9,
+    startLine: null,
+    originalStartLine: null,
+    diffHunk: "@@ -1 +1 @@",
+    createdAt: "2025-01-01T00:00:00Z",
+    updatedAt: "2025-01-01T00:00:00Z",
+    url: `https://github.com/o/r/pull/1#discussion_r${databaseId}`,
+    ...overrides,
+  });
+
+  const respond = (data) => ({ ok: true, json: async () => ({ data }) });
+
+  it("maps threads, issue comments, and reviews to the REST shape", async () => {
+    const calls = [];
+    const result = await fetchPRCommentsGraphQL("o", "r", 1, "tok", async (url, opts) => {
+      const { variables } = JSON.parse(opts.body);
+      calls.push(variables);
+      return respond({
+        repository: {
+          pullRequest: {
+            reviewThreads: connection([
+              {
+                id: "T1",
+                isResolved: true,
+                isOutdated: false,
+                isCollapsed: true,
+                resolvedBy: { login: "alice" },
+                comments: connection([
+                  reviewComment(100, "botty"),
+                  reviewComment(101, "alice"),
+                ]),
+              },
+            ]),
+            comments: connection([
+              {
+                databaseId: 200,
+                author: { login: "bob", __typename: "User" },
+                body: "General note",
+                createdAt: "2025-01-02T00:00:00Z",
+                updatedAt: "2025-01-02T00:00:00Z",
+                url: "https://github.com/o/r/pull/1#issuecomment-200",
+              },
+            ]),
+            reviews: connection([
+              {
+                databaseId: 300,
+                author: { login: "carol", __typename: "User" },
+                body: "Looks good",
+                state: "APPROVED",
+                submittedAt: "2025-01-03T00:00:00Z",
+                createdAt: "2025-01-03T00:00:00Z",
+                updatedAt: "2025-01-03T00:00:00Z",
+                url: "https://github.com/o/r/pull/1#pullrequestreview-300",
+              },
+            ]),
+          },
+        },
+      });
+    });
+
+    expect(calls).toHaveLength(1);
+    expect(result.reviewComments).toEqual([
+      expect.objectContaining({
+        id: 100,
+        user: { login: "botty[bot]" },
+        line: 10,
+        original_line: 9,
+        diff_hunk: "@@ -1 +1 @@",
+        in_reply_to_id: null,
+      }),
+      expect.objectContaining({
+        id: 101,
+        user: { login: "alice" },
+        in_reply_to_id: 100,
+      }),
+    ]);
+    expect(result.issueComments[0]).toMatchObject({
+      id: 200,
+      user: { login: "bob" },
+      html_url: "https://github.com/o/r/pull/1#issuecomment-200",
+    });
+    expect(result.reviews[0]).toMatchObject({
+      id: 300,
+      state: "APPROVED",
+      submitted_at: "2025-01-03T00:00:00Z",
+    });
+    expect(result.reviewThreads[0]).toMatchObject({
+      id: "T1",
+      isResolved: true,
+      resolvedBy: { login: "alice" },
+      comments: { nodes: [{ databaseId: 100 }, { databaseId: 101 }] },
+    });
+
+    // Feeds straight into processComments
+    const processed = processComments(result);
+    const root = processed.find((c) => c.id === 100);
+    expect(root.isBot).toBe(true);
+    expect(root.isResolved).toBe(true);
+    expect(root.replies.map((r) => r.id)).toEqual([101]);
+  });
+
+  it("paginates each connection and drops finished ones", async () => {
+    const calls = [];
+    const result = await fetchPRCommentsGraphQL("o", "r", 1, "tok", async (url, opts) => {
+      const { variables } = JSON.parse(opts.body);
+      calls.push(variables);
+      if (calls.length === 1) {
+        return respond({
+          repository: {
+            pullRequest: {
+              reviewThreads: connection([], false),
+              comments: connection(
+                [{ databaseId: 1, author: null, body: "a" }],
+                true,
+                "c1"
+              ),
+              reviews: connection([], false),
+            },
+          },
+        });
+      }
+      return respond({
+        repository: {
+          pullRequest: {
+            comments: connection([{ databaseId: 2, author: null, body: "b" }]),
+          },
+        },
+      });
+    });
+
+    expect(calls[1]).toMatchObject({
+      withThreads: false,
+      withComments: true,
+      withReviews: false,
+      commentsCursor: "c1",
+    });
+    expect(result.issueComments.map((c) => c.id)).toEqual([1, 2]);
+  });
+
+  it("fetches the rest of long threads", async () => {
+    const queries = [];
+    const result = await fetchPRCommentsGraphQL("o", "r", 1, "tok", async (url, opts) => {
+      const { query, variables } = JSON.parse(opts.body);
+      queries.push(variables);
+      if (query.includes("node(id:")) {
+        return respond({
+          node: { comments: connection([reviewComment(3, "alice")]) },
+        });
+      }
+      return respond({
+        repository: {
+          pullRequest: {
+            reviewThreads: connection([
+              {
+                id: "T1",
+                isResolved: false,
+                comments: connection(
+                  [reviewComment(1, "botty"), reviewComment(2, "alice")],
+                  true,
+                  "tc1"
+                ),
+              },
+            ]),
+            comments: connection([]),
+            reviews: connection([]),
+          },
+        },
+      });
+    });
+
+    expect(queries[1]).toEqual({ id: "T1", cursor: "tc1" });
+    expect(result.reviewComments.map((c) => [c.id, c.in_reply_to_id])).toEqual([
+      [1, null],
+      [2, 1],
+      [3, 1],
+    ]);
+  });
+
+  it("fails clearly when the PR does not exist", async () => {
+    await expect(
+      fetchPRCommentsGraphQL("o", "r", 99, "tok", async () =>
+        respond({ repository: { pullRequest: null } })
+      )
+    ).rejects.toThrow("PR #99 not found in o/r");
+  });
+
+  it("is used by fetchPRComments with { graphql: true }", async () => {
+    const urls = [];
+    await fetchPRComments(
+      "o",
+      "r",
+      1,
+      "tok",
+      async (url) => {
+        urls.push(url);
+        return respond({
+          repository: {
+            pullRequest: {
+              reviewThreads: connection([]),
+              comments: connection([]),
+              reviews: connection([]),
+            },
+          },
+        });
+      },
+      { graphql: true }
+    );
+    expect(urls).toEqual(["https://api.github.com/graphql"]);
+  });
+});
+
+// ---------------------------------------------------------------------------
+// Outdated comments
+// ---------------------------------------------------------------------------
+
+describe("outdated comments", () => {
+  const rest = (overrides = {}) => ({
+    id: 1,
+    user: { login: "cursor[bot]" },
+    body: "Finding",
+    path: "a.js",
+    line: 12,
+    original_line: 10,
+    commit_id: "c2",
+    original_commit_id: "c1",
+    created_at: "2025-01-01T00:00:00Z",
+    ...overrides,
+  });
+
+  it("carries commit IDs and the original line", () => {
+    const [comment] = processComments({
+      reviewComments: [rest()],
+      issueComments: [],
+      reviews: [],
+    });
+    expect(comment).toMatchObject({
+      line: 12,
+      originalLine: 10,
+      commitId: "c2",
+      originalCommitId: "c1",
+      currentLine: null,
+      isOutdated: false,
+    });
+  });
+
+  it("gives issue comments and reviews the same location fields as null", () => {
+    const comments = processComments({
+      reviewComments: [],
+      issueComments: [
+        {
+          id: 2,
+          user: { login: "alice" },
+          body: "LGTM",
+          created_at: "2025-01-02T00:00:00Z",
+        },
+      ],
+      reviews: [
+        {
+          id: 3,
+          user: { login: "bob" },
+          body: "Looks good",
+          state: "COMMENTED",
+          submitted_at: "2025-01-03T00:00:00Z",
+        },
+      ],
+    });
+    for (const comment of comments) {
+      expect(comment).toMatchObject({
+        originalLine: null,
+        originalStartLine: null,
+        commitId: null,
+        originalCommitId: null,
+      });
+    }
+    expect(comments).toHaveLength(2);
+  });
+
+  it("detects outdated comments from REST data when thread state is missing", () => {
+    const [comment] = processComments({
+      reviewComments: [rest({ line: null })],
+      issueComments: [],
+      reviews: [],
+      reviewThreads: null,
+    });
+    expect(comment.isOutdated).toBe(true);
+    expect(comment.line).toBe(10);
+  });
+
+  it("filterComments hides or shows only outdated comments", () => {
+    const comments = [
+      { id: 1, isOutdated: true },
+      { id: 2, isOutdated: false },
+      { id: 3 },
+    ];
+    expect(filterComments(comments, { outdated: "only" }).map((c) => c.id)).toEqual([1]);
+    expect(filterComments(comments, { outdated: "hide" }).map((c) => c.id)).toEqual([2, 3]);
+    expect(filterComments(comments, {})).toHaveLength(3);
+  });
+});
+
+describe("comment ranges, sides and file-level comments", () => {
+  const rest = (overrides = {}) => ({
+    id: 1,
+    user: { login: "alice" },
+    body: "Finding",
+    path: "a.js",
+    line: 24,
+    start_line: 10,
+    original_line: 22,
+    original_start_line: 8,
+    side: "RIGHT",
+    start_side: "RIGHT",
+    subject_type: "line",
+    created_at: "2025-01-01T00:00:00Z",
+    ...overrides,
+  });
+
+  const processOne = (comment) =>
+    processComments({ reviewComments: [comment], issueComments: [], reviews: [] })[0];
+
+  it("keeps the range, diff side and subject type", () => {
+    expect(processOne(rest())).toMatchObject({
+      line: 24,
+      startLine: 10,
+      originalLine: 22,
+      originalStartLine: 8,
+      side: "RIGHT",
+      startSide: "RIGHT",
+      subjectType: "line",
+    });
+    expect(processOne(rest({ side: "LEFT", start_side: "LEFT" })).side).toBe("LEFT");
+  });
+
+  it("falls back to the original range once the comment is outdated", () => {
+    const comment = processOne(rest({ line: null, start_line: null }));
+    expect(comment.line).toBe(22);
+    expect(comment.startLine).toBe(8);
+  });
+
+  it("does not treat file-level comments as outdated", () => {
+    const comment = processOne(
+      rest({
+        line: null,
+        start_line: null,
+        original_line: null,
+        original_start_line: null,
+        side: null,
+        start_side: null,
+        subject_type: "file",
+      })
+    );
+    expect(comment.subjectType).toBe("file");
+    expect(comment.line).toBe(null);
+    expect(comment.isOutdated).toBe(false);
+  });
+
+  it("defaults to a line comment when REST omits subject_type", () => {
+    expect(processOne(rest({ subject_type: undefined })).subjectType).toBe("line");
+  });
+
+  it("takes side and subject type from the GraphQL thread", async () => {
+    const result = await fetchPRCommentsGraphQL("o", "r", 1, "tok", async () => ({
+      ok: true,
+      json: async () => ({
+        data: {
+          repository: {
+            pullRequest: {
+              reviewThreads: {
+                pageInfo: { hasNextPage: false, endCursor: null },
+                nodes: [
+                  {
+                    id: "T1",
+                    isResolved: false,
+                    isOutdated: false,
+                    isCollapsed: false,
+                    resolvedBy: null,
+                    diffSide: "LEFT",
+                    startDiffSide: "LEFT",
+                    subjectType: "LINE",
+                    comments: {
+                      pageInfo: { hasNextPage: false, endCursor: null },
+                      nodes: [
+                        {
+                          databaseId: 100,
+                          author: { login: "alice", __typename: "User" },
+                          body: "Why remove this?",
+                          path: "a.js",
+                          line: 7,
+                          startLine: 5,
+                        },
+                      ],
+                    },
+                  },
+                ],
+              },
+              comments: { pageInfo: { hasNextPage: false }, nodes: [] },
+              reviews: { pageInfo: { hasNextPage: false }, nodes: [] },
+            },
+          },
+        },
+      }),
+    }));
+
+    expect(result.reviewComments[0]).toMatchObject({
+      side: "LEFT",
+      start_side: "LEFT",
+      subject_type: "line",
+      start_line: 5,
+    });
+  });
+});
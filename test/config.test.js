@@ -0,0 +1,208 @@
+import { describe, it, expect, beforeEach, afterEach } from "vitest";
+import { mkdtempSync, rmSync, writeFileSync } from "node:fs";
+import os from "node:os";
+import path from "node:path";
+import {
+  loadConfig,
+  validateConfig,
+  getProcessOptions,
+} from "../lib/config.js";
+import { processComments, isBot, cleanBody } from "../lib/comments.js";
+
+// ---------------------------------------------------------------------------
+// validateConfig
+// ---------------------------------------------------------------------------
+
+describe("validateConfig", () => {
+  it("accepts an empty config", () => {
+    expect(validateConfig({})).toEqual([]);
+  });
+
+  it("accepts a full config", () => {
+    const errors = validateConfig({
+      bots: ["acme-reviewer"],
+      metaFilters: [
+        { user: "acme-deployer", startsWith: "Deployed" },
+        { user: ["a", "b"], includes: "summary" },
+        { matches: "^\\[preview\\]" },
+      ],
+      cleanupPatterns: ["<sub>Powered by Acme</sub>"],
+      defaults: { botsOnly: true, filter: "unanswered", watchInterval: 15 },
+      provider: "Forgejo",
+    });
+    expect(errors).toEqual([]);
+  });
+
+  it("rejects non-object configs", () => {
+    expect(validateConfig([])).toEqual(["config must be a JSON object"]);
+    expect(validateConfig(null)).toEqual(["config must be a JSON object"]);
+  });
+
+  it("reports unknown top-level keys", () => {
+    expect(validateConfig({ filters: [] })).toEqual(['unknown key "filters"']);
+  });
+
+  it("reports malformed meta filter rules", () => {
+    const errors = validateConfig({
+      metaFilters: [{}, { user: 1 }, { startsWith: "x", foo: "y" }],
+    });
+    expect(errors).toContain(
+      "metaFilters[0]: needs at least one of user, startsWith, includes or matches"
+    );
+    expect(errors).toContain(
+      "metaFilters[1].user: must be a string or a list of strings"
+    );
+    expect(errors.some((e) => e.includes('unknown key "foo"'))).toBe(true);
+  });
+
+  it("reports invalid regular expressions", () => {
+    const errors = validateConfig({
+      metaFilters: [{ matches: "(" }],
+      cleanupPatterns: ["["],
+    });
+    expect(errors).toHaveLength(2);
+    expect(errors[0]).toMatch(/^metaFilters\[0\]\.matches: invalid regular expression/);
+    expect(errors[1]).toMatch(/^cleanupPatterns\[0\]: invalid regular expression/);
+  });
+
+  it("validates default option names and types", () => {
+    const errors = validateConfig({
+      defaults: {
+        watchInterval: "15",
+        filter: "everything",
+        verbose: true,
+      },
+    });
+    expect(errors).toContain("defaults.watchInterval: must be a positive integer");
+    expect(errors).toContain("defaults.filter: must be one of unresolved, unanswered");
+    expect(errors.some((e) => e.startsWith("defaults.verbose: unknown option"))).toBe(
+      true
+    );
+  });
+
+  it("rejects unknown providers", () => {
+    expect(validateConfig({ provider: "bitbucket" })).toEqual([
+      "provider: must be one of github, gitlab, gitea, forgejo",
+    ]);
+  });
+
+  it("allows a zero watchTimeout", () => {
+    expect(validateConfig({ defaults: { watchTimeout: 0 } })).toEqual([]);
+    expect(validateConfig({ defaults: { watchTimeout: -1 } })).toEqual([
+      "defaults.watchTimeout: must be a non-negative integer",
+    ]);
+  });
+
+  it("rejects conflicting bot/human defaults", () => {
+    expect(validateConfig({ defaults: { botsOnly: true, humansOnly: true } })).toContain(
+      "defaults: botsOnly and humansOnly cannot both be true"
+    );
+  });
+});
+
+// ---------------------------------------------------------------------------
+// loadConfig
+// ---------------------------------------------------------------------------
+
+describe("loadConfig", () => {
+  let dir;
+
+  beforeEach(() => {
+    dir = mkdtempSync(path.join(os.tmpdir(), "agent-reviews-config-"));
+  });
+
+  afterEach(() => {
+    rmSync(dir, { recursive: true, force: true });
+  });
+
+  it("returns an empty config when the file is absent", () => {
+    expect(loadConfig(dir)).toEqual({});
+  });
+
+  it("reads .agent-reviews.json from the given root", () => {
+    writeFileSync(
+      path.join(dir, ".agent-reviews.json"),
+      JSON.stringify({ bots: ["acme-reviewer"] })
+    );
+    expect(loadConfig(dir)).toEqual({ bots: ["acme-reviewer"] });
+  });
+
+  it("throws on invalid JSON", () => {
+    writeFileSync(path.join(dir, ".agent-reviews.json"), "{ nope");
+    expect(() => loadConfig(dir)).toThrow(/^Invalid \.agent-reviews\.json: /);
+  });
+
+  it("lists every validation problem in the error", () => {
+    writeFileSync(
+      path.join(dir, ".agent-reviews.json"),
+      JSON.stringify({ bots: "acme", extra: 1 })
+    );
+    expect(() => loadConfig(dir)).toThrow(
+      'Invalid .agent-reviews.json:\n  - unknown key "extra"\n  - bots: must be a list of login names'
+    );
+  });
+});
+
+// ---------------------------------------------------------------------------
+// getProcessOptions
+// ---------------------------------------------------------------------------
+
+describe("getProcessOptions", () => {
+  const issueComment = (id, login, body) => ({
+    id,
+    user: { login },
+    body,
+    created_at: "2025-01-01T00:00:00Z",
+    updated_at: "2025-01-01T00:00:00Z",
+    html_url: `https://github.com/org/repo/pull/1#issuecomment-${id}`,
+  });
+
+  it("keeps the built-in meta filters", () => {
+    const options = getProcessOptions({});
+    const result = processComments(
+      {
+        reviewComments: [],
+        issueComments: [issueComment(1, "vercel[bot]", "[vc]: deployed")],
+        reviews: [],
+      },
+      options
+    );
+    expect(result).toHaveLength(0);
+  });
+
+  it("applies config meta filters, bots and cleanup patterns", () => {
+    const options = getProcessOptions({
+      bots: ["acme-reviewer"],
+      metaFilters: [
+        { user: "deploy-helper", startsWith: "Deployed" },
+        { matches: "^\\[preview\\]" },
+      ],
+      cleanupPatterns: ["\\s*<sub>Powered by Acme</sub>"],
+    });
+
+    const result = processComments(
+      {
+        reviewComments: [],
+        issueComments: [
+          issueComment(1, "deploy-helper", "Deployed to staging"),
+          issueComment(2, "deploy-helper", "Deploy failed, please look"),
+          issueComment(3, "someone", "[preview] ready"),
+          issueComment(4, "acme-reviewer", "Finding <sub>Powered by Acme</sub>"),
+        ],
+        reviews: [],
+      },
+      options
+    );
+
+    expect(result.map((c) => c.id).sort()).toEqual([2, 4]);
+    const finding = result.find((c) => c.id === 4);
+    expect(finding.isBot).toBe(true);
+    expect(finding.body).toBe("Finding");
+  });
+
+  it("isBot and cleanBody accept the extra settings directly", () => {
+    expect(isBot("acme-reviewer")).toBe(false);
+    expect(isBot("acme-reviewer", ["acme-reviewer"])).toBe(true);
+    expect(cleanBody("a [x] b", [/\[x\] /g])).toBe("a b");
+  });
+});
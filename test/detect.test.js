@@ -0,0 +1,149 @@
+import { describe, it, expect } from "vitest";
+import { detectPR } from "../lib/detect.js";
+
+const pr = (number, baseRepo, headLabel) => ({
+  number,
+  title: `PR ${number}`,
+  state: "open",
+  html_url: `https://github.com/${baseRepo}/pull/${number}`,
+  head: { label: headLabel },
+  base: { repo: { full_name: baseRepo } },
+});
+
+// Answers GitHub REST calls from a path -> body map; unknown paths 404
+function api(routes) {
+  const calls = [];
+  const proxyFetch = async (url) => {
+    const { pathname, search } = new URL(url);
+    const key = pathname + search;
+    calls.push(key);
+    if (!(key in routes)) {
+      return { ok: false, status: 404, json: async () => ({}) };
+    }
+    return { ok: true, status: 200, json: async () => routes[key] };
+  };
+  return { calls, proxyFetch };
+}
+
+describe("detectPR", () => {
+  const repoInfo = { owner: "acme", repo: "app" };
+
+  it("finds the PR for a branch in the same repository", async () => {
+    const { proxyFetch } = api({
+      "/repos/acme/app/pulls?head=acme:feature&state=open": [
+        pr(7, "acme/app", "acme:feature"),
+      ],
+    });
+    const result = await detectPR(
+      { repoInfo, branch: "feature", tracking: null, headSha: null },
+      "tok",
+      proxyFetch
+    );
+    expect(result).toMatchObject({ owner: "acme", repo: "app", pr: { number: 7 } });
+  });
+
+  it("uses the tracking remote's owner and branch for fork PRs", async () => {
+    const { calls, proxyFetch } = api({
+      "/repos/acme/app/pulls?head=me:fix-typo&state=open": [
+        pr(12, "acme/app", "me:fix-typo"),
+      ],
+    });
+    const result = await detectPR(
+      {
+        repoInfo,
+        branch: "local-name",
+        tracking: { remote: "origin", owner: "me", repo: "app", branch: "fix-typo" },
+        headSha: null,
+      },
+      "tok",
+      proxyFetch
+    );
+    expect(result.pr.number).toBe(12);
+    expect(calls[0]).toBe("/repos/acme/app/pulls?head=me:fix-typo&state=open");
+  });
+
+  it("looks in the parent when the base repository is a fork", async () => {
+    const { proxyFetch } = api({
+      "/repos/me/app/pulls?head=me:feature&state=open": [],
+      "/repos/me/app": { fork: true, parent: { full_name: "acme/app" } },
+      "/repos/acme/app/pulls?head=me:feature&state=open": [
+        pr(3, "acme/app", "me:feature"),
+      ],
+    });
+    const result = await detectPR(
+      {
+        repoInfo: { owner: "me", repo: "app" },
+        branch: "feature",
+        tracking: null,
+        headSha: null,
+      },
+      "tok",
+      proxyFetch
+    );
+    expect(result).toMatchObject({ owner: "acme", repo: "app", pr: { number: 3 } });
+  });
+
+  it("falls back to PRs containing the HEAD commit", async () => {
+    const { proxyFetch } = api({
+      "/repos/acme/app/pulls?head=acme:renamed&state=open": [],
+      "/repos/acme/app": { fork: false },
+      "/repos/acme/app/commits/abc123/pulls": [
+        { ...pr(9, "acme/app", "acme:old-name"), state: "open" },
+        { ...pr(4, "acme/app", "acme:older"), state: "closed" },
+      ],
+    });
+    const result = await detectPR(
+      { repoInfo, branch: "renamed", tracking: null, headSha: "abc123" },
+      "tok",
+      proxyFetch
+    );
+    expect(result.pr.number).toBe(9);
+  });
+
+  it("searches by commit on a detached HEAD", async () => {
+    const { calls, proxyFetch } = api({
+      "/repos/acme/app": { fork: false },
+      "/repos/acme/app/commits/abc123/pulls": [pr(9, "acme/app", "acme:x")],
+    });
+    const result = await detectPR(
+      { repoInfo, branch: null, tracking: null, headSha: "abc123" },
+      "tok",
+      proxyFetch
+    );
+    expect(result.pr.number).toBe(9);
+    expect(calls.some((c) => c.includes("/pulls?head="))).toBe(false);
+  });
+
+  it("returns null when nothing matches", async () => {
+    const { proxyFetch } = api({
+      "/repos/acme/app/pulls?head=acme:feature&state=open": [],
+      "/repos/acme/app": { fork: false },
+    });
+    const result = await detectPR(
+      { repoInfo, branch: "feature", tracking: null, headSha: "abc123" },
+      "tok",
+      proxyFetch
+    );
+    expect(result).toBe(null);
+  });
+
+  it("lists the candidates when several PRs match", async () => {
+    const { proxyFetch } = api({
+      "/repos/acme/app/pulls?head=acme:feature&state=open": [
+        pr(7, "acme/app", "acme:feature"),
+        pr(8, "acme/app", "acme:feature"),
+      ],
+    });
+    const error = await detectPR(
+      { repoInfo, branch: "feature", tracking: null, headSha: null },
+      "tok",
+      proxyFetch
+    ).catch((e) => e);
+
+    expect(error.message).toContain("2 open PRs match branch 'feature'");
+    expect(error.message).toContain("#7");
+    expect(error.message).toContain("https://github.com/acme/app/pull/8");
+    expect(error.message).toContain("--pr <number>");
+    expect(error.candidates.map((p) => p.number)).toEqual([7, 8]);
+  });
+});
@@ -4,6 +4,10 @@ import {
   parseLastHeaderBlock,
   getGitHubToken,
   getRepoInfo,
+  parseRemoteUrl,
+  parseRepoSpec,
+  parsePRUrl,
+  apiBaseForHost,
 } from "../lib/github.js";
 
 // ---------------------------------------------------------------------------
@@ -181,6 +185,15 @@ describe("getRepoInfo", () => {
     expect(info).toEqual({ owner: "myorg", repo: "myrepo" });
   });
 
+  it("accepts a host in GH_REPO", () => {
+    process.env.GH_REPO = "ghe.corp.test/myorg/myrepo";
+    expect(getRepoInfo()).toEqual({
+      host: "ghe.corp.test",
+      owner: "myorg",
+      repo: "myrepo",
+    });
+  });
+
   it("ignores invalid GH_REPO format", () => {
     process.env.GH_REPO = "not-a-valid-format";
     // Should fall through to git remote detection (which works in this repo)
@@ -196,3 +209,134 @@ describe("getRepoInfo", () => {
     expect(info).toHaveProperty("repo");
   });
 });
+
+// ---------------------------------------------------------------------------
+// parseRemoteUrl / apiBaseForHost
+// ---------------------------------------------------------------------------
+
+describe("parseRemoteUrl", () => {
+  it.each([
+    ["git@github.com:acme/app.git", "github.com"],
+    ["https://github.com/acme/app", "github.com"],
+    ["https://github.com/acme/app.git/", "github.com"],
+    ["ssh://git@ghe.corp.test:2222/acme/app.git", "ghe.corp.test"],
+    ["https://user@ghe.corp.test/acme/app", "ghe.corp.test"],
+    ["git@ghe.corp.test:acme/app", "ghe.corp.test"],
+  ])("parses %s", (url, host) => {
+    expect(parseRemoteUrl(url)).toEqual({ host, owner: "acme", repo: "app" });
+  });
+
+  it("keeps the full namespace of nested GitLab groups", () => {
+    expect(parseRemoteUrl("git@gitlab.com:group/sub/app.git")).toEqual({
+      host: "gitlab.com",
+      owner: "group/sub",
+      repo: "app",
+    });
+    expect(parseRemoteUrl("https://gitlab.com/group/sub/app")).toEqual({
+      host: "gitlab.com",
+      owner: "group/sub",
+      repo: "app",
+    });
+    // The same owner parsePRUrl gives for a merge request
+    expect(
+      parsePRUrl("https://gitlab.com/group/sub/app/-/merge_requests/3")
+    ).toMatchObject({ owner: "group/sub", repo: "app" });
+  });
+
+  it("parses local git proxy remotes without a host", () => {
+    expect(parseRemoteUrl("http://local_proxy@127.0.0.1:4242/git/acme/app")).toEqual({
+      host: null,
+      owner: "acme",
+      repo: "app",
+    });
+  });
+
+  it("returns null for local paths", () => {
+    expect(parseRemoteUrl("/srv/git/app")).toBe(null);
+  });
+});
+
+describe("apiBaseForHost", () => {
+  it("uses the default API for github.com", () => {
+    expect(apiBaseForHost("github.com")).toBe(null);
+    expect(apiBaseForHost(null)).toBe(null);
+  });
+
+  it("maps enterprise hosts to their API", () => {
+    expect(apiBaseForHost("ghe.corp.test")).toBe("https://ghe.corp.test/api/v3");
+    expect(apiBaseForHost("acme.ghe.com")).toBe("https://api.acme.ghe.com");
+  });
+});
+
+// ---------------------------------------------------------------------------
+// parseRepoSpec / parsePRUrl
+// ---------------------------------------------------------------------------
+
+describe("parseRepoSpec", () => {
+  it("parses OWNER/REPO and HOST/OWNER/REPO", () => {
+    expect(parseRepoSpec("acme/app")).toEqual({ owner: "acme", repo: "app" });
+    expect(parseRepoSpec("ghe.corp.test/acme/app")).toEqual({
+      host: "ghe.corp.test",
+      owner: "acme",
+      repo: "app",
+    });
+  });
+
+  it("keeps nested namespaces as the owner", () => {
+    expect(parseRepoSpec("group/sub/repo")).toEqual({ owner: "group/sub", repo: "repo" });
+    expect(parseRepoSpec("gitlab.example.com/group/sub/repo")).toEqual({
+      host: "gitlab.example.com",
+      owner: "group/sub",
+      repo: "repo",
+    });
+    expect(parseRepoSpec("localhost/acme/app")).toEqual({
+      host: "localhost",
+      owner: "acme",
+      repo: "app",
+    });
+  });
+
+  it("accepts repository URLs", () => {
+    expect(parseRepoSpec("https://github.com/acme/app.git")).toEqual({
+      host: "github.com",
+      owner: "acme",
+      repo: "app",
+    });
+  });
+
+  it("rejects anything else", () => {
+    expect(parseRepoSpec("app")).toBe(null);
+    expect(parseRepoSpec("")).toBe(null);
+  });
+});
+
+describe("parsePRUrl", () => {
+  it("parses github.com and enterprise PR URLs", () => {
+    expect(parsePRUrl("https://github.com/acme/app/pull/123")).toEqual({
+      host: "github.com",
+      owner: "acme",
+      repo: "app",
+      number: 123,
+    });
+    expect(
+      parsePRUrl("https://ghe.corp.test:8443/acme/app/pull/5/files#diff-1")
+    ).toMatchObject({ host: "ghe.corp.test", number: 5 });
+  });
+
+  it("parses GitLab merge request URLs", () => {
+    expect(
+      parsePRUrl("https://gitlab.com/group/sub/app/-/merge_requests/12/diffs")
+    ).toEqual({
+      host: "gitlab.com",
+      owner: "group/sub",
+      repo: "app",
+      number: 12,
+      provider: "gitlab",
+    });
+  });
+
+  it("returns null for numbers and non-PR URLs", () => {
+    expect(parsePRUrl("123")).toBe(null);
+    expect(parsePRUrl("https://github.com/acme/app/issues/3")).toBe(null);
+  });
+});
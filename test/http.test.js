@@ -0,0 +1,250 @@
+import { describe, it, expect, afterEach } from "vitest";
+import {
+  fetchWithRetry,
+  parseRateLimit,
+  getRateLimit,
+  clearRateLimits,
+  rateLimitDelay,
+} from "../lib/http.js";
+
+const makeHeaders = (values = {}) => ({
+  get: (name) => values[name.toLowerCase()] ?? null,
+});
+
+const makeResponse = (status, headers = {}) => ({
+  ok: status >= 200 && status < 300,
+  status,
+  headers: makeHeaders(headers),
+});
+
+// Replays `responses` in order; Error entries are thrown as network failures
+function sequence(responses) {
+  const calls = [];
+  const proxyFetch = async (url, init) => {
+    calls.push({ url, init });
+    const next = responses[Math.min(calls.length - 1, responses.length - 1)];
+    if (next instanceof Error) throw next;
+    return next;
+  };
+  return { calls, proxyFetch };
+}
+
+const noSleep = () => {
+  const delays = [];
+  return { delays, sleep: async (ms) => delays.push(ms) };
+};
+
+afterEach(() => clearRateLimits());
+
+// ---------------------------------------------------------------------------
+// parseRateLimit
+// ---------------------------------------------------------------------------
+
+describe("parseRateLimit", () => {
+  it("reads the x-ratelimit headers", () => {
+    expect(
+      parseRateLimit(
+        makeHeaders({
+          "x-ratelimit-limit": "5000",
+          "x-ratelimit-remaining": "12",
+          "x-ratelimit-reset": "1700000000",
+          "x-ratelimit-resource": "graphql",
+        })
+      )
+    ).toEqual({
+      resource: "graphql",
+      limit: 5000,
+      remaining: 12,
+      reset: 1700000000000,
+    });
+  });
+
+  it("returns null without rate-limit headers", () => {
+    expect(parseRateLimit(makeHeaders())).toBe(null);
+    expect(parseRateLimit(undefined)).toBe(null);
+  });
+});
+
+// ---------------------------------------------------------------------------
+// rateLimitDelay
+// ---------------------------------------------------------------------------
+
+describe("rateLimitDelay", () => {
+  const now = 1700000000000;
+
+  it("prefers Retry-After seconds", () => {
+    const response = makeResponse(403, { "retry-after": "7" });
+    expect(rateLimitDelay(response, 0, now)).toBe(7000);
+  });
+
+  it("accepts Retry-After as an HTTP date", () => {
+    const response = makeResponse(429, {
+      "retry-after": new Date(now + 5000).toUTCString(),
+    });
+    expect(rateLimitDelay(response, 0, now)).toBe(5000);
+  });
+
+  it("waits for the quota reset when it is exhausted", () => {
+    const response = makeResponse(403, {
+      "x-ratelimit-remaining": "0",
+      "x-ratelimit-reset": String((now + 20000) / 1000),
+    });
+    expect(rateLimitDelay(response, 0, now)).toBe(21000);
+  });
+
+  it("falls back to exponential backoff", () => {
+    const response = makeResponse(429);
+    expect(rateLimitDelay(response, 0, now)).toBe(1000);
+    expect(rateLimitDelay(response, 2, now)).toBe(4000);
+  });
+});
+
+// ---------------------------------------------------------------------------
+// fetchWithRetry
+// ---------------------------------------------------------------------------
+
+describe("fetchWithRetry", () => {
+  it("returns the first successful response without waiting", async () => {
+    const { calls, proxyFetch } = sequence([makeResponse(200)]);
+    const { delays, sleep } = noSleep();
+    const response = await fetchWithRetry(proxyFetch, "https://x", {}, { sleep });
+    expect(response.status).toBe(200);
+    expect(calls).toHaveLength(1);
+    expect(delays).toEqual([]);
+  });
+
+  it("retries 5xx responses on GET with backoff", async () => {
+    const { calls, proxyFetch } = sequence([
+      makeResponse(502),
+      makeResponse(503),
+      makeResponse(200),
+    ]);
+    const { delays, sleep } = noSleep();
+    const response = await fetchWithRetry(proxyFetch, "https://x", {}, { sleep });
+    expect(response.status).toBe(200);
+    expect(calls).toHaveLength(3);
+    expect(delays).toEqual([1000, 2000]);
+  });
+
+  it("returns the last 5xx response once retries run out", async () => {
+    const { calls, proxyFetch } = sequence([makeResponse(500)]);
+    const { sleep } = noSleep();
+    const response = await fetchWithRetry(
+      proxyFetch,
+      "https://x",
+      {},
+      { sleep, retries: 2 }
+    );
+    expect(response.status).toBe(500);
+    expect(calls).toHaveLength(3);
+  });
+
+  it("retries network errors on idempotent calls", async () => {
+    const { calls, proxyFetch } = sequence([
+      new Error("socket hang up"),
+      makeResponse(200),
+    ]);
+    const { sleep } = noSleep();
+    const response = await fetchWithRetry(proxyFetch, "https://x", {}, { sleep });
+    expect(response.status).toBe(200);
+    expect(calls).toHaveLength(2);
+  });
+
+  it("does not retry 5xx or network errors for POST by default", async () => {
+    const { calls, proxyFetch } = sequence([makeResponse(502)]);
+    const { sleep } = noSleep();
+    const response = await fetchWithRetry(
+      proxyFetch,
+      "https://x",
+      { method: "POST" },
+      { sleep }
+    );
+    expect(response.status).toBe(502);
+    expect(calls).toHaveLength(1);
+
+    const failing = sequence([new Error("reset")]);
+    await expect(
+      fetchWithRetry(failing.proxyFetch, "https://x", { method: "POST" }, { sleep })
+    ).rejects.toThrow("reset");
+    expect(failing.calls).toHaveLength(1);
+  });
+
+  it("retries POST calls marked idempotent", async () => {
+    const { calls, proxyFetch } = sequence([makeResponse(502), makeResponse(200)]);
+    const { sleep } = noSleep();
+    await fetchWithRetry(
+      proxyFetch,
+      "https://x",
+      { method: "POST" },
+      { sleep, idempotent: true }
+    );
+    expect(calls).toHaveLength(2);
+  });
+
+  it("retries secondary rate limits, even for POST", async () => {
+    const { calls, proxyFetch } = sequence([
+      makeResponse(403, { "retry-after": "3" }),
+      makeResponse(201),
+    ]);
+    const { delays, sleep } = noSleep();
+    const response = await fetchWithRetry(
+      proxyFetch,
+      "https://x",
+      { method: "POST" },
+      { sleep }
+    );
+    expect(response.status).toBe(201);
+    expect(calls).toHaveLength(2);
+    expect(delays).toEqual([3000]);
+  });
+
+  it("does not treat a plain 403 as a rate limit", async () => {
+    const { calls, proxyFetch } = sequence([makeResponse(403)]);
+    const { sleep } = noSleep();
+    const response = await fetchWithRetry(proxyFetch, "https://x", {}, { sleep });
+    expect(response.status).toBe(403);
+    expect(calls).toHaveLength(1);
+  });
+
+  it("gives up with the reset time when the wait is too long", async () => {
+    const reset = Math.floor(Date.now() / 1000) + 3600;
+    const { calls, proxyFetch } = sequence([
+      makeResponse(403, {
+        "x-ratelimit-limit": "5000",
+        "x-ratelimit-remaining": "0",
+        "x-ratelimit-reset": String(reset),
+      }),
+    ]);
+    const { sleep } = noSleep();
+
+    const error = await fetchWithRetry(proxyFetch, "https://x", {}, { sleep }).catch(
+      (e) => e
+    );
+    expect(error.message).toMatch(/rate limited until \d{2}:\d{2}$/);
+    expect(error.status).toBe(403);
+    expect(error.rateLimited).toBe(true);
+    expect(calls).toHaveLength(1);
+  });
+
+  it("gives up after the retry budget on repeated 429s", async () => {
+    const { calls, proxyFetch } = sequence([makeResponse(429)]);
+    const { sleep } = noSleep();
+    await expect(
+      fetchWithRetry(proxyFetch, "https://x", {}, { sleep, retries: 1 })
+    ).rejects.toThrow("rate limited until");
+    expect(calls).toHaveLength(2);
+  });
+
+  it("remembers the latest quota per resource", async () => {
+    const { proxyFetch } = sequence([
+      makeResponse(200, {
+        "x-ratelimit-limit": "5000",
+        "x-ratelimit-remaining": "4321",
+        "x-ratelimit-reset": "1700000000",
+      }),
+    ]);
+    await fetchWithRetry(proxyFetch, "https://x");
+    expect(getRateLimit().remaining).toBe(4321);
+    expect(getRateLimit("graphql")).toBe(null);
+  });
+});
@@ -0,0 +1,505 @@
+import { describe, it, expect, afterEach, beforeAll, afterAll } from "vitest";
+import { PassThrough } from "node:stream";
+import { spawn, execFileSync } from "node:child_process";
+import { createServer } from "node:http";
+import { mkdtempSync, rmSync } from "node:fs";
+import os from "node:os";
+import path from "node:path";
+import { fileURLToPath } from "node:url";
+import {
+  TOOLS,
+  validateArguments,
+  createMcpServer,
+  runMcpServer,
+} from "../lib/mcp.js";
+import { processComments, clearETagCache } from "../lib/comments.js";
+
+const reviewComment = (id, extra = {}) => ({
+  id,
+  user: { login: "cursor[bot]" },
+  body: `Finding ${id}`,
+  path: "a.js",
+  line: 1,
+  created_at: `2025-01-0${id}T00:00:00Z`,
+  updated_at: `2025-01-0${id}T00:00:00Z`,
+  html_url: `https://github.com/acme/app/pull/7#discussion_r${id}`,
+  ...extra,
+});
+
+// Fake GitHub REST API for acme/app#7; `state.reviewComments` can change
+// between calls. GraphQL is unavailable, so thread state is left out.
+function fakeGitHub(state) {
+  const calls = [];
+  const proxyFetch = async (url, init = {}) => {
+    const { pathname } = new URL(url);
+    calls.push({ method: init.method || "GET", pathname, body: init.body });
+    const respond = (body, status = 200) => ({
+      ok: status >= 200 && status < 300,
+      status,
+      headers: { get: () => null },
+      json: async () => body,
+      text: async () => JSON.stringify(body),
+    });
+    if (pathname === "/repos/acme/app/pulls/7/comments") {
+      return respond(state.reviewComments);
+    }
+    if (pathname === "/repos/acme/app/pulls/7/comments/1/replies") {
+      return respond({ id: 90, html_url: "https://github.com/acme/app/pull/7#r90" }, 201);
+    }
+    if (
+      pathname === "/repos/acme/app/issues/7/comments" ||
+      pathname === "/repos/acme/app/pulls/7/reviews"
+    ) {
+      return respond([]);
+    }
+    return respond({ message: "Not Found" }, 404);
+  };
+  return { calls, proxyFetch };
+}
+
+function makeServer(state, overrides = {}) {
+  const { calls, proxyFetch } = fakeGitHub(state);
+  const server = createMcpServer({
+    owner: "acme",
+    repo: "app",
+    resolvePR: async (pr) => ({ owner: "acme", repo: "app", number: pr || 7 }),
+    getToken: async () => "tok",
+    getSelfLogin: async () => "me",
+    proxyFetch,
+    fetchOptions: {},
+    process: (rawData) => processComments(rawData),
+    version: "1.2.3",
+    ...overrides,
+  });
+  return { calls, server };
+}
+
+let nextId = 1;
+async function call(server, name, args) {
+  const response = await server.handle({
+    jsonrpc: "2.0",
+    id: nextId++,
+    method: "tools/call",
+    params: { name, arguments: args },
+  });
+  const { content, isError } = response.result;
+  return isError ? { error: content[0].text } : JSON.parse(content[0].text);
+}
+
+afterEach(() => clearETagCache());
+
+// ---------------------------------------------------------------------------
+// validateArguments
+// ---------------------------------------------------------------------------
+
+describe("validateArguments", () => {
+  const schema = TOOLS.find((t) => t.name === "reply").inputSchema;
+
+  it("accepts valid arguments", () => {
+    expect(validateArguments(schema, { id: 1, message: "Fixed\n\nDetails" })).toBe(null);
+  });
+
+  it("reports missing, unknown and mistyped arguments", () => {
+    expect(validateArguments(schema, { id: 1 })).toBe('missing required argument "message"');
+    expect(validateArguments(schema, { id: 1, message: "x", extra: 1 })).toBe(
+      'unknown argument "extra"'
+    );
+    expect(validateArguments(schema, { id: "1", message: "x" })).toBe(
+      '"id" must be an integer'
+    );
+    expect(validateArguments(schema, { id: 1, message: "" })).toBe(
+      '"message" must not be empty'
+    );
+  });
+});
+
+// ---------------------------------------------------------------------------
+// createMcpServer
+// ---------------------------------------------------------------------------
+
+describe("createMcpServer", () => {
+  it("negotiates the protocol version and lists tools", async () => {
+    const { server } = makeServer({ reviewComments: [] });
+
+    const init = await server.handle({
+      jsonrpc: "2.0",
+      id: 1,
+      method: "initialize",
+      params: { protocolVersion: "2025-03-26", capabilities: {} },
+    });
+    expect(init.result).toMatchObject({
+      protocolVersion: "2025-03-26",
+      capabilities: { tools: {} },
+      serverInfo: { name: "agent-reviews", version: "1.2.3" },
+    });
+
+    const unknownVersion = await server.handle({
+      jsonrpc: "2.0",
+      id: 2,
+      method: "initialize",
+      params: { protocolVersion: "1999-01-01" },
+    });
+    expect(unknownVersion.result.protocolVersion).toBe("2025-06-18");
+
+    const list = await server.handle({ jsonrpc: "2.0", id: 3, method: "tools/list" });
+    expect(list.result.tools.map((t) => t.name)).toEqual([
+      "list_comments",
+      "get_comment",
+      "reply",
+      "resolve_thread",
+      "wait_for_new_comments",
+    ]);
+
+    expect(
+      await server.handle({ jsonrpc: "2.0", method: "notifications/initialized" })
+    ).toBe(null);
+    expect(
+      (await server.handle({ jsonrpc: "2.0", id: 4, method: "resources/list" })).error
+        .code
+    ).toBe(-32601);
+  });
+
+  it("lists and gets comments in the versioned schema", async () => {
+    const { server } = makeServer({
+      reviewComments: [
+        reviewComment(1),
+        reviewComment(2, { in_reply_to_id: 1, user: { login: "me" } }),
+        reviewComment(3, { user: { login: "alice" } }),
+      ],
+    });
+
+    const listed = await call(server, "list_comments", { author: "bots" });
+    expect(listed).toMatchObject({ schemaVersion: 1, pr: 7 });
+    expect(listed.comments.map((c) => c.id)).toEqual([1]);
+    expect(listed.comments[0].replies).toHaveLength(1);
+
+    const comment = await call(server, "get_comment", { id: 3 });
+    expect(comment).toMatchObject({ id: 3, user: "alice", isBot: false });
+
+    expect(await call(server, "get_comment", { id: 99 })).toEqual({
+      error: "Comment 99 not found in PR #7",
+    });
+  });
+
+  it("posts multi-line replies as JSON, not argv", async () => {
+    const { calls, server } = makeServer({ reviewComments: [reviewComment(1)] });
+    const message = 'Fixed in `abc123`.\n\n"Quotes" and $(no shell) survive';
+
+    const result = await call(server, "reply", { id: 1, message });
+
+    expect(result).toEqual({
+      id: 90,
+      url: "https://github.com/acme/app/pull/7#r90",
+      resolution: null,
+    });
+    expect(JSON.parse(calls[0].body)).toEqual({ body: message });
+  });
+
+  it("asks for a token for the repository the PR resolved to", async () => {
+    const targets = [];
+    const { server } = makeServer(
+      { reviewComments: [reviewComment(1)] },
+      {
+        // Started in a fork; the PR lives in the parent
+        owner: "someone",
+        repo: "app-fork",
+        getToken: async (target) => {
+          targets.push(`${target.owner}/${target.repo}`);
+          return "tok";
+        },
+      }
+    );
+
+    await call(server, "list_comments", {});
+    await call(server, "reply", { id: 1, message: "Done" });
+
+    expect(targets).toEqual(["acme/app", "acme/app"]);
+  });
+
+  it("returns tool errors for invalid arguments", async () => {
+    const { server } = makeServer({ reviewComments: [] });
+    expect(await call(server, "list_comments", { filter: "everything" })).toEqual({
+      error:
+        'Invalid arguments for list_comments: "filter" must be one of all, unresolved, unanswered',
+    });
+  });
+
+  it("waits for comments added since the last listing, ignoring own replies", async () => {
+    const state = { reviewComments: [reviewComment(1)] };
+    const { server } = makeServer(state);
+
+    await call(server, "list_comments", {});
+    state.reviewComments = [
+      reviewComment(1),
+      reviewComment(2, { in_reply_to_id: 1, user: { login: "me" } }),
+      reviewComment(3),
+    ];
+
+    const result = await call(server, "wait_for_new_comments", {});
+    expect(result.status).toBe("new_comments");
+    expect(result.comments.map((c) => [c.id, c.changes])).toEqual([[3, ["created"]]]);
+
+    // Nothing new since then
+    const idle = await call(server, "wait_for_new_comments", { timeout_seconds: 0 });
+    expect(idle).toEqual({ status: "timeout", schemaVersion: 1, pr: 7, comments: [] });
+  });
+
+  it("treats the rest of the PR as seen after a filtered listing or get_comment", async () => {
+    const state = {
+      reviewComments: [reviewComment(1), reviewComment(2, { user: { login: "alice" } })],
+    };
+    const { server } = makeServer(state);
+
+    await call(server, "get_comment", { id: 2 });
+    state.reviewComments = [...state.reviewComments, reviewComment(3)];
+
+    const result = await call(server, "wait_for_new_comments", { timeout_seconds: 0 });
+    expect(result.comments.map((c) => c.id)).toEqual([3]);
+
+    const other = makeServer(state).server;
+    await call(other, "list_comments", { author: "humans" });
+    const idle = await call(other, "wait_for_new_comments", { timeout_seconds: 0 });
+    expect(idle.status).toBe("timeout");
+  });
+
+  it("stops waiting when the request is cancelled", async () => {
+    const { server } = makeServer({ reviewComments: [reviewComment(1)] });
+
+    const pending = server.handle({
+      jsonrpc: "2.0",
+      id: "wait-1",
+      method: "tools/call",
+      params: {
+        name: "wait_for_new_comments",
+        arguments: { timeout_seconds: 600, interval_seconds: 300 },
+      },
+    });
+    await new Promise((resolve) => setTimeout(resolve, 20));
+    await server.handle({
+      jsonrpc: "2.0",
+      method: "notifications/cancelled",
+      params: { requestId: "wait-1" },
+    });
+
+    const response = await pending;
+    expect(JSON.parse(response.result.content[0].text).status).toBe("cancelled");
+  });
+});
+
+// ---------------------------------------------------------------------------
+// runMcpServer
+// ---------------------------------------------------------------------------
+
+describe("runMcpServer", () => {
+  it("speaks newline-delimited JSON-RPC over streams", async () => {
+    const input = new PassThrough();
+    const output = new PassThrough();
+    const { proxyFetch } = fakeGitHub({ reviewComments: [reviewComment(1)] });
+    const done = runMcpServer(
+      {
+        owner: "acme",
+        repo: "app",
+        resolvePR: async () => ({ owner: "acme", repo: "app", number: 7 }),
+        getToken: async () => "tok",
+        getSelfLogin: async () => null,
+        proxyFetch,
+        fetchOptions: {},
+        process: (rawData) => processComments(rawData),
+      },
+      { input, output }
+    );
+
+    input.write('{"jsonrpc":"2.0","id":1,"method":"ping"}\n');
+    input.write("not json\n");
+    input.write(
+      `${JSON.stringify({
+        jsonrpc: "2.0",
+        id: 2,
+        method: "tools/call",
+        params: { name: "list_comments", arguments: {} },
+      })}\n`
+    );
+    input.end();
+    await done;
+
+    const responses = output
+      .read()
+      .toString()
+      .trim()
+      .split("\n")
+      .map((line) => JSON.parse(line));
+    const byId = (id) => responses.find((r) => r.id === id);
+
+    expect(byId(1).result).toEqual({});
+    expect(byId(null).error.code).toBe(-32700);
+    expect(JSON.parse(byId(2).result.content[0].text).comments).toHaveLength(1);
+  });
+});
+
+// ---------------------------------------------------------------------------
+// agent-reviews mcp (the CLI against a local API stand-in)
+// ---------------------------------------------------------------------------
+
+describe("agent-reviews mcp", () => {
+  const bin = fileURLToPath(new URL("../bin/agent-reviews.js", import.meta.url));
+  let api;
+  let apiUrl;
+  let root;
+  const requests = [];
+
+  // acme/app with PR #7 open for the `feature` branch
+  function handleApi(req, res) {
+    let body = "";
+    req.on("data", (chunk) => (body += chunk));
+    req.on("end", () => {
+      const { pathname, searchParams } = new URL(req.url, apiUrl);
+      requests.push({
+        method: req.method,
+        pathname,
+        search: searchParams.toString(),
+        authorization: req.headers.authorization,
+        body,
+      });
+      const respond = (data, status = 200) => {
+        res.writeHead(status, { "Content-Type": "application/json" });
+        res.end(JSON.stringify(data));
+      };
+
+      if (pathname === "/repos/acme/app/pulls" && searchParams.get("head") === "acme:feature") {
+        return respond([
+          { number: 7, html_url: "https://github.com/acme/app/pull/7", state: "open" },
+        ]);
+      }
+      if (pathname === "/repos/acme/app/pulls/7/comments") {
+        return respond([reviewComment(1)]);
+      }
+      if (
+        pathname === "/repos/acme/app/issues/7/comments" ||
+        pathname === "/repos/acme/app/pulls/7/reviews"
+      ) {
+        return respond([]);
+      }
+      if (req.method === "POST" && pathname === "/repos/acme/app/pulls/7/comments/1/replies") {
+        return respond({ id: 90, html_url: "https://github.com/acme/app/pull/7#r90" }, 201);
+      }
+      if (pathname === "/graphql") {
+        return respond({
+          data: {
+            repository: {
+              pullRequest: {
+                reviewThreads: {
+                  nodes: [
+                    {
+                      id: "T_1",
+                      isResolved: true,
+                      comments: { nodes: [{ databaseId: 1 }] },
+                    },
+                  ],
+                  pageInfo: { hasNextPage: false, endCursor: null },
+                },
+              },
+            },
+          },
+        });
+      }
+      return respond({ message: "Not Found" }, 404);
+    });
+  }
+
+  beforeAll(async () => {
+    api = createServer(handleApi);
+    await new Promise((resolve) => api.listen(0, "127.0.0.1", resolve));
+    apiUrl = `http://127.0.0.1:${api.address().port}`;
+
+    root = mkdtempSync(path.join(os.tmpdir(), "agent-reviews-mcp-"));
+    const git = (...args) =>
+      execFileSync(
+        "git",
+        ["-c", "user.name=Test", "-c", "user.email=test@example.com", ...args],
+        { cwd: root, stdio: "pipe" }
+      );
+    git("init", "-q", "-b", "feature");
+    git("commit", "-q", "--allow-empty", "-m", "work");
+  });
+
+  afterAll(async () => {
+    await new Promise((resolve) => api.close(resolve));
+    rmSync(root, { recursive: true, force: true });
+  });
+
+  function startServer() {
+    const child = spawn(process.execPath, [bin, "mcp"], {
+      cwd: root,
+      env: {
+        PATH: process.env.PATH,
+        HOME: root,
+        AGENT_REVIEWS_STATE_DIR: path.join(root, ".state"),
+        GITHUB_API_URL: apiUrl,
+        GH_REPO: "acme/app",
+        GITHUB_TOKEN: "test-token",
+      },
+      stdio: ["pipe", "pipe", "pipe"],
+    });
+
+    const pending = new Map();
+    let buffer = "";
+    child.stdout.on("data", (chunk) => {
+      buffer += chunk;
+      let newline;
+      while ((newline = buffer.indexOf("\n")) !== -1) {
+        const message = JSON.parse(buffer.slice(0, newline));
+        buffer = buffer.slice(newline + 1);
+        pending.get(message.id)?.(message);
+      }
+    });
+
+    let nextRequestId = 1;
+    const request = (method, params) =>
+      new Promise((resolve) => {
+        const id = nextRequestId++;
+        pending.set(id, resolve);
+        child.stdin.write(`${JSON.stringify({ jsonrpc: "2.0", id, method, params })}\n`);
+      });
+    const stop = () =>
+      new Promise((resolve) => {
+        child.on("exit", resolve);
+        child.stdin.end();
+      });
+    return { request, stop };
+  }
+
+  it("serves review tools over stdio for the current branch's PR", async () => {
+    const { request, stop } = startServer();
+    try {
+      const init = await request("initialize", {
+        protocolVersion: "2025-06-18",
+        capabilities: {},
+      });
+      expect(init.result.serverInfo.name).toBe("agent-reviews");
+
+      const list = await request("tools/list");
+      expect(list.result.tools.map((t) => t.name)).toContain("list_comments");
+
+      const listed = await request("tools/call", { name: "list_comments", arguments: {} });
+      const result = JSON.parse(listed.result.content[0].text);
+      expect(result.pr).toBe(7);
+      expect(result.comments.map((c) => [c.id, c.isResolved])).toEqual([[1, true]]);
+
+      const replied = await request("tools/call", {
+        name: "reply",
+        arguments: { id: 1, message: "Fixed" },
+      });
+      expect(JSON.parse(replied.result.content[0].text)).toMatchObject({ id: 90 });
+    } finally {
+      await stop();
+    }
+
+    expect(requests[0]).toMatchObject({
+      pathname: "/repos/acme/app/pulls",
+      search: "head=acme%3Afeature&state=open",
+    });
+    expect(requests.every((r) => r.authorization === "Bearer test-token")).toBe(true);
+    const reply = requests.find((r) => r.method === "POST" && r.pathname.endsWith("/replies"));
+    expect(JSON.parse(reply.body)).toEqual({ body: "Fixed" });
+  });
+});
@@ -0,0 +1,214 @@
+import { describe, it, expect } from "vitest";
+import { parsePlan, mapWithConcurrency, applyPlan } from "../lib/plan.js";
+
+// ---------------------------------------------------------------------------
+// parsePlan
+// ---------------------------------------------------------------------------
+
+describe("parsePlan", () => {
+  it("parses JSONL and skips blank lines", () => {
+    const text = [
+      '{"id": 1, "message": "Fixed in abc", "resolve": true}',
+      "",
+      '{"id": "2", "message": "Won\'t fix"}',
+    ].join("\n");
+
+    expect(parsePlan(text)).toEqual([
+      { id: 1, message: "Fixed in abc", resolve: true },
+      { id: 2, message: "Won't fix", resolve: false },
+    ]);
+  });
+
+  it("parses a JSON array", () => {
+    expect(parsePlan('[{"id": 5, "message": "ok"}]')).toEqual([
+      { id: 5, message: "ok", resolve: false },
+    ]);
+  });
+
+  it("reports the offending line", () => {
+    const text = '{"id": 1, "message": "a"}\n{"id": 2}';
+    expect(() => parsePlan(text)).toThrow(
+      'Invalid plan line 2: "message" must be a non-empty string'
+    );
+  });
+
+  it("rejects malformed JSON and bad ids", () => {
+    expect(() => parsePlan("{nope")).toThrow(/^Invalid plan line 1:/);
+    expect(() => parsePlan('[{"id": "abc", "message": "x"}]')).toThrow(
+      'Invalid plan entry 1: "id" must be a comment ID'
+    );
+    expect(() => parsePlan('{"id": 1, "message": "x", "resolve": "yes"}')).toThrow(
+      '"resolve" must be true or false'
+    );
+  });
+});
+
+// ---------------------------------------------------------------------------
+// mapWithConcurrency
+// ---------------------------------------------------------------------------
+
+describe("mapWithConcurrency", () => {
+  it("keeps order and never exceeds the limit", async () => {
+    let inFlight = 0;
+    let peak = 0;
+    const results = await mapWithConcurrency([1, 2, 3, 4, 5], 2, async (n) => {
+      inFlight++;
+      peak = Math.max(peak, inFlight);
+      await new Promise((r) => setTimeout(r, 5 - n));
+      inFlight--;
+      return n * 10;
+    });
+
+    expect(results).toEqual([10, 20, 30, 40, 50]);
+    expect(peak).toBe(2);
+  });
+});
+
+// ---------------------------------------------------------------------------
+// applyPlan
+// ---------------------------------------------------------------------------
+
+describe("applyPlan", () => {
+  const json = (body) => ({
+    ok: true,
+    status: 200,
+    headers: { get: () => null },
+    json: async () => body,
+  });
+
+  function createFakeGitHub({ reviewComments = [], issueComments = [] } = {}) {
+    const calls = { replies: [], threadQueries: 0, mutations: [] };
+    const threads = [
+      {
+        id: "T1",
+        isResolved: false,
+        comments: { nodes: [{ databaseId: 1 }] },
+      },
+      {
+        id: "T2",
+        isResolved: true,
+        comments: { nodes: [{ databaseId: 2 }] },
+      },
+    ];
+
+    const fetch = async (url, opts = {}) => {
+      if (url.endsWith("/graphql")) {
+        const { query, variables } = JSON.parse(opts.body);
+        if (query.includes("resolveReviewThread")) {
+          calls.mutations.push(variables.threadId);
+          return json({ data: { resolveReviewThread: { thread: { id: variables.threadId } } } });
+        }
+        calls.threadQueries++;
+        return json({
+          data: {
+            repository: {
+              pullRequest: {
+                reviewThreads: {
+                  pageInfo: { hasNextPage: false, endCursor: null },
+                  nodes: threads,
+                },
+              },
+            },
+          },
+        });
+      }
+      if (opts.method === "POST") {
+        if (url.includes("/comments/999/replies")) {
+          return { ok: false, status: 404, text: async () => "Not Found" };
+        }
+        if (url.includes("/issues/")) {
+          return { ok: false, status: 500, text: async () => "boom" };
+        }
+        calls.replies.push(url);
+        return json({ html_url: `${url}#reply` });
+      }
+      if (url.includes("/pulls/7/comments")) return json(reviewComments);
+      if (url.includes("/issues/7/comments")) return json(issueComments);
+      return json([]);
+    };
+
+    return { fetch, calls };
+  }
+
+  const context = (fetch) => ({
+    owner: "o",
+    repo: "r",
+    prNumber: 7,
+    token: "tok",
+    proxyFetch: fetch,
+  });
+
+  it("posts replies and resolves against one thread index", async () => {
+    const { fetch, calls } = createFakeGitHub();
+    const results = await applyPlan(context(fetch), [
+      { id: 1, message: "Fixed", resolve: true },
+      { id: 2, message: "Also fixed", resolve: true },
+      { id: 3, message: "Not a thread", resolve: true },
+    ]);
+
+    expect(results.map((r) => [r.id, r.ok, r.reply, r.resolve])).toEqual([
+      [1, true, "posted", "resolved"],
+      [2, true, "posted", "already_resolved"],
+      [3, true, "posted", "skipped"],
+    ]);
+    expect(calls.replies).toHaveLength(3);
+    expect(calls.threadQueries).toBe(1);
+    expect(calls.mutations).toEqual(["T1"]);
+  });
+
+  it("does not re-post replies that already exist", async () => {
+    const { fetch, calls } = createFakeGitHub({
+      reviewComments: [
+        { id: 10, in_reply_to_id: 1, body: "Fixed" },
+      ],
+      issueComments: [
+        { id: 11, body: "> Re: comment 4\n\nNoted" },
+      ],
+    });
+
+    const results = await applyPlan(context(fetch), [
+      { id: 1, message: "Fixed", resolve: false },
+      { id: 4, message: "Noted", resolve: false },
+      { id: 1, message: "Something new", resolve: false },
+    ]);
+
+    expect(results.map((r) => r.reply)).toEqual([
+      "already_posted",
+      "already_posted",
+      "posted",
+    ]);
+    expect(calls.replies).toHaveLength(1);
+  });
+
+  it("matches plan items that target a reply to their thread", async () => {
+    const { fetch, calls } = createFakeGitHub({
+      reviewComments: [
+        { id: 10, in_reply_to_id: 1, body: "Question?" },
+        { id: 12, in_reply_to_id: 1, body: "Answered" },
+      ],
+    });
+
+    const results = await applyPlan(context(fetch), [
+      { id: 10, message: "Answered", resolve: false },
+    ]);
+
+    expect(results[0].reply).toBe("already_posted");
+    expect(calls.replies).toHaveLength(0);
+  });
+
+  it("reports failures per item without aborting the batch", async () => {
+    const { fetch } = createFakeGitHub();
+    const results = await applyPlan(context(fetch), [
+      { id: 999, message: "Will fail", resolve: true },
+      { id: 1, message: "Fine", resolve: false },
+    ]);
+
+    expect(results[0]).toMatchObject({
+      ok: false,
+      reply: "failed",
+      resolve: null,
+    });
+    expect(results[0].error).toMatch(/^Failed to reply: 500/);
+    expect(results[1]).toMatchObject({ ok: true, reply: "posted" });
+  });
+});
@@ -0,0 +1,488 @@
+import { describe, it, expect, afterEach } from "vitest";
+import {
+  detectProvider,
+  setProvider,
+  setApiBase,
+  fetchPRComments,
+  findPRsForBranch,
+  fetchViewerAccess,
+  replyToComment,
+  resolveThread,
+} from "../lib/providers/index.js";
+import { processComments, filterComments, clearETagCache } from "../lib/comments.js";
+
+const API = "https://gitlab.example/api/v4";
+const PROJECT = "/api/v4/projects/group%2Fsub%2Fapp";
+
+const note = (id, extra = {}) => ({
+  id,
+  body: `Note ${id}`,
+  author: { username: "coderabbitai" },
+  created_at: `2025-01-0${id % 10}T00:00:00Z`,
+  updated_at: `2025-01-0${id % 10}T00:00:00Z`,
+  system: false,
+  resolvable: true,
+  resolved: false,
+  ...extra,
+});
+
+const diffPosition = {
+  position_type: "text",
+  old_path: "src/app.js",
+  new_path: "src/app.js",
+  new_line: 12,
+  old_line: null,
+  head_sha: "abc123",
+  line_range: {
+    start: { type: "new", new_line: 10, old_line: null },
+    end: { type: "new", new_line: 12, old_line: null },
+  },
+};
+
+const mergeRequest = {
+  iid: 5,
+  title: "Feature",
+  web_url: "https://gitlab.example/group/sub/app/-/merge_requests/5",
+  state: "opened",
+  source_branch: "feat",
+  target_branch: "main",
+  references: { full: "group/sub/app!5" },
+  diff_refs: { head_sha: "abc123" },
+};
+
+// A fake GitLab for MR group/sub/app!5. Unknown routes 404.
+function fakeGitLab(discussions, diffs = null) {
+  const calls = [];
+  const proxyFetch = async (url, init = {}) => {
+    const { pathname, search } = new URL(url);
+    const key = `${init.method || "GET"} ${pathname}${search}`;
+    calls.push({ key, body: init.body });
+    const respond = (body, status = 200) => ({
+      ok: status >= 200 && status < 300,
+      status,
+      headers: { get: () => null },
+      json: async () => body,
+      text: async () => JSON.stringify(body),
+    });
+
+    switch (key) {
+      case `GET ${PROJECT}/merge_requests/5/discussions?per_page=100`:
+        return respond(discussions);
+      case `POST ${PROJECT}/merge_requests/5/discussions/d1/notes`:
+        return respond(note(300, { body: JSON.parse(init.body).body }), 201);
+      case `PUT ${PROJECT}/merge_requests/5/discussions/d1?resolved=true`:
+        return respond({ id: "d1" });
+      case `GET ${PROJECT}/merge_requests/5`:
+        return respond(mergeRequest);
+      case `GET ${PROJECT}/merge_requests/5/diffs?per_page=100`:
+        return diffs ? respond(diffs) : respond({ message: "404 Not Found" }, 404);
+      case `GET ${PROJECT}/merge_requests?source_branch=feat&state=opened`:
+        return respond([mergeRequest]);
+      case `GET ${PROJECT}`:
+        return respond({ path_with_namespace: "group/sub/app" });
+      default:
+        return respond({ message: "404 Not Found" }, 404);
+    }
+  };
+  return { calls, proxyFetch };
+}
+
+function useGitLab() {
+  setProvider("gitlab");
+  setApiBase(API);
+}
+
+afterEach(() => {
+  setProvider("gitlab");
+  setApiBase("https://gitlab.com/api/v4");
+  setProvider("gitea");
+  setApiBase("https://codeberg.org/api/v1");
+  setProvider("github");
+  clearETagCache();
+});
+
+// ---------------------------------------------------------------------------
+// detectProvider
+// ---------------------------------------------------------------------------
+
+describe("detectProvider", () => {
+  it("picks GitLab for gitlab.com, gitlab.* hosts and GITLAB_HOST", () => {
+    expect(detectProvider("gitlab.com", {})).toBe("gitlab");
+    expect(detectProvider("gitlab.corp.example", {})).toBe("gitlab");
+    expect(
+      detectProvider("git.corp.example", {
+        GITLAB_HOST: "https://git.corp.example",
+      })
+    ).toBe("gitlab");
+  });
+
+  it("defaults to GitHub", () => {
+    expect(detectProvider("github.com", {})).toBe("github");
+    expect(detectProvider("ghe.corp.example", {})).toBe("github");
+    expect(detectProvider(null, {})).toBe("github");
+  });
+
+  it("picks Gitea for Codeberg, gitea.*, forgejo.* and GITEA_HOST", () => {
+    expect(detectProvider("codeberg.org", {})).toBe("gitea");
+    expect(detectProvider("forgejo.corp.example", {})).toBe("gitea");
+    expect(detectProvider("git.corp.example", { GITEA_HOST: "git.corp.example:3000" })).toBe(
+      "gitea"
+    );
+  });
+
+  it("prefers the configured provider over the host", () => {
+    expect(detectProvider("git.corp.example", {}, "Forgejo")).toBe("gitea");
+    expect(
+      detectProvider("git.corp.example", { AGENT_REVIEWS_PROVIDER: "github" }, "gitea")
+    ).toBe("github");
+    expect(() => detectProvider("git.corp.example", {}, "svn")).toThrow(
+      'Unknown provider "svn"'
+    );
+  });
+
+  it("honors AGENT_REVIEWS_PROVIDER", () => {
+    expect(detectProvider("github.com", { AGENT_REVIEWS_PROVIDER: "GitLab" })).toBe(
+      "gitlab"
+    );
+    expect(() => detectProvider("github.com", { AGENT_REVIEWS_PROVIDER: "svn" })).toThrow(
+      'Unknown AGENT_REVIEWS_PROVIDER "svn"'
+    );
+  });
+});
+
+// ---------------------------------------------------------------------------
+// GitLab provider
+// ---------------------------------------------------------------------------
+
+describe("GitLab provider", () => {
+  const discussions = [
+    {
+      id: "d1",
+      individual_note: false,
+      notes: [
+        note(1, { type: "DiffNote", position: diffPosition }),
+        note(2, { author: { username: "alice" }, position: diffPosition }),
+        note(3, { system: true, body: "resolved all threads" }),
+      ],
+    },
+    {
+      id: "d2",
+      individual_note: true,
+      notes: [note(4, { author: { username: "bob" }, resolvable: false })],
+    },
+    {
+      id: "d3",
+      individual_note: true,
+      notes: [note(5, { system: true, body: "added 1 commit" })],
+    },
+  ];
+
+  it("maps discussions onto the unified comment model", async () => {
+    useGitLab();
+    const { proxyFetch } = fakeGitLab(discussions);
+
+    const rawData = await fetchPRComments("group/sub", "app", 5, "tok", proxyFetch);
+    const comments = processComments(rawData);
+
+    expect(comments.map((c) => [c.id, c.type])).toEqual([
+      [4, "issue_comment"],
+      [1, "review_comment"],
+    ]);
+    expect(comments[1]).toMatchObject({
+      user: "coderabbitai",
+      isBot: true,
+      path: "src/app.js",
+      line: 12,
+      startLine: 10,
+      side: "RIGHT",
+      commitId: "abc123",
+      url: "https://gitlab.example/group/sub/app/-/merge_requests/5#note_1",
+      replies: [{ id: 2, user: "alice", isBot: false }],
+      hasHumanReply: true,
+      isResolved: false,
+      isOutdated: false,
+      threadId: "d1",
+    });
+    expect(filterComments(comments, { filter: "unanswered" }).map((c) => c.id)).toEqual([4]);
+  });
+
+  it("marks notes from an older head outdated when they left the current diff", async () => {
+    useGitLab();
+    const olderNote = (id, newLine) => ({
+      id: `d${id}`,
+      individual_note: false,
+      notes: [
+        note(id, {
+          position: { ...diffPosition, new_line: newLine, head_sha: "old999" },
+        }),
+      ],
+    });
+    const moved = [...discussions, olderNote(6, 12), olderNote(7, 40)];
+    // src/app.js still shows lines 10-12 changed; line 40 is outside the diff
+    const diffs = [
+      {
+        old_path: "src/app.js",
+        new_path: "src/app.js",
+        diff: "@@ -9,2 +9,4 @@\n context\n+a\n+b\n+c\n-old\n",
+      },
+    ];
+
+    const list = async (diffList, outdated) =>
+      filterComments(
+        processComments(
+          await fetchPRComments(
+            "group/sub",
+            "app",
+            5,
+            "tok",
+            fakeGitLab(moved, diffList).proxyFetch
+          )
+        ),
+        { outdated }
+      ).map((c) => c.id);
+
+    expect(await list(diffs, "only")).toEqual([7]);
+    expect(await list(diffs, "hide")).toEqual([6, 4, 1]);
+    // Without the current diff nothing is marked outdated
+    expect(await list(null, "only")).toEqual([]);
+  });
+
+  it("replies in the note's discussion and resolves it", async () => {
+    useGitLab();
+    const { calls, proxyFetch } = fakeGitLab(discussions);
+
+    const posted = await replyToComment(
+      "group/sub",
+      "app",
+      5,
+      2,
+      "Fixed\n\nin abc123",
+      "tok",
+      proxyFetch
+    );
+    expect(posted).toMatchObject({
+      id: 300,
+      html_url: "https://gitlab.example/group/sub/app/-/merge_requests/5#note_300",
+    });
+    expect(JSON.parse(calls.at(-1).body)).toEqual({ body: "Fixed\n\nin abc123" });
+
+    expect(await resolveThread("group/sub", "app", 5, 1, "tok", proxyFetch)).toEqual({
+      resolved: true,
+      threadId: "d1",
+    });
+    expect(await resolveThread("group/sub", "app", 5, 4, "tok", proxyFetch)).toEqual({
+      skipped: true,
+      reason: "not a discussion thread",
+    });
+    expect(calls.map((c) => c.key)).toContain(
+      `PUT ${PROJECT}/merge_requests/5/discussions/d1?resolved=true`
+    );
+  });
+
+  it("falls back to a quoting MR note for unknown IDs", async () => {
+    useGitLab();
+    const { calls, proxyFetch } = fakeGitLab([]);
+
+    await expect(
+      replyToComment("group/sub", "app", 5, 99, "Done", "tok", proxyFetch)
+    ).rejects.toThrow("Failed to reply: 404");
+    expect(calls.at(-1)).toMatchObject({
+      key: `POST ${PROJECT}/merge_requests/5/notes`,
+      body: JSON.stringify({ body: "> Re: comment 99\n\nDone" }),
+    });
+  });
+
+  it("finds open MRs for a branch in a nested group as PRs", async () => {
+    useGitLab();
+    const { proxyFetch } = fakeGitLab([]);
+
+    const prs = await findPRsForBranch("group/sub", "app", "feat", "tok", proxyFetch);
+
+    expect(prs).toEqual([
+      expect.objectContaining({
+        number: 5,
+        state: "open",
+        html_url: mergeRequest.web_url,
+        head: expect.objectContaining({ ref: "feat" }),
+        base: { ref: "main", repo: { full_name: "group/sub/app" } },
+      }),
+    ]);
+  });
+});
+
+// ---------------------------------------------------------------------------
+// Gitea provider
+// ---------------------------------------------------------------------------
+
+describe("Gitea provider", () => {
+  const GITEA_API = "https://git.example/api/v1";
+  const REPO = "/api/v1/repos/acme/app";
+
+  const reviewComment = (id, extra = {}) => ({
+    id,
+    body: `Comment ${id}`,
+    user: { login: "coderabbitai" },
+    resolver: null,
+    path: "src/app.js",
+    position: 12,
+    original_position: 0,
+    commit_id: "abc123",
+    diff_hunk: "@@ -1,3 +1,12 @@",
+    created_at: `2025-01-0${id % 10}T00:00:00Z`,
+    updated_at: `2025-01-0${id % 10}T00:00:00Z`,
+    html_url: `https://git.example/acme/app/pulls/7#issuecomment-${id}`,
+    ...extra,
+  });
+
+  const reviews = [
+    { id: 1, state: "COMMENT", body: "", user: { login: "coderabbitai" }, comments_count: 1 },
+    { id: 2, state: "REQUEST_CHANGES", body: "Needs work", user: { login: "carol" }, comments_count: 1 },
+    { id: 3, state: "PENDING", body: "draft", user: { login: "carol" }, comments_count: 0 },
+  ];
+
+  // A fake Gitea for acme/app#7. Unknown routes 404.
+  function fakeGitea({ resolver = null, secondCommit = "abc123" } = {}) {
+    const calls = [];
+    const proxyFetch = async (url, init = {}) => {
+      const { pathname, search } = new URL(url);
+      const key = `${init.method || "GET"} ${pathname}${search}`;
+      calls.push({ key, body: init.body });
+      const respond = (body, status = 200) => ({
+        ok: status >= 200 && status < 300,
+        status,
+        headers: { get: () => null },
+        json: async () => body,
+        text: async () => JSON.stringify(body),
+      });
+
+      switch (key) {
+        case `GET ${REPO}/pulls/7/reviews?limit=50`:
+          return respond(reviews);
+        case `GET ${REPO}/pulls/7/reviews/1/comments?limit=50`:
+          return respond([reviewComment(10, { resolver })]);
+        case `GET ${REPO}/pulls/7/reviews/2/comments?limit=50`:
+          return respond([
+            reviewComment(11, { user: { login: "carol" }, commit_id: secondCommit }),
+          ]);
+        case `GET ${REPO}/issues/7/comments?limit=50`:
+          return respond([{ id: 20, body: "LGTM", user: { login: "dave" } }]);
+        case `POST ${REPO}/pulls/7/reviews`:
+          return respond({ id: 9 });
+        case `GET ${REPO}/pulls/7/reviews/9/comments?limit=50`:
+          return respond([reviewComment(30, { user: { login: "me" }, body: "Fixed" })]);
+        case `GET ${REPO}`:
+          return respond({ full_name: "acme/app", permissions: { push: true } });
+        case "GET /api/v1/user":
+          return respond({ login: "me" });
+        default:
+          return respond({ message: "not found" }, 404);
+      }
+    };
+    return { calls, proxyFetch };
+  }
+
+  function useGitea() {
+    setProvider("forgejo");
+    setApiBase(GITEA_API);
+  }
+
+  it("maps reviews and per-line conversations onto the unified model", async () => {
+    useGitea();
+    const { proxyFetch } = fakeGitea();
+
+    const rawData = await fetchPRComments("acme", "app", 7, "tok", proxyFetch);
+    expect(rawData.reviews.map((r) => [r.id, r.state])).toEqual([
+      [1, "COMMENTED"],
+      [2, "CHANGES_REQUESTED"],
+    ]);
+
+    const comments = processComments(rawData);
+    const root = comments.find((c) => c.id === 10);
+    expect(root).toMatchObject({
+      type: "review_comment",
+      path: "src/app.js",
+      line: 12,
+      side: "RIGHT",
+      replies: [{ id: 11, user: "carol" }],
+      hasHumanReply: true,
+      isResolved: false,
+      threadId: "10",
+    });
+    expect(comments.some((c) => c.id === 20 && c.type === "issue_comment")).toBe(true);
+  });
+
+  it("replies with a one-comment review on the same line", async () => {
+    useGitea();
+    const { calls, proxyFetch } = fakeGitea();
+
+    const posted = await replyToComment("acme", "app", 7, 11, "Fixed", "tok", proxyFetch);
+
+    expect(posted).toMatchObject({ id: 30, body: "Fixed" });
+    const review = calls.find((c) => c.key === `POST ${REPO}/pulls/7/reviews`);
+    expect(JSON.parse(review.body)).toEqual({
+      event: "COMMENT",
+      body: "",
+      commit_id: "abc123",
+      comments: [{ path: "src/app.js", body: "Fixed", new_position: 12 }],
+    });
+  });
+
+  it("keeps comments from another round on the same line apart", async () => {
+    useGitea();
+    const { proxyFetch } = fakeGitea({ secondCommit: "def456" });
+
+    const comments = processComments(
+      await fetchPRComments("acme", "app", 7, "tok", proxyFetch)
+    );
+
+    expect(
+      comments
+        .filter((c) => c.type === "review_comment")
+        .map((c) => [c.id, c.replies.length])
+        .sort()
+    ).toEqual([
+      [10, 0],
+      [11, 0],
+    ]);
+  });
+
+  it("finds reply anchors among comments already fetched", async () => {
+    useGitea();
+    const { calls, proxyFetch } = fakeGitea();
+
+    await fetchPRComments("acme", "app", 7, "tok", proxyFetch);
+    const fetched = calls.length;
+    await replyToComment("acme", "app", 7, 10, "One", "tok", proxyFetch);
+    await replyToComment("acme", "app", 7, 11, "Two", "tok", proxyFetch);
+
+    expect(calls.slice(fetched).map((c) => c.key)).toEqual([
+      `POST ${REPO}/pulls/7/reviews`,
+      `GET ${REPO}/pulls/7/reviews/9/comments?limit=50`,
+      `POST ${REPO}/pulls/7/reviews`,
+      `GET ${REPO}/pulls/7/reviews/9/comments?limit=50`,
+    ]);
+  });
+
+  it("skips resolving, but reports conversations already resolved", async () => {
+    useGitea();
+
+    const open = fakeGitea();
+    const result = await resolveThread("acme", "app", 7, 10, "tok", open.proxyFetch);
+    expect(result).toMatchObject({ skipped: true });
+    expect(result.reason).toMatch(/no API for resolving conversations/);
+    expect(open.calls.every((c) => c.key.startsWith("GET "))).toBe(true);
+
+    const resolved = fakeGitea({ resolver: { login: "carol" } });
+    expect(await resolveThread("acme", "app", 7, 11, "tok", resolved.proxyFetch)).toEqual({
+      alreadyResolved: true,
+      threadId: "10",
+    });
+
+    expect(await fetchViewerAccess("acme", "app", 7, "tok", open.proxyFetch)).toMatchObject({
+      login: "me",
+      permission: "WRITE",
+      canResolveThreads: false,
+      unsupported: expect.any(String),
+    });
+  });
+});
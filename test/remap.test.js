@@ -0,0 +1,165 @@
+import { describe, it, expect, beforeAll, afterAll } from "vitest";
+import { execFileSync } from "node:child_process";
+import { mkdtempSync, rmSync, writeFileSync } from "node:fs";
+import os from "node:os";
+import path from "node:path";
+import { parseDiffHunks, mapLine, remapComments } from "../lib/remap.js";
+
+// ---------------------------------------------------------------------------
+// parseDiffHunks / mapLine
+// ---------------------------------------------------------------------------
+
+describe("parseDiffHunks", () => {
+  it("reads hunk headers, defaulting omitted counts to 1", () => {
+    const diff = [
+      "diff --git a/f b/f",
+      "--- a/f",
+      "+++ b/f",
+      "@@ -3,0 +4,2 @@",
+      "+a",
+      "+b",
+      "@@ -10 +12 @@",
+      "-old",
+      "+new",
+    ].join("\n");
+
+    expect(parseDiffHunks(diff)).toEqual([
+      { oldStart: 3, oldCount: 0, newStart: 4, newCount: 2 },
+      { oldStart: 10, oldCount: 1, newStart: 12, newCount: 1 },
+    ]);
+  });
+});
+
+describe("mapLine", () => {
+  const hunks = [
+    { oldStart: 3, oldCount: 0, newStart: 4, newCount: 2 }, // 2 lines inserted after 3
+    { oldStart: 10, oldCount: 2, newStart: 12, newCount: 1 }, // 10-11 replaced by 1
+    { oldStart: 20, oldCount: 3, newStart: 21, newCount: 0 }, // 20-22 deleted
+  ];
+
+  it("keeps lines before any change", () => {
+    expect(mapLine(hunks, 1)).toBe(1);
+    expect(mapLine(hunks, 3)).toBe(3);
+  });
+
+  it("shifts lines after insertions and removals", () => {
+    expect(mapLine(hunks, 4)).toBe(6);
+    expect(mapLine(hunks, 12)).toBe(13);
+    expect(mapLine(hunks, 30)).toBe(28);
+  });
+
+  it("returns null for changed or removed lines", () => {
+    expect(mapLine(hunks, 10)).toBe(null);
+    expect(mapLine(hunks, 11)).toBe(null);
+    expect(mapLine(hunks, 21)).toBe(null);
+  });
+
+  it("is the identity without changes", () => {
+    expect(mapLine([], 42)).toBe(42);
+  });
+});
+
+// ---------------------------------------------------------------------------
+// remapComments (against a real repository)
+// ---------------------------------------------------------------------------
+
+describe("remapComments", () => {
+  let root;
+  let reviewed;
+  const git = (...args) =>
+    execFileSync(
+      "git",
+      ["-c", "user.name=Test", "-c", "user.email=test@example.com", ...args],
+      { cwd: root, encoding: "utf8", stdio: ["pipe", "pipe", "pipe"] }
+    ).trim();
+
+  beforeAll(() => {
+    root = mkdtempSync(path.join(os.tmpdir(), "agent-reviews-remap-"));
+    git("init", "-q");
+    const lines = Array.from({ length: 10 }, (_, i) => `line ${i + 1}`);
+    writeFileSync(path.join(root, "a.js"), `${lines.join("\n")}\n`);
+    git("add", ".");
+    git("commit", "-q", "-m", "reviewed");
+    reviewed = git("rev-parse", "HEAD");
+
+    // Two lines added at the top, line 5 rewritten
+    const next = ["new 1", "new 2", ...lines];
+    next[6] = "line 5 (rewritten)";
+    writeFileSync(path.join(root, "a.js"), `${next.join("\n")}\n`);
+    git("commit", "-q", "-am", "fixes");
+  });
+
+  afterAll(() => rmSync(root, { recursive: true, force: true }));
+
+  const makeComment = (overrides = {}) => ({
+    id: 1,
+    type: "review_comment",
+    path: "a.js",
+    line: 8,
+    originalLine: 8,
+    commitId: null,
+    originalCommitId: null,
+    isOutdated: false,
+    currentLine: null,
+    ...overrides,
+  });
+
+  it("follows moved lines to HEAD", () => {
+    const [comment] = remapComments([makeComment({ commitId: reviewed })], {
+      root,
+    });
+    expect(comment.currentLine).toBe(10);
+  });
+
+  it("maps outdated comments from their original commit", () => {
+    const [comment] = remapComments(
+      [
+        makeComment({
+          isOutdated: true,
+          line: 5,
+          originalLine: 5,
+          originalCommitId: reviewed,
+        }),
+      ],
+      { root }
+    );
+    expect(comment.currentLine).toBe(null);
+  });
+
+  it("skips comments on deleted lines", () => {
+    const [comment] = remapComments(
+      [makeComment({ commitId: reviewed, side: "LEFT" })],
+      { root }
+    );
+    expect(comment.currentLine).toBe(null);
+  });
+
+  it("uses the line as-is when the comment is on HEAD", () => {
+    const head = git("rev-parse", "HEAD");
+    const [comment] = remapComments([makeComment({ commitId: head, line: 3 })], {
+      root,
+    });
+    expect(comment.currentLine).toBe(3);
+  });
+
+  it("leaves comments alone when the commit is unknown", () => {
+    const [comment] = remapComments(
+      [makeComment({ commitId: "0".repeat(40) })],
+      { root }
+    );
+    expect(comment.currentLine).toBe(null);
+  });
+
+  it("skips non-inline comments and non-repositories", () => {
+    const issue = { id: 2, type: "issue_comment", path: null, currentLine: null };
+    expect(remapComments([issue], { root })[0]).toBe(issue);
+
+    const outside = mkdtempSync(path.join(os.tmpdir(), "agent-reviews-nogit-"));
+    try {
+      const comments = [makeComment({ commitId: reviewed })];
+      expect(remapComments(comments, { root: outside })).toBe(comments);
+    } finally {
+      rmSync(outside, { recursive: true, force: true });
+    }
+  });
+});
@@ -0,0 +1,161 @@
+import { describe, it, expect } from "vitest";
+import { selectThreads, resolveThreads } from "../lib/resolve.js";
+import { unresolveThread } from "../lib/comments.js";
+
+const makeComment = (overrides = {}) => ({
+  id: 1,
+  type: "review_comment",
+  user: "cursor[bot]",
+  replies: [],
+  isResolved: false,
+  isOutdated: false,
+  ...overrides,
+});
+
+const reply = (id, user) => ({ id, user, body: "ok", isBot: false });
+
+// ---------------------------------------------------------------------------
+// selectThreads
+// ---------------------------------------------------------------------------
+
+describe("selectThreads", () => {
+  const comments = [
+    makeComment({ id: 1, replies: [reply(11, "me")] }),
+    makeComment({ id: 2, replies: [reply(21, "me"), reply(22, "alice")] }),
+    makeComment({ id: 3, user: "me" }),
+    makeComment({ id: 4, replies: [reply(41, "me")], isResolved: true }),
+    makeComment({ id: 5, isOutdated: true }),
+    makeComment({ id: 6, type: "issue_comment", user: "me" }),
+  ];
+
+  it("mine: picks open threads whose latest message is mine", () => {
+    const ids = selectThreads(comments, "mine", { selfLogin: "me" }).map(
+      (c) => c.id
+    );
+    expect(ids).toEqual([1, 3]);
+  });
+
+  it("outdated: picks open outdated threads", () => {
+    expect(selectThreads(comments, "outdated").map((c) => c.id)).toEqual([5]);
+  });
+
+  it("rejects unknown rules", () => {
+    expect(() => selectThreads(comments, "all")).toThrow(
+      'Unknown --resolve-all mode "all" (expected one of: mine, outdated)'
+    );
+  });
+
+  it("mine needs the authenticated login", () => {
+    expect(() => selectThreads(comments, "mine", { selfLogin: null })).toThrow(
+      /no associated user/
+    );
+  });
+});
+
+// ---------------------------------------------------------------------------
+// resolveThreads / unresolveThread
+// ---------------------------------------------------------------------------
+
+const json = (body) => ({
+  ok: true,
+  status: 200,
+  headers: { get: () => null },
+  json: async () => body,
+});
+
+const thread = (id, rootId, isResolved = false) => ({
+  id,
+  isResolved,
+  comments: { nodes: [{ databaseId: rootId }] },
+});
+
+describe("resolveThreads", () => {
+  it("resolves against one thread index and reports each outcome", async () => {
+    const mutations = [];
+    const threads = [thread("T1", 1), thread("T2", 2, true)];
+    const results = await resolveThreads(
+      {
+        owner: "o",
+        repo: "r",
+        prNumber: 1,
+        token: "tok",
+        proxyFetch: async (url, opts) => {
+          const { query, variables } = JSON.parse(opts.body);
+          if (!query.includes("resolveReviewThread")) {
+            throw new Error("thread index should not be refetched");
+          }
+          mutations.push(variables.threadId);
+          return json({ data: {} });
+        },
+      },
+      [makeComment({ id: 1 }), makeComment({ id: 2 }), makeComment({ id: 9 })],
+      { threads }
+    );
+
+    expect(mutations).toEqual(["T1"]);
+    expect(results).toEqual([
+      { id: 1, ok: true, resolve: "resolved", error: null },
+      { id: 2, ok: true, resolve: "already_resolved", error: null },
+      { id: 9, ok: true, resolve: "skipped", error: null },
+    ]);
+    expect(threads[0].isResolved).toBe(true);
+  });
+
+  it("reports failures per thread", async () => {
+    const results = await resolveThreads(
+      {
+        owner: "o",
+        repo: "r",
+        prNumber: 1,
+        token: "tok",
+        proxyFetch: async () => ({ ok: false, status: 401 }),
+      },
+      [makeComment({ id: 1 })],
+      { threads: [thread("T1", 1)] }
+    );
+
+    expect(results[0]).toMatchObject({
+      ok: false,
+      resolve: "failed",
+      error: "Failed to resolve thread: 401",
+    });
+  });
+});
+
+describe("unresolveThread", () => {
+  it("reopens a resolved thread", async () => {
+    const queries = [];
+    const threads = [thread("T1", 1, true)];
+    const result = await unresolveThread(
+      "o",
+      "r",
+      1,
+      1,
+      "tok",
+      async (url, opts) => {
+        queries.push(JSON.parse(opts.body).query);
+        return json({ data: {} });
+      },
+      threads
+    );
+
+    expect(result).toEqual({ unresolved: true, threadId: "T1" });
+    expect(queries[0]).toContain("unresolveReviewThread");
+    expect(threads[0].isResolved).toBe(false);
+  });
+
+  it("leaves open threads alone", async () => {
+    const result = await unresolveThread(
+      "o",
+      "r",
+      1,
+      1,
+      "tok",
+      async () => {
+        throw new Error("no request expected");
+      },
+      [thread("T1", 1)]
+    );
+    expect(result).toEqual({ alreadyUnresolved: true, threadId: "T1" });
+  });
+});
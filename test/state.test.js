@@ -0,0 +1,98 @@
+import { describe, it, expect, beforeEach, afterEach } from "vitest";
+import { mkdtempSync, rmSync, writeFileSync, existsSync } from "node:fs";
+import os from "node:os";
+import path from "node:path";
+import {
+  getStateDir,
+  getWatchStatePath,
+  loadWatchState,
+  saveWatchState,
+  clearWatchState,
+} from "../lib/state.js";
+
+describe("watch state", () => {
+  const savedEnv = {};
+  let dir;
+
+  beforeEach(() => {
+    savedEnv.AGENT_REVIEWS_STATE_DIR = process.env.AGENT_REVIEWS_STATE_DIR;
+    savedEnv.XDG_STATE_HOME = process.env.XDG_STATE_HOME;
+    dir = mkdtempSync(path.join(os.tmpdir(), "agent-reviews-state-"));
+    process.env.AGENT_REVIEWS_STATE_DIR = dir;
+  });
+
+  afterEach(() => {
+    for (const [key, value] of Object.entries(savedEnv)) {
+      if (value !== undefined) {
+        process.env[key] = value;
+      } else {
+        delete process.env[key];
+      }
+    }
+    rmSync(dir, { recursive: true, force: true });
+  });
+
+  it("prefers AGENT_REVIEWS_STATE_DIR, then XDG_STATE_HOME", () => {
+    expect(getStateDir()).toBe(dir);
+    delete process.env.AGENT_REVIEWS_STATE_DIR;
+    process.env.XDG_STATE_HOME = "/tmp/xdg";
+    expect(getStateDir()).toBe(path.join("/tmp/xdg", "agent-reviews"));
+  });
+
+  it("keeps one file per repo and PR", () => {
+    expect(getWatchStatePath("o", "r", 1)).not.toBe(getWatchStatePath("o", "r", 2));
+    expect(path.basename(getWatchStatePath("my org", "r", 1))).toBe("my_org__r__1.json");
+  });
+
+  it("keeps the same repo on different hosts and providers apart", () => {
+    const github = { provider: "github", host: "api.github.com" };
+    const ghes = { provider: "github", host: "ghe.example.com" };
+    const gitlab = { provider: "gitlab", host: "gitlab.com" };
+    expect(path.basename(getWatchStatePath("o", "r", 1, ghes))).toBe(
+      "github__ghe.example.com__o__r__1.json"
+    );
+    expect(getWatchStatePath("o", "r", 1, github)).not.toBe(
+      getWatchStatePath("o", "r", 1, ghes)
+    );
+    expect(getWatchStatePath("o", "r", 1, github)).not.toBe(
+      getWatchStatePath("o", "r", 1, gitlab)
+    );
+
+    saveWatchState("o", "r", 1, { snapshot: {}, lastPollAt: "x" }, ghes);
+    expect(loadWatchState("o", "r", 1, ghes)).not.toBe(null);
+    expect(loadWatchState("o", "r", 1, github)).toBe(null);
+    clearWatchState("o", "r", 1, ghes);
+    expect(loadWatchState("o", "r", 1, ghes)).toBe(null);
+  });
+
+  it("round-trips the snapshot and last poll time", () => {
+    const snapshot = { 1: { updatedAt: "x", replyIds: [2], isResolved: false } };
+    saveWatchState("o", "r", 1, { snapshot, lastPollAt: "2025-01-01T00:00:00Z" });
+
+    expect(loadWatchState("o", "r", 1)).toEqual({
+      version: 1,
+      snapshot,
+      lastPollAt: "2025-01-01T00:00:00Z",
+    });
+    expect(loadWatchState("o", "r", 2)).toBe(null);
+  });
+
+  it("ignores corrupt or foreign state files", () => {
+    saveWatchState("o", "r", 1, { snapshot: {}, lastPollAt: null });
+    const file = getWatchStatePath("o", "r", 1);
+
+    writeFileSync(file, "{ not json");
+    expect(loadWatchState("o", "r", 1)).toBe(null);
+
+    writeFileSync(file, JSON.stringify({ version: 99, snapshot: {} }));
+    expect(loadWatchState("o", "r", 1)).toBe(null);
+  });
+
+  it("clears saved state", () => {
+    saveWatchState("o", "r", 1, { snapshot: {}, lastPollAt: null });
+    clearWatchState("o", "r", 1);
+    expect(existsSync(getWatchStatePath("o", "r", 1))).toBe(false);
+    // Clearing again is a no-op
+    clearWatchState("o", "r", 1);
+  });
+});
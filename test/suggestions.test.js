@@ -0,0 +1,239 @@
+import { describe, it, expect, beforeEach, afterEach } from "vitest";
+import { mkdtempSync, rmSync, writeFileSync, readFileSync, mkdirSync } from "node:fs";
+import os from "node:os";
+import path from "node:path";
+import {
+  extractSuggestions,
+  parseHunkNewLines,
+  createUnifiedDiff,
+  applySuggestions,
+} from "../lib/suggestions.js";
+import { processComments } from "../lib/comments.js";
+
+// ---------------------------------------------------------------------------
+// extractSuggestions
+// ---------------------------------------------------------------------------
+
+describe("extractSuggestions", () => {
+  it("returns an empty list without suggestion blocks", () => {
+    expect(extractSuggestions("Plain comment")).toEqual([]);
+    expect(extractSuggestions(null)).toEqual([]);
+    expect(extractSuggestions("```js\nconst a = 1;\n```")).toEqual([]);
+  });
+
+  it("extracts the replacement lines", () => {
+    const body = "Use const here:\n\n```suggestion\nconst a = 1;\nconst b = 2;\n```\n\nThanks";
+    expect(extractSuggestions(body)).toEqual([["const a = 1;", "const b = 2;"]]);
+  });
+
+  it("treats an empty block as a deletion", () => {
+    expect(extractSuggestions("```suggestion\n```")).toEqual([[]]);
+  });
+
+  it("supports longer fences containing nested backticks", () => {
+    const body = "````suggestion\n```js\nx\n```\n````";
+    expect(extractSuggestions(body)).toEqual([["```js", "x", "```"]]);
+  });
+
+  it("handles CRLF bodies", () => {
+    expect(extractSuggestions("```suggestion\r\nfoo\r\n```")).toEqual([["foo"]]);
+  });
+});
+
+// ---------------------------------------------------------------------------
+// parseHunkNewLines
+// ---------------------------------------------------------------------------
+
+describe("parseHunkNewLines", () => {
+  it("numbers context and added lines from the hunk header", () => {
+    const hunk = "@@ -10,4 +10,4 @@ function x() {\n a\n-b\n+B\n c";
+    const lines = parseHunkNewLines(hunk);
+    expect([...lines.entries()]).toEqual([
+      [10, "a"],
+      [11, "B"],
+      [12, "c"],
+    ]);
+  });
+
+  it("returns an empty map for missing or malformed hunks", () => {
+    expect(parseHunkNewLines(null).size).toBe(0);
+    expect(parseHunkNewLines("not a hunk").size).toBe(0);
+  });
+});
+
+// ---------------------------------------------------------------------------
+// createUnifiedDiff
+// ---------------------------------------------------------------------------
+
+describe("createUnifiedDiff", () => {
+  it("includes up to three lines of context", () => {
+    const lines = ["1", "2", "3", "4", "5", "6", "7", "8"];
+    expect(createUnifiedDiff("f.txt", lines, 5, 5, ["five"])).toBe(
+      [
+        "--- a/f.txt",
+        "+++ b/f.txt",
+        "@@ -2,7 +2,7 @@",
+        " 2",
+        " 3",
+        " 4",
+        "-5",
+        "+five",
+        " 6",
+        " 7",
+        " 8",
+      ].join("\n")
+    );
+  });
+});
+
+// ---------------------------------------------------------------------------
+// applySuggestions
+// ---------------------------------------------------------------------------
+
+describe("applySuggestions", () => {
+  let root;
+
+  const source = ["function add(a, b) {", "  return a - b;", "}", ""].join("\n");
+
+  const makeComment = (overrides = {}) => ({
+    id: 1,
+    type: "review_comment",
+    path: "src/math.js",
+    line: 2,
+    startLine: null,
+    diffHunk: "@@ -0,0 +1,3 @@\n+function add(a, b) {\n+  return a - b;",
+    body: "Wrong operator\n\n```suggestion\n  return a + b;\n```",
+    ...overrides,
+  });
+
+  beforeEach(() => {
+    root = mkdtempSync(path.join(os.tmpdir(), "agent-reviews-suggest-"));
+    mkdirSync(path.join(root, "src"));
+    writeFileSync(path.join(root, "src/math.js"), source);
+  });
+
+  afterEach(() => {
+    rmSync(root, { recursive: true, force: true });
+  });
+
+  const read = () => readFileSync(path.join(root, "src/math.js"), "utf8");
+
+  it("replaces the commented line", () => {
+    const [result] = applySuggestions([makeComment()], { root });
+    expect(result.status).toBe("applied");
+    expect(read()).toBe("function add(a, b) {\n  return a + b;\n}\n");
+  });
+
+  it("applies the suggestion from the uncleaned body", () => {
+    const body =
+      "Wrong operator\n\n```suggestion\n  // <!-- keep -->\n\n\n  return a + b;\n```";
+    const [comment] = processComments({
+      reviewComments: [
+        {
+          id: 1,
+          user: { login: "alice" },
+          path: "src/math.js",
+          line: 2,
+          side: "RIGHT",
+          diff_hunk: makeComment().diffHunk,
+          body,
+        },
+      ],
+      issueComments: [],
+      reviews: [],
+    });
+    expect(comment.body).not.toContain("<!-- keep -->");
+    expect(comment).not.toHaveProperty("rawBody");
+
+    const [result] = applySuggestions([comment], {
+      root,
+      rawBodies: new Map([[1, body]]),
+    });
+    expect(result.status).toBe("applied");
+    expect(read()).toBe(
+      "function add(a, b) {\n  // <!-- keep -->\n\n\n  return a + b;\n}\n"
+    );
+  });
+
+  it("refuses comments on deleted lines", () => {
+    const [result] = applySuggestions([makeComment({ side: "LEFT" })], { root });
+    expect(result.status).toBe("failed");
+    expect(result.error).toMatch("deleted lines");
+    expect(read()).toBe(source);
+  });
+
+  it("replaces a multi-line range", () => {
+    const comment = makeComment({
+      startLine: 1,
+      line: 2,
+      body: "```suggestion\nconst add = (a, b) =>\n  a + b;\n```",
+    });
+    applySuggestions([comment], { root });
+    expect(read()).toBe("const add = (a, b) =>\n  a + b;\n}\n");
+  });
+
+  it("prints a diff and leaves the file alone on dry run", () => {
+    const [result] = applySuggestions([makeComment()], { root, dryRun: true });
+    expect(result.status).toBe("would_apply");
+    expect(result.diff).toContain("-  return a - b;");
+    expect(result.diff).toContain("+  return a + b;");
+    expect(read()).toBe(source);
+  });
+
+  it("refuses when the file has drifted from the diff hunk", () => {
+    writeFileSync(
+      path.join(root, "src/math.js"),
+      "// header\nfunction add(a, b) {\n  return a - b;\n}\n"
+    );
+    const [result] = applySuggestions([makeComment()], { root });
+    expect(result.status).toBe("failed");
+    expect(result.error).toMatch(/drifted/);
+    expect(read()).toContain("return a - b");
+  });
+
+  it("checks the original lines, then applies at the current line", () => {
+    writeFileSync(
+      path.join(root, "src/math.js"),
+      "// header\n// more\nfunction add(a, b) {\n  return a - b;\n}\n"
+    );
+    const comment = makeComment({ originalLine: 2, line: 4, currentLine: 4 });
+
+    const [result] = applySuggestions([comment], { root });
+
+    expect(result.status).toBe("applied");
+    expect(read()).toBe(
+      "// header\n// more\nfunction add(a, b) {\n  return a + b;\n}\n"
+    );
+  });
+
+  it("refuses comments without a suggestion", () => {
+    const [result] = applySuggestions([makeComment({ body: "Looks off" })], {
+      root,
+    });
+    expect(result.error).toBe("comment has no ```suggestion block");
+  });
+
+  it("applies several suggestions to one file bottom-up", () => {
+    const comments = [
+      makeComment({
+        id: 1,
+        line: 1,
+        diffHunk: "@@ -0,0 +1,1 @@\n+function add(a, b) {",
+        body: "```suggestion\nfunction sum(a, b) {\n```",
+      }),
+      makeComment({ id: 2, body: "```suggestion\n  // fixed\n  return a + b;\n```" }),
+    ];
+    const results = applySuggestions(comments, { root });
+    expect(results.map((r) => r.status)).toEqual(["applied", "applied"]);
+    expect(read()).toBe("function sum(a, b) {\n  // fixed\n  return a + b;\n}\n");
+  });
+
+  it("skips overlapping suggestions", () => {
+    const results = applySuggestions(
+      [makeComment({ id: 1 }), makeComment({ id: 2 })],
+      { root }
+    );
+    expect(results[1].status).toBe("failed");
+    expect(results[1].error).toBe("overlaps the suggestion from comment 1");
+  });
+});
@@ -0,0 +1,195 @@
+import { describe, it, expect } from "vitest";
+import { PassThrough } from "node:stream";
+import {
+  runTui,
+  renderScreen,
+  replyTemplate,
+  stripTemplate,
+  wrapLines,
+} from "../lib/tui.js";
+
+const stripAnsi = (text) => text.replace(/\x1b\[[0-9;?]*[A-Za-z]/g, "");
+
+const comment = (id, extra = {}) => ({
+  id,
+  type: "review_comment",
+  user: "coderabbitai",
+  isBot: true,
+  body: `Finding ${id}`,
+  path: "src/app.js",
+  line: id,
+  url: `https://github.com/acme/app/pull/1#discussion_r${id}`,
+  diffHunk: "@@ -1,2 +1,2 @@\n-old\n+new",
+  replies: [],
+  hasAnyReply: false,
+  hasHumanReply: false,
+  isResolved: false,
+  isOutdated: false,
+  createdAt: "2025-01-01T00:00:00Z",
+  updatedAt: "2025-01-01T00:00:00Z",
+  ...extra,
+});
+
+function screenState(comments, extra = {}) {
+  return {
+    title: "acme/app #1",
+    comments,
+    visible: comments,
+    filters: { filter: null, botsOnly: false, humansOnly: false },
+    selectedId: comments[0]?.id ?? null,
+    listTop: 0,
+    detailTop: 0,
+    changed: new Set(),
+    status: null,
+    ...extra,
+  };
+}
+
+// ---------------------------------------------------------------------------
+// Rendering
+// ---------------------------------------------------------------------------
+
+describe("renderScreen", () => {
+  it("lays out the list, the selected comment's detail and the key help", () => {
+    const comments = [
+      comment(1),
+      comment(2, { user: "alice", isBot: false, hasAnyReply: true, hasHumanReply: true }),
+    ];
+    const lines = renderScreen(screenState(comments, { changed: new Set([2]) }), {
+      columns: 100,
+      rows: 12,
+    });
+
+    expect(lines).toHaveLength(12);
+    for (const line of lines) expect([...stripAnsi(line)]).toHaveLength(100);
+
+    const plain = lines.map(stripAnsi);
+    expect(plain[0]).toContain("acme/app #1  all  2 of 2 comments");
+    expect(plain[1]).toMatch(/^ ○ CODE +coderabbitai Finding 1 +│=== Comment \[1\] ===/);
+    expect(plain[2]).toMatch(/^●✓ CODE +alice Finding 2/);
+    expect(plain.some((line) => line.includes("│--- Code Context ---"))).toBe(true);
+    expect(plain[11]).toContain("r reply  x resolve");
+  });
+
+  it("scrolls the list to keep the selection visible", () => {
+    const comments = Array.from({ length: 20 }, (_, i) => comment(i + 1));
+    const state = screenState(comments, { selectedId: 15 });
+    const plain = renderScreen(state, { columns: 120, rows: 7 }).map(stripAnsi);
+
+    expect(state.listTop).toBe(10);
+    expect(plain[5]).toContain("Finding 15");
+  });
+
+  it("wraps long lines and drops control characters", () => {
+    expect(wrapLines("abcdef\n\x1b[31mred", 4)).toEqual(["abcd", "ef", "[31m", "red"]);
+  });
+});
+
+// ---------------------------------------------------------------------------
+// Reply template
+// ---------------------------------------------------------------------------
+
+describe("replyTemplate", () => {
+  it("quotes the comment below a line that stripTemplate cuts at", () => {
+    const template = replyTemplate(comment(7));
+    expect(template).toContain("# === Comment [7] ===");
+    expect(stripTemplate(template)).toBe("");
+    expect(stripTemplate(`Fixed in abc123.\n\n# Not a comment\n${template}`)).toBe(
+      "Fixed in abc123.\n\n# Not a comment"
+    );
+  });
+});
+
+// ---------------------------------------------------------------------------
+// Session
+// ---------------------------------------------------------------------------
+
+function startTui(comments, overrides = {}) {
+  const input = new PassThrough();
+  const output = new PassThrough();
+  output.columns = 100;
+  output.rows = 12;
+  let screen = "";
+  output.on("data", (chunk) => {
+    screen += chunk;
+  });
+
+  const calls = [];
+  let current = comments;
+  const done = runTui({
+    title: "acme/app #1",
+    load: async () => current,
+    reply: async (id, message) => calls.push(["reply", id, message]),
+    setResolved: async (id, resolved) => {
+      calls.push(["setResolved", id, resolved]);
+      current = current.map((c) => (c.id === id ? { ...c, isResolved: resolved } : c));
+      return { resolved: true, threadId: `T_${id}` };
+    },
+    editMessage: async () => "Fixed in abc123\n",
+    pollInterval: () => 0,
+    input,
+    output,
+    ...overrides,
+  });
+
+  // Keypresses are handled synchronously; actions need a few turns
+  const press = async (...keys) => {
+    for (const key of keys) {
+      input.write(key);
+      await new Promise((resolve) => setTimeout(resolve, 5));
+    }
+  };
+  return {
+    done,
+    calls,
+    press,
+    screen: () => stripAnsi(screen),
+    setComments: (next) => {
+      current = next;
+    },
+  };
+}
+
+describe("runTui", () => {
+  it("selects, replies to and resolves comments from the keyboard", async () => {
+    const tui = startTui([comment(1), comment(2)]);
+    await tui.press("j", "r", "x", "q");
+    await tui.done;
+
+    expect(tui.calls).toEqual([
+      ["reply", 2, "Fixed in abc123"],
+      ["setResolved", 2, true],
+    ]);
+    expect(tui.screen()).toContain("✓ Thread resolved");
+  });
+
+  it("filters in place and marks new activity on refresh", async () => {
+    const tui = startTui([
+      comment(1),
+      comment(2, { user: "alice", isBot: false }),
+    ]);
+    await tui.press("h");
+    expect(tui.screen()).toContain("all · humans only  1 of 2 comments");
+
+    tui.setComments([
+      comment(1),
+      comment(2, { user: "alice", isBot: false }),
+      comment(3, { user: "bob", isBot: false }),
+    ]);
+    await tui.press("R");
+    expect(tui.screen()).toContain("1 new comment(s)");
+    expect(tui.screen()).toMatch(/●○ CODE +bob/);
+
+    await tui.press("\x03");
+    await tui.done;
+  });
+
+  it("does not reply when the editor leaves the message empty", async () => {
+    const tui = startTui([comment(1)], { editMessage: async (template) => template });
+    await tui.press("r", "q");
+    await tui.done;
+
+    expect(tui.calls).toEqual([]);
+    expect(tui.screen()).toContain("Reply cancelled (empty message)");
+  });
+});
@@ -0,0 +1,289 @@
+import { describe, it, expect } from "vitest";
+import {
+  WATCH_EXIT_CODES,
+  isAuthError,
+  getPollInterval,
+  isIdleTimeout,
+  createSnapshot,
+  diffSnapshot,
+  filterChanges,
+  groupChanges,
+  toChangedComments,
+  formatEvent,
+} from "../lib/watch.js";
+
+const makeComment = (overrides = {}) => ({
+  id: 1,
+  type: "review_comment",
+  user: "cursor[bot]",
+  body: "A finding",
+  updatedAt: "2025-01-01T00:00:00Z",
+  replies: [],
+  isResolved: false,
+  ...overrides,
+});
+
+// ---------------------------------------------------------------------------
+// createSnapshot
+// ---------------------------------------------------------------------------
+
+describe("createSnapshot", () => {
+  it("keeps only the tracked fields, keyed by ID", () => {
+    const snapshot = createSnapshot([
+      makeComment({ id: 1, replies: [{ id: 11 }, { id: 12 }] }),
+      makeComment({ id: 2, isResolved: true }),
+    ]);
+
+    expect(snapshot).toEqual({
+      1: { updatedAt: "2025-01-01T00:00:00Z", replyIds: [11, 12], isResolved: false },
+      2: { updatedAt: "2025-01-01T00:00:00Z", replyIds: [], isResolved: true },
+    });
+  });
+
+  it("survives a JSON round trip", () => {
+    const snapshot = createSnapshot([makeComment({ replies: [{ id: 5 }] })]);
+    const restored = JSON.parse(JSON.stringify(snapshot));
+    expect(diffSnapshot(restored, [makeComment({ replies: [{ id: 5 }] })])).toEqual([]);
+  });
+});
+
+// ---------------------------------------------------------------------------
+// diffSnapshot
+// ---------------------------------------------------------------------------
+
+describe("diffSnapshot", () => {
+  const previous = createSnapshot([makeComment()]);
+
+  it("reports nothing when nothing changed", () => {
+    expect(diffSnapshot(previous, [makeComment()])).toEqual([]);
+  });
+
+  it("reports new comments", () => {
+    const added = makeComment({ id: 2 });
+    expect(diffSnapshot(previous, [makeComment(), added])).toEqual([
+      { type: "comment.created", comment: added },
+    ]);
+  });
+
+  it("reports edited comments", () => {
+    const edited = makeComment({ updatedAt: "2025-01-02T00:00:00Z" });
+    expect(diffSnapshot(previous, [edited])).toEqual([
+      {
+        type: "comment.updated",
+        comment: edited,
+        previousUpdatedAt: "2025-01-01T00:00:00Z",
+      },
+    ]);
+  });
+
+  it("reports new replies in existing threads", () => {
+    const reply = { id: 99, user: "pbakaus", body: "Still wrong" };
+    const comment = makeComment({ replies: [reply] });
+    expect(diffSnapshot(previous, [comment])).toEqual([
+      { type: "reply.created", comment, reply },
+    ]);
+  });
+
+  it("reports threads that became resolved", () => {
+    const comment = makeComment({ isResolved: true });
+    expect(diffSnapshot(previous, [comment])).toEqual([
+      { type: "thread.resolved", comment },
+    ]);
+  });
+
+  it("reports deleted comments and replies", () => {
+    const before = createSnapshot([
+      makeComment({ replies: [{ id: 11 }, { id: 12 }] }),
+      makeComment({ id: 2 }),
+    ]);
+    const comment = makeComment({ replies: [{ id: 11 }] });
+    expect(diffSnapshot(before, [comment])).toEqual([
+      { type: "reply.deleted", comment, replyId: 12 },
+      { type: "comment.deleted", commentId: 2 },
+    ]);
+  });
+});
+
+// ---------------------------------------------------------------------------
+// filterChanges
+// ---------------------------------------------------------------------------
+
+describe("filterChanges", () => {
+  const previous = createSnapshot([makeComment({ id: 1 }), makeComment({ id: 2 })]);
+
+  it("keeps a reply that takes its comment out of the filtered set", () => {
+    const reply = { id: 11, user: "alice", isBot: false };
+    const answered = makeComment({
+      id: 1,
+      replies: [reply],
+      hasHumanReply: true,
+      hasAnyReply: true,
+    });
+    const changes = diffSnapshot(previous, [answered, makeComment({ id: 2 })]);
+
+    expect(filterChanges(changes, previous, { filter: "unresolved" })).toEqual([
+      { type: "reply.created", comment: answered, reply },
+    ]);
+  });
+
+  it("drops changes to comments that never matched", () => {
+    const done = createSnapshot([makeComment({ id: 1, isResolved: true })]);
+    const edited = makeComment({
+      id: 1,
+      isResolved: true,
+      updatedAt: "2025-01-02T00:00:00Z",
+    });
+    const added = makeComment({ id: 3, user: "alice", isBot: false });
+    const changes = diffSnapshot(done, [edited, added]);
+
+    expect(filterChanges(changes, done, { filter: "unresolved" })).toEqual([
+      { type: "comment.created", comment: added },
+    ]);
+    expect(filterChanges(changes, done, { botsOnly: true, filter: "unresolved" })).toEqual([]);
+  });
+
+  it("filters deleted comments by how they last looked", () => {
+    const bot = makeComment({ id: 1, isBot: true });
+    const human = makeComment({ id: 2, user: "alice", isBot: false });
+    const changes = diffSnapshot(previous, []);
+
+    expect(filterChanges(changes, previous, { botsOnly: true }, [bot, human])).toEqual([
+      { type: "comment.deleted", commentId: 1 },
+    ]);
+  });
+});
+
+// ---------------------------------------------------------------------------
+// groupChanges / toChangedComments
+// ---------------------------------------------------------------------------
+
+describe("groupChanges", () => {
+  const previous = createSnapshot([makeComment({ id: 1 }), makeComment({ id: 2 })]);
+  const current = [
+    makeComment({ id: 1, updatedAt: "2025-01-03T00:00:00Z" }),
+    makeComment({
+      id: 2,
+      isResolved: true,
+      replies: [
+        { id: 21, user: "agent-user", body: "Fixed in abc" },
+        { id: 22, user: "reviewer", body: "No, still wrong" },
+      ],
+    }),
+    makeComment({ id: 3 }),
+  ];
+
+  it("separates new, updated and replied comments", () => {
+    const groups = groupChanges(diffSnapshot(previous, current));
+    expect(groups.created.map((c) => c.id)).toEqual([3]);
+    expect(groups.updated.map((c) => c.id)).toEqual([1]);
+    expect(groups.replied).toHaveLength(1);
+    expect(groups.replied[0].comment.id).toBe(2);
+    expect(groups.replied[0].replies.map((r) => r.id)).toEqual([21, 22]);
+  });
+
+  it("ignores replies by the watching user", () => {
+    const groups = groupChanges(diffSnapshot(previous, current), "agent-user");
+    expect(groups.replied[0].replies.map((r) => r.id)).toEqual([22]);
+  });
+
+  it("drops threads whose only new replies are the user's own", () => {
+    const changes = diffSnapshot(previous, [
+      makeComment({ id: 2, replies: [{ id: 21, user: "agent-user" }] }),
+    ]);
+    expect(groupChanges(changes, "agent-user").replied).toEqual([]);
+  });
+
+  it("flattens to one entry per comment with its change kinds", () => {
+    const edited = makeComment({ id: 2, updatedAt: "2025-01-03T00:00:00Z" });
+    const flat = toChangedComments({
+      created: [makeComment({ id: 3 })],
+      updated: [edited],
+      replied: [{ comment: edited, replies: [{ id: 22 }] }],
+    });
+
+    expect(flat.map((c) => [c.id, c.changes])).toEqual([
+      [3, ["created"]],
+      [2, ["updated", "new_reply"]],
+    ]);
+    expect(flat[1].newReplyIds).toEqual([22]);
+  });
+});
+
+// ---------------------------------------------------------------------------
+// formatEvent
+// ---------------------------------------------------------------------------
+
+describe("formatEvent", () => {
+  it("writes one JSON object with type and timestamp", () => {
+    const line = formatEvent("poll", { poll: 3 });
+    expect(line).not.toContain("\n");
+    const event = JSON.parse(line);
+    expect(event.type).toBe("poll");
+    expect(event.poll).toBe(3);
+    expect(Number.isNaN(Date.parse(event.timestamp))).toBe(false);
+  });
+});
+
+describe("watch exit codes", () => {
+  it("keeps every outcome distinct from the generic error code", () => {
+    const codes = Object.values(WATCH_EXIT_CODES);
+    expect(new Set(codes).size).toBe(codes.length);
+    expect(codes).not.toContain(1);
+    expect(WATCH_EXIT_CODES.new_comments).toBe(0);
+  });
+
+  it("treats 401 and 403 responses as auth errors", () => {
+    expect(isAuthError(Object.assign(new Error("x"), { status: 401 }))).toBe(true);
+    expect(isAuthError(Object.assign(new Error("x"), { status: 403 }))).toBe(true);
+    expect(isAuthError(Object.assign(new Error("x"), { status: 500 }))).toBe(false);
+    expect(isAuthError(new Error("network down"))).toBe(false);
+  });
+
+  it("does not treat rate-limited 403s as auth errors", () => {
+    const error = Object.assign(new Error("x"), { status: 403, rateLimited: true });
+    expect(isAuthError(error)).toBe(false);
+  });
+});
+
+describe("isIdleTimeout", () => {
+  it("stops once the idle time reaches the timeout", () => {
+    expect(isIdleTimeout(59, 60)).toBe(false);
+    expect(isIdleTimeout(60, 60)).toBe(true);
+  });
+
+  it("never times out with a timeout of 0", () => {
+    expect(isIdleTimeout(0, 0)).toBe(false);
+    expect(isIdleTimeout(3600, 0)).toBe(false);
+  });
+});
+
+describe("getPollInterval", () => {
+  const now = 1700000000000;
+  const limit = (remaining, resetInSeconds) => ({
+    resource: "core",
+    limit: 5000,
+    remaining,
+    reset: now + resetInSeconds * 1000,
+  });
+
+  it("keeps the configured interval without rate-limit data", () => {
+    expect(getPollInterval(30, null, now)).toBe(30);
+  });
+
+  it("keeps the configured interval while quota is plentiful", () => {
+    expect(getPollInterval(30, limit(4000, 3600), now)).toBe(30);
+  });
+
+  it("spreads the remaining quota until the reset when it runs low", () => {
+    // 100 requests left = 20 polls over 1800s
+    expect(getPollInterval(30, limit(100, 1800), now)).toBe(90);
+  });
+
+  it("waits for the reset when almost nothing is left", () => {
+    expect(getPollInterval(30, limit(2, 600), now)).toBe(600);
+  });
+
+  it("never polls faster than configured", () => {
+    expect(getPollInterval(30, limit(400, 60), now)).toBe(30);
+  });
+});